@@ -1,7 +1,7 @@
 // Network-enhanced background service worker for Google Meet Tracker
 
 // Import storage manager
-importScripts('storage-manager.js');
+importScripts('person-registry.js', 'storage-manager.js');
 
 let currentMeetingState = {
     state: 'none',
@@ -12,8 +12,48 @@ let currentMeetingState = {
 
 // Session-based meeting tracking (PERSISTENT APPROACH)
 let activeSessions = {}; // Maps sessionId to session data
-let meetingToSessionMap = {}; // Maps meetingId to current sessionId
+let tabMeetingToSessionMap = {}; // Maps session key (`${tabId}:${meetingId}`) to current sessionId
 let sessionDataLoaded = false; // Flag to track if we've loaded persistent data
+let journalBaselines = {}; // Maps sessionId to { field: JSON } as of its last journal record
+
+// Sessions are keyed by tab + meeting so two Meet tabs never share a session
+function getSessionKey(tabId, meetingId) {
+    return `${tabId ?? 'notab'}:${meetingId}`;
+}
+
+// Find the live session for a meeting in a tab
+// Without a tab ID (legacy callers, popup) use the most recently updated session for the meeting
+function findActiveSession(meetingId, tabId) {
+    if (tabId === undefined || tabId === null) {
+        return Object.values(activeSessions)
+            .filter(session => session.meetingId === meetingId)
+            .sort((a, b) => (b.lastUpdated || 0) - (a.lastUpdated || 0))[0] || null;
+    }
+    
+    const sessionId = tabMeetingToSessionMap[getSessionKey(tabId, meetingId)];
+    if (sessionId && activeSessions[sessionId]) {
+        return activeSessions[sessionId];
+    }
+    
+    // Sessions restored from before tab tracking have no tab - adopt them
+    const untracked = Object.values(activeSessions).find(session =>
+        session.meetingId === meetingId && (session.tabId === undefined || session.tabId === null));
+    if (untracked) {
+        delete tabMeetingToSessionMap[getSessionKey(null, meetingId)];
+        untracked.tabId = tabId;
+        tabMeetingToSessionMap[getSessionKey(tabId, meetingId)] = untracked.sessionId;
+        return untracked;
+    }
+    
+    return null;
+}
+
+// All live sessions, most recently updated first
+function getLiveSessions() {
+    return Object.values(activeSessions)
+        .filter(session => !session.endTime && !session._failedToSave)
+        .sort((a, b) => (b.lastUpdated || 0) - (a.lastUpdated || 0));
+}
 
 // Initialize storage manager
 let storageManager = null;
@@ -21,6 +61,40 @@ let storageManager = null;
 // Periodic session auto-save timer
 let autoSaveTimer = null;
 
+// Presence timeline: a participant absent for longer than this starts a new interval
+// (minute logs re-send every participant at least once a minute while they're present)
+const PRESENCE_GAP_TOLERANCE = 2 * 60 * 1000;
+
+// Meeting web clients we track (Meet runs SimpleMeetTracker, Zoom/Teams run PlatformMeetingTracker)
+const MEETING_TAB_URLS = [
+    'https://meet.google.com/*',
+    'https://app.zoom.us/wc/*',
+    'https://teams.microsoft.com/*',
+    'https://teams.live.com/*'
+];
+
+// User settings (stored in the IndexedDB settings store)
+// captureCaptions: opt-in - record Meet's live captions into the transcripts store
+// selfProfiles: { [authuser]: { name, email } } - who "me" is for each signed-in Google account
+// stitchGraceMinutes: rejoining the same meeting within this many minutes counts as one attendance
+// summarizeAfterDays / aggregateAfterDays: retention tiers (0 = keep everything), see runRetentionPolicy
+// eventRetentionDays: how long the raw session event log is kept (0 = keep forever). The log is
+//   never edited, but by default only its last 30 days are kept, so recompute can only rebuild
+//   sessions that recent
+const DEFAULT_SETTINGS = {
+    captureCaptions: false,
+    selfProfiles: {},
+    stitchGraceMinutes: 10,
+    heartbeatTimeoutMinutes: 30, // Live sessions silent for longer are closed at their last heartbeat
+    summarizeAfterDays: 0,
+    aggregateAfterDays: 0,
+    eventRetentionDays: 30
+};
+
+// Pre-join phases waiting for their session (admission is reported around the time the session is created)
+let pendingLobbies = {}; // Maps session key to lobby data
+const LOBBY_ATTACH_WINDOW = 5 * 60 * 1000;
+
 console.log('🌐 Network-enhanced Google Meet Tracker background loaded');
 
 // Initialize extension
@@ -57,6 +131,13 @@ async function initializeStorageManager() {
         
         console.log('✅ IndexedDB storage manager initialized successfully');
         
+        // The person registry is derived from sessions - rebuild it when it's empty (v4 upgrade)
+        try {
+            await storageManager.backfillPersonRegistry();
+        } catch (registryError) {
+            console.warn('⚠️ Person registry backfill failed:', registryError);
+        }
+        
         // Test basic functionality
         try {
             const testMeetings = await storageManager.getMeetings();
@@ -114,6 +195,7 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
             switch (messageType) {
                 case 'update_participants':
                     const sessionInfo = await handleParticipantsUpdate(request.data, sender);
+                    recordSessionEvent('participants', sender, request.data.meetingId, request.data, sessionInfo?.sessionId);
                     sendResponse({ 
                         success: true, 
                         sessionId: sessionInfo?.sessionId,
@@ -122,10 +204,29 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
                     break;
                     
                 case 'update_meeting_state':
+                    recordSessionEvent('meeting_state', sender,
+                        request.data.meetingState?.meetingId || currentMeetingState.currentMeeting?.id, request.data);
                     await handleMeetingStateUpdate(request.data, sender);
                     sendResponse({ success: true });
                     break;
                     
+                case 'update_calendar_event':
+                    recordSessionEvent('calendar_event', sender, request.data?.meetingId, request.data);
+                    const calendarResult = await handleCalendarEventUpdate(request.data, sender);
+                    sendResponse(calendarResult);
+                    break;
+                    
+                case 'update_lobby':
+                    const lobbyResult = await handleLobbyUpdate(request.data, sender);
+                    sendResponse(lobbyResult);
+                    break;
+                    
+                case 'update_presentation':
+                    recordSessionEvent('presentation', sender, request.data?.meetingId, request.data);
+                    const presentationResult = await handlePresentationUpdate(request.data, sender);
+                    sendResponse(presentationResult);
+                    break;
+                    
                 case 'meetingStarted':
                     await handleMeetingStarted(request.meeting, sender);
                     sendResponse({ success: true });
@@ -137,6 +238,7 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
                     break;
                     
                 case 'meetingEnded':
+                    recordSessionEvent('meeting_ended', sender, request.meeting.id || request.meeting.meetingId, request.meeting);
                     await handleMeetingEnded(request.meeting, sender);
                     sendResponse({ success: true });
                     break;
@@ -158,8 +260,8 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
                     
                 case 'getMeetingsAggregated':
                     console.log('📥 Background: Getting aggregated meetings from storage for dashboard...');
-                    const aggregatedMeetings = await getAggregatedMeetings();
-                    console.log(`📤 Background: Sending ${aggregatedMeetings.length} aggregated meetings to dashboard`);
+                    const aggregatedMeetings = await getAggregatedMeetings(request);
+                    console.log(`📤 Background: Sending ${(aggregatedMeetings.meetings || aggregatedMeetings).length} aggregated meetings to dashboard`);
                     sendResponse(aggregatedMeetings);
                     break;
                     
@@ -173,6 +275,7 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
                     break;
                     
                 case 'logMinuteData':
+                    recordSessionEvent('minute', sender, request.data.meetingId, request.data);
                     await handleMinuteDataLog(request.data, sender);
                     sendResponse({ success: true });
                     break;
@@ -186,7 +289,7 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
                     break;
                     
                 case 'forceEndMeeting':
-                    const forceEndResult = await forceEndCurrentMeeting();
+                    const forceEndResult = await forceEndCurrentMeeting(request.sessionId);
                     sendResponse(forceEndResult);
                     break;
                     
@@ -198,12 +301,14 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
                     break;
                     
                 case 'meetingEndedByNavigation':
+                    recordSessionEvent(request.reason === 'page_unload' ? 'unload' : 'navigation', sender,
+                        request.meetingId, { reason: request.reason });
                     await handleMeetingEndedByNavigation(request.meetingId, request.reason, sender);
                     sendResponse({ success: true });
                     break;
                     
                 case 'deleteMeeting':
-                    const deleteResult = await deleteMeeting(request.meetingId);
+                    const deleteResult = await deleteMeeting(request.meetingId, request);
                     sendResponse(deleteResult);
                     break;
                     
@@ -212,11 +317,78 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
                     sendResponse(deleteSessionResult);
                     break;
                     
+                case 'getTrash':
+                case 'restoreFromTrash':
+                case 'purgeTrash':
+                    sendResponse(await manageTrash(request.action, request.trashId ?? null));
+                    break;
+                    
                 case 'manualCleanup':
                     const cleanupResult = await manualCleanupOldMeetings(request.days);
                     sendResponse(cleanupResult);
                     break;
                     
+                case 'runRetentionPolicy':
+                    sendResponse(await runRetentionPolicy());
+                    break;
+                    
+                case 'getStorageStats':
+                    sendResponse(await getStorageStats());
+                    break;
+                    
+                case 'append_transcript':
+                    await handleTranscriptAppend(request.data, sender);
+                    sendResponse({ success: true });
+                    break;
+                    
+                case 'getTranscripts':
+                    sendResponse(await getTranscripts(request.sessionIds || []));
+                    break;
+                    
+                case 'searchTranscripts':
+                    sendResponse(await searchTranscripts(request.query));
+                    break;
+                    
+                case 'getPeople':
+                    sendResponse(await getPeople());
+                    break;
+                    
+                case 'mergePeople':
+                case 'splitPerson':
+                case 'updatePerson':
+                    sendResponse(await editPeople(messageType, request));
+                    break;
+                    
+                case 'getSettings':
+                    sendResponse(await getSettings());
+                    break;
+                    
+                case 'updateSetting':
+                    sendResponse(await updateSetting(request.key, request.value));
+                    break;
+                    
+                case 'visibility_changed':
+                    recordSessionEvent('visibility', sender, request.data?.meetingId, request.data);
+                    sendResponse({ success: true });
+                    break;
+                    
+                case 'recomputeSessions':
+                    sendResponse(await recomputeSessionHistory());
+                    break;
+                    
+                case 'correctZombieSessions':
+                    sendResponse(await correctZombieSessions());
+                    break;
+                    
+                case 'getDailyRollups':
+                    sendResponse(await getDailyRollups(request.startDate, request.endDate));
+                    break;
+                    
+                case 'getMigrationReport':
+                    // Read from chrome.storage so a failed upgrade is reported even without a database
+                    sendResponse(await MeetingStorageManager.getMigrationReport());
+                    break;
+                    
                 default:
                     console.warn(`⚠️ Unknown message type: ${messageType}`);
                     sendResponse({ error: `Unknown message type: ${messageType}` });
@@ -294,47 +466,39 @@ async function handleMeetingEnded(meeting, sender) {
     
     // End the active session for this meeting using session-based approach
     // Background script manages ALL timing - content script only provides meeting ID and reason
-    await endActiveSession(meetingId, meeting.reason || 'meeting_ended');
-    
-    // Reset current meeting state
-    currentMeetingState = {
-        state: 'none',
-        participants: [],
-        currentMeeting: null,
-        networkParticipants: 0
-    };
+    await endActiveSession(meetingId, meeting.reason || 'meeting_ended', sender?.tab?.id);
     
-    // Update icon
-    updateIcon('none', []);
+    // Fall back to another live meeting (other tab) or reset the state and icon
+    refreshCurrentMeetingState();
     
     console.log('✅ Meeting end processed via session-based approach');
 }
 
 // Handle participants update from network interception (SESSION-BASED APPROACH)
 async function handleParticipantsUpdate(data, sender) {
-    const { meetingId, meetingTitle, participants } = data;
+    const { meetingId, meetingTitle, participants, platform } = data;
     const timestamp = new Date().toISOString();
     
     // Analyze data sources
     const networkParticipants = participants.filter(p => p.source?.includes('sync') || p.source?.includes('network')).length;
     const domParticipants = participants.filter(p => p.source?.includes('dom')).length;
+    const confirmedParticipants = participants.filter(p => p.domConfirmed).length; // Network roster entries also seen in the DOM
     const avatarCount = participants.filter(p => p.avatarUrl).length;
     
     console.log(`🔍 [${timestamp}] PARTICIPANTS UPDATE: ${participants.length} participants in ${meetingId}`);
-    console.log(`   Network: ${networkParticipants}, DOM: ${domParticipants}, Avatars: ${avatarCount}`);
+    console.log(`   Network: ${networkParticipants}, DOM: ${domParticipants}, Confirmed by both: ${confirmedParticipants}, Avatars: ${avatarCount}`);
     console.log(`   Meeting title: "${meetingTitle}", Tab ID: ${sender.tab?.id}`);
     
     // Ensure we've loaded persistent session data on first access
     await ensureSessionDataLoaded();
     
-    // Check if we have an active session for this meeting
-    const currentSessionId = meetingToSessionMap[meetingId];
-    let activeSession = currentSessionId ? activeSessions[currentSessionId] : null;
+    // Check if we have an active session for this meeting in this tab
+    let activeSession = findActiveSession(meetingId, sender.tab?.id);
     
     // SIMPLIFIED: If no session in memory, create a new session (no restoration)
     if (!activeSession) {
         console.log(`🔍 No active session in memory for meeting ${meetingId}, creating NEW session`);
-        activeSession = await createNewSession(meetingId, meetingTitle, participants, sender, networkParticipants);
+        activeSession = await createNewSession(meetingId, meetingTitle, participants, sender, networkParticipants, platform);
         
         // Log session recovery for debugging
         if (activeSession && activeSession.continued) {
@@ -365,18 +529,10 @@ async function handleParticipantsUpdate(data, sender) {
     
     // Always update existing session (but don't recreate it!)
     if (activeSession) {
-        // Update existing session data
-        activeSession.participants = participants;
-        activeSession.lastUpdated = Date.now();
-        activeSession.url = sender.tab?.url || activeSession.url; // Keep URL updated
-        
-        // Update title if provided
-        if (meetingTitle && meetingTitle !== activeSession.title) {
-            activeSession.title = meetingTitle;
-            if (currentMeetingState.currentMeeting) {
-                currentMeetingState.currentMeeting.title = meetingTitle;
-            }
-            console.log(`📝 Session title updated: ${meetingTitle}`);
+        const previousTitle = activeSession.title;
+        applyParticipantScan(activeSession, data, Date.now(), sender.tab?.url);
+        if (activeSession.title !== previousTitle) {
+            console.log(`📝 Session title updated: ${activeSession.title}`);
         }
         
         // Update current meeting state to track this session
@@ -386,7 +542,8 @@ async function handleParticipantsUpdate(data, sender) {
             startTime: activeSession.startTime,
             sessionId: activeSession.sessionId,
             url: activeSession.url,
-            dataSource: activeSession.dataSource
+            dataSource: activeSession.dataSource,
+            tabId: activeSession.tabId
         };
         currentMeetingState.state = 'active';
     }
@@ -402,26 +559,439 @@ async function handleParticipantsUpdate(data, sender) {
     // Update icon with enhanced information
     updateIcon('active', participants, hasNetworkData);
     
-    // Update the active session with current participant data
-    activeSession.participants = participants.map(p => ({
+    // Note: We don't save the session to storage here - only the changed fields go to the journal
+    // The full session is written by auto-save and when the session ends
+    await journalSession(activeSession);
+    
+    // Return session info for content script caching
+    return {
+        sessionId: activeSession.sessionId,
+        sessionStartTime: activeSession.startTime
+    };
+}
+
+// Apply a participant scan (update_participants data) to a session
+// Shared by the live handler and the event log reducer, so both derive the same session
+function applyParticipantScan(session, data, timestamp, url) {
+    const { meetingTitle, participants, calendarEvent, detectionHealth } = data;
+    const hasNetworkData = participants.some(p => p.source?.includes('sync') || p.source?.includes('network'));
+    const confirmedParticipants = participants.filter(p => p.domConfirmed).length;
+    
+    session.lastUpdated = timestamp;
+    session.lastHeartbeatAt = timestamp;
+    session.url = url || session.url; // Keep URL updated
+    if (detectionHealth) {
+        session.detectionHealth = detectionHealth;
+    }
+    if (data.self) {
+        recordSelfDetection(session, data.self);
+    }
+    
+    // Link calendar event (may upgrade the title from the meeting code)
+    if (calendarEvent) {
+        attachCalendarEvent(session, calendarEvent);
+    }
+    
+    if (meetingTitle && meetingTitle !== session.title) {
+        session.title = meetingTitle;
+    }
+    if (meetingTitle && data.titleSource) {
+        session.titleSource = data.titleSource; // page | calendar | document_title | meeting_code
+    }
+    
+    session.participants = participants.map(p => ({
         id: p.id,
         name: p.name,
         joinTime: p.joinTime,
         avatarUrl: p.avatarUrl,
         source: p.source,
+        participantId: p.participantId,
+        domConfirmed: p.domConfirmed,
         email: p.email,
         lastSeen: p.lastSeen
     }));
-    activeSession.dataSource = hasNetworkData ? (domParticipants > 0 ? 'hybrid' : 'network') : 'dom';
+    // 'hybrid' only when the DOM and the network roster agree on at least one participant
+    session.dataSource = hasNetworkData ? (confirmedParticipants > 0 ? 'hybrid' : 'network') : 'dom';
     
-    // Note: We don't save the session to storage here - sessions are only saved when they end
-    // This keeps the storage operations minimal and ensures we only store complete session data
+    updatePresenceTimeline(session, participants, timestamp);
+}
+
+// Extend each participant's presence intervals from a participant scan
+// session.presence = { [participantId]: { name, intervals: [{ start, end }] } }
+// DOM tiles count as present at `timestamp`. Network roster and retained/memory entries only
+// count up to their own lastSeen, so someone who left stops extending their interval even while
+// the content script still lists them; a network entry not seen within PRESENCE_GAP_TOLERANCE
+// of the scan is stale and skipped
+function updatePresenceTimeline(session, participants, timestamp) {
+    if (!session || !Array.isArray(participants)) {
+        return;
+    }
     
-    // Return session info for content script caching
-    return {
-        sessionId: activeSession.sessionId,
-        sessionStartTime: activeSession.startTime
+    if (!session.presence) {
+        session.presence = {};
+    }
+    
+    participants.forEach(p => {
+        if (!p || typeof p !== 'object') return;
+        
+        const key = p.id || p.name;
+        if (!key) return;
+        
+        const presentAt = p.source === 'dom' ? timestamp : (p.lastSeen || null);
+        if (!presentAt || presentAt < session.startTime) return;
+        if (p.source === 'network' && timestamp - presentAt > PRESENCE_GAP_TOLERANCE) return;
+        
+        let entry = session.presence[key];
+        if (!entry) {
+            entry = session.presence[key] = { name: p.name, intervals: [] };
+        }
+        if (p.name) {
+            entry.name = p.name;
+        }
+        
+        const lastInterval = entry.intervals[entry.intervals.length - 1];
+        if (lastInterval && presentAt - lastInterval.end <= PRESENCE_GAP_TOLERANCE) {
+            lastInterval.end = Math.max(lastInterval.end, presentAt);
+        } else if (!lastInterval || presentAt > lastInterval.end) {
+            entry.intervals.push({ start: presentAt, end: presentAt });
+            if (lastInterval) {
+                console.log(`👤 ${entry.name} rejoined after ${Math.round((presentAt - lastInterval.end) / 60000)}m away`);
+            }
+        }
+    });
+}
+
+// Add a minute's talk-time deltas ({ [participantId]: { name, ms } }) to the session totals
+function accumulateTalkTime(session, talkTime) {
+    if (!session || !talkTime) {
+        return;
+    }
+    
+    if (!session.talkTime) {
+        session.talkTime = {};
+    }
+    
+    Object.entries(talkTime).forEach(([participantId, entry]) => {
+        if (!entry || !(entry.ms > 0)) return;
+        
+        const total = session.talkTime[participantId] || { name: null, ms: 0 };
+        total.ms += entry.ms;
+        total.name = entry.name || total.name || session.presence?.[participantId]?.name || participantId;
+        session.talkTime[participantId] = total;
+    });
+}
+
+// Remember which participant is the local user and which Google account the tab used
+function recordSelfDetection(session, self) {
+    if (self.participantId && self.participantId !== session.selfParticipantId) {
+        session.selfParticipantId = self.participantId;
+        session.selfDetectionMethod = self.method;
+        console.log(`🙋 Session ${session.sessionId}: my participant ID is ${self.participantId} (${self.method})`);
+    }
+    if (self.authuser !== undefined && self.authuser !== null) {
+        session.authuser = String(self.authuser);
+    }
+    if (self.account?.name || self.account?.email) {
+        session.selfAccount = self.account;
+    }
+}
+
+// Add a minute's engagement counts ({ [participantId]: { name, chatMessages, reactions, handRaises } })
+// to the session totals
+function accumulateEngagement(session, engagement) {
+    if (!session || !engagement) {
+        return;
+    }
+    
+    if (!session.engagement) {
+        session.engagement = {};
+    }
+    
+    Object.entries(engagement).forEach(([participantId, entry]) => {
+        if (!entry) return;
+        
+        const total = session.engagement[participantId] || { name: null, chatMessages: 0, reactions: 0, handRaises: 0 };
+        total.chatMessages += entry.chatMessages || 0;
+        total.reactions += entry.reactions || 0;
+        total.handRaises += entry.handRaises || 0;
+        total.name = entry.name || total.name || session.presence?.[participantId]?.name || participantId;
+        session.engagement[participantId] = total;
+    });
+}
+
+// Add a minute's mic/camera counters to the session totals
+function accumulateLocalMedia(session, localMedia) {
+    if (!session || !localMedia) {
+        return;
+    }
+    
+    if (!session.localMedia) {
+        session.localMedia = { sampledMs: 0, micOnMs: 0, cameraOnMs: 0, micToggles: 0, cameraToggles: 0 };
+    }
+    
+    ['sampledMs', 'micOnMs', 'cameraOnMs', 'micToggles', 'cameraToggles'].forEach(key => {
+        session.localMedia[key] += localMedia[key] || 0;
+    });
+}
+
+// Fold a minute's detection health into the session's data-quality score
+// One sample per minute so the score isn't weighted by how often the content script scans
+function recordDataQuality(session, detectionHealth) {
+    if (!session || !detectionHealth) {
+        return;
+    }
+    
+    session.detectionHealth = detectionHealth;
+    if (typeof detectionHealth.qualityScore !== 'number') {
+        return; // Still warming up
+    }
+    
+    if (!session.dataQuality) {
+        session.dataQuality = { samples: 0, scoreSum: 0, minScore: 100, degradedMinutes: 0, score: null };
+    }
+    
+    const quality = session.dataQuality;
+    quality.samples++;
+    quality.scoreSum += detectionHealth.qualityScore;
+    quality.minScore = Math.min(quality.minScore, detectionHealth.qualityScore);
+    if (detectionHealth.status === 'degraded') {
+        quality.degradedMinutes++;
+        console.warn(`⚠️ Detection degraded in ${session.meetingId} (score ${detectionHealth.qualityScore}): ${detectionHealth.issues.join('; ')}`);
+    }
+    quality.score = Math.round(quality.scoreSum / quality.samples);
+    quality.selectorProfile = detectionHealth.selectorProfile;
+}
+
+// Participants still present at the last scan stayed until we left
+function closePresenceTimeline(session, endTime) {
+    if (!session || !session.presence) {
+        return;
+    }
+    
+    const lastScan = session.lastUpdated || endTime;
+    const stillPresent = new Set((session.participants || [])
+        .filter(p => p && (p.source === 'dom' ||
+            (p.source === 'network' && p.lastSeen && lastScan - p.lastSeen <= PRESENCE_GAP_TOLERANCE)))
+        .map(p => p.id || p.name));
+    
+    Object.entries(session.presence).forEach(([key, entry]) => {
+        if (!stillPresent.has(key)) return;
+        const lastInterval = entry.intervals[entry.intervals.length - 1];
+        if (lastInterval && lastInterval.end < endTime && endTime - lastInterval.end <= PRESENCE_GAP_TOLERANCE) {
+            lastInterval.end = endTime;
+        }
+    });
+}
+
+// Handle pre-join phase updates from the content script
+// Waiting time is kept on session.lobby and never counted in the session duration
+async function handleLobbyUpdate(data, sender) {
+    const { meetingId, meetingTitle, lobby } = data || {};
+    
+    if (!meetingId || !lobby || !lobby.lobbyStart) {
+        return { success: false, message: 'Missing meetingId or lobby' };
+    }
+    
+    await ensureSessionDataLoaded();
+    
+    const tabId = sender.tab?.id;
+    const sessionKey = getSessionKey(tabId, meetingId);
+    
+    if (!lobby.outcome) {
+        // Still waiting to be admitted
+        pendingLobbies[sessionKey] = lobby;
+        if (getLiveSessions().length === 0) {
+            updateIcon('waiting', []);
+        }
+        return { success: true };
+    }
+    
+    if (lobby.outcome === 'admitted') {
+        const activeSession = findActiveSession(meetingId, tabId);
+        
+        if (activeSession && !activeSession.lobby && activeSession.startTime >= lobby.lobbyStart) {
+            activeSession.lobby = lobby;
+            delete pendingLobbies[sessionKey];
+            console.log(`⏳ Attached ${Math.round((lobby.admittedAt - lobby.lobbyStart) / 1000)}s pre-join phase to session ${activeSession.sessionId}`);
+            return { success: true, sessionId: activeSession.sessionId };
+        }
+        
+        // Session not created yet - createNewSession will pick it up
+        pendingLobbies[sessionKey] = lobby;
+        return { success: true };
+    }
+    
+    // Denied or timed out: there is no in-call session, so record the attempt on its own
+    delete pendingLobbies[sessionKey];
+    
+    const storage = await ensureStorageManager();
+    const sessionId = storage ? storage.generateSessionId() : `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const lobbySession = {
+        sessionId,
+        meetingId,
+        title: meetingTitle || meetingId,
+        participants: [],
+        startTime: lobby.outcomeAt,
+        endTime: lobby.outcomeAt,
+        isActive: false,
+        endReason: `lobby_${lobby.outcome}`,
+        lobbyOnly: true,
+        lobby,
+        url: sender.tab?.url,
+        tabId,
+        platform: 'meet',
+        lastUpdated: Date.now()
     };
+    
+    console.log(`🚫 Not admitted to ${meetingId} (${lobby.outcome}) after ${Math.round((lobby.outcomeAt - lobby.lobbyStart) / 1000)}s waiting`);
+    
+    try {
+        if (storage) {
+            await storage.saveMeetingSession(lobbySession);
+        }
+    } catch (error) {
+        console.error('❌ Failed to save lobby attempt:', error.message);
+        return { success: false, message: error.message };
+    }
+    
+    if (getLiveSessions().length === 0) {
+        updateIcon('inactive', []);
+    }
+    
+    return { success: true, sessionId };
+}
+
+// Pick up a pending pre-join phase for a session that was just created
+function takePendingLobby(sessionKey, sessionStartTime) {
+    const lobby = pendingLobbies[sessionKey];
+    if (!lobby) {
+        return null;
+    }
+    
+    delete pendingLobbies[sessionKey];
+    
+    // Ignore stale lobbies (e.g. left the pre-join screen and came back much later)
+    const lobbyEnd = lobby.admittedAt || lobby.lobbyStart;
+    if (sessionStartTime - lobbyEnd > LOBBY_ATTACH_WINDOW) {
+        return null;
+    }
+    
+    // Session created before the admission message arrived
+    if (!lobby.admittedAt) {
+        return { ...lobby, admittedAt: sessionStartTime, outcome: 'admitted', outcomeAt: sessionStartTime };
+    }
+    
+    return lobby;
+}
+
+// Handle a change in who is presenting
+async function handlePresentationUpdate(data, sender) {
+    const { meetingId, presenters, timestamp } = data || {};
+    
+    if (!meetingId || !Array.isArray(presenters)) {
+        return { success: false, message: 'Missing meetingId or presenters' };
+    }
+    
+    await ensureSessionDataLoaded();
+    
+    const activeSession = findActiveSession(meetingId, sender.tab?.id);
+    
+    if (!activeSession) {
+        return { success: false, message: 'No active session' };
+    }
+    
+    updatePresentationSegments(activeSession, presenters, timestamp || Date.now());
+    await journalSession(activeSession);
+    return { success: true, sessionId: activeSession.sessionId };
+}
+
+// Open a segment for each new presenter and close segments of presenters who stopped
+// session.presentations = [{ presenterId, name, isSelf, start, end }] (end is null while ongoing)
+function updatePresentationSegments(session, presenters, timestamp) {
+    if (!session) {
+        return;
+    }
+    
+    if (!session.presentations) {
+        session.presentations = [];
+    }
+    
+    const currentIds = new Set(presenters.map(p => p.id));
+    
+    session.presentations.forEach(segment => {
+        if (segment.end === null && !currentIds.has(segment.presenterId)) {
+            segment.end = Math.max(timestamp, segment.start);
+            console.log(`🖥️ ${segment.name} presented for ${Math.round((segment.end - segment.start) / 60000)}m`);
+        }
+    });
+    
+    presenters.forEach(p => {
+        const isOpen = session.presentations.some(s => s.end === null && s.presenterId === p.id);
+        if (!isOpen) {
+            session.presentations.push({
+                presenterId: p.id,
+                name: p.name,
+                isSelf: !!p.isSelf,
+                start: Math.max(timestamp, session.startTime),
+                end: null
+            });
+            console.log(`🖥️ ${p.name} started presenting in ${session.meetingId}`);
+        }
+    });
+}
+
+// Handle calendar event details captured by the content script's XHR interceptor
+async function handleCalendarEventUpdate(data, sender) {
+    const { meetingId, calendarEvent } = data || {};
+    
+    if (!meetingId || !calendarEvent) {
+        return { success: false, message: 'Missing meetingId or calendarEvent' };
+    }
+    
+    await ensureSessionDataLoaded();
+    
+    const activeSession = findActiveSession(meetingId, sender.tab?.id);
+    
+    if (!activeSession) {
+        // Not fatal - the content script also sends the event with every participant update
+        console.log(`📅 No active session for ${meetingId} yet, calendar event will be attached with the next participant update`);
+        return { success: false, message: 'No active session' };
+    }
+    
+    attachCalendarEvent(activeSession, calendarEvent);
+    await journalSession(activeSession);
+    
+    if (currentMeetingState.currentMeeting && currentMeetingState.currentMeeting.id === meetingId) {
+        currentMeetingState.currentMeeting.title = activeSession.title;
+    }
+    
+    return { success: true, sessionId: activeSession.sessionId };
+}
+
+// Attach calendar event metadata to a session
+// Replaces the meeting-code title fallback with the scheduled event title
+function attachCalendarEvent(session, calendarEvent) {
+    const isNewEvent = !session.calendarEvent || session.calendarEvent.eventId !== calendarEvent.eventId;
+    
+    session.calendarEvent = calendarEvent;
+    
+    // The event title replaces fallbacks (the meeting code, the page's document.title), not a title from the call UI
+    const hasFallbackTitle = !session.title || session.title === session.meetingId ||
+        session.titleSource === 'document_title' || session.titleSource === 'meeting_code';
+    if (calendarEvent.title && hasFallbackTitle) {
+        session.title = calendarEvent.title;
+        session.titleSource = 'calendar';
+    }
+    
+    if (isNewEvent) {
+        console.log(`📅 Linked calendar event "${calendarEvent.title}" to session ${session.sessionId}`, {
+            scheduledStart: calendarEvent.scheduledStart ? new Date(calendarEvent.scheduledStart).toISOString() : null,
+            scheduledEnd: calendarEvent.scheduledEnd ? new Date(calendarEvent.scheduledEnd).toISOString() : null,
+            organizer: calendarEvent.organizer?.email,
+            invitees: calendarEvent.invitees?.length || 0,
+            recurrenceId: calendarEvent.recurrenceId
+        });
+    }
 }
 
 // Handle meeting state update from content script
@@ -456,9 +1026,8 @@ async function handleMeetingStateUpdate(data, sender) {
 async function handleMinuteDataLog(minuteData, sender) {
     const { minute, meetingId, participantCount, cumulativeDuration, resumed, previousDuration, sessionDuration } = minuteData;
     
-    // Get the active session for this meeting
-    const sessionId = meetingToSessionMap[meetingId];
-    const activeSession = sessionId ? activeSessions[sessionId] : null;
+    // Get the active session for this meeting in the sending tab
+    const activeSession = findActiveSession(meetingId, sender.tab?.id);
     
     if (!activeSession) {
         console.warn(`⚠️ No active session found for meeting ${meetingId}, ignoring minute data`);
@@ -470,35 +1039,58 @@ async function handleMinuteDataLog(minuteData, sender) {
     console.log(`⏰ Minute ${minute}: ${participantCount} participants in ${meetingId} (session: ${activeSession.sessionId}, duration: ${Math.round(currentSessionDuration / 60000)}m)`);
     
     // Add minute log to the active session (in memory)
-    if (!activeSession.minuteLogs) {
-        activeSession.minuteLogs = [];
+    const logEntry = applyMinuteLog(activeSession, minuteData, Date.now());
+    
+    console.log(`📝 Minute ${minute} logged for session ${activeSession.sessionId} (session duration: ${Math.round(currentSessionDuration / 60000)}m)`);
+    
+    // Note: The full session is only saved by auto-save and when it ends - the journal covers the gap
+    await journalSession(activeSession, logEntry);
+}
+
+// Apply a minute log (logMinuteData) to a session; `now` is when it was received
+// Shared by the live handler and the event log reducer
+function applyMinuteLog(session, minuteData, now) {
+    if (!session.minuteLogs) {
+        session.minuteLogs = [];
     }
     
     const logEntry = {
-        minute: minute,
+        minute: minuteData.minute,
         timestamp: minuteData.timestamp,
         participants: minuteData.participants,
-        participantCount: participantCount,
-        sessionDuration: currentSessionDuration, // Use actual session duration
-        sessionId: activeSession.sessionId
+        participantCount: minuteData.participantCount,
+        talkTime: minuteData.talkTime || {},
+        localMedia: minuteData.localMedia || null,
+        engagement: minuteData.engagement || {},
+        qualityScore: minuteData.detectionHealth?.qualityScore ?? null,
+        sessionDuration: now - session.startTime, // Use actual session duration
+        sessionId: session.sessionId
     };
     
     // Update or add the minute log
-    const existingLogIndex = activeSession.minuteLogs.findIndex(log => log.minute === minute);
+    const existingLogIndex = session.minuteLogs.findIndex(log => log.minute === minuteData.minute);
     if (existingLogIndex >= 0) {
-        activeSession.minuteLogs[existingLogIndex] = logEntry;
+        session.minuteLogs[existingLogIndex] = logEntry;
     } else {
-        activeSession.minuteLogs.push(logEntry);
+        session.minuteLogs.push(logEntry);
     }
     
     // Update session's current participant info
-    activeSession.participants = minuteData.participants;
-    activeSession.lastUpdated = minuteData.timestamp;
-    
-    console.log(`📝 Minute ${minute} logged for session ${activeSession.sessionId} (session duration: ${Math.round(currentSessionDuration / 60000)}m)`);
+    session.participants = minuteData.participants;
+    session.lastUpdated = minuteData.timestamp;
+    session.lastHeartbeatAt = Math.max(session.lastHeartbeatAt || 0, minuteData.timestamp || now);
+    
+    updatePresenceTimeline(session, minuteData.participants, minuteData.timestamp || now);
+    accumulateTalkTime(session, minuteData.talkTime);
+    accumulateLocalMedia(session, minuteData.localMedia);
+    accumulateEngagement(session, minuteData.engagement);
+    recordDataQuality(session, minuteData.detectionHealth);
+    if (Array.isArray(minuteData.presenters)) {
+        // Catch up on presentation changes whose update message was lost
+        updatePresentationSegments(session, minuteData.presenters, minuteData.timestamp || now);
+    }
     
-    // Note: Session data is only saved to storage when the session ends
-    // This keeps the system performant and ensures we only store complete session data
+    return logEntry;
 }
 
 // Enhanced icon update with network participant count
@@ -540,6 +1132,12 @@ function updateIcon(state, participants, hasNetworkData = false) {
             }
             
             title = `In meeting: ${participantCount} participant(s)${dataSourceInfo}`;
+            
+            const liveCount = getLiveSessions().length;
+            if (liveCount > 1) {
+                title += ` - ${liveCount} meetings open at once`;
+                badgeColor = '#f57c00';
+            }
             break;
             
         case 'waiting':
@@ -594,7 +1192,7 @@ async function getActiveSessionData() {
             hasCurrentMeeting: !!currentMeetingState.currentMeeting,
             currentMeetingId: currentMeetingState.currentMeeting?.id,
             activeSessions: Object.keys(activeSessions),
-            meetingToSessionMap: Object.keys(meetingToSessionMap)
+            tabMeetingToSessionMap: Object.keys(tabMeetingToSessionMap)
         });
         
         // Check if we have any active session
@@ -608,8 +1206,8 @@ async function getActiveSessionData() {
         }
         
         const meetingId = currentMeetingState.currentMeeting.id;
-        const sessionId = meetingToSessionMap[meetingId];
-        const activeSession = sessionId ? activeSessions[sessionId] : null;
+        const activeSession = findActiveSession(meetingId, currentMeetingState.currentMeeting.tabId);
+        const sessionId = activeSession?.sessionId;
         
         console.log('🔍 [BACKGROUND DEBUG] Session lookup:', {
             meetingId,
@@ -622,7 +1220,7 @@ async function getActiveSessionData() {
         if (!activeSession) {
             console.warn(`⚠️ No active session found for meeting ${meetingId}`);
             console.warn('Available sessions:', Object.keys(activeSessions));
-            console.warn('Meeting to session mapping:', meetingToSessionMap);
+            console.warn('Meeting to session mapping:', tabMeetingToSessionMap);
             return {
                 state: 'none',
                 participants: [],
@@ -654,8 +1252,24 @@ async function getActiveSessionData() {
                 sessionId: activeSession.sessionId,
                 url: activeSession.url,
                 duration: currentSessionDuration,
+                tabId: activeSession.tabId,
                 isSession: true // Flag to indicate this is session-based data
             },
+            detectionHealth: activeSession.detectionHealth || null,
+            dataQuality: activeSession.dataQuality || null,
+            // Every live meeting across tabs (the current one included)
+            liveMeetings: getLiveSessions().map(session => ({
+                sessionId: session.sessionId,
+                meetingId: session.meetingId,
+                title: session.title,
+                startTime: session.startTime,
+                duration: Date.now() - session.startTime,
+                tabId: session.tabId,
+                url: session.url,
+                participantCount: (session.participants || []).length,
+                platform: session.platform || 'meet',
+                isCurrent: session.sessionId === activeSession.sessionId
+            })),
             networkParticipants: currentMeetingState.networkParticipants || 0,
             avatarCount: currentMeetingState.avatarCount || 0
         };
@@ -690,38 +1304,59 @@ async function ensureSessionDataLoaded() {
             return;
         }
         
-        // Get all ongoing sessions from storage (sessions without endTime)
+        // Rebuild ongoing sessions (saved without endTime) from their last save plus the journal
         const allSessions = await storage.getAllSessions();
-        const ongoingSessions = allSessions.filter(session => !session.endTime);
+        const endedSessionIds = new Set(allSessions.filter(session => session.endTime).map(session => session.sessionId));
+        const journal = await storage.getJournal();
+        const replayed = replaySessionJournal(
+            allSessions.filter(session => !session.endTime),
+            journal.filter(record => !endedSessionIds.has(record.sessionId))
+        );
+        
+        // Journal left behind by sessions that were saved as ended
+        const leftoverSessionIds = new Set(journal.map(record => record.sessionId).filter(id => endedSessionIds.has(id)));
+        for (const sessionId of leftoverSessionIds) {
+            await storage.truncateJournal(sessionId);
+        }
         
-        console.log(`🔍 Found ${ongoingSessions.length} ongoing sessions in storage`);
+        console.log(`🔍 Found ${replayed.length} ongoing sessions in storage (${journal.length} journal records)`);
         
-        // Restore ongoing sessions to memory with enhanced recovery logic
-        for (const session of ongoingSessions) {
-            // Check if session is recent (within last 8 hours, extended from 4)
-            const eightHoursAgo = Date.now() - (8 * 60 * 60 * 1000);
-            if (session.startTime > eightHoursAgo) {
-                const sessionAge = Math.round((Date.now() - session.startTime) / (60 * 60 * 1000));
-                console.log(`🔄 Restoring session: ${session.sessionId} for meeting ${session.meetingId} (${sessionAge}h old)`);
-                
-                // Restore to memory with recovery markers
-                activeSessions[session.sessionId] = {
-                    ...session,
-                    isActive: true,
-                    minuteLogs: session.minuteLogs || [],
-                    lastUpdated: Date.now(),
-                    restoredFromStorage: true,
-                    restoredAt: Date.now()
-                };
-                meetingToSessionMap[session.meetingId] = session.sessionId;
-                
-                console.log(`✅ Session restored: duration ${Math.round((Date.now() - session.startTime) / 60000)}m, last updated: ${session.lastUpdated ? new Date(session.lastUpdated).toISOString() : 'never'}`);
-            } else {
-                // Session is too old, mark as ended
-                const sessionAge = Math.round((Date.now() - session.startTime) / (60 * 60 * 1000));
-                console.log(`⏰ Auto-ending stale session: ${session.sessionId} (${sessionAge} hours old)`);
-                await endActiveSession(session.meetingId, 'stale_session_cleanup');
+        const meetingTabs = await chrome.tabs.query({ url: MEETING_TAB_URLS });
+        const openTabIds = new Set(meetingTabs.map(tab => tab.id));
+        const { heartbeatTimeoutMinutes } = await getSettings();
+        const timeoutBefore = Date.now() - heartbeatTimeoutMinutes * 60 * 1000;
+        
+        for (const session of replayed) {
+            const lastHeartbeatAt = getLastHeartbeat(session);
+            const tabClosed = session.tabId !== undefined && session.tabId !== null && !openTabIds.has(session.tabId);
+            
+            if (tabClosed || lastHeartbeatAt < timeoutBefore) {
+                // Orphaned: close at the last heartbeat, not now - the time in between was never tracked
+                const reason = tabClosed ? 'orphaned_tab_closed' : 'heartbeat_timeout';
+                console.log(`⏰ Closing orphaned session ${session.sessionId} at its last heartbeat ${new Date(lastHeartbeatAt).toISOString()} (${reason})`);
+                recordSessionEvent(tabClosed ? 'tab_missing' : 'heartbeat_timeout', { tab: { id: session.tabId, url: session.url } },
+                    session.meetingId, { lastHeartbeatAt }, session.sessionId);
+                closeSession(session, lastHeartbeatAt, reason);
+                try {
+                    await storage.saveMeetingSession(session);
+                    await storage.truncateJournal(session.sessionId);
+                } catch (error) {
+                    console.error(`❌ Failed to save orphaned session ${session.sessionId}:`, error.message);
+                }
+                continue;
             }
+            
+            console.log(`🔄 Restoring session: ${session.sessionId} for meeting ${session.meetingId} (last heartbeat ${Math.round((Date.now() - lastHeartbeatAt) / 1000)}s ago)`);
+            
+            activeSessions[session.sessionId] = {
+                ...session,
+                isActive: true,
+                restoredFromStorage: true,
+                restoredAt: Date.now()
+            };
+            tabMeetingToSessionMap[getSessionKey(session.tabId, session.meetingId)] = session.sessionId;
+            
+            console.log(`✅ Session restored: duration ${Math.round((lastHeartbeatAt - session.startTime) / 60000)}m, ${session.minuteLogs.length} unsaved minute logs`);
         }
         
         console.log(`✅ Session data loaded: ${Object.keys(activeSessions).length} active sessions restored`);
@@ -733,9 +1368,92 @@ async function ensureSessionDataLoaded() {
     }
 }
 
+// Rebuild live sessions from their last saved state plus the journal records written since
+// Returns the sessions that are still open
+function replaySessionJournal(savedSessions, journal) {
+    const replayed = {};
+    
+    savedSessions.forEach(session => {
+        // Minute logs before the save are already in the meetingMinutes store
+        replayed[session.sessionId] = { ...session, minuteLogs: [] };
+    });
+    
+    [...journal].sort((a, b) => a.seq - b.seq).forEach(record => {
+        if (!replayed[record.sessionId]) {
+            // Never saved - the session's first record is a full snapshot
+            replayed[record.sessionId] = { minuteLogs: [] };
+        }
+        
+        const session = replayed[record.sessionId];
+        Object.assign(session, record.patch);
+        (record.removed || []).forEach(key => delete session[key]);
+        
+        if (record.minuteLog) {
+            const logs = session.minuteLogs;
+            const index = logs.findIndex(log => log.minute === record.minuteLog.minute);
+            if (index >= 0) {
+                logs[index] = record.minuteLog;
+            } else {
+                logs.push(record.minuteLog);
+            }
+        }
+    });
+    
+    return Object.values(replayed).filter(session => session.sessionId && session.startTime && !session.endTime);
+}
+
+// Last sign of life from the meeting tab (participant scan or minute log)
+// Sessions saved before lastHeartbeatAt existed fall back to their last update
+function getLastHeartbeat(session) {
+    return session.lastHeartbeatAt || session.lastUpdated || session.startTime;
+}
+
+// Append a heartbeat record for a live session to the journal (write-ahead: awaited before the
+// handler returns). Only fields that changed since the previous record are written.
+async function journalSession(session, minuteLog = null) {
+    const storage = await ensureStorageManager();
+    if (!storage || !session) {
+        return;
+    }
+    
+    const baseline = journalBaselines[session.sessionId] || {};
+    const fields = {};
+    const patch = {};
+    
+    Object.keys(session).forEach(key => {
+        if (key === 'minuteLogs') return; // Journaled one entry at a time
+        fields[key] = JSON.stringify(session[key]);
+        if (fields[key] !== baseline[key]) {
+            patch[key] = session[key];
+        }
+    });
+    const removed = Object.keys(baseline).filter(key => !(key in fields));
+    
+    try {
+        await storage.appendJournalRecord({ sessionId: session.sessionId, at: Date.now(), patch, removed, minuteLog });
+        journalBaselines[session.sessionId] = fields;
+    } catch (error) {
+        console.warn(`⚠️ Failed to journal session ${session.sessionId}:`, error.message);
+    }
+}
+
+// Drop an ended session's journal once the session itself is saved
+async function discardJournal(sessionId) {
+    delete journalBaselines[sessionId];
+    
+    try {
+        const storage = await ensureStorageManager();
+        if (storage) {
+            await storage.truncateJournal(sessionId);
+        }
+    } catch (error) {
+        console.warn(`⚠️ Failed to discard journal for ${sessionId}:`, error.message);
+    }
+}
+
 // Always create a new session for each meeting join (SESSION-BASED TRACKING)
 // This ensures accurate session-based tracking where each join = new session
-async function createNewSession(meetingId, meetingTitle, participants, sender, networkParticipants) {
+async function createNewSession(meetingId, meetingTitle, participants, sender, networkParticipants, platform = 'meet') {
     try {
         const storage = await ensureStorageManager();
         
@@ -745,8 +1463,15 @@ async function createNewSession(meetingId, meetingTitle, participants, sender, n
         // No existing session found, create a new one
         const sessionId = storage ? storage.generateSessionId() : `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
         const startTime = Date.now();
+        const tabId = sender.tab?.id;
+        const sessionKey = getSessionKey(tabId, meetingId);
         
-        console.log(`🚀 Creating NEW session for meeting: ${meetingId} (session: ${sessionId})`);
+        console.log(`🚀 Creating NEW session for meeting: ${meetingId} in tab ${tabId} (session: ${sessionId})`);
+        
+        const otherLiveSessions = getLiveSessions();
+        if (otherLiveSessions.length > 0) {
+            console.warn(`⚠️ Double-booked: already in ${otherLiveSessions.map(s => `${s.meetingId} (tab ${s.tabId})`).join(', ')}`);
+        }
         
         const activeSession = {
             sessionId: sessionId,
@@ -758,12 +1483,20 @@ async function createNewSession(meetingId, meetingTitle, participants, sender, n
             isActive: true,
             minuteLogs: [],
             url: sender.tab?.url,
+            tabId: tabId,
+            platform: platform,
             dataSource: networkParticipants > 0 ? 'network' : 'dom',
-            lastUpdated: Date.now()
+            lastUpdated: Date.now(),
+            lastHeartbeatAt: startTime
         };
         
+        const lobby = takePendingLobby(sessionKey, startTime);
+        if (lobby) {
+            activeSession.lobby = lobby;
+        }
+        
         activeSessions[sessionId] = activeSession;
-        meetingToSessionMap[meetingId] = sessionId;
+        tabMeetingToSessionMap[sessionKey] = sessionId;
         
         // CRITICAL: Save new session to database immediately
         try {
@@ -793,13 +1526,16 @@ async function createNewSession(meetingId, meetingTitle, participants, sender, n
             isActive: true,
             minuteLogs: [],
             url: sender.tab?.url,
+            tabId: sender.tab?.id,
+            platform: platform,
             dataSource: networkParticipants > 0 ? 'network' : 'dom',
             fallback: true,
-            lastUpdated: Date.now()
+            lastUpdated: Date.now(),
+            lastHeartbeatAt: Date.now()
         };
         
         activeSessions[sessionId] = activeSession;
-        meetingToSessionMap[meetingId] = sessionId;
+        tabMeetingToSessionMap[getSessionKey(sender.tab?.id, meetingId)] = sessionId;
         
         return activeSession;
     }
@@ -827,24 +1563,19 @@ async function getRecentSessions(meetingId) {
 }
 
 // End current active session for a meeting
-async function endActiveSession(meetingId, reason = 'meeting_ended') {
-    console.log(`🔧 endActiveSession called for meeting: ${meetingId}, reason: ${reason}`);
+// tabId selects the session when the meeting is open in more than one tab
+// endTime defaults to now; cleanup paths pass the session's last heartbeat instead
+async function endActiveSession(meetingId, reason = 'meeting_ended', tabId, endTime = Date.now()) {
+    console.log(`🔧 endActiveSession called for meeting: ${meetingId} (tab ${tabId}), reason: ${reason}`);
     
-    const sessionId = meetingToSessionMap[meetingId];
-    if (!sessionId) {
-        console.log(`⚠️ No active session found for meeting: ${meetingId}`);
-        console.log('📋 Current meetingToSessionMap:', Object.keys(meetingToSessionMap));
-        return;
-    }
-    
-    const session = activeSessions[sessionId];
+    const session = findActiveSession(meetingId, tabId);
     if (!session) {
-        console.log(`⚠️ Session ${sessionId} not found in active sessions`);
-        console.log('📋 Current active sessions:', Object.keys(activeSessions));
+        console.log(`⚠️ No active session found for meeting: ${meetingId} in tab ${tabId}`);
+        console.log('📋 Current tabMeetingToSessionMap:', Object.keys(tabMeetingToSessionMap));
         return;
     }
+    const sessionId = session.sessionId;
     
-    const endTime = Date.now();
     const duration = endTime - session.startTime;
     
     console.log(`🚫 Ending session: ${sessionId} for meeting: ${meetingId} (${Math.round(duration / 60000)}m, reason: ${reason})`);
@@ -858,9 +1589,7 @@ async function endActiveSession(meetingId, reason = 'meeting_ended') {
     });
     
     // Update session with end time
-    session.endTime = endTime;
-    session.isActive = false;
-    session.endReason = reason;
+    closeSession(session, endTime, reason);
     
     // Save the completed session to storage with comprehensive error handling
     let sessionSaved = false;
@@ -911,11 +1640,21 @@ async function endActiveSession(meetingId, reason = 'meeting_ended') {
     
     // Clean up active session tracking
     delete activeSessions[sessionId];
-    delete meetingToSessionMap[meetingId];
+    delete tabMeetingToSessionMap[getSessionKey(session.tabId, meetingId)];
+    await discardJournal(sessionId);
     
     console.log(`🧹 Cleaned up session tracking for ${sessionId}`);
 }
 
+// Mark a session ended and close its open presence and presentation intervals
+function closeSession(session, endTime, reason) {
+    session.endTime = endTime;
+    session.isActive = false;
+    session.endReason = reason;
+    closePresenceTimeline(session, endTime);
+    updatePresentationSegments(session, [], endTime);
+}
+
 // Fallback function to save session as old-style meeting
 async function saveFallbackMeeting(session) {
     const fallbackMeeting = {
@@ -1054,7 +1793,20 @@ async function getSessions() {
                 sessionId: session.sessionId,
                 isSession: true,
                 isActive: isActive,
-                dataSource: session.dataSource || 'unknown'
+                dataSource: session.dataSource || 'unknown',
+                calendarEvent: session.calendarEvent || null,
+                presence: session.presence || {},
+                talkTime: session.talkTime || {},
+                engagement: session.engagement || {},
+                selfParticipantId: session.selfParticipantId || null,
+                authuser: session.authuser || null,
+                selfAccount: session.selfAccount || null,
+                localMedia: session.localMedia || null,
+                presentations: session.presentations || [],
+                lobby: session.lobby || null,
+                lobbyOnly: !!session.lobbyOnly,
+                dataQuality: session.dataQuality || null,
+                platform: session.platform || 'meet'
             };
         });
         
@@ -1072,8 +1824,12 @@ async function getSessions() {
     }
 }
 
-// Get aggregated meetings for dashboard display (combines sessions by meetingId)
-async function getAggregatedMeetings() {
+// Get aggregated meetings for dashboard display (reconnects of a meeting stitched into one
+// attendance using the stitchGraceMinutes setting; options.raw = one row per session)
+// options also carry the query (date range, participant, title, platform, sort, cursor, limit - see
+// getMeetingsAggregated); with a limit the result is a page { meetings, nextCursor }
+async function getAggregatedMeetings(options = {}) {
+    const emptyResult = () => options.limit ? { meetings: [], nextCursor: null } : [];
     try {
         console.log('🔍 getAggregatedMeetings: Starting aggregation process...');
         
@@ -1082,7 +1838,7 @@ async function getAggregatedMeetings() {
         
         if (!storage) {
             console.warn('⚠️ Storage manager not available, returning empty array');
-            return [];
+            return emptyResult();
         }
         
         // Check if the function exists on storage manager
@@ -1091,21 +1847,36 @@ async function getAggregatedMeetings() {
         
         if (typeof storage.getMeetingsAggregated !== 'function') {
             console.error('❌ getMeetingsAggregated method not found on storage manager');
-            return [];
+            return emptyResult();
         }
         
         // Use the new aggregation function from storage manager
         console.log('🔍 getAggregatedMeetings: Calling storage.getMeetingsAggregated()...');
-        const aggregatedMeetings = await storage.getMeetingsAggregated();
+        const settings = await getSettings();
+        const aggregatedMeetings = await storage.getMeetingsAggregated({
+            startDate: options.startDate || null,
+            endDate: options.endDate || null,
+            participant: options.participant || null,
+            title: options.title || null,
+            platform: options.platform || null,
+            sort: options.sort === 'oldest' ? 'oldest' : 'newest',
+            cursor: options.cursor || null,
+            limit: Math.max(0, parseInt(options.limit, 10) || 0),
+            includeLobbyOnly: options.includeLobbyOnly !== false,
+            includeActive: options.includeActive !== false,
+            raw: !!options.raw,
+            stitchGapMs: settings.stitchGraceMinutes * 60 * 1000
+        });
         
-        console.log(`📊 Retrieved ${aggregatedMeetings.length} aggregated meetings for dashboard`);
-        console.log('🔍 getAggregatedMeetings: Sample of first meeting:', aggregatedMeetings[0]);
+        const meetings = aggregatedMeetings.meetings || aggregatedMeetings;
+        console.log(`📊 Retrieved ${meetings.length} aggregated meetings for dashboard`);
+        console.log('🔍 getAggregatedMeetings: Sample of first meeting:', meetings[0]);
         
         return aggregatedMeetings;
     } catch (error) {
         console.error('❌ Error getting aggregated meetings from IndexedDB:', error);
         console.error('❌ Error stack:', error.stack);
-        return [];
+        return emptyResult();
     }
 }
 
@@ -1227,7 +1998,8 @@ async function clearAllData() {
             return { success: false, message: 'Storage not available' };
         }
         
-        await storage.clearAllData();
+        const snapshotId = await storage.clearAllData();
+        journalBaselines = {}; // Next journal record of a live session must be a full snapshot again
         
         currentMeetingState = {
             state: 'none',
@@ -1236,8 +2008,8 @@ async function clearAllData() {
             networkParticipants: 0
         };
         
-        console.log('🗑️ All meeting data cleared from IndexedDB');
-        return { success: true };
+        console.log(`🗑️ All meeting data cleared from IndexedDB (snapshot in trash item ${snapshotId})`);
+        return { success: true, snapshotId };
     } catch (error) {
         console.error('❌ Error clearing data from IndexedDB:', error);
         return { success: false, message: error.message };
@@ -1245,7 +2017,8 @@ async function clearAllData() {
 }
 
 // Delete individual meeting by ID
-async function deleteMeeting(meetingId) {
+// options: the startDate / endDate / raw the dashboard aggregated its rows with (see deleteAggregatedMeeting)
+async function deleteMeeting(meetingId, options = {}) {
     console.log(`🗑️ Deleting meeting: ${meetingId}`);
     
     try {
@@ -1258,20 +2031,21 @@ async function deleteMeeting(meetingId) {
         // First, get the meeting to return its details
         const meeting = await storage.getMeeting(meetingId);
         if (!meeting) {
-            console.warn(`⚠️ Meeting ${meetingId} not found`);
-            return { success: false, message: 'Meeting not found' };
+            // Dashboard rows are aggregated meetings (`${meetingId}_${date}`) - delete their sessions
+            return await deleteAggregatedMeeting(storage, meetingId, options);
         }
         
         console.log(`🔍 Found meeting to delete: "${meeting.title}" started at ${new Date(meeting.startTime).toLocaleString()}`);
         
-        // Delete the meeting using IndexedDB storage manager
-        await storage.deleteMeeting(meetingId);
+        // Move the meeting to the trash using IndexedDB storage manager
+        const trashId = await storage.trashMeeting(meetingId);
         
         console.log(`✅ Successfully deleted meeting: ${meetingId}`);
         
         return { 
             success: true, 
             message: `Successfully deleted meeting "${meeting.title || meetingId}"`,
+            trashId,
             deletedMeeting: {
                 id: meeting.id,
                 title: meeting.title,
@@ -1285,6 +2059,42 @@ async function deleteMeeting(meetingId) {
     }
 }
 
+// Move every session (and with it minutes and transcripts) of an aggregated meeting to the
+// trash as one item - a stitched attendance, or a single session when the dashboard shows raw sessions.
+// Aggregated with the row's date range and raw option, so the ID resolves to the same sessions
+async function deleteAggregatedMeeting(storage, aggregatedId, options = {}) {
+    const aggregated = (await getAggregatedMeetings({
+        startDate: options.startDate,
+        endDate: options.endDate,
+        raw: options.raw
+    })).find(meeting => meeting.id === aggregatedId);
+    const sessions = aggregated ? aggregated.sessions :
+        (await storage.getAllSessions()).filter(session => session.sessionId === aggregatedId);
+    
+    if (sessions.length === 0) {
+        console.warn(`⚠️ Meeting ${aggregatedId} not found`);
+        return { success: false, message: 'Meeting not found' };
+    }
+    
+    for (const session of sessions) {
+        await forgetActiveSession(session.sessionId);
+    }
+    const trashId = await storage.trashSessions(sessions.map(session => session.sessionId), 'meeting');
+    
+    console.log(`✅ Deleted ${sessions.length} sessions of aggregated meeting ${aggregatedId}`);
+    return {
+        success: true,
+        message: `Successfully deleted meeting "${sessions[0].title || sessions[0].meetingId}"`,
+        trashId,
+        deletedMeeting: {
+            id: aggregatedId,
+            title: sessions[0].title,
+            startTime: Math.min(...sessions.map(s => s.startTime))
+        },
+        deletedSessionCount: sessions.length
+    };
+}
+
 // Delete individual session by ID
 async function deleteSession(sessionId) {
     console.log(`🗑️ Deleting session: ${sessionId}`);
@@ -1296,28 +2106,17 @@ async function deleteSession(sessionId) {
             return { success: false, message: 'Storage not available' };
         }
         
-        // First, check if this session exists in our active sessions
-        const activeSession = Object.values(activeSessions).find(session => session.sessionId === sessionId);
-        if (activeSession) {
-            console.log(`🔍 Found active session to delete: "${activeSession.title}" in meeting ${activeSession.meetingId}`);
-            
-            // Remove from active sessions tracking
-            delete activeSessions[sessionId];
-            if (meetingToSessionMap[activeSession.meetingId] === sessionId) {
-                delete meetingToSessionMap[activeSession.meetingId];
-            }
-            
-            console.log(`🧹 Removed session ${sessionId} from active session tracking`);
-        }
+        await forgetActiveSession(sessionId);
         
-        // Delete the session from storage using IndexedDB storage manager
-        await storage.deleteSession(sessionId);
+        // Move the session to the trash using IndexedDB storage manager
+        const trashId = await storage.trashSessions([sessionId], 'session');
         
         console.log(`✅ Successfully deleted session: ${sessionId}`);
         
         return { 
             success: true, 
             message: `Successfully deleted session "${sessionId}"`,
+            trashId,
             deletedSessionId: sessionId
         };
         
@@ -1327,11 +2126,93 @@ async function deleteSession(sessionId) {
     }
 }
 
+// Stop tracking a session that is being deleted. Its journal goes too - replaying it on the
+// next worker start would save the deleted session again.
+async function forgetActiveSession(sessionId) {
+    const activeSession = Object.values(activeSessions).find(session => session.sessionId === sessionId);
+    if (activeSession) {
+        console.log(`🔍 Found active session to delete: "${activeSession.title}" in meeting ${activeSession.meetingId}`);
+        
+        // Remove from active sessions tracking (first, so nothing journals it again meanwhile)
+        delete activeSessions[sessionId];
+        const sessionKey = getSessionKey(activeSession.tabId, activeSession.meetingId);
+        if (tabMeetingToSessionMap[sessionKey] === sessionId) {
+            delete tabMeetingToSessionMap[sessionKey];
+        }
+        
+        console.log(`🧹 Removed session ${sessionId} from active session tracking`);
+    }
+    
+    await discardJournal(sessionId);
+}
+
+// TRASH
+// Deleted sessions and meetings (and the snapshot taken before clearing all data) stay in the
+// trash store for TRASH_RETENTION_DAYS; the daily retention alarm purges older items.
+const TRASH_RETENTION_DAYS = 30;
+
+async function manageTrash(action, trashId) {
+    const storage = await ensureStorageManager();
+    if (!storage) {
+        return { success: false, message: 'Storage not available' };
+    }
+    
+    try {
+        if (action === 'getTrash') {
+            return { success: true, items: await storage.getTrash(), retentionDays: TRASH_RETENTION_DAYS };
+        }
+        if (action === 'restoreFromTrash') {
+            const restored = await storage.restoreFromTrash(trashId);
+            if (!restored) {
+                return { success: false, message: 'Item is no longer in the trash' };
+            }
+            console.log(`♻️ Restored trash item ${trashId}: ${restored.kind} "${restored.label?.title}"`);
+            return { success: true, restored };
+        }
+        await storage.purgeTrash(trashId);
+        console.log(`🗑️ Purged ${trashId === null ? 'the trash' : `trash item ${trashId}`}`);
+        return { success: true };
+    } catch (error) {
+        console.error(`❌ Error in ${action}:`, error);
+        return { success: false, message: error.message };
+    }
+}
+
+async function purgeExpiredTrash() {
+    const storage = await ensureStorageManager();
+    if (!storage) {
+        return;
+    }
+    
+    try {
+        const purged = await storage.purgeExpiredTrash(TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+        console.log(`🗑️ Purged ${purged} trash items older than ${TRASH_RETENTION_DAYS} days`);
+    } catch (error) {
+        console.error('❌ Error purging the trash:', error);
+    }
+}
+
 // Force end current meeting (zombie cleanup)
-async function forceEndCurrentMeeting() {
+// With a sessionId only that live session is ended (one of several open Meet tabs)
+async function forceEndCurrentMeeting(sessionId) {
+    if (sessionId) {
+        return await forceEndSession(sessionId);
+    }
+    
     console.log('🔧 Force ending zombie meetings...');
     
     try {
+        // Live sessions end at their last heartbeat
+        await ensureSessionDataLoaded();
+        const liveSessions = getLiveSessions();
+        let endedSessions = 0;
+        for (const session of liveSessions) {
+            const result = await forceEndSession(session.sessionId);
+            if (result.success) {
+                endedSessions++;
+            }
+        }
+        
         // Get all meetings from storage
         const meetings = await getMeetings();
         
@@ -1340,6 +2221,9 @@ async function forceEndCurrentMeeting() {
         
         if (ongoingMeetings.length === 0) {
             console.log('📝 No ongoing meetings found in database');
+            if (endedSessions > 0) {
+                return { success: true, message: `Ended ${endedSessions} live session${endedSessions !== 1 ? 's' : ''} at their last heartbeat`, endedCount: endedSessions };
+            }
             return { success: false, message: 'No ongoing meetings found to end' };
         }
         
@@ -1349,7 +2233,7 @@ async function forceEndCurrentMeeting() {
         });
         
         // First, try to send message to content scripts to end meetings properly
-        const tabs = await chrome.tabs.query({ url: 'https://meet.google.com/*' });
+        const tabs = await chrome.tabs.query({ url: MEETING_TAB_URLS });
         
         if (tabs.length > 0) {
             for (const tab of tabs) {
@@ -1363,13 +2247,13 @@ async function forceEndCurrentMeeting() {
         }
         
         // Force end all ongoing meetings in the database
-        const endTime = Date.now();
-        let endedCount = 0;
+        let endedCount = endedSessions;
         let totalDuration = 0;
         
         const updatedMeetings = meetings.map(meeting => {
             if (!meeting.endTime) {
-                // This is an ongoing meeting - end it
+                // This is an ongoing meeting - end it at its last update rather than now
+                const endTime = Math.max(meeting.lastUpdated || Date.now(), meeting.startTime);
                 const duration = endTime - meeting.startTime;
                 totalDuration += duration;
                 endedCount++;
@@ -1419,6 +2303,402 @@ async function forceEndCurrentMeeting() {
     }
 }
 
+// Force end a single live session and reset the content script in its tab
+async function forceEndSession(sessionId) {
+    await ensureSessionDataLoaded();
+    
+    const session = activeSessions[sessionId];
+    if (!session) {
+        return { success: false, message: `No live session ${sessionId}` };
+    }
+    
+    // End at the last heartbeat - a forgotten session may have been silent for hours
+    const endTime = getLastHeartbeat(session);
+    const duration = endTime - session.startTime;
+    console.log(`🔧 Force ending session ${sessionId} ("${session.title}" in tab ${session.tabId}) at ${new Date(endTime).toISOString()}`);
+    
+    recordSessionEvent('manual_end', { tab: { id: session.tabId } }, session.meetingId, { reason: 'manual_force_end', endTime }, sessionId);
+    await endActiveSession(session.meetingId, 'manual_force_end', session.tabId, endTime);
+    
+    // Stop the tab from immediately starting a new session with its next participant update
+    if (session.tabId !== undefined && session.tabId !== null) {
+        try {
+            await chrome.tabs.sendMessage(session.tabId, { type: 'force_end_meeting' });
+        } catch (error) {
+            console.log('Could not send force end message to tab:', session.tabId, error.message);
+        }
+    }
+    
+    refreshCurrentMeetingState();
+    
+    return {
+        success: true,
+        message: `Ended "${session.title}" after ${Math.round(duration / 60000)} min`,
+        endedCount: 1
+    };
+}
+
+// Point currentMeetingState (and the badge) at the most recently updated live session, if any
+function refreshCurrentMeetingState() {
+    const liveSessions = getLiveSessions();
+    
+    if (liveSessions.length === 0) {
+        currentMeetingState = {
+            state: 'none',
+            participants: [],
+            currentMeeting: null,
+            networkParticipants: 0
+        };
+        updateIcon('none', []);
+        return;
+    }
+    
+    const session = liveSessions[0];
+    const participants = session.participants || [];
+    currentMeetingState = {
+        state: 'active',
+        participants,
+        currentMeeting: {
+            id: session.meetingId,
+            title: session.title,
+            startTime: session.startTime,
+            sessionId: session.sessionId,
+            url: session.url,
+            dataSource: session.dataSource,
+            tabId: session.tabId
+        },
+        networkParticipants: participants.filter(p => p.source === 'network').length
+    };
+    updateIcon('active', participants, currentMeetingState.networkParticipants > 0);
+}
+
+// Store caption lines captured by the content script (only sent when captureCaptions is on)
+async function handleTranscriptAppend(data, sender) {
+    const { meetingId, lines } = data || {};
+    if (!Array.isArray(lines) || lines.length === 0) {
+        return;
+    }
+    
+    // Look the session up before any await - the final lines arrive just ahead of meetingEnded
+    const session = findActiveSession(meetingId, sender.tab?.id);
+    if (!session) {
+        console.warn(`⚠️ No active session for ${meetingId}, dropping ${lines.length} caption lines`);
+        return;
+    }
+    
+    const settings = await getSettings();
+    if (!settings.captureCaptions) {
+        console.warn(`⚠️ Dropping ${lines.length} caption lines - caption capture is turned off`);
+        return;
+    }
+    
+    const storage = await ensureStorageManager();
+    if (!storage) {
+        console.warn('⚠️ Storage manager not available, dropping caption lines');
+        return;
+    }
+    
+    await storage.appendTranscriptLines(session, lines);
+    console.log(`💬 Stored ${lines.length} caption lines for session ${session.sessionId}`);
+}
+
+async function getTranscripts(sessionIds) {
+    const storage = await ensureStorageManager();
+    return storage ? await storage.getTranscripts(sessionIds) : [];
+}
+
+async function searchTranscripts(query) {
+    const storage = await ensureStorageManager();
+    return storage ? await storage.searchTranscripts(query) : [];
+}
+
+// Meetings are counted as attendances with the stitchGraceMinutes setting, like getAggregatedMeetings
+async function getDailyRollups(startDate, endDate) {
+    const storage = await ensureStorageManager();
+    if (!storage) {
+        return [];
+    }
+    const settings = await getSettings();
+    return await storage.getDailyRollups(startDate, endDate, { stitchGapMs: settings.stitchGraceMinutes * 60 * 1000 });
+}
+
+async function getPeople() {
+    const storage = await ensureStorageManager();
+    return storage ? await storage.getPeople() : [];
+}
+
+// Merge/split/edit people from the dashboard
+async function editPeople(action, request) {
+    const storage = await ensureStorageManager();
+    if (!storage) {
+        return { success: false, message: 'Storage not available' };
+    }
+    
+    try {
+        let result;
+        if (action === 'mergePeople') {
+            result = await storage.mergePeople(request.personIds || []);
+        } else if (action === 'splitPerson') {
+            result = await storage.splitPerson(request.personId, request.aliases || []);
+        } else {
+            result = await storage.updatePerson(request.personId, request.changes || {});
+        }
+        return { success: true, result };
+    } catch (error) {
+        console.error(`❌ Error in ${action}:`, error);
+        return { success: false, message: error.message };
+    }
+}
+
+async function getSettings() {
+    const storage = await ensureStorageManager();
+    const settings = { ...DEFAULT_SETTINGS };
+    if (!storage) {
+        return settings;
+    }
+    
+    for (const key of Object.keys(DEFAULT_SETTINGS)) {
+        settings[key] = await storage.getSetting(key, DEFAULT_SETTINGS[key]);
+    }
+    return settings;
+}
+
+// Save a setting and tell open meeting tabs so they can start/stop capturing right away
+async function updateSetting(key, value) {
+    if (!(key in DEFAULT_SETTINGS)) {
+        return { success: false, message: `Unknown setting: ${key}` };
+    }
+    
+    const storage = await ensureStorageManager();
+    if (!storage) {
+        return { success: false, message: 'Storage not available' };
+    }
+    
+    await storage.saveSetting(key, value);
+    const settings = await getSettings();
+    console.log(`⚙️ Setting ${key} = ${JSON.stringify(value)}`);
+    
+    const tabs = await chrome.tabs.query({ url: MEETING_TAB_URLS });
+    for (const tab of tabs) {
+        try {
+            await chrome.tabs.sendMessage(tab.id, { type: 'settings_changed', settings });
+        } catch (error) {
+            console.log('Could not send settings to tab:', tab.id, error.message);
+        }
+    }
+    
+    return { success: true, settings };
+}
+
+// SESSION EVENT LOG
+// Every raw signal (participant scans, state updates, minute ticks, navigation, visibility,
+// unloads, tab closes, manual ends) is appended to the sessionEvents store. Sessions are still
+// tracked live, but can be rebuilt from the log with reduceSessionEvents when a heuristic is fixed.
+// Only the fields the reducer reads are logged. Events are never modified, but whole sessions'
+// events are pruned after eventRetentionDays (30 by default, 0 keeps the log forever).
+
+// Per event type, the data fields reduceSessionEvents reads (visibility events are kept for later use)
+const SESSION_EVENT_FIELDS = {
+    participants: ['meetingTitle', 'titleSource', 'participants', 'calendarEvent', 'detectionHealth', 'platform', 'self'],
+    minute: ['minute', 'timestamp', 'participants', 'participantCount', 'talkTime', 'localMedia', 'engagement', 'presenters', 'detectionHealth'],
+    presentation: ['presenters', 'timestamp'],
+    calendar_event: ['calendarEvent'],
+    meeting_state: ['meetingState'],
+    meeting_ended: ['reason'],
+    navigation: ['reason'],
+    unload: ['reason'],
+    manual_end: ['reason', 'endTime'],
+    tab_missing: ['lastHeartbeatAt'],
+    heartbeat_timeout: ['lastHeartbeatAt'],
+    tab_closed: ['remainingMeetingTabs'],
+    visibility: ['visible', 'timestamp']
+};
+// Participant fields kept in scans and minute ticks (applyParticipantScan, presence, presentations)
+const SESSION_EVENT_PARTICIPANT_FIELDS = ['id', 'name', 'joinTime', 'avatarUrl', 'source', 'participantId', 'domConfirmed', 'email', 'lastSeen', 'isSelf'];
+
+function pickFields(object, fields) {
+    const picked = {};
+    fields.forEach(field => {
+        if (object[field] !== undefined) {
+            picked[field] = object[field];
+        }
+    });
+    return picked;
+}
+
+// Reduce a signal's payload to what the reducer needs
+function getSessionEventData(type, data) {
+    const eventData = pickFields(data || {}, SESSION_EVENT_FIELDS[type] || []);
+    ['participants', 'presenters'].forEach(field => {
+        if (Array.isArray(eventData[field])) {
+            eventData[field] = eventData[field]
+                .filter(p => p && typeof p === 'object')
+                .map(p => pickFields(p, SESSION_EVENT_PARTICIPANT_FIELDS));
+        }
+    });
+    if (eventData.meetingState) {
+        eventData.meetingState = { isActive: !!eventData.meetingState.isActive };
+    }
+    return eventData;
+}
+
+// Append a signal to the log (fire and forget - logging never holds up tracking)
+function recordSessionEvent(type, sender, meetingId, data = {}, sessionId = null) {
+    const event = {
+        type,
+        timestamp: Date.now(),
+        tabId: sender?.tab?.id ?? null,
+        url: sender?.tab?.url || null,
+        meetingId: meetingId || null,
+        sessionId,
+        data: getSessionEventData(type, data)
+    };
+    
+    ensureStorageManager()
+        .then(storage => storage && storage.appendSessionEvent(event))
+        .catch(error => console.warn(`⚠️ Could not log ${type} event:`, error.message || error));
+}
+
+// Derive sessions from logged events. Deterministic: times come from the events, never the
+// clock, so the same log always gives the same sessions. Follows the live handlers: a
+// participant scan opens a session for its tab + meeting, scans and minute ticks update it,
+// and meeting end, navigation, unload, manual end and tab close events end it. Visibility
+// events are only logged for now.
+// options.liveSessionIds: sessions still running - left open; any other session without an
+// end event is closed at its last update ('no_end_event')
+function reduceSessionEvents(events, options = {}) {
+    const liveSessionIds = new Set(options.liveSessionIds || []);
+    const sessions = [];
+    const openSessions = {}; // Maps session key to the open session
+    const usedSessionIds = new Set();
+    
+    const end = (session, endTime, reason) => {
+        closeSession(session, endTime, reason);
+        delete openSessions[getSessionKey(session.tabId, session.meetingId)];
+    };
+    
+    [...events].sort((a, b) => a.timestamp - b.timestamp || a.eventId - b.eventId).forEach(event => {
+        const data = event.data || {};
+        let session = openSessions[getSessionKey(event.tabId, event.meetingId)];
+        
+        switch (event.type) {
+            case 'participants':
+                if (!Array.isArray(data.participants)) break;
+                if (!session) {
+                    // Reuse the live session ID so transcripts stay attached
+                    const sessionId = event.sessionId && !usedSessionIds.has(event.sessionId) ?
+                        event.sessionId : `session_${event.timestamp}_${event.eventId}`;
+                    session = {
+                        sessionId,
+                        meetingId: event.meetingId,
+                        title: data.meetingTitle || event.meetingId,
+                        participants: [],
+                        startTime: event.timestamp,
+                        endTime: null,
+                        isActive: true,
+                        minuteLogs: [],
+                        url: event.url,
+                        tabId: event.tabId,
+                        platform: data.platform || 'meet',
+                        recomputed: true
+                    };
+                    usedSessionIds.add(sessionId);
+                    openSessions[getSessionKey(event.tabId, event.meetingId)] = session;
+                    sessions.push(session);
+                }
+                applyParticipantScan(session, data, event.timestamp, event.url);
+                break;
+                
+            case 'minute':
+                if (session) applyMinuteLog(session, data, event.timestamp);
+                break;
+                
+            case 'presentation':
+                if (session && Array.isArray(data.presenters)) {
+                    updatePresentationSegments(session, data.presenters, data.timestamp || event.timestamp);
+                }
+                break;
+                
+            case 'calendar_event':
+                if (session && data.calendarEvent) attachCalendarEvent(session, data.calendarEvent);
+                break;
+                
+            case 'meeting_state':
+                if (session && data.meetingState && !data.meetingState.isActive) {
+                    end(session, event.timestamp, 'meeting_ended');
+                }
+                break;
+                
+            case 'meeting_ended':
+                if (session) end(session, event.timestamp, data.reason || 'meeting_ended');
+                break;
+                
+            case 'navigation':
+            case 'unload':
+                if (session) end(session, event.timestamp, `navigation_${data.reason}`);
+                break;
+                
+            case 'manual_end':
+                if (session) end(session, data.endTime || event.timestamp, data.reason || 'manual_force_end');
+                break;
+                
+            case 'tab_missing':
+                // Tab was gone when the worker restarted - closed at its last heartbeat
+                if (session) end(session, data.lastHeartbeatAt || getLastHeartbeat(session), 'orphaned_tab_closed');
+                break;
+                
+            case 'heartbeat_timeout':
+                if (session) end(session, data.lastHeartbeatAt || getLastHeartbeat(session), 'heartbeat_timeout');
+                break;
+                
+            case 'tab_closed':
+                Object.values(openSessions)
+                    .filter(open => open.tabId === event.tabId)
+                    .forEach(open => end(open, event.timestamp, 'tab_closed'));
+                if (data.remainingMeetingTabs === 0) {
+                    Object.values(openSessions).forEach(open => end(open, event.timestamp, 'all_tabs_closed'));
+                }
+                break;
+        }
+    });
+    
+    Object.values(openSessions)
+        .filter(session => !liveSessionIds.has(session.sessionId))
+        .forEach(session => end(session, session.lastUpdated || session.startTime, 'no_end_event'));
+    
+    return sessions;
+}
+
+// Rebuild the stored sessions from the event log (run after fixing a session heuristic)
+// Live sessions are left alone; sessions from before the log existed are kept as they are
+async function recomputeSessionHistory() {
+    const storage = await ensureStorageManager();
+    if (!storage) {
+        return { success: false, message: 'Storage not available' };
+    }
+    
+    await ensureSessionDataLoaded();
+    
+    const events = await storage.getSessionEvents();
+    if (events.length === 0) {
+        return { success: false, message: 'No events logged yet - nothing to recompute' };
+    }
+    
+    const liveSessionIds = getLiveSessions().map(session => session.sessionId);
+    const sessions = reduceSessionEvents(events, { liveSessionIds })
+        .filter(session => session.endTime && !liveSessionIds.includes(session.sessionId));
+    
+    const result = await storage.replaceRecomputedSessions(sessions, events[0].timestamp, liveSessionIds);
+    console.log(`🔁 Recomputed ${result.saved} sessions from ${events.length} events (${result.removed} outdated sessions removed)`);
+    
+    return {
+        success: true,
+        message: `Recomputed ${result.saved} sessions from ${events.length} logged events (${result.removed} outdated sessions removed)`,
+        eventCount: events.length,
+        ...result
+    };
+}
+
 // Tab management
 chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
     if (changeInfo.status === 'complete' && tab.url && tab.url.includes('meet.google.com')) {
@@ -1429,38 +2709,33 @@ chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
 chrome.tabs.onRemoved.addListener(async (tabId, removeInfo) => {
     console.log('🗂️ Tab removed:', tabId);
     
-    // SIMPLIFIED: Only end session if ALL Meet tabs are closed
-    if (currentMeetingState.state === 'active' && currentMeetingState.currentMeeting) {
-        try {
-            // Query remaining Google Meet tabs
-            const tabs = await chrome.tabs.query({ url: 'https://meet.google.com/*' });
-            console.log(`📍 ${tabs.length} Google Meet tabs remaining after tab ${tabId} closed`);
-            
-            if (tabs.length === 0) {
-                console.log('🚫 No more Meet tabs, ending current session');
-                
-                // End the current session using the session-based approach
-                const meetingId = currentMeetingState.currentMeeting.id;
-                await endActiveSession(meetingId, 'all_tabs_closed');
-                
-                // Reset state
-                currentMeetingState = {
-                    state: 'none',
-                    participants: [],
-                    currentMeeting: null,
-                    networkParticipants: 0
-                };
-                
-                // Update icon
-                updateIcon('none', []);
-            } else {
-                console.log(`📋 ${tabs.length} Meet tabs still open, continuing session tracking`);
-                // Don't check individual tabs for activity - let content scripts handle it
-                // This prevents false session endings
+    try {
+        await ensureSessionDataLoaded();
+        
+        // End the sessions that belonged to the closed tab
+        const tabSessions = getLiveSessions().filter(session => session.tabId === tabId);
+        for (const session of tabSessions) {
+            console.log(`🚫 Tab ${tabId} closed, ending session ${session.sessionId} for ${session.meetingId}`);
+            await endActiveSession(session.meetingId, 'tab_closed', tabId);
+        }
+        
+        // Sessions without a known tab only end once ALL meeting tabs are closed
+        const tabs = await chrome.tabs.query({ url: MEETING_TAB_URLS });
+        console.log(`📍 ${tabs.length} meeting tabs remaining after tab ${tabId} closed`);
+        recordSessionEvent('tab_closed', { tab: { id: tabId } }, null, { remainingMeetingTabs: tabs.length });
+        
+        if (tabs.length === 0) {
+            for (const session of getLiveSessions()) {
+                console.log(`🚫 No more meeting tabs, ending session ${session.sessionId}`);
+                await endActiveSession(session.meetingId, 'all_tabs_closed', session.tabId);
             }
-        } catch (error) {
-            console.error('❌ Error during tab removal handling:', error);
+        } else if (getLiveSessions().length > 0) {
+            console.log(`📋 ${tabs.length} meeting tabs still open, continuing session tracking`);
         }
+        
+        refreshCurrentMeetingState();
+    } catch (error) {
+        console.error('❌ Error during tab removal handling:', error);
     }
 });
 
@@ -1553,6 +2828,66 @@ async function manualCleanupOldMeetings(days) {
     }
 }
 
+// TIERED RETENTION
+// Sessions older than summarizeAfterDays lose their minute-level data for per-participant
+// summaries; sessions older than aggregateAfterDays only remain in the daily rollups.
+// Runs once a day on an alarm (timers don't survive the service worker going to sleep), together
+// with purging expired trash items.
+const RETENTION_ALARM = 'retention-policy';
+
+async function runRetentionPolicy() {
+    const storage = await ensureStorageManager();
+    if (!storage) {
+        return { success: false, message: 'Storage not available' };
+    }
+    
+    try {
+        const { summarizeAfterDays, aggregateAfterDays, eventRetentionDays } = await getSettings();
+        const cutoffDate = days => days > 0 ? new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().split('T')[0] : null;
+        
+        const result = await storage.applyRetentionPolicy({
+            summarizeBefore: cutoffDate(summarizeAfterDays),
+            aggregateBefore: cutoffDate(aggregateAfterDays),
+            eventsBefore: cutoffDate(eventRetentionDays)
+        });
+        await storage.saveSetting('retentionLastRun', { ...result, timestamp: Date.now() });
+        
+        return { success: true, ...result };
+    } catch (error) {
+        console.error('❌ Error applying retention policy:', error);
+        return { success: false, message: `Retention failed: ${error.message}` };
+    }
+}
+
+async function getStorageStats() {
+    const storage = await ensureStorageManager();
+    if (!storage) {
+        return { error: 'Storage not available' };
+    }
+    
+    try {
+        return await storage.getStorageStats();
+    } catch (error) {
+        console.error('❌ Error getting storage stats:', error);
+        return { error: error.message };
+    }
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name === RETENTION_ALARM) {
+        runRetentionPolicy();
+        purgeExpiredTrash();
+    }
+});
+
+// Keeps an existing alarm's schedule; the first run is a few minutes after the worker starts
+async function scheduleRetentionPolicy() {
+    if (!(await chrome.alarms.get(RETENTION_ALARM))) {
+        chrome.alarms.create(RETENTION_ALARM, { delayInMinutes: 5, periodInMinutes: 24 * 60 });
+        console.log('🗜️ Scheduled the daily retention policy');
+    }
+}
+
 // Auto-detect existing meetings on startup
 chrome.runtime.onStartup.addListener(() => {
     console.log('Extension started, checking for existing meetings');
@@ -1566,20 +2901,25 @@ chrome.runtime.onInstalled.addListener((details) => {
     }
 });
 
-// Check for existing Google Meet tabs and inject content script
+// Check for existing meeting tabs and inject content script
 async function checkExistingMeetings() {
     try {
-        const tabs = await chrome.tabs.query({ url: 'https://meet.google.com/*' });
-        console.log(`Found ${tabs.length} existing Google Meet tabs`);
+        const tabs = await chrome.tabs.query({ url: MEETING_TAB_URLS });
+        console.log(`Found ${tabs.length} existing meeting tabs`);
+        
+        // Inject the same scripts the manifest would have (they differ per platform)
+        const contentScripts = chrome.runtime.getManifest().content_scripts || [];
+        const meetTabIds = new Set((await chrome.tabs.query({ url: contentScripts[0]?.matches || [] })).map(tab => tab.id));
         
         for (const tab of tabs) {
             console.log(`Checking tab ${tab.id}: ${tab.url}`);
             
             // Inject content script into existing tabs
             try {
+                const scriptEntry = meetTabIds.has(tab.id) ? contentScripts[0] : contentScripts[1];
                 await chrome.scripting.executeScript({
                     target: { tabId: tab.id },
-                    files: ['content-simple.js']
+                    files: scriptEntry?.js || ['meet-sync-decoder.js', 'meet-selector-profiles.js', 'platform-adapters.js', 'content-simple.js']
                 });
                 console.log(`✅ Injected content script into tab ${tab.id}`);
                 
@@ -1618,36 +2958,41 @@ async function checkExistingMeetings() {
 // COMPLETELY DISABLED: Zombie meeting detection that was causing sessions to end prematurely
 // This function has been completely disabled to prevent automatic session ending
 // Users can manually clean up zombie sessions via the popup if needed
+// Close live sessions whose tab stopped sending heartbeats (participant scans, minute logs)
+// They end at their last heartbeat, so the silent time never counts as meeting time
 async function detectAndCleanupZombieMeetings() {
-    console.log('🚫 Zombie meeting detection DISABLED - sessions will only end on legitimate meeting end or manual cleanup');
-    // This function is intentionally empty to prevent automatic session ending
-    return;
+    const { heartbeatTimeoutMinutes } = await getSettings();
+    const timeoutBefore = Date.now() - heartbeatTimeoutMinutes * 60 * 1000;
+    const timedOut = getLiveSessions().filter(session => getLastHeartbeat(session) < timeoutBefore);
+    
+    for (const session of timedOut) {
+        const lastHeartbeatAt = getLastHeartbeat(session);
+        console.log(`💔 No heartbeat from ${session.sessionId} ("${session.title}") for ${Math.round((Date.now() - lastHeartbeatAt) / 60000)}m - ending it at ${new Date(lastHeartbeatAt).toISOString()}`);
+        recordSessionEvent('heartbeat_timeout', { tab: { id: session.tabId, url: session.url } }, session.meetingId, { lastHeartbeatAt }, session.sessionId);
+        await endActiveSession(session.meetingId, 'heartbeat_timeout', session.tabId, lastHeartbeatAt);
+    }
+    
+    if (timedOut.length > 0) {
+        refreshCurrentMeetingState();
+    }
+    return timedOut.length;
 }
 
 // Handle meeting ended by navigation (URL change) - SESSION-BASED APPROACH
 async function handleMeetingEndedByNavigation(meetingId, reason, sender) {
     console.log(`🔀 Meeting ended by navigation: ${meetingId} (reason: ${reason})`);
     
-    // End the active session for this meeting
-    await endActiveSession(meetingId, `navigation_${reason}`);
+    // End the active session for this meeting in the navigating tab
+    await endActiveSession(meetingId, `navigation_${reason}`, sender?.tab?.id);
     
-    // Check if this matches our current meeting state and reset it
     if (currentMeetingState.currentMeeting && currentMeetingState.currentMeeting.id === meetingId) {
         console.log(`🔧 Meeting session ended by navigation (reason: ${reason})`);
-        
-        // Reset state
-        currentMeetingState = {
-            state: 'none',
-            participants: [],
-            currentMeeting: null,
-            networkParticipants: 0
-        };
-        
-        // Update icon
-        updateIcon('none', []);
     } else {
         console.log(`⚠️ Navigation-ended meeting ${meetingId} doesn't match current meeting`);
     }
+    
+    // Switch to another live meeting or reset the state
+    refreshCurrentMeetingState();
 }
 
 // Helper function to end zombie meetings (SESSION-BASED APPROACH)
@@ -1658,28 +3003,114 @@ async function endZombieMeeting(reason) {
     }
     
     const meetingId = currentMeetingState.currentMeeting.id;
+    const tabId = currentMeetingState.currentMeeting.tabId;
+    const session = findActiveSession(meetingId, tabId);
+    const endTime = session ? getLastHeartbeat(session) : Date.now();
     
-    // End the active session using the session-based approach
-    await endActiveSession(meetingId, `zombie_${reason}`);
+    // End the active session at its last heartbeat using the session-based approach
+    await endActiveSession(meetingId, `zombie_${reason}`, tabId, endTime);
     
-    const duration = Date.now() - currentMeetingState.currentMeeting.startTime;
+    const duration = endTime - currentMeetingState.currentMeeting.startTime;
     console.log(`🔧 Auto-ended zombie meeting "${currentMeetingState.currentMeeting.title}" after ${Math.round(duration / 60000)} minutes (reason: ${reason})`);
     
-    // Reset state
-    currentMeetingState = {
-        state: 'none',
-        participants: [],
-        currentMeeting: null,
-        networkParticipants: 0
-    };
+    // Switch to another live meeting or reset the state
+    refreshCurrentMeetingState();
+}
+
+// Timer-based zombie detection only uses heartbeats (see detectAndCleanupZombieMeetings, run by
+// the service worker heartbeat) - the popup and dashboard still have manual controls
+
+// Correct sessions that were ended by zombie cleanup at cleanup time: move their end back to
+// the last minute record when cleanup came more than the heartbeat timeout after it.
+// Sessions ended by hand (manual_force_end, manual_debug) the same long after are only reported
+// in manualEnds - the user chose when they ended, so they are never rewritten.
+// Returns a report of every correction made
+async function correctZombieSessions() {
+    const storage = await ensureStorageManager();
+    if (!storage) {
+        return { success: false, message: 'Storage not available' };
+    }
     
-    // Update icon
-    updateIcon('none', []);
+    const { heartbeatTimeoutMinutes } = await getSettings();
+    const timeout = heartbeatTimeoutMinutes * 60 * 1000;
+    const isZombieEnd = session => session.endReason?.startsWith('zombie_') || session.endReason === 'stale_session_cleanup';
+    const isManualEnd = session => ['manual_force_end', 'manual_debug'].includes(session.endReason);
+    
+    const sessions = (await storage.getAllSessions())
+        .filter(session => session.endTime && !session.heartbeatCorrection);
+    const candidates = sessions.filter(isZombieEnd);
+    const corrections = [];
+    const manualEnds = [];
+    let withoutMinutes = 0;
+    
+    for (const session of sessions.filter(isManualEnd)) {
+        const minutes = await storage.getMeetingMinutes(session.sessionId);
+        const lastMinuteAt = Math.max(0, ...minutes.map(minute => minute.timestamp || 0));
+        if (lastMinuteAt && session.endTime - lastMinuteAt > timeout) {
+            manualEnds.push({
+                sessionId: session.sessionId,
+                meetingId: session.meetingId,
+                title: session.title,
+                endTime: session.endTime,
+                endReason: session.endReason,
+                lastMinuteAt,
+                idleMinutes: Math.round((session.endTime - lastMinuteAt) / 60000)
+            });
+        }
+    }
+    
+    for (const session of candidates) {
+        const minutes = await storage.getMeetingMinutes(session.sessionId);
+        const lastMinuteAt = Math.max(0, ...minutes.map(minute => minute.timestamp || 0));
+        if (!lastMinuteAt) {
+            withoutMinutes++;
+            continue;
+        }
+        if (session.endTime - lastMinuteAt <= timeout) {
+            continue; // Ended while the meeting was still sending data
+        }
+        
+        const endTime = Math.max(lastMinuteAt, session.startTime);
+        const correction = {
+            sessionId: session.sessionId,
+            meetingId: session.meetingId,
+            title: session.title,
+            originalEndTime: session.endTime,
+            originalEndReason: session.endReason,
+            endTime,
+            removedMinutes: Math.round((session.endTime - endTime) / 60000)
+        };
+        
+        session.heartbeatCorrection = { ...correction, correctedAt: Date.now() };
+        session.endTime = endTime;
+        session.endReason = 'heartbeat_timeout';
+        session.lastHeartbeatAt = endTime;
+        clampSessionEnd(session, endTime);
+        await storage.saveMeetingSession(session);
+        
+        console.log(`🩹 Corrected ${session.sessionId} ("${session.title}"): ended ${new Date(endTime).toISOString()} instead of ${new Date(correction.originalEndTime).toISOString()} (-${correction.removedMinutes}m)`);
+        corrections.push(correction);
+    }
+    
+    const removedMinutes = corrections.reduce((sum, correction) => sum + correction.removedMinutes, 0);
+    console.log(`🩹 Zombie correction: ${corrections.length} of ${candidates.length} cleanup-ended sessions corrected (${removedMinutes}m removed, ${withoutMinutes} without minute records, ${manualEnds.length} manual ends left as they are)`);
+    
+    return { success: true, checked: candidates.length, corrections, removedMinutes, withoutMinutes, manualEnds };
 }
 
-// COMPLETELY REMOVED: All timer-based zombie meeting detection
-// User has manual controls in the popup to end zombie meetings when needed
-// Keeping only legitimate meeting end detection (tab close, navigation, UI detection)
+// Cut presence intervals and presentations that run past a corrected end time
+function clampSessionEnd(session, endTime) {
+    Object.values(session.presence || {}).forEach(entry => {
+        entry.intervals = entry.intervals
+            .filter(interval => interval.start <= endTime)
+            .map(interval => ({ ...interval, end: Math.min(interval.end, endTime) }));
+    });
+    (session.presentations || []).forEach(segment => {
+        if (segment.end === null || segment.end > endTime) {
+            segment.end = Math.max(segment.start, endTime);
+        }
+    });
+}
 
 // AUTOMATIC CLEANUP DISABLED - Manual cleanup available via dashboard
 // Previously: Periodically cleanup old meetings (simple setTimeout approach)
@@ -1706,7 +3137,8 @@ console.log('🔧 Automatic cleanup DISABLED - use manual cleanup buttons in das
 self.debugMeetingTracker = {
     getCurrentState: () => currentMeetingState,
     getActiveSessions: () => activeSessions,
-    getMeetingToSessionMap: () => meetingToSessionMap,
+    getTabMeetingToSessionMap: () => tabMeetingToSessionMap,
+    getLiveSessions: () => getLiveSessions(),
     
     // Check for failed sessions that couldn't be saved
     getFailedSessions: () => {
@@ -1760,7 +3192,7 @@ self.debugMeetingTracker = {
         }
         
         try {
-            await endActiveSession(session.meetingId, reason);
+            await endActiveSession(session.meetingId, reason, session.tabId);
             console.log(`✅ Force ended session: ${sessionId}`);
             return { success: true };
         } catch (error) {
@@ -1797,11 +3229,15 @@ async function periodicSessionAutoSave() {
         for (const session of activeSessionsList) {
             try {
                 // Update last saved timestamp
-                session.lastAutoSaved = Date.now();
+                const checkpointAt = Date.now();
+                session.lastAutoSaved = checkpointAt;
                 
                 await storage.saveMeetingSession(session);
                 savedCount++;
                 
+                // The saved session is the new replay base - journal records before it are no longer needed
+                await storage.truncateJournal(session.sessionId, checkpointAt);
+                
                 console.log(`✅ Auto-saved session: ${session.sessionId} (${session.title})`);
             } catch (error) {
                 errorCount++;
@@ -1856,6 +3292,9 @@ function startHeartbeat() {
     
     heartbeatTimer = setInterval(() => {
         console.log(`💓 Service worker heartbeat - ${Object.keys(activeSessions).length} active sessions`);
+        detectAndCleanupZombieMeetings().catch(error => {
+            console.error('❌ Heartbeat timeout check failed:', error);
+        });
     }, HEARTBEAT_INTERVAL);
     
     console.log('💓 Started service worker heartbeat');
@@ -1864,13 +3303,13 @@ function startHeartbeat() {
 // Periodic badge sync function to ensure badges stay accurate
 async function periodicBadgeSync() {
     try {
-        const tabs = await chrome.tabs.query({ url: 'https://meet.google.com/*' });
+        const tabs = await chrome.tabs.query({ url: MEETING_TAB_URLS });
         const hasActiveMeeting = currentMeetingState.state === 'active';
         const participantCount = hasActiveMeeting ? (currentMeetingState.participants?.length || 0) : 0;
         
         if (tabs.length === 0 && hasActiveMeeting) {
-            // No Meet tabs but we think there's an active meeting - clean up
-            console.log('🧹 Badge sync: No Meet tabs found but extension shows active meeting - cleaning up');
+            // No meeting tabs but we think there's an active meeting - clean up
+            console.log('🧹 Badge sync: No meeting tabs found but extension shows active meeting - cleaning up');
             currentMeetingState = {
                 state: 'none',
                 participants: [],
@@ -1898,6 +3337,7 @@ setInterval(periodicBadgeSync, 30 * 1000);
 // Initialize auto-save and heartbeat on background startup
 startAutoSaveTimer();
 startHeartbeat();
+scheduleRetentionPolicy();
 
 // Debug info
 console.log('🌐 Network-enhanced Google Meet Tracker background service ready');
@@ -3,8 +3,10 @@
 
 console.log('[SimpleMeetTracker] Starting simple participant tracker...');
 
-class SimpleMeetTracker {
+// The Meet implementation of the platform adapter interface (platform-adapters.js)
+class SimpleMeetTracker extends MeetingPlatformAdapter {
   constructor() {
+    super('meet');
     this.participants = new Map();
     this.participantMemory = new Map(); // Persistent participant memory
     this.meetingState = {
@@ -18,6 +20,32 @@ class SimpleMeetTracker {
     this.lastMinuteLogged = null;
     this.lastParticipantDetection = null;
     this.participantRetentionTime = 3 * 60 * 1000; // Keep participants for 3 minutes
+    this.networkRoster = new Map(); // Authoritative roster decoded from SyncMeetingSpaceCollections (keyed by device ID)
+    this.networkRosterStaleTime = 3 * 60 * 1000; // Drop devices neither re-synced nor seen on a tile for 3 minutes (they left)
+    this.lastNetworkRosterUpdate = null;
+    this.calendarEvent = null; // Calendar event matching this meeting (from the calendar XHR interceptor)
+    this.titleSource = null; // Where getMeetingTitle found the title: page | calendar | document_title | meeting_code
+    this.activitySamplingInterval = null;
+    this.lastSpeakerSample = null;
+    this.minuteTalkTime = new Map(); // Talk-time (ms) per participant ID since the last minute log
+    this.activeSpeakers = new Set();
+    this.selectorProfile = MeetSelectorProfiles.getDefault(); // DOM selectors for the Meet layout in use (see meet-selector-profiles.js)
+    this.healthWindowSize = 60; // Detection health covers the last 60 samples (~5 minutes of scans)
+    this.detectionHealth = this.createDetectionHealth();
+    this.localMediaState = { micOn: null, cameraOn: null }; // Last sampled state of my own mic/camera
+    this.minuteLocalMedia = this.createLocalMediaCounters();
+    this.currentPresenters = new Map(); // Who is presenting right now, keyed by participant ID (mine once my tile is found)
+    this.lobby = null; // Pre-join phase in progress: { meetingId, lobbyStart, askedAt, phase }
+    this.captureCaptions = false; // Opt-in setting - only read captions when the user turned it on
+    this.openCaptionLines = new Map(); // Caption entry element -> line still being spoken
+    this.pendingTranscriptLines = []; // Finished caption lines not yet sent to the background
+    this.minuteEngagement = new Map(); // Chat messages, reactions and hand raises per participant ID since the last minute log
+    this.seenChatMessages = new Set(); // Chat messages already counted (re-rendered when the panel reopens)
+    this.seenReactions = new WeakSet(); // Reaction bubbles already counted (each one animates for a few seconds)
+    this.raisedHands = new Set(); // Participant IDs whose hand is up right now
+    this.selfParticipantId = null; // My own tile's participant ID once detected
+    this.selfDetectionMethod = null; // How it was detected: self_tile, you_marker, configured_name or account_avatar
+    this.selfProfiles = {}; // Configured self profiles per Google account: { [authuser]: { name, email } }
     
     this.init();
   }
@@ -25,6 +53,13 @@ class SimpleMeetTracker {
   init() {
     console.log('[SimpleMeetTracker] Initializing...');
     
+    // Inject network shims as early as possible (we run at document_start) so the
+    // first SyncMeetingSpaceCollections responses are not missed
+    if (this.isMeetPage()) {
+      this.setupNetworkRosterListener();
+      this.injectNetworkShim();
+    }
+    
     // Wait for DOM to be ready
     if (document.readyState === 'loading') {
       document.addEventListener('DOMContentLoaded', () => this.start());
@@ -54,6 +89,9 @@ class SimpleMeetTracker {
     // Set up message listener
     this.setupMessageListener();
     
+    // Caption capture is opt-in - ask the background for the current settings
+    this.requestSettingsFromBackground();
+    
     // Set up URL change detection
     this.setupURLChangeDetection();
     
@@ -66,6 +104,286 @@ class SimpleMeetTracker {
            !window.location.href.includes('/landing/');
   }
 
+  // MeetingPlatformAdapter interface
+
+  matchesPage() {
+    return this.isMeetPage();
+  }
+
+  isInMeeting() {
+    return this.hasMeetingControls();
+  }
+
+  scanParticipants() {
+    this.scanForParticipants();
+    return Array.from(this.participants.values());
+  }
+
+  hasMeetingEnded() {
+    return this.hasStrongMeetingEndEvidence();
+  }
+
+  // Inject network-shim.js into the page context (content scripts can't wrap the page's fetch)
+  injectNetworkShim() {
+    if (!chrome?.runtime?.id) {
+      console.log('[SimpleMeetTracker] Extension context invalidated, skipping network shim injection');
+      return;
+    }
+
+    try {
+      const script = document.createElement('script');
+      script.src = chrome.runtime.getURL('network-shim.js');
+      script.onload = () => script.remove();
+      (document.head || document.documentElement).appendChild(script);
+      console.log('[SimpleMeetTracker] 🌐 Network shim injected');
+    } catch (error) {
+      console.log('[SimpleMeetTracker] ❌ Failed to inject network shim:', error.message);
+    }
+  }
+
+  // Listen for events dispatched by network-shim.js from the page context
+  setupNetworkRosterListener() {
+    window.addEventListener('gmal-message', (event) => {
+      const detail = event.detail;
+      if (!detail) {
+        return;
+      }
+
+      if (detail.eventName === 'meetings.decode_sync') {
+        this.handleSyncPayload(detail.b64);
+      } else if (detail.eventName === 'meetings.event_details') {
+        this.handleCalendarEventDetails(detail.eventDetails, detail.calendarId);
+      }
+    });
+
+    console.log('[SimpleMeetTracker] 🌐 Listening for SyncMeetingSpaceCollections roster and calendar event updates');
+  }
+
+  // Pick the calendar event for this meeting out of an intercepted Calendar API response
+  handleCalendarEventDetails(eventDetails, calendarId) {
+    if (!eventDetails) {
+      return;
+    }
+
+    const meetingId = this.getMeetingId();
+    // The API returns either a single event or an events list
+    const candidates = Array.isArray(eventDetails.items) ? eventDetails.items : [eventDetails];
+    const match = candidates.find(event => this.isCalendarEventForMeeting(event, meetingId));
+
+    if (!match) {
+      console.log(`[SimpleMeetTracker] 📅 Calendar response had ${candidates.length} event(s), none for ${meetingId}`);
+      return;
+    }
+
+    const calendarEvent = this.normalizeCalendarEvent(match, calendarId);
+    const isNew = !this.calendarEvent || this.calendarEvent.eventId !== calendarEvent.eventId;
+    this.calendarEvent = calendarEvent;
+
+    console.log(`[SimpleMeetTracker] 📅 Linked calendar event "${calendarEvent.title}" (${calendarEvent.invitees.length} invitees)`);
+
+    // Calendar title beats the meeting code fallback
+    const currentTitle = this.getMeetingTitle();
+    if (currentTitle && currentTitle !== this.meetingState.meetingTitle) {
+      this.meetingState.meetingTitle = currentTitle;
+    }
+
+    if (isNew && this.meetingState.isActive) {
+      this.sendCalendarEventToBackground();
+    }
+  }
+
+  isCalendarEventForMeeting(event, meetingId) {
+    if (!event || !meetingId) {
+      return false;
+    }
+
+    if (event.hangoutLink && event.hangoutLink.includes(meetingId)) {
+      return true;
+    }
+
+    const conferenceData = event.conferenceData;
+    if (conferenceData) {
+      if (conferenceData.conferenceId === meetingId) {
+        return true;
+      }
+      if (Array.isArray(conferenceData.entryPoints) &&
+          conferenceData.entryPoints.some(entry => entry.uri && entry.uri.includes(meetingId))) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  // Reduce a Calendar API event to the fields we store on sessions
+  normalizeCalendarEvent(event, calendarId) {
+    const toTimestamp = (value) => {
+      if (!value) return null;
+      const time = new Date(value.dateTime || value.date).getTime();
+      return isNaN(time) ? null : time;
+    };
+
+    return {
+      eventId: event.id || null,
+      calendarId: calendarId || null,
+      title: event.summary || null,
+      scheduledStart: toTimestamp(event.start),
+      scheduledEnd: toTimestamp(event.end),
+      organizer: event.organizer ? {
+        email: event.organizer.email || null,
+        name: event.organizer.displayName || null
+      } : null,
+      invitees: Array.isArray(event.attendees) ? event.attendees
+        .filter(attendee => !attendee.resource) // Skip meeting rooms
+        .map(attendee => ({
+          email: attendee.email || null,
+          name: attendee.displayName || null,
+          responseStatus: attendee.responseStatus || null,
+          optional: !!attendee.optional,
+          organizer: !!attendee.organizer
+        })) : [],
+      recurrenceId: event.recurringEventId || null,
+      htmlLink: event.htmlLink || null
+    };
+  }
+
+  sendCalendarEventToBackground() {
+    if (!chrome?.runtime?.id) {
+      console.log('[SimpleMeetTracker] Extension context invalidated, skipping calendar event update');
+      return;
+    }
+
+    try {
+      chrome.runtime.sendMessage({
+        type: 'update_calendar_event',
+        data: {
+          meetingId: this.meetingState.meetingId,
+          calendarEvent: this.calendarEvent
+        }
+      }, (response) => {
+        if (chrome.runtime.lastError) {
+          console.log('[SimpleMeetTracker] Error sending calendar event:', chrome.runtime.lastError.message);
+        } else {
+          console.log('[SimpleMeetTracker] 📅 Calendar event sent to background');
+        }
+      });
+    } catch (error) {
+      console.log('[SimpleMeetTracker] Failed to send calendar event:', error.message);
+    }
+  }
+
+  // Decode a SyncMeetingSpaceCollections payload and fold it into the network roster
+  handleSyncPayload(b64) {
+    if (typeof MeetSyncDecoder === 'undefined') {
+      console.log('[SimpleMeetTracker] ⚠️ MeetSyncDecoder not loaded, ignoring sync payload');
+      return;
+    }
+
+    let roster;
+    try {
+      roster = MeetSyncDecoder.decodeRoster(b64);
+    } catch (error) {
+      console.log('[SimpleMeetTracker] ❌ Failed to decode sync payload:', error.message);
+      return;
+    }
+
+    if (roster.length === 0) {
+      return;
+    }
+
+    const now = Date.now();
+    let added = 0;
+    let renamed = 0;
+
+    roster.forEach(entry => {
+      const existing = this.networkRoster.get(entry.deviceId);
+      // Network display names are authoritative - only normalize, don't run the DOM UI-string filter
+      const name = (entry.name && this.normalizeParticipantName(entry.name)) || existing?.name;
+      if (!name) {
+        return;
+      }
+
+      if (!existing) {
+        added++;
+      } else if (existing.name !== name) {
+        renamed++;
+      }
+
+      this.networkRoster.set(entry.deviceId, {
+        id: entry.deviceId,
+        participantId: entry.participantId || existing?.participantId || null,
+        name,
+        avatarUrl: entry.avatarUrl || existing?.avatarUrl || null,
+        joinTime: existing?.joinTime || now,
+        lastSeen: now,
+        source: 'network'
+      });
+    });
+
+    this.lastNetworkRosterUpdate = now;
+    console.log(`[SimpleMeetTracker] 🌐 Network roster: ${this.networkRoster.size} devices (${added} new, ${renamed} renamed)`);
+
+    // Only feed the roster into the participant list once we're actually in the call -
+    // Meet also syncs the space from the pre-join screen
+    if (!this.meetingState.isActive) {
+      return;
+    }
+
+    const merged = this.mergeWithNetworkRoster(this.participants);
+    const changed = added > 0 || renamed > 0 || merged.size !== this.participants.size;
+    this.participants = merged;
+
+    if (changed) {
+      this.previousParticipantCount = merged.size;
+      this.sendUpdateToBackground();
+    }
+  }
+
+  // Merge the network roster into a participant map
+  // Roster entries win (stable IDs and real display names); DOM sightings of the same
+  // device mark the entry as confirmed so the background can record a hybrid data source.
+  // The sync payload doesn't say who left, so devices whose lastSeen went stale are dropped;
+  // each entry keeps its own lastSeen, which the background extends presence to
+  mergeWithNetworkRoster(participants) {
+    if (this.networkRoster.size === 0 || !this.meetingState.isActive) {
+      return participants;
+    }
+
+    const now = Date.now();
+    const merged = new Map(participants);
+
+    for (const [deviceId, rosterEntry] of this.networkRoster) {
+      const domEntry = participants.get(deviceId);
+
+      // A tile on screen keeps the device current even when the sync stream doesn't repeat it
+      if (domEntry?.source === 'dom' && domEntry.lastSeen > rosterEntry.lastSeen) {
+        rosterEntry.lastSeen = domEntry.lastSeen;
+      }
+      if (now - rosterEntry.lastSeen > this.networkRosterStaleTime) {
+        console.log(`[SimpleMeetTracker] 🌐 ${rosterEntry.name} left (not in the roster for ${Math.round((now - rosterEntry.lastSeen) / 60000)}m)`);
+        this.networkRoster.delete(deviceId);
+        if (domEntry?.source === 'network') {
+          merged.delete(deviceId);
+        }
+        continue;
+      }
+
+      const domConfirmed = domEntry ? 
+        (domEntry.source === 'dom' || domEntry.source === 'retained' || (domEntry.source === 'network' && !!domEntry.domConfirmed)) :
+        false;
+
+      merged.set(deviceId, {
+        ...rosterEntry,
+        avatarUrl: rosterEntry.avatarUrl || domEntry?.avatarUrl || null,
+        joinTime: Math.min(rosterEntry.joinTime, domEntry?.joinTime || rosterEntry.joinTime),
+        lastSeen: Math.max(rosterEntry.lastSeen, domEntry?.lastSeen || 0),
+        domConfirmed
+      });
+    }
+
+    return merged;
+  }
+
   setupDOMObserver() {
     const observer = new MutationObserver((mutations) => {
       let shouldCheckMeetingState = false;
@@ -77,7 +395,7 @@ class SimpleMeetTracker {
             if (node.nodeType === 1) { // Element node
               const nodeText = node.textContent || '';
               if (node.querySelector && (
-                node.querySelector('[data-participant-id]') ||
+                node.querySelector(this.selectorProfile.selectors.participantTile) ||
                 node.querySelector('[aria-label*="camera"]') ||
                 node.querySelector('[aria-label*="microphone"]') ||
                 node.querySelector('[aria-label*="Join"]') ||
@@ -125,6 +443,9 @@ class SimpleMeetTracker {
     // Scan every 5 seconds for new participants
     setInterval(() => {
       this.scanForParticipants();
+      if (!this.meetingState.isActive) {
+        this.updateLobbyState();
+      }
     }, 5000);
     
     // REMOVED: Timer-based aggressive meeting checks that were ending sessions prematurely
@@ -137,28 +458,151 @@ class SimpleMeetTracker {
     this.setupPageVisibilityDetection();
   }
 
+  // Switch to the first selector profile that matches the page (newest layout first)
+  // Keeps the current profile while nothing matches, e.g. on the pre-join screen
+  refreshSelectorProfile() {
+    const detected = MeetSelectorProfiles.detectProfile(document);
+    if (detected && detected.version !== this.selectorProfile.version) {
+      console.log(`[SimpleMeetTracker] 🧩 Switching selector profile ${this.selectorProfile.version} → ${detected.version} (${detected.description})`);
+      this.selectorProfile = detected;
+    }
+    return this.selectorProfile;
+  }
+
+  getParticipantElements() {
+    return document.querySelectorAll(this.selectorProfile.selectors.participantTile);
+  }
+
+  createDetectionHealth() {
+    return {
+      scans: [],          // Outcome of recent scans: 'dom' | 'network' | 'retained' | 'empty'
+      selectors: {},      // Selector key -> recent hit/miss samples
+      titles: [],         // Recent title lookups: true when a real title was found
+      lastRealDetection: null
+    };
+  }
+
+  pushHealthSample(samples, value) {
+    samples.push(value);
+    if (samples.length > this.healthWindowSize) {
+      samples.shift();
+    }
+  }
+
+  recordSelectorHit(key, hit) {
+    if (!this.meetingState.isActive) return;
+    if (!this.detectionHealth.selectors[key]) {
+      this.detectionHealth.selectors[key] = [];
+    }
+    this.pushHealthSample(this.detectionHealth.selectors[key], hit);
+  }
+
+  // Record where this scan's participant list came from
+  // 'dom' = tiles on the page, 'network' = decoded roster only, 'retained' = memory only, 'empty' = nothing
+  recordScanOutcome(outcome) {
+    if (!this.meetingState.isActive) return;
+    this.pushHealthSample(this.detectionHealth.scans, outcome);
+    if (outcome === 'dom' || outcome === 'network') {
+      this.detectionHealth.lastRealDetection = Date.now();
+    }
+  }
+
+  // Rolling detection health summary with a 0-100 quality score
+  // status is 'degraded' when the score is low or something specific looks broken
+  getDetectionHealth() {
+    const health = this.detectionHealth;
+    const now = Date.now();
+    const scanCount = health.scans.length;
+    const share = (samples, match) => samples.length > 0 ? samples.filter(s => s === match).length / samples.length : 0;
+    
+    const domRate = share(health.scans, 'dom');
+    const networkRate = share(health.scans, 'network');
+    const retainedRate = share(health.scans, 'retained');
+    const emptyRate = share(health.scans, 'empty');
+    const titleFailureRate = health.titles.length > 0 ? share(health.titles, false) : 0;
+    const msSinceLastDetection = health.lastRealDetection ? now - health.lastRealDetection : null;
+    
+    const selectorHitRates = {};
+    Object.entries(health.selectors).forEach(([key, samples]) => {
+      selectorHitRates[key] = Math.round(share(samples, true) * 100);
+    });
+    
+    // Network-only and retained data are real but less trustworthy than tiles on screen
+    const detection = domRate + networkRate * 0.75 + retainedRate * 0.25;
+    const freshness = msSinceLastDetection === null ? 0 :
+      Math.max(0, Math.min(1, 1 - (msSinceLastDetection - 60 * 1000) / (4 * 60 * 1000)));
+    const qualityScore = scanCount > 0 ?
+      Math.round(100 * (detection * 0.6 + (1 - titleFailureRate) * 0.15 + freshness * 0.25)) : null;
+    
+    const issues = [];
+    if (scanCount >= 3) {
+      if (selectorHitRates.participantTile !== undefined && selectorHitRates.participantTile < 50) {
+        issues.push(`Participant tiles found in only ${selectorHitRates.participantTile}% of scans (selector profile ${this.selectorProfile.version})`);
+      }
+      if (retainedRate + emptyRate > 0.5) {
+        issues.push(`Using remembered participants or nothing in ${Math.round((retainedRate + emptyRate) * 100)}% of scans`);
+      }
+      if (msSinceLastDetection === null || msSinceLastDetection > 2 * 60 * 1000) {
+        issues.push(msSinceLastDetection === null ? 'No participants detected yet' :
+          `No participants detected for ${Math.round(msSinceLastDetection / 60000)} min`);
+      }
+      if (titleFailureRate > 0.5) {
+        issues.push('Meeting title not found on the page');
+      }
+    }
+    
+    return {
+      selectorProfile: this.selectorProfile.version,
+      scanCount,
+      domRate: Math.round(domRate * 100),
+      networkRate: Math.round(networkRate * 100),
+      retainedRate: Math.round(retainedRate * 100),
+      emptyRate: Math.round(emptyRate * 100),
+      selectorHitRates,
+      titleFailureRate: Math.round(titleFailureRate * 100),
+      lastRealDetection: health.lastRealDetection,
+      msSinceLastDetection,
+      qualityScore,
+      issues,
+      status: scanCount < 3 ? 'warming_up' : (issues.length > 0 || qualityScore < 60 ? 'degraded' : 'ok'),
+      timestamp: now
+    };
+  }
+
+  getParticipantElementId(element) {
+    return element.getAttribute(this.selectorProfile.selectors.participantIdAttribute);
+  }
+
   scanForParticipants() {
-    const participantElements = document.querySelectorAll('*[data-participant-id]');
+    this.refreshSelectorProfile();
+    const participantElements = this.getParticipantElements();
     const now = Date.now();
     
     console.log(`[${new Date().toISOString()}] 🔍 Starting participant scan on ${window.location.href}`);
-    console.log(`[${new Date().toISOString()}] 🎯 Found ${participantElements.length} participant elements with data-participant-id`);
+    console.log(`[${new Date().toISOString()}] 🎯 Found ${participantElements.length} participant elements (selector profile ${this.selectorProfile.version})`);
+    this.recordSelectorHit('participantTile', participantElements.length > 0);
     
     if (participantElements.length === 0) {
       console.log(`[${new Date().toISOString()}] ⚠️ No participant elements found`);
       
       // Check if we're in a meeting but participants panel is closed
-      const meetingControls = document.querySelectorAll('[data-is-muted], [data-is-video-on]');
+      const meetingControls = document.querySelectorAll(this.selectorProfile.selectors.mediaControls);
       console.log(`[${new Date().toISOString()}] 🎮 Found ${meetingControls.length} meeting control elements`);
+      this.recordSelectorHit('mediaControls', meetingControls.length > 0);
+      
+      // Without tiles the list can only come from the network roster or memory
+      const fallbackParticipants = this.mergeWithNetworkRoster(this.getRetainedParticipants());
+      this.recordScanOutcome(this.networkRoster.size > 0 && this.meetingState.isActive ? 'network' :
+        (fallbackParticipants.size > 0 ? 'retained' : 'empty'));
       
       if (meetingControls.length > 0) {
         console.log(`[${new Date().toISOString()}] ✅ In meeting but participants panel may be closed - using retained participants`);
         this.lastParticipantVisibility = now;
         
-        // Use retained participants from memory
-        const retainedParticipants = this.getRetainedParticipants();
+        // Use retained participants from memory, backed by the network roster
+        const retainedParticipants = fallbackParticipants;
         if (retainedParticipants.size > 0) {
-          console.log(`[${new Date().toISOString()}] 🧠 Using ${retainedParticipants.size} retained participants from memory: ${Array.from(retainedParticipants.values()).map(p => p.name).join(', ')}`);
+          console.log(`[${new Date().toISOString()}] 🧠 Using ${retainedParticipants.size} retained/network participants: ${Array.from(retainedParticipants.values()).map(p => p.name).join(', ')}`);
           this.participants = retainedParticipants;
           
           // Send retained participants to background
@@ -167,7 +611,7 @@ class SimpleMeetTracker {
         }
       } else {
         // No meeting controls - check if we should use retained participants
-        const retainedParticipants = this.getRetainedParticipants();
+        const retainedParticipants = fallbackParticipants;
         if (retainedParticipants.size > 0 && this.meetingState.isActive) {
           console.log(`[${new Date().toISOString()}] 🧠 No controls but meeting active - using ${retainedParticipants.size} retained participants: ${Array.from(retainedParticipants.values()).map(p => p.name).join(', ')}`);
           this.participants = retainedParticipants;
@@ -188,9 +632,11 @@ class SimpleMeetTracker {
     let newParticipants = 0;
     const currentParticipants = new Map();
     const validParticipants = new Map();
+    
+    this.detectSelfParticipant(participantElements);
 
     participantElements.forEach(element => {
-      const id = element.dataset.participantId;
+      const id = this.getParticipantElementId(element);
       if (!id) return;
 
       let name = this.extractParticipantName(element, id);
@@ -213,6 +659,9 @@ class SimpleMeetTracker {
         lastSeen: now,
         source: 'dom'
       };
+      if (id === this.selfParticipantId) {
+        participant.isSelf = true;
+      }
 
       // Check if this is a new participant
       if (!this.participants.has(id) && !this.participantMemory.has(id)) {
@@ -247,8 +696,10 @@ class SimpleMeetTracker {
       console.log(`[SimpleMeetTracker] ✅ Successfully detected ${currentParticipants.size} participants`);
     }
 
-    // Merge current participants with recently retained ones if needed
-    const finalParticipants = this.mergeWithRetainedParticipants(currentParticipants, now);
+    // Merge current participants with recently retained ones if needed, then with the network roster
+    const finalParticipants = this.mergeWithNetworkRoster(this.mergeWithRetainedParticipants(currentParticipants, now));
+    this.recordScanOutcome(currentParticipants.size > 0 ? 'dom' :
+      (this.networkRoster.size > 0 && this.meetingState.isActive ? 'network' : (finalParticipants.size > 0 ? 'retained' : 'empty')));
 
     // Update participants list
     this.participants = finalParticipants;
@@ -268,6 +719,146 @@ class SimpleMeetTracker {
     }
   }
 
+  // Find my own tile. Strongest signal first: Meet's self-name marker on the tile, the
+  // "(You)" suffix, the name configured for this Google account, then the account avatar.
+  detectSelfParticipant(participantElements) {
+    const { selectors } = this.selectorProfile;
+    const account = this.getAccountIdentity();
+    const configuredName = this.selfProfiles[this.getAuthUser()]?.name || account.name;
+    const accountAvatar = this.normalizeAvatarUrl(document.querySelector(selectors.accountAvatar)?.src);
+    
+    const checks = [
+      ['self_tile', element => !!element.querySelector(selectors.selfTileMarker)],
+      ['you_marker', element => /\(You\)/.test(element.getAttribute('aria-label') || '') || /\(You\)/.test(element.textContent || '')],
+      ['configured_name', element => !!configuredName &&
+        this.normalizeParticipantName(this.extractParticipantName(element, this.getParticipantElementId(element)) || '').toLowerCase() === configuredName.toLowerCase()],
+      ['account_avatar', element => !!accountAvatar && this.normalizeAvatarUrl(element.querySelector('img')?.src) === accountAvatar]
+    ];
+    
+    // querySelectorAll gives a NodeList, which has no find()
+    const elements = Array.from(participantElements);
+    for (const [method, matches] of checks) {
+      const selfElement = elements.find(element => matches(element));
+      const id = selfElement ? this.getParticipantElementId(selfElement) : null;
+      if (id) {
+        if (id !== this.selfParticipantId) {
+          console.log(`[SimpleMeetTracker] 🙋 Detected my own tile (${method}): ${id}`);
+        }
+        this.selfParticipantId = id;
+        this.selfDetectionMethod = method;
+        return id;
+      }
+    }
+    
+    // Keep the last detection - my tile may just be off screen
+    return this.selfParticipantId;
+  }
+
+  // Which signed-in Google account this tab uses (?authuser=N, 0 by default)
+  getAuthUser() {
+    return new URLSearchParams(window.location.search).get('authuser') || '0';
+  }
+
+  // Name and email of the signed-in account from the account button ("Google Account: Alex Smith (alex@example.com)")
+  getAccountIdentity() {
+    const label = document.querySelector(this.selectorProfile.selectors.accountButton)?.getAttribute('aria-label') || '';
+    const match = label.match(/Google Account:\s*([^(\n]+?)\s*(?:\(([^)]+@[^)]+)\))?\s*$/);
+    return {
+      name: match ? match[1].trim() : null,
+      email: match?.[2]?.trim() || null
+    };
+  }
+
+  // Google avatar URLs differ only by their size suffix (=s32-c, =s192-c-mo)
+  normalizeAvatarUrl(url) {
+    return url ? url.replace(/=[^\/]*$/, '') : null;
+  }
+
+  // Work out which pre-join phase we're in from the page text
+  // 'preview' = pre-join screen, 'asking' = waiting to be admitted, 'denied'/'timeout' = refused
+  detectLobbyPhase() {
+    const bodyText = document.body?.textContent || '';
+    
+    const deniedTexts = ["You can't join this call", 'denied your request', 'Your request to join was declined'];
+    const timeoutTexts = ['No one responded to your request'];
+    const askingTexts = ['Asking to be let in', 'Someone will let you in soon', "You're waiting for someone to let you in", 'Waiting for the host'];
+    
+    if (deniedTexts.some(text => bodyText.includes(text))) return 'denied';
+    if (timeoutTexts.some(text => bodyText.includes(text))) return 'timeout';
+    if (askingTexts.some(text => bodyText.includes(text))) return 'asking';
+    
+    const joinButton = document.querySelector('[aria-label*="Ask to join"], [aria-label*="Join now"]') ||
+      Array.from(document.querySelectorAll('button')).find(button => {
+        const buttonText = button.textContent?.toLowerCase() || '';
+        return buttonText.includes('join now') || buttonText.includes('ask to join');
+      });
+    
+    return joinButton ? 'preview' : null;
+  }
+
+  // Track the pre-join phase so waiting time can be reported separately from in-call time
+  updateLobbyState() {
+    const meetingId = this.getMeetingId();
+    if (!meetingId) return;
+    
+    const phase = this.detectLobbyPhase();
+    const now = Date.now();
+    
+    if (phase === 'preview' || phase === 'asking') {
+      if (!this.lobby || this.lobby.meetingId !== meetingId) {
+        this.lobby = { meetingId, lobbyStart: now, askedAt: null, phase };
+        console.log(`[SimpleMeetTracker] ⏳ Pre-join screen for ${meetingId}`);
+      }
+      
+      if (phase === 'asking' && !this.lobby.askedAt) {
+        this.lobby.askedAt = now;
+        this.lobby.phase = phase;
+        console.log('[SimpleMeetTracker] ⏳ Asking to be admitted');
+        this.sendLobbyToBackground(null);
+      }
+    } else if ((phase === 'denied' || phase === 'timeout') && this.lobby) {
+      console.log(`[SimpleMeetTracker] 🚫 Not admitted to ${this.lobby.meetingId} (${phase}) after ${Math.round((now - this.lobby.lobbyStart) / 1000)}s`);
+      this.sendLobbyToBackground(phase);
+      this.lobby = null;
+    }
+  }
+
+  // Report the pre-join phase; outcome is null while still waiting, otherwise 'admitted', 'denied' or 'timeout'
+  sendLobbyToBackground(outcome) {
+    if (!this.lobby) return;
+    
+    if (!chrome?.runtime?.id) {
+      console.log('[SimpleMeetTracker] Extension context invalidated, skipping lobby update');
+      return;
+    }
+
+    const now = Date.now();
+    const lobby = {
+      lobbyStart: this.lobby.lobbyStart,
+      askedAt: this.lobby.askedAt,
+      admittedAt: outcome === 'admitted' ? now : null,
+      outcome,
+      outcomeAt: outcome ? now : null
+    };
+
+    try {
+      chrome.runtime.sendMessage({
+        type: 'update_lobby',
+        data: {
+          meetingId: this.lobby.meetingId,
+          meetingTitle: this.getMeetingTitle(),
+          lobby
+        }
+      }, (response) => {
+        if (chrome.runtime.lastError) {
+          console.log('[SimpleMeetTracker] Error sending lobby update:', chrome.runtime.lastError.message);
+        }
+      });
+    } catch (error) {
+      console.log('[SimpleMeetTracker] Failed to send lobby update:', error.message);
+    }
+  }
+
   updateMeetingState() {
     const meetingId = this.getMeetingId();
     const hasMeetingControls = this.hasMeetingControls();
@@ -297,9 +888,25 @@ class SimpleMeetTracker {
       isActive = hasMeetingControls || hasParticipants || hasRetainedParticipants;
     }
 
+    if (!isActive && !this.meetingState.isActive) {
+      this.updateLobbyState();
+    }
+
     if (isActive && !this.meetingState.isActive) {
       // Meeting started - but DON'T set a new startTime, let background handle sessions
       
+      // Leaving the lobby: record when we were admitted
+      if (this.lobby && this.lobby.meetingId === meetingId) {
+        console.log(`[SimpleMeetTracker] ✅ Admitted after ${Math.round((Date.now() - this.lobby.lobbyStart) / 1000)}s on the pre-join screen`);
+        this.sendLobbyToBackground('admitted');
+      }
+      this.lobby = null;
+      this.detectionHealth = this.createDetectionHealth();
+      this.minuteEngagement.clear();
+      this.seenChatMessages.clear();
+      this.selfParticipantId = null;
+      this.selfDetectionMethod = null;
+      
       // Set content script meeting state but DON'T override background session timing
       this.meetingState = {
         isActive: true,
@@ -351,6 +958,9 @@ class SimpleMeetTracker {
         }
       }
       
+      // Captions go first so they are stored before the session closes
+      this.flushTranscript(true);
+      
       this.meetingState.isActive = false;
       this.meetingState.endTime = endTime;
       
@@ -368,6 +978,7 @@ class SimpleMeetTracker {
       setTimeout(() => {
         console.log('[SimpleMeetTracker] 🧹 Clearing participant memory after meeting end');
         this.participantMemory.clear();
+        this.networkRoster.clear();
       }, 10000); // 10 seconds delay
     }
 
@@ -387,18 +998,41 @@ class SimpleMeetTracker {
   }
 
   getMeetingTitle() {
-    const titleElement = document.querySelector('[data-meeting-title]');
-    if (titleElement?.dataset.meetingTitle) {
-      return titleElement.dataset.meetingTitle;
+    const { meetingTitle, meetingTitleAttribute } = this.selectorProfile.selectors;
+    const titleElement = document.querySelector(meetingTitle);
+    const title = titleElement?.getAttribute(meetingTitleAttribute) || titleElement?.textContent?.trim();
+    this.recordSelectorHit('meetingTitle', !!title);
+    // titleSource goes to the background with the title, so a calendar title found later can
+    // replace a stored document.title or meeting code fallback there too
+    if (title) {
+      this.recordTitleLookup(true);
+      this.titleSource = 'page';
+      return title;
+    }
+    
+    if (this.calendarEvent?.title) {
+      this.recordTitleLookup(true);
+      this.titleSource = 'calendar';
+      return this.calendarEvent.title;
     }
     
     if (document.title && document.title !== 'Meet') {
+      this.recordTitleLookup(true);
+      this.titleSource = 'document_title';
       return document.title;
     }
     
+    // Falling back to the meeting code counts as a title extraction failure
+    this.recordTitleLookup(false);
+    this.titleSource = 'meeting_code';
     return this.getMeetingId();
   }
 
+  recordTitleLookup(found) {
+    if (!this.meetingState.isActive) return;
+    this.pushHealthSample(this.detectionHealth.titles, found);
+  }
+
   hasMeetingControls() {
     console.log('[SimpleMeetTracker] === Detecting Meeting State ===');
     
@@ -414,15 +1048,7 @@ class SimpleMeetTracker {
     const returnHomeButton = document.querySelector('a[href*="https://meet.google.com"], a[href*="/"]');
     
     // Check for post-meeting text content
-    const postMeetingTexts = [
-      'You left the meeting',
-      'The meeting has ended', 
-      'Thanks for joining',
-      'Return to home screen',
-      'Rejoin',
-      'Meeting ended',
-      'You have left the meeting'
-    ];
+    const postMeetingTexts = this.selectorProfile.text.postMeeting;
     
     const bodyText = document.body.textContent || '';
     let hasPostMeetingText = false;
@@ -440,7 +1066,8 @@ class SimpleMeetTracker {
     }
     
     // PRIMARY CHECK: "Leave call" or "End call" button is strongest indicator of active meeting
-    const leaveCallButton = document.querySelector('[aria-label*="Leave call"], [aria-label*="End call"]');
+    const leaveCallButton = document.querySelector(this.selectorProfile.selectors.leaveCall);
+    this.recordSelectorHit('leaveCall', !!leaveCallButton);
     if (leaveCallButton) {
       console.log('[SimpleMeetTracker] Found "Leave call" button - in active meeting');
       return true;
@@ -462,11 +1089,7 @@ class SimpleMeetTracker {
     }
     
     // Check for waiting room specific text patterns
-    const waitingRoomTexts = [
-      'Join now', 'Ask to join', 'Waiting to join',
-      'Someone will let you in soon', "You're waiting for someone to let you in",
-      'Check your audio and video', 'Preview your audio and video'
-    ];
+    const waitingRoomTexts = this.selectorProfile.text.waitingRoom;
     
     let hasWaitingText = false;
     for (let text of waitingRoomTexts) {
@@ -487,7 +1110,7 @@ class SimpleMeetTracker {
     }
     
     // Fallback check for active meeting using participant grid or participants
-    const participantGrid = document.querySelector('[jsname="A5il2e"]');
+    const participantGrid = document.querySelector(this.selectorProfile.selectors.participantGrid);
     const hasParticipants = this.participants.size > 0;
     
     if (participantGrid || hasParticipants) {
@@ -496,8 +1119,8 @@ class SimpleMeetTracker {
     }
     
     // Additional fallback checks
-    const controls = document.querySelectorAll('[data-is-muted], [data-is-video-on]').length > 0;
-    const meetingArea = document.querySelector('[data-allocation-index]'); // Main meeting area
+    const controls = document.querySelectorAll(this.selectorProfile.selectors.mediaControls).length > 0;
+    const meetingArea = document.querySelector(this.selectorProfile.selectors.meetingArea); // Main meeting area
     const videoElements = document.querySelectorAll('video').length > 0;
     
     const hasIndicators = controls || meetingArea || videoElements;
@@ -510,7 +1133,17 @@ class SimpleMeetTracker {
     const data = {
       meetingId: this.meetingState.meetingId,
       meetingTitle: this.meetingState.meetingTitle,
-      participants: Array.from(this.participants.values())
+      titleSource: this.titleSource,
+      participants: Array.from(this.participants.values()),
+      calendarEvent: this.calendarEvent,
+      detectionHealth: this.getDetectionHealth(),
+      platform: this.platform,
+      self: {
+        participantId: this.selfParticipantId,
+        method: this.selfDetectionMethod,
+        authuser: this.getAuthUser(),
+        account: this.getAccountIdentity()
+      }
     };
 
     console.log(`[${new Date().toISOString()}] 📤 Sending participant update to background:`, {
@@ -621,6 +1254,10 @@ class SimpleMeetTracker {
           const result = this.forceEndMeeting();
           sendResponse({ success: result });
           return true;
+        } else if (message.type === 'settings_changed') {
+          this.applySettings(message.settings);
+          sendResponse({ success: true });
+          return true;
         }
       });
     }
@@ -637,6 +1274,8 @@ class SimpleMeetTracker {
     // Log first minute immediately
     this.logCurrentMinute();
     
+    this.startActivitySampling();
+    
     // Set up interval to log every minute (60 seconds)
     this.minuteTrackingInterval = setInterval(() => {
       if (this.meetingState.isActive) {
@@ -659,6 +1298,488 @@ class SimpleMeetTracker {
       clearInterval(this.minuteTrackingInterval);
       this.minuteTrackingInterval = null;
     }
+    
+    this.stopActivitySampling();
+  }
+
+  // Sample the active speaker and my own mic/camera once a second - the 5s participant scan
+  // is too coarse for talk-time and toggle counts
+  startActivitySampling() {
+    if (this.activitySamplingInterval) {
+      clearInterval(this.activitySamplingInterval);
+    }
+    
+    this.lastSpeakerSample = Date.now();
+    this.activitySamplingInterval = setInterval(() => {
+      this.sampleActiveSpeakers();
+      this.sampleLocalMediaState();
+      this.samplePresenters();
+      this.sampleCaptions();
+      this.sampleEngagement();
+    }, 1000);
+  }
+
+  stopActivitySampling() {
+    if (this.activitySamplingInterval) {
+      clearInterval(this.activitySamplingInterval);
+      this.activitySamplingInterval = null;
+    }
+    this.lastSpeakerSample = null;
+    this.activeSpeakers.clear();
+    this.localMediaState = { micOn: null, cameraOn: null };
+    this.currentPresenters.clear();
+    this.openCaptionLines.clear();
+    this.raisedHands.clear();
+  }
+
+  sampleActiveSpeakers() {
+    if (!this.meetingState.isActive) return;
+    
+    const now = Date.now();
+    // Throttled background tabs fire late - never credit more than a couple of seconds per sample
+    const elapsed = Math.min(now - (this.lastSpeakerSample || now), 2000);
+    this.lastSpeakerSample = now;
+    
+    const speaking = new Set();
+    this.getParticipantElements().forEach(element => {
+      const id = this.getParticipantElementId(element);
+      if (id && this.isParticipantSpeaking(element)) {
+        speaking.add(id);
+      }
+    });
+    
+    speaking.forEach(id => {
+      this.minuteTalkTime.set(id, (this.minuteTalkTime.get(id) || 0) + elapsed);
+      if (!this.activeSpeakers.has(id)) {
+        console.log(`[SimpleMeetTracker] 🎙️ ${this.participants.get(id)?.name || id} started speaking`);
+      }
+    });
+    this.activeSpeakers = speaking;
+  }
+
+  // Meet marks the active speaker on the tile with an animated audio-level indicator
+  isParticipantSpeaking(element) {
+    if (element.getAttribute('data-is-speaking') === 'true') {
+      return true;
+    }
+    
+    const indicator = element.querySelector(this.selectorProfile.selectors.speakingIndicator);
+    if (!indicator) {
+      return false;
+    }
+    
+    // Silent tiles keep the indicator element but hide it
+    return indicator.offsetParent !== null && getComputedStyle(indicator).visibility !== 'hidden';
+  }
+
+  createLocalMediaCounters() {
+    return {
+      sampledMs: 0,
+      micOnMs: 0,
+      cameraOnMs: 0,
+      micToggles: 0,
+      cameraToggles: 0,
+      lastSample: null
+    };
+  }
+
+  // Read my own mic/camera state from the call controls
+  // The toolbar toggles carry data-is-muted; the aria-label tells mic and camera apart
+  // ("Turn off microphone" while the mic is on, "Turn on camera" while the camera is off)
+  readLocalMediaState() {
+    const state = { micOn: null, cameraOn: null };
+    
+    this.getToolbarControls(this.selectorProfile.selectors.mutedToggle).forEach(control => {
+      const label = (control.getAttribute('aria-label') || '').toLowerCase();
+      const isOn = control.getAttribute('data-is-muted') === 'false';
+      
+      if (label.includes('microphone') && state.micOn === null) {
+        state.micOn = isOn;
+      } else if (label.includes('camera') && state.cameraOn === null) {
+        state.cameraOn = isOn;
+      }
+    });
+    
+    // Older layouts expose the camera state separately
+    if (state.cameraOn === null) {
+      const [videoControl] = this.getToolbarControls(this.selectorProfile.selectors.videoToggle);
+      if (videoControl) {
+        state.cameraOn = videoControl.getAttribute('data-is-video-on') === 'true';
+      }
+    }
+    
+    return state;
+  }
+
+  // Controls in the call toolbar, never inside a participant tile (tiles show other people's mute state)
+  getToolbarControls(selector) {
+    const { selectors } = this.selectorProfile;
+    return this.queryAllSafe(document, selectors.callToolbar)
+      .flatMap(toolbar => this.queryAllSafe(toolbar, selector))
+      .filter(control => !control.closest(selectors.participantTile));
+  }
+
+  sampleLocalMediaState() {
+    if (!this.meetingState.isActive) return;
+    
+    const now = Date.now();
+    const counters = this.minuteLocalMedia;
+    const state = this.readLocalMediaState();
+    
+    // Controls not rendered (e.g. toolbar hidden) - skip rather than count as muted
+    if (state.micOn === null && state.cameraOn === null) {
+      counters.lastSample = null;
+      return;
+    }
+    
+    const elapsed = counters.lastSample ? Math.min(now - counters.lastSample, 2000) : 0;
+    counters.lastSample = now;
+    counters.sampledMs += elapsed;
+    if (state.micOn) counters.micOnMs += elapsed;
+    if (state.cameraOn) counters.cameraOnMs += elapsed;
+    
+    const previous = this.localMediaState;
+    if (previous.micOn !== null && state.micOn !== null && previous.micOn !== state.micOn) {
+      counters.micToggles++;
+      console.log(`[SimpleMeetTracker] 🎤 Microphone ${state.micOn ? 'unmuted' : 'muted'}`);
+    }
+    if (previous.cameraOn !== null && state.cameraOn !== null && previous.cameraOn !== state.cameraOn) {
+      counters.cameraToggles++;
+      console.log(`[SimpleMeetTracker] 📷 Camera turned ${state.cameraOn ? 'on' : 'off'}`);
+    }
+    
+    this.localMediaState = {
+      micOn: state.micOn !== null ? state.micOn : previous.micOn,
+      cameraOn: state.cameraOn !== null ? state.cameraOn : previous.cameraOn
+    };
+  }
+
+  // Detect who is presenting
+  // My own presentation shows a "Stop presenting" control; a remote presentation gets its own
+  // tile labelled "<name> (Presentation)" or "<name> is presenting"
+  detectPresenters() {
+    const presenters = new Map();
+    
+    // My own presentation goes under my tile's participant ID, so it reads as my name like the
+    // rest of my data ('self' / 'You' only until my tile is found)
+    if (document.querySelector('[aria-label*="Stop presenting"], [aria-label*="You are presenting"]')) {
+      const id = this.selfParticipantId || 'self';
+      presenters.set(id, { id, name: this.participants.get(id)?.name || 'You', isSelf: true });
+    }
+    
+    this.getParticipantElements().forEach(element => {
+      const label = element.getAttribute('aria-label') || element.textContent || '';
+      const match = label.match(/^\s*(.+?)\s*(?:\(Presentation\)|is presenting)/i);
+      if (!match) return;
+      
+      const name = this.normalizeParticipantName(match[1]);
+      if (!name || /^you$/i.test(name)) return; // My own presentation tile is covered above
+      
+      // The presentation tile has its own ID - attribute it to the presenter's participant entry
+      const presenter = Array.from(this.participants.values()).find(p => p.name === name);
+      const id = presenter?.id || this.getParticipantElementId(element);
+      presenters.set(id, { id, name, isSelf: false });
+    });
+    
+    return presenters;
+  }
+
+  samplePresenters() {
+    if (!this.meetingState.isActive) return;
+    
+    const presenters = this.detectPresenters();
+    const changed = presenters.size !== this.currentPresenters.size ||
+      Array.from(presenters.keys()).some(id => !this.currentPresenters.has(id));
+    
+    if (!changed) return;
+    
+    presenters.forEach((p, id) => {
+      if (!this.currentPresenters.has(id)) {
+        console.log(`[SimpleMeetTracker] 🖥️ ${p.name} started presenting`);
+      }
+    });
+    this.currentPresenters.forEach((p, id) => {
+      if (!presenters.has(id)) {
+        console.log(`[SimpleMeetTracker] 🖥️ ${p.name} stopped presenting`);
+      }
+    });
+    
+    this.currentPresenters = presenters;
+    this.sendPresentationToBackground();
+  }
+
+  sendPresentationToBackground() {
+    if (!chrome?.runtime?.id) {
+      console.log('[SimpleMeetTracker] Extension context invalidated, skipping presentation update');
+      return;
+    }
+
+    try {
+      chrome.runtime.sendMessage({
+        type: 'update_presentation',
+        data: {
+          meetingId: this.meetingState.meetingId,
+          presenters: Array.from(this.currentPresenters.values()),
+          timestamp: Date.now()
+        }
+      }, (response) => {
+        if (chrome.runtime.lastError) {
+          console.log('[SimpleMeetTracker] Error sending presentation update:', chrome.runtime.lastError.message);
+        }
+      });
+    } catch (error) {
+      console.log('[SimpleMeetTracker] Failed to send presentation update:', error.message);
+    }
+  }
+
+  // Visibility changes go to the background's session event log (tab sleep shows up as hidden)
+  sendVisibilityToBackground(isVisible) {
+    if (!chrome?.runtime?.id) return;
+
+    try {
+      chrome.runtime.sendMessage({
+        type: 'visibility_changed',
+        data: {
+          meetingId: this.meetingState.meetingId,
+          visible: isVisible,
+          timestamp: Date.now()
+        }
+      }, () => {
+        if (chrome.runtime.lastError) {
+          console.log('[SimpleMeetTracker] Error sending visibility change:', chrome.runtime.lastError.message);
+        }
+      });
+    } catch (error) {
+      console.log('[SimpleMeetTracker] Failed to send visibility change:', error.message);
+    }
+  }
+
+  requestSettingsFromBackground() {
+    if (!chrome?.runtime?.id) return;
+
+    try {
+      chrome.runtime.sendMessage({ type: 'getSettings' }, (settings) => {
+        if (chrome.runtime.lastError) {
+          console.log('[SimpleMeetTracker] Error requesting settings:', chrome.runtime.lastError.message);
+        } else {
+          this.applySettings(settings);
+        }
+      });
+    } catch (error) {
+      console.log('[SimpleMeetTracker] Failed to request settings:', error.message);
+    }
+  }
+
+  applySettings(settings) {
+    this.selfProfiles = settings?.selfProfiles || {};
+    
+    const captureCaptions = !!settings?.captureCaptions;
+    if (captureCaptions === this.captureCaptions) return;
+    
+    this.captureCaptions = captureCaptions;
+    console.log(`[SimpleMeetTracker] 💬 Caption capture ${captureCaptions ? 'enabled' : 'disabled'}`);
+    
+    if (!captureCaptions) {
+      // The user opted out - don't send anything that was captured but not yet stored
+      this.openCaptionLines.clear();
+      this.pendingTranscriptLines = [];
+    }
+  }
+
+  // Read Meet's live captions (only visible when the user turned captions on in Meet).
+  // Each speaker turn is one entry whose text keeps growing; an entry is a finished line
+  // once Meet removes it from the captions region.
+  sampleCaptions() {
+    if (!this.meetingState.isActive || !this.captureCaptions) return;
+    
+    const { selectors } = this.selectorProfile;
+    const region = document.querySelector(selectors.captionsRegion);
+    const entries = region ? Array.from(region.querySelectorAll(selectors.captionEntry)) : [];
+    const seen = new Set();
+    
+    entries.forEach(entry => {
+      const text = entry.querySelector(selectors.captionText)?.textContent?.replace(/\s+/g, ' ').trim();
+      if (!text) return;
+      seen.add(entry);
+      
+      const line = this.openCaptionLines.get(entry);
+      if (line) {
+        line.text = text;
+      } else {
+        const speaker = this.normalizeParticipantName(entry.querySelector(selectors.captionSpeaker)?.textContent || '');
+        this.openCaptionLines.set(entry, { speaker: speaker || 'Unknown', text, timestamp: Date.now() });
+      }
+    });
+    
+    this.openCaptionLines.forEach((line, entry) => {
+      if (!seen.has(entry)) {
+        this.pendingTranscriptLines.push(line);
+        this.openCaptionLines.delete(entry);
+      }
+    });
+  }
+
+  // Send finished caption lines to the background; on meeting end also the lines still open
+  flushTranscript(final) {
+    if (final) {
+      this.openCaptionLines.forEach(line => this.pendingTranscriptLines.push(line));
+      this.openCaptionLines.clear();
+    }
+    
+    if (!this.captureCaptions || this.pendingTranscriptLines.length === 0 || !this.meetingState.meetingId) {
+      this.pendingTranscriptLines = [];
+      return;
+    }
+    
+    const lines = this.pendingTranscriptLines;
+    this.pendingTranscriptLines = [];
+    
+    if (!chrome?.runtime?.id) {
+      console.log('[SimpleMeetTracker] Extension context invalidated, dropping caption lines');
+      return;
+    }
+
+    try {
+      chrome.runtime.sendMessage({
+        type: 'append_transcript',
+        data: {
+          meetingId: this.meetingState.meetingId,
+          lines
+        }
+      }, (response) => {
+        if (chrome.runtime.lastError) {
+          console.log('[SimpleMeetTracker] Error sending caption lines:', chrome.runtime.lastError.message);
+        }
+      });
+    } catch (error) {
+      console.log('[SimpleMeetTracker] Failed to send caption lines:', error.message);
+    }
+  }
+
+  // Count chat messages, reactions and hand raises per participant. Message bodies are only
+  // kept (as transcript lines) when caption capture is enabled.
+  sampleEngagement() {
+    if (!this.meetingState.isActive) return;
+    
+    const { selectors } = this.selectorProfile;
+    const now = Date.now();
+    const occurrences = {}; // Messages without an ID: how often each sender|text appeared so far in the panel
+    
+    this.queryAllSafe(document, selectors.chatMessageGroup).forEach(group => {
+      const sender = this.normalizeParticipantName(
+        group.getAttribute('data-sender-name') || group.querySelector(selectors.chatSender)?.textContent || '');
+      if (!sender) return;
+      
+      this.queryAllSafe(group, selectors.chatMessage).forEach(message => {
+        const text = (message.matches(selectors.chatMessageText) ? message : message.querySelector(selectors.chatMessageText))
+          ?.textContent?.replace(/\s+/g, ' ').trim() || '';
+        // Without an ID, the position among identical messages tells a repeated "ok" from a re-render
+        let key = message.getAttribute('data-message-id');
+        if (!key) {
+          const content = `${sender}|${text}`;
+          occurrences[content] = (occurrences[content] || 0) + 1;
+          key = `${content}|${occurrences[content]}`;
+        }
+        if (this.seenChatMessages.has(key)) return;
+        this.seenChatMessages.add(key);
+        
+        this.countEngagement(this.getParticipantIdByName(sender), sender, 'chatMessages');
+        if (this.captureCaptions && text) {
+          this.pendingTranscriptLines.push({ speaker: sender, text, timestamp: now, kind: 'chat' });
+        }
+      });
+    });
+    
+    this.queryAllSafe(document, selectors.reactionBubble).forEach(bubble => {
+      if (this.seenReactions.has(bubble)) return;
+      this.seenReactions.add(bubble);
+      
+      const sender = this.normalizeParticipantName(
+        bubble.getAttribute('data-reaction-sender') || bubble.querySelector(selectors.reactionSender)?.textContent || '');
+      if (sender) {
+        this.countEngagement(this.getParticipantIdByName(sender), sender, 'reactions');
+      }
+    });
+    
+    // Hand raises count when a hand goes up, not for every second it stays up
+    const raised = new Set();
+    this.getParticipantElements().forEach(element => {
+      const id = this.getParticipantElementId(element);
+      if (id && this.queryAllSafe(element, selectors.raisedHand).length > 0) {
+        raised.add(id);
+      }
+    });
+    if (this.queryAllSafe(document, selectors.selfHandRaised).length > 0) {
+      raised.add('self');
+    }
+    raised.forEach(id => {
+      if (!this.raisedHands.has(id)) {
+        const name = id === 'self' ? 'You' : (this.participants.get(id)?.name || id);
+        console.log(`[SimpleMeetTracker] ✋ ${name} raised their hand`);
+        this.countEngagement(id, name, 'handRaises');
+      }
+    });
+    this.raisedHands = raised;
+  }
+
+  queryAllSafe(root, selector) {
+    try {
+      return Array.from(root.querySelectorAll(selector));
+    } catch (error) {
+      console.debug(`[SimpleMeetTracker] Invalid selector "${selector}":`, error.message);
+      return [];
+    }
+  }
+
+  // Chat and reactions only show names - map them to the participant's tile ID when we know it
+  getParticipantIdByName(name) {
+    if (/^you$/i.test(name)) return 'self';
+    
+    const participant = Array.from(this.participants.values()).find(p => p.name === name);
+    return participant?.id || `name:${name.toLowerCase()}`;
+  }
+
+  countEngagement(id, name, counter) {
+    const entry = this.minuteEngagement.get(id) || { name, chatMessages: 0, reactions: 0, handRaises: 0 };
+    entry[counter]++;
+    this.minuteEngagement.set(id, entry);
+  }
+
+  // Engagement counts since the last minute log: { [participantId]: { name, chatMessages, reactions, handRaises } }
+  collectMinuteEngagement() {
+    const engagement = Object.fromEntries(this.minuteEngagement);
+    this.minuteEngagement.clear();
+    return engagement;
+  }
+
+  // Mic/camera time and toggles since the last minute log
+  collectMinuteLocalMedia() {
+    const { lastSample, ...counters } = this.minuteLocalMedia;
+    
+    // Keep the sampling clock running into the next minute
+    this.minuteLocalMedia = this.createLocalMediaCounters();
+    this.minuteLocalMedia.lastSample = lastSample;
+    
+    return {
+      ...counters,
+      micOn: this.localMediaState.micOn,
+      cameraOn: this.localMediaState.cameraOn
+    };
+  }
+
+  // Talk-time accumulated since the last minute log, keyed by participant ID
+  collectMinuteTalkTime() {
+    const talkTime = {};
+    this.minuteTalkTime.forEach((ms, id) => {
+      if (ms > 0) {
+        talkTime[id] = {
+          name: this.participants.get(id)?.name || this.participantMemory.get(id)?.name || null,
+          ms
+        };
+      }
+    });
+    this.minuteTalkTime.clear();
+    return talkTime;
   }
 
   logCurrentMinute() {
@@ -690,6 +1811,11 @@ class SimpleMeetTracker {
         timestamp: currentTime,
         participants: Array.from(this.participants.values()),
         participantCount: this.participants.size,
+        talkTime: this.collectMinuteTalkTime(),
+        localMedia: this.collectMinuteLocalMedia(),
+        presenters: Array.from(this.currentPresenters.values()),
+        engagement: this.collectMinuteEngagement(),
+        detectionHealth: this.getDetectionHealth(),
         cumulativeDuration: cumulativeDuration,
         resumed: false, // Content script no longer handles resume logic
         previousDuration: 0,
@@ -701,6 +1827,8 @@ class SimpleMeetTracker {
       // Send minute data to background - background will handle session logic
       this.sendMinuteDataToBackground(minuteData);
     }
+    
+    this.flushTranscript(false);
   }
 
   sendMinuteDataToBackground(minuteData) {
@@ -761,7 +1889,7 @@ class SimpleMeetTracker {
     }
     
     // Method 4: Look for nested name elements
-    const nameElements = element.querySelectorAll('[data-self-name], [jsname="YEtHCd"], .participant-name');
+    const nameElements = element.querySelectorAll(this.selectorProfile.selectors.participantName);
     for (const nameEl of nameElements) {
       const candidateName = (nameEl.textContent || nameEl.innerText || '').trim();
       if (candidateName && this.isValidParticipantName(candidateName)) {
@@ -770,7 +1898,7 @@ class SimpleMeetTracker {
     }
     
     // Method 5: Check for Google-specific selectors
-    const googleNameEl = element.querySelector('[jsname] [dir="auto"]');
+    const googleNameEl = element.querySelector(this.selectorProfile.selectors.participantNameFallback);
     if (googleNameEl) {
       const candidateName = (googleNameEl.textContent || googleNameEl.innerText || '').trim();
       if (candidateName && this.isValidParticipantName(candidateName)) {
@@ -806,21 +1934,7 @@ class SimpleMeetTracker {
     }
     
     // Filter out obvious UI elements and invalid names
-    const invalidNames = [
-      'you', 'devices', 'frame_person', 'visual_effects', 'more_vert', 'more options',
-      'backgrounds and effects', 'jump to bottom', 'others might still see',
-      'camera', 'microphone', 'speakers', 'default', 'system', 'built-in',
-      'external', 'usb', 'bluetooth', 'airpods', 'headphones', 'headset',
-      'audio', 'video', 'reframe', 'share screen', 'present now', 'settings',
-      'more', 'chat', 'people', 'activities', 'whiteboard', 'record',
-      'live stream', 'mute', 'unmute', 'turn off camera', 'turn on camera',
-      'turn off microphone', 'turn on microphone', 'leave call', 'end call',
-      'join call', 'ask to join', 'captions', 'hand', 'raise hand', 'lower hand',
-      'turn off captions', 'turn on captions', 'joined', 'left', 'disconnected',
-      'reconnected', 'presenting', 'stopped presenting', 'entered', 'exited',
-      'connected', 'meeting host', 'host', 'guest', 'visitor', 'organizer',
-      'draw', 'drawing', 'annotation', 'annotate', 'pen', 'marker', 'highlighter', 'keep'
-    ];
+    const invalidNames = MeetSelectorProfiles.getInvalidNames(this.selectorProfile);
     
     if (invalidNames.includes(name.toLowerCase())) {
       return false;
@@ -934,7 +2048,7 @@ class SimpleMeetTracker {
     // If we're on a meeting URL but there's no "Leave call" button, meeting likely ended
     const currentPath = window.location.pathname;
     const isMeetingUrlPattern = /^\/[a-z]{3}-[a-z]{4}-[a-z]{3}$/.test(currentPath) || currentPath.length > 10;
-    const leaveCallButton = document.querySelector('[aria-label*="Leave call"], [aria-label*="End call"], [aria-label*="Hang up"]');
+    const leaveCallButton = document.querySelector(this.selectorProfile.selectors.leaveCall);
     
     if (isMeetingUrlPattern && !leaveCallButton) {
       // Double-check we're not in a waiting room or pre-meeting state
@@ -949,10 +2063,11 @@ class SimpleMeetTracker {
     
     // LEVEL 5: Check DOM structure changes that indicate meeting ended
     // Look for complete absence of meeting-specific elements
-    const participantPanels = document.querySelectorAll('[data-participant-id]');
+    const { selectors } = this.selectorProfile;
+    const participantPanels = this.getParticipantElements();
     const videoElements = document.querySelectorAll('video');
-    const meetingControls = document.querySelectorAll('[data-is-muted], [data-is-video-on], [aria-label*="microphone"], [aria-label*="camera"]');
-    const meetingAreas = document.querySelectorAll('[data-allocation-index], [jsname="A5il2e"]');
+    const meetingControls = document.querySelectorAll(`${selectors.mediaControls}, [aria-label*="microphone"], [aria-label*="camera"]`);
+    const meetingAreas = document.querySelectorAll(`${selectors.meetingArea}, ${selectors.participantGrid}`);
     
     const hasMeetingDOMElements = participantPanels.length > 0 || videoElements.length > 0 || 
                                 meetingControls.length > 0 || meetingAreas.length > 0;
@@ -1162,6 +2277,9 @@ class SimpleMeetTracker {
       };
       
       this.participants.clear();
+      this.networkRoster.clear();
+      this.calendarEvent = null;
+      this.titleSource = null;
     }
     
     // If we're still on a meeting page, update meeting state
@@ -1245,6 +2363,10 @@ class SimpleMeetTracker {
       const isVisible = document.visibilityState === 'visible';
       console.log(`[SimpleMeetTracker] Tab visibility changed: ${isVisible ? 'visible' : 'hidden'}`);
       
+      if (this.meetingState.isActive) {
+        this.sendVisibilityToBackground(isVisible);
+      }
+      
       if (isVisible && this.meetingState.isActive) {
         console.log('[SimpleMeetTracker] 📱 Tab became visible - syncing with background and checking meeting state');
         
@@ -1305,6 +2427,8 @@ class SimpleMeetTracker {
     const now = Date.now();
     const meetingId = this.meetingState.meetingId;
     
+    this.flushTranscript(true);
+    
     this.meetingState.isActive = false;
     this.meetingState.endTime = now;
     this.meetingState.endReason = reason;
@@ -1332,6 +2456,7 @@ class SimpleMeetTracker {
     
     // Clear participants
     this.participants.clear();
+    this.networkRoster.clear();
     
     return true;
   }
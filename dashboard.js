@@ -2,13 +2,28 @@
 
 let allMeetings = []; // Now contains aggregated meetings (combined sessions)
 let filteredMeetings = [];
+let lobbyOnlyMeetings = []; // Meetings we were never admitted to - only their waiting time is reported
+let filteredLobbyOnlyMeetings = [];
+let dailyRollups = null; // Per-day totals kept by storage (null when they couldn't be loaded)
+let filteredRollups = null; // Rollups of the selected range, or null when a filter needs per-meeting data
 let charts = {};
+let peopleIndex = PersonRegistry.buildIndex([]); // Person registry lookups (see person-registry.js)
+let dashboardSettings = { captureCaptions: false, selfProfiles: {}, stitchGraceMinutes: 10, heartbeatTimeoutMinutes: 30 };
+let showRawSessions = false; // One row per session instead of stitched attendances
+let selfIdentity = { personIds: new Set(), names: new Set(), emails: new Set() }; // Who "me" is, for excluding myself from collaborator metrics
 const a_hours_work_day = 8;
 
-// Pagination state
+// Pagination state - table pages are read from storage with the query API
 let currentPage = 1;
 let pageSize = 20;
 let totalPages = 1;
+let tableSort = 'newest';
+let pageCursors = [null]; // pageCursors[n - 1] is the query cursor that starts page n
+let tableRequestId = 0; // Only the latest page request renders
+
+// Filters of the last applyFilters; allMeetings holds the meetings of loadedRange only
+let activeFilters = {};
+let loadedRange = null;
 
 // Auto-refresh timer for active sessions
 let refreshTimer = null;
@@ -68,14 +83,102 @@ async function initializeDashboard() {
     }
 }
 
+async function loadPeople() {
+    try {
+        const people = await new Promise((resolve, reject) => {
+            chrome.runtime.sendMessage({ action: 'getPeople' }, (response) => {
+                if (chrome.runtime.lastError) {
+                    reject(new Error(chrome.runtime.lastError.message));
+                } else {
+                    resolve(Array.isArray(response) ? response : []);
+                }
+            });
+        });
+        peopleIndex = PersonRegistry.buildIndex(people);
+    } catch (error) {
+        console.warn('⚠️ Could not load the person registry, showing raw participant names:', error);
+    }
+}
+
+async function loadSettings() {
+    try {
+        const settings = await new Promise((resolve, reject) => {
+            chrome.runtime.sendMessage({ action: 'getSettings' }, (response) => {
+                if (chrome.runtime.lastError) {
+                    reject(new Error(chrome.runtime.lastError.message));
+                } else {
+                    resolve(response);
+                }
+            });
+        });
+        dashboardSettings = { ...dashboardSettings, ...settings };
+    } catch (error) {
+        console.warn('⚠️ Could not load settings:', error);
+    }
+}
+
+// Work out who I am from the participants the content script flagged as me (isSelf),
+// the configured self profiles and the signed-in accounts
+function updateSelfIdentity() {
+    const identity = { personIds: new Set(), names: new Set(), emails: new Set() };
+    
+    Object.values(dashboardSettings.selfProfiles || {}).forEach(profile => {
+        if (profile?.name) identity.names.add(PersonRegistry.aliasKey(profile.name));
+        if (profile?.email) identity.emails.add(profile.email.toLowerCase());
+    });
+    
+    allMeetings.forEach(meeting => {
+        if (meeting.selfAccount?.email) identity.emails.add(meeting.selfAccount.email.toLowerCase());
+        (meeting.participants || []).forEach(p => {
+            if (p && typeof p === 'object' && p.isSelf && p.personId) {
+                identity.personIds.add(p.personId);
+            }
+        });
+    });
+    
+    peopleIndex.byId.forEach(person => {
+        if ((person.email && identity.emails.has(person.email.toLowerCase())) ||
+            person.aliasKeys.some(key => identity.names.has(key))) {
+            identity.personIds.add(person.personId);
+        }
+    });
+    
+    selfIdentity = identity;
+}
+
+function isSelfParticipant(p) {
+    if (p && typeof p === 'object') {
+        if (p.isSelf || (p.personId && selfIdentity.personIds.has(p.personId))) return true;
+        if (p.email && selfIdentity.emails.has(p.email.toLowerCase())) return true;
+    }
+    return selfIdentity.names.has(PersonRegistry.aliasKey(getParticipantName(p)));
+}
+
+// Display name for a participant in any stored format - the person's name when the
+// registry resolved it, so "Alex", "Alex (You)" and "Alex Smith" read the same
+function getParticipantName(p) {
+    const person = p && typeof p === 'object' && p.personId ? peopleIndex.byId.get(p.personId) : null;
+    if (person) {
+        return person.displayName;
+    }
+    return PersonRegistry.cleanName(PersonRegistry.participantName(p)) || 'Unknown';
+}
+
 async function loadMeetings() {
     if (typeof chrome !== 'undefined' && chrome.runtime && chrome.runtime.sendMessage) {
         try {
+            await loadPeople();
+            await loadSettings();
+            
+            // Only the selected date range - storage reads it through the startTime index
+            const { startDate, endDate } = getSelectedDateRange();
+            loadedRange = `${startDate}|${endDate}`;
+            
             console.log('📡 Dashboard: Requesting meetings from background script...');
             
             // Use async/await with Promise wrapper for proper error handling
             const response = await new Promise((resolve, reject) => {
-                chrome.runtime.sendMessage({ action: 'getMeetingsAggregated' }, (response) => {
+                chrome.runtime.sendMessage({ action: 'getMeetingsAggregated', raw: showRawSessions, startDate, endDate }, (response) => {
                     if (chrome.runtime.lastError) {
                         reject(new Error(chrome.runtime.lastError.message));
                     } else {
@@ -106,11 +209,14 @@ async function loadMeetings() {
                 allMeetings = [];
                 filteredMeetings = [];
             } else {
-                allMeetings = response;
+                allMeetings = response.filter(m => !m.lobbyOnly);
+                lobbyOnlyMeetings = response.filter(m => m.lobbyOnly);
                 filteredMeetings = [...allMeetings];
                 console.log(`✅ Successfully loaded ${allMeetings.length} aggregated meetings from storage.`);
             }
             
+            await loadDailyRollups(startDate, endDate);
+            
         } catch (error) {
             const errorMsg = error.message || JSON.stringify(error);
             console.error('❌ Dashboard: Error loading meetings:', errorMsg);
@@ -130,6 +236,25 @@ async function loadMeetings() {
     }
 }
 
+// The rollups of the selected date range (the same range as the loaded meetings)
+async function loadDailyRollups(startDate, endDate) {
+    try {
+        const response = await new Promise((resolve, reject) => {
+            chrome.runtime.sendMessage({ action: 'getDailyRollups', startDate, endDate }, (response) => {
+                if (chrome.runtime.lastError) {
+                    reject(new Error(chrome.runtime.lastError.message));
+                } else {
+                    resolve(response);
+                }
+            });
+        });
+        dailyRollups = Array.isArray(response) ? response : null;
+    } catch (error) {
+        console.warn('⚠️ Could not load daily rollups, computing charts from meetings:', error);
+        dailyRollups = null;
+    }
+}
+
 function initializeFilters() {
     console.log('Initializing filters...');
     console.log('jQuery available:', typeof $ !== 'undefined');
@@ -258,12 +383,7 @@ function populateParticipantFilter() {
         if (meeting.participants && Array.isArray(meeting.participants)) {
             meeting.participants.forEach(p => {
                 // Handle different participant data formats
-                let participantName = '';
-                if (typeof p === 'string') {
-                    participantName = p;
-                } else if (p && typeof p === 'object') {
-                    participantName = p.name || p.displayName || p.id || 'Unknown';
-                }
+                const participantName = getParticipantName(p);
                 
                 if (participantName && participantName !== 'Unknown') {
                     participants.add(participantName);
@@ -292,9 +412,21 @@ function setupEventListeners() {
     });
     
     document.getElementById('apply-filters').addEventListener('click', applyFilters);
+    document.getElementById('title-filter').addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') applyFilters();
+    });
     document.getElementById('export-data').addEventListener('click', exportData);
     document.getElementById('clear-data').addEventListener('click', clearAllData);
     document.getElementById('cleanup-zombie-btn').addEventListener('click', cleanupZombieMeetings);
+    document.getElementById('recompute-history').addEventListener('click', recomputeHistory);
+    document.getElementById('show-people').addEventListener('click', showPeopleManager);
+    document.getElementById('show-trash').addEventListener('click', showTrash);
+    document.getElementById('show-self-profiles').addEventListener('click', showSelfProfiles);
+    setupTranscriptSearch();
+    setupSessionStitching();
+    setupHeartbeatTimeout();
+    setupRetentionSettings();
+    setupMigrationStatus();
     
     // Hourly start time dropdown event listener
     document.getElementById('hourly-start-time').addEventListener('change', (e) => {
@@ -351,21 +483,49 @@ function setDateRange(days) {
     document.getElementById('end-date').value = endDate.toISOString().split('T')[0];
 }
 
-function applyFilters() {
-    let startDate, endDate;
-    
+// Selected YYYY-MM-DD date range; either end may be empty
+function getSelectedDateRange() {
     // Get date range from daterangepicker if available
     if (typeof $ !== 'undefined' && $('#daterange').data('daterangepicker')) {
         const picker = $('#daterange').data('daterangepicker');
-        startDate = picker.startDate.format('YYYY-MM-DD');
-        endDate = picker.endDate.format('YYYY-MM-DD');
-    } else {
-        // Fallback to basic date inputs
-        startDate = document.getElementById('start-date')?.value;
-        endDate = document.getElementById('end-date')?.value;
+        return { startDate: picker.startDate.format('YYYY-MM-DD'), endDate: picker.endDate.format('YYYY-MM-DD') };
     }
     
+    // The picker is set up after the first load and starts on the last 30 days
+    if (typeof $ !== 'undefined' && typeof moment !== 'undefined' && $.fn.daterangepicker) {
+        return { startDate: moment().subtract(29, 'days').format('YYYY-MM-DD'), endDate: moment().format('YYYY-MM-DD') };
+    }
+    
+    // Fallback to basic date inputs
+    return {
+        startDate: document.getElementById('start-date')?.value || '',
+        endDate: document.getElementById('end-date')?.value || ''
+    };
+}
+
+function applyFilters() {
+    const { startDate, endDate } = getSelectedDateRange();
+    
+    // Another date range: load its meetings first
+    if (`${startDate}|${endDate}` !== loadedRange) {
+        loadMeetings().then(applyFilters);
+        return;
+    }
+    
+    updateSelfIdentity();
+    
     const selectedParticipant = document.getElementById('participant-select').value;
+    const selectedParticipation = document.getElementById('participation-select').value;
+    const selectedPlatform = document.getElementById('platform-select').value;
+    const titleFilter = document.getElementById('title-filter').value.trim();
+    activeFilters = {
+        startDate,
+        endDate,
+        participant: selectedParticipant,
+        participation: selectedParticipation,
+        platform: selectedPlatform,
+        title: titleFilter
+    };
 
     filteredMeetings = allMeetings.filter(meeting => {
         // Validate meeting has valid startTime
@@ -377,16 +537,14 @@ function applyFilters() {
         const meetingDate = new Date(meeting.startTime).toISOString().split('T')[0];
         if (startDate && meetingDate < startDate) return false;
         if (endDate && meetingDate > endDate) return false;
+        if (selectedParticipation && getParticipationLevel(meeting) !== selectedParticipation) return false;
+        if (selectedPlatform && (meeting.platform || 'meet') !== selectedPlatform) return false;
+        if (titleFilter && !(meeting.title || '').toLowerCase().includes(titleFilter.toLowerCase())) return false;
         if (selectedParticipant && selectedParticipant !== '') {
             // Handle both string and object participant formats
             if (meeting.participants && Array.isArray(meeting.participants)) {
                 return meeting.participants.some(p => {
-                    let participantName = '';
-                    if (typeof p === 'string') {
-                        participantName = p;
-                    } else if (p && typeof p === 'object') {
-                        participantName = p.name || p.displayName || p.id || 'Unknown';
-                    }
+                    const participantName = getParticipantName(p);
                     return participantName === selectedParticipant;
                 });
             }
@@ -395,6 +553,20 @@ function applyFilters() {
         return true;
     });
     
+    filteredLobbyOnlyMeetings = lobbyOnlyMeetings.filter(meeting => {
+        if (startDate && meeting.date < startDate) return false;
+        if (endDate && meeting.date > endDate) return false;
+        if (selectedPlatform && (meeting.platform || 'meet') !== selectedPlatform) return false;
+        return true;
+    });
+    
+    // Whole days and no per-meeting filter: summaries and charts read the daily rollups
+    const wholeDays = [startDate, endDate].every(date => !date || /^\d{4}-\d{2}-\d{2}$/.test(date));
+    const perMeetingFilter = showRawSessions || selectedParticipant || selectedParticipation || selectedPlatform || titleFilter;
+    filteredRollups = dailyRollups && wholeDays && !perMeetingFilter ?
+        dailyRollups.filter(rollup => (!startDate || rollup.date >= startDate) && (!endDate || rollup.date <= endDate)) :
+        null;
+    
     updateDashboard();
 }
 
@@ -402,6 +574,9 @@ function clearFilters() {
     document.getElementById('start-date').value = '';
     document.getElementById('end-date').value = '';
     document.getElementById('participant-select').selectedIndex = 0;
+    document.getElementById('participation-select').selectedIndex = 0;
+    document.getElementById('platform-select').selectedIndex = 0;
+    document.getElementById('title-filter').value = '';
     
     document.querySelectorAll('.quick-filter').forEach(btn => btn.classList.remove('active'));
     document.querySelector('.quick-filter[data-days="all"]').classList.add('active');
@@ -422,42 +597,124 @@ function updateDashboard() {
 }
 
 function updateSummaryStats() {
-    const totalMeetings = filteredMeetings.length;
-    const totalTime = filteredMeetings.reduce((sum, m) => sum + (m.endTime ? (m.endTime - m.startTime) : 0), 0);
+    const dailyTotals = getDailyTotals();
+    const days = Object.values(dailyTotals);
+    const totalMeetings = days.reduce((sum, day) => sum + day.meetings, 0);
+    const totalTime = days.reduce((sum, day) => sum + day.time, 0);
     
-    // Handle participant uniqueness with both string and object formats
-    const uniqueParticipants = new Set();
-    filteredMeetings.forEach(m => {
-        if (m.participants && Array.isArray(m.participants)) {
-            m.participants.forEach(p => {
-                let participantName = '';
-                if (typeof p === 'string') {
-                    participantName = p;
-                } else if (p && typeof p === 'object') {
-                    participantName = p.name || p.displayName || p.id || 'Unknown';
-                }
-                if (participantName && participantName !== 'Unknown') {
-                    uniqueParticipants.add(participantName);
-                }
-            });
-        }
-    });
+    // Everyone I met except myself
+    const uniqueParticipants = Object.keys(getCollaboratorData()).length;
 
     // Calculate daily averages
-    const dailyTime = {};
-    filteredMeetings.forEach(m => {
-        const date = new Date(m.startTime).toISOString().split('T')[0];
-        dailyTime[date] = (dailyTime[date] || 0) + (m.endTime ? (m.endTime - m.startTime) : 0);
-    });
-    const totalDays = Object.keys(dailyTime).length || 1;
+    const totalDays = days.length || 1;
     const avgDailyTime = totalTime / totalDays;
     const workPercentage = (avgDailyTime / (a_hours_work_day * 60 * 60 * 1000)) * 100;
 
     document.getElementById('total-meetings').textContent = totalMeetings;
     document.getElementById('total-time').textContent = formatDuration(totalTime);
-    document.getElementById('unique-participants').textContent = uniqueParticipants.size;
+    document.getElementById('unique-participants').textContent = uniqueParticipants;
     document.getElementById('avg-daily-time').textContent = formatDuration(avgDailyTime);
     document.getElementById('work-percentage').textContent = `${workPercentage.toFixed(1)}%`;
+    
+    const totalLobbyTime = [...filteredMeetings, ...filteredLobbyOnlyMeetings].reduce((sum, m) => sum + (m.lobbyTime || 0), 0);
+    document.getElementById('total-lobby-time').textContent = formatDuration(totalLobbyTime);
+}
+
+// Time spent in a meeting: its stitched duration, which leaves out the gaps between reconnects
+// (endTime - startTime would count them). Ongoing meetings count their ended sessions.
+function getMeetingDuration(m) {
+    if (typeof m.duration === 'number') {
+        return m.duration;
+    }
+    return m.endTime ? m.endTime - m.startTime : 0;
+}
+
+// The ended stretches actually spent in a meeting: its sessions, or the meeting itself. Sessions
+// that overlap (the meeting open in two tabs) are merged, so that time counts once.
+function getAttendedSpans(m) {
+    const spans = Array.isArray(m.sessions) && m.sessions.length > 0 ? m.sessions : [m];
+    const merged = [];
+    spans.filter(span => span.startTime && span.endTime)
+        .sort((a, b) => a.startTime - b.startTime)
+        .forEach(span => {
+            const last = merged[merged.length - 1];
+            if (last && span.startTime <= last.endTime) {
+                last.endTime = Math.max(last.endTime, span.endTime);
+            } else {
+                merged.push({ startTime: span.startTime, endTime: span.endTime });
+            }
+        });
+    return merged;
+}
+
+// Meeting time and count per day (YYYY-MM-DD), from the rollups when they cover the selection
+function getDailyTotals() {
+    const dailyTotals = {};
+    if (filteredRollups) {
+        filteredRollups.forEach(rollup => {
+            dailyTotals[rollup.date] = { time: rollup.totalTime, meetings: rollup.meetingCount };
+        });
+        return dailyTotals;
+    }
+    
+    filteredMeetings.forEach(m => {
+        const date = new Date(m.startTime).toISOString().split('T')[0];
+        const day = dailyTotals[date] || (dailyTotals[date] = { time: 0, meetings: 0 });
+        day.time += getMeetingDuration(m);
+        day.meetings += 1;
+    });
+    return dailyTotals;
+}
+
+// Per-collaborator totals keyed by display name (myself excluded)
+function getCollaboratorData() {
+    return filteredRollups ? getRollupCollaborators() : getMeetingCollaborators();
+}
+
+function createCollaboratorEntry() {
+    return {
+        meetings: 0,
+        totalDuration: 0,
+        oneOnOne: { count: 0, duration: 0 },
+        smallGroup: { count: 0, duration: 0 }, // 3-5 people
+        mediumGroup: { count: 0, duration: 0 }, // 6-10 people
+        largeGroup: { count: 0, duration: 0 }, // 11+ people
+        meetingDetails: []
+    };
+}
+
+// Rollups keep the name and email each collaborator was seen with - resolve them against the
+// current registry so people merged since then read as one
+function resolveRollupParticipant(collaborator) {
+    const person = PersonRegistry.lookup(peopleIndex, collaborator, null);
+    return person ? { ...collaborator, personId: person.personId } : collaborator;
+}
+
+// Same totals from the daily rollups; the drill-down's meeting list is looked up on click
+function getRollupCollaborators() {
+    const participantData = {};
+    
+    filteredRollups.forEach(rollup => {
+        Object.values(rollup.collaborators || {}).forEach(collaborator => {
+            const participant = resolveRollupParticipant(collaborator);
+            const participantName = getParticipantName(participant);
+            if (!participantName || participantName === 'Unknown' || isSelfParticipant(participant)) return;
+            
+            if (!participantData[participantName]) {
+                participantData[participantName] = { ...createCollaboratorEntry(), meetingDetails: null };
+            }
+            
+            const data = participantData[participantName];
+            data.meetings += collaborator.meetings;
+            data.totalDuration += collaborator.minutes * 60000;
+            ['oneOnOne', 'smallGroup', 'mediumGroup', 'largeGroup'].forEach(size => {
+                data[size].count += collaborator.bySize[size].meetings;
+                data[size].duration += collaborator.bySize[size].minutes * 60000;
+            });
+        });
+    });
+    
+    return participantData;
 }
 
 function updateAllCharts() {
@@ -467,12 +724,37 @@ function updateAllCharts() {
     }
     renderDailyTimeChart();
     renderCollaboratorsChart();
+    renderSpeakingBalanceChart();
     renderActivityChart();
     renderDurationChart();
     renderWeeklyPatternChart();
     renderHourlyDistributionChart();
+    renderLocalMediaChart();
+    renderPresentingTimeChart();
+    renderLobbyTimeChart();
+}
+
+// Meetings where I was unmuted and on camera less than this are "passive"
+const PASSIVE_PARTICIPATION_PERCENT = 20;
+
+// 'passive', 'active', or null when the meeting has no mic/camera samples
+function getParticipationLevel(meeting) {
+    const media = meeting.localMedia;
+    if (!media) return null;
+    
+    return media.unmutedPercent < PASSIVE_PARTICIPATION_PERCENT && media.cameraOnPercent < PASSIVE_PARTICIPATION_PERCENT ?
+        'passive' : 'active';
 }
 
+// Title prefix for meetings that weren't on Google Meet
+const PLATFORM_ICONS = {
+    zoom: '🟦 Zoom · ',
+    teams: '🟪 Teams · '
+};
+
+// Meetings whose detection quality score is below this are flagged as low confidence
+const LOW_QUALITY_SCORE = 60;
+
 // Chart Rendering Functions (using common options)
 const getCommonChartOptions = (theme = 'dark') => ({
     chart: {
@@ -536,16 +818,9 @@ function renderDailyTimeChart() {
     const weeklyCount = [0, 0, 0, 0, 0, 0, 0]; // Count of days with data for averaging
     
     // Group meetings by date first, then by day of week
-    const dailyTotals = {};
-    filteredMeetings.forEach(m => {
-        const date = new Date(m.startTime).toISOString().split('T')[0];
-        dailyTotals[date] = (dailyTotals[date] || 0) + (m.endTime ? (m.endTime - m.startTime) / (1000 * 60 * 60) : 0); // hours
-    });
-    
-    // Now average by day of week
-    Object.entries(dailyTotals).forEach(([date, hours]) => {
+    Object.entries(getDailyTotals()).forEach(([date, day]) => {
         const dayOfWeek = new Date(date).getDay();
-        weeklyData[dayOfWeek] += hours;
+        weeklyData[dayOfWeek] += day.time / (1000 * 60 * 60); // hours
         weeklyCount[dayOfWeek]++;
     });
     
@@ -655,35 +930,23 @@ function renderDailyTimeChart() {
     renderChart('daily-time-chart', options);
 }
 
-function renderCollaboratorsChart() {
+// Detailed meeting data for each participant of the filtered meetings
+function getMeetingCollaborators() {
     const participantData = {};
     
-    // Calculate detailed meeting data for each participant
     filteredMeetings.forEach(meeting => {
         if (meeting.participants && Array.isArray(meeting.participants)) {
             const meetingSize = meeting.participants.length;
-            const duration = meeting.endTime ? (meeting.endTime - meeting.startTime) : 0;
+            const duration = getMeetingDuration(meeting);
             
             meeting.participants.forEach(p => {
                 // Handle different participant data formats
-                let participantName = '';
-                if (typeof p === 'string') {
-                    participantName = p;
-                } else if (p && typeof p === 'object') {
-                    participantName = p.name || p.displayName || p.id || 'Unknown';
-                }
+                const participantName = getParticipantName(p);
                 
-                if (participantName && participantName !== 'Unknown') {
+                // I'm not my own collaborator
+                if (participantName && participantName !== 'Unknown' && !isSelfParticipant(p)) {
                     if (!participantData[participantName]) {
-                        participantData[participantName] = { 
-                            meetings: 0, 
-                            totalDuration: 0,
-                            oneOnOne: { count: 0, duration: 0 },
-                            smallGroup: { count: 0, duration: 0 }, // 3-5 people
-                            mediumGroup: { count: 0, duration: 0 }, // 6-10 people
-                            largeGroup: { count: 0, duration: 0 }, // 11+ people
-                            meetingDetails: []
-                        };
+                        participantData[participantName] = createCollaboratorEntry();
                     }
                     
                     participantData[participantName].meetings += 1;
@@ -719,6 +982,12 @@ function renderCollaboratorsChart() {
         }
     });
     
+    return participantData;
+}
+
+function renderCollaboratorsChart() {
+    const participantData = getCollaboratorData();
+    
     // Sort by meeting count to find the user (top participant), then sort collaborators by TIME
     const allParticipantsByMeetings = Object.entries(participantData)
         .sort((a, b) => b[1].meetings - a[1].meetings);
@@ -804,6 +1073,10 @@ function renderCollaboratorsChart() {
                 dataPointSelection: function(event, chartContext, config) {
                     const dataIndex = config.dataPointIndex;
                     const collaboratorData = chartData[dataIndex];
+                    if (!collaboratorData.meetingDetails) {
+                        // Charted from the rollups - list the meetings only when asked
+                        collaboratorData.meetingDetails = getMeetingCollaborators()[collaboratorData.name]?.meetingDetails || [];
+                    }
                     showCollaboratorDrillDown(collaboratorData);
                 }
             }
@@ -893,602 +1166,1581 @@ function renderCollaboratorsChart() {
     renderChart('collaborators-chart', options);
 }
 
-function renderActivityChart() {
-    const dailyData = {};
-    filteredMeetings.forEach(m => {
-        const date = new Date(m.startTime).toISOString().split('T')[0];
-        dailyData[date] = (dailyData[date] || 0) + 1;
-    });
-
-    const sortedDates = Object.keys(dailyData).sort();
-    const chartData = sortedDates.map(date => ({ x: new Date(date).getTime(), y: dailyData[date] }));
-
-    const options = {
-        ...getCommonChartOptions(),
-        series: [{ name: 'Meetings', data: chartData, color: '#ea4335' }],
-        chart: { type: 'bar', height: 350 },
-        xaxis: { 
-            type: 'datetime', 
-            labels: { 
-                format: 'MMM dd',
-                style: { colors: '#b8bcc3', fontSize: '12px' }
-            }
-        },
-        yaxis: { 
-            title: { 
-                text: 'Number of Meetings',
-                style: { color: '#9aa0a6' }
-            },
-            labels: {
-                style: { colors: '#b8bcc3', fontSize: '12px' }
-            }
-        },
-        tooltip: { x: { format: 'dd MMM yyyy' } }
-    };
-    renderChart('activity-chart', options);
-}
-
-function renderDurationChart() {
-    const buckets = {
-        '0-15 min': { count: 0, meetings: [] },
-        '15-30 min': { count: 0, meetings: [] },
-        '30-60 min': { count: 0, meetings: [] },
-        '1-2 hours': { count: 0, meetings: [] },
-        '2+ hours': { count: 0, meetings: [] }
-    };
+// Each meeting plotted by how much I was on camera vs unmuted - the bottom-left corner is passive attendance
+function renderLocalMediaChart() {
+    const sampled = filteredMeetings.filter(m => m.localMedia);
     
-    filteredMeetings.forEach(m => {
-        const duration = m.endTime ? (m.endTime - m.startTime) / 60000 : 0;
-        if (duration <= 15) {
-            buckets['0-15 min'].count++;
-            buckets['0-15 min'].meetings.push(m);
-        } else if (duration <= 30) {
-            buckets['15-30 min'].count++;
-            buckets['15-30 min'].meetings.push(m);
-        } else if (duration <= 60) {
-            buckets['30-60 min'].count++;
-            buckets['30-60 min'].meetings.push(m);
-        } else if (duration <= 120) {
-            buckets['1-2 hours'].count++;
-            buckets['1-2 hours'].meetings.push(m);
-        } else {
-            buckets['2+ hours'].count++;
-            buckets['2+ hours'].meetings.push(m);
+    if (sampled.length === 0) {
+        const container = document.getElementById('local-media-chart');
+        if (charts['local-media-chart']) {
+            charts['local-media-chart'].destroy();
+            delete charts['local-media-chart'];
         }
+        if (container) {
+            container.innerHTML = '<div style="display: flex; align-items: center; justify-content: center; height: 350px; color: #9aa0a6;">No mic/camera data recorded</div>';
+        }
+        return;
+    }
+    
+    const toPoint = m => ({
+        x: m.localMedia.cameraOnPercent,
+        y: m.localMedia.unmutedPercent,
+        meeting: m
     });
-
-    const durationColors = ['#5f7fbf', '#6ba368', '#b8a347', '#c4645a', '#7a7a7a'];
-    const bucketLabels = Object.keys(buckets);
-
+    
     const options = {
         ...getCommonChartOptions(),
-        series: Object.values(buckets).map(b => b.count),
-        labels: bucketLabels,
-        colors: durationColors,
-        chart: { 
-            type: 'pie', 
+        series: [
+            { name: 'Passive', data: sampled.filter(m => getParticipationLevel(m) === 'passive').map(toPoint), color: '#ea4335' },
+            { name: 'Active', data: sampled.filter(m => getParticipationLevel(m) === 'active').map(toPoint), color: '#34a853' }
+        ],
+        chart: {
+            ...getCommonChartOptions().chart,
+            type: 'scatter',
             height: 350,
+            zoom: { enabled: false },
             events: {
-                dataPointSelection: function(event, chartContext, config) {
-                    const selectedLabel = bucketLabels[config.dataPointIndex];
-                    const selectedData = buckets[selectedLabel];
-                    showDurationDrillDown(selectedLabel, selectedData.meetings);
+                dataPointSelection: (event, chartContext, config) => {
+                    const point = config.w.config.series[config.seriesIndex].data[config.dataPointIndex];
+                    showMeetingDetails(point.meeting.id);
                 }
             }
         },
-        stroke: {
-            show: false
-        },
-        legend: { 
-            position: 'bottom',
+        xaxis: {
+            ...getCommonChartOptions().xaxis,
+            type: 'numeric',
+            min: 0,
+            max: 100,
+            tickAmount: 5,
             labels: {
-                colors: '#e8eaed'
-            }
+                ...getCommonChartOptions().xaxis.labels,
+                formatter: (val) => `${Math.round(val)}%`
+            },
+            title: { text: 'Camera On (%)', style: { color: '#9aa0a6' } }
         },
-        tooltip: { 
-            y: { formatter: (val) => `${val} meetings - Click to see details` },
-            theme: 'dark'
+        yaxis: {
+            min: 0,
+            max: 100,
+            tickAmount: 5,
+            labels: {
+                style: { colors: '#b8bcc3', fontSize: '12px' },
+                formatter: (val) => `${Math.round(val)}%`
+            },
+            title: { text: 'Unmuted (%)', style: { color: '#9aa0a6' } }
         },
-        dataLabels: {
-            enabled: true,
-            style: {
-                fontSize: '12px',
-                colors: ['#ffffff'],
-                fontWeight: 'bold'
+        tooltip: {
+            ...getCommonChartOptions().tooltip,
+            custom: ({ seriesIndex, dataPointIndex, w }) => {
+                const point = w.config.series[seriesIndex].data[dataPointIndex];
+                const m = point.meeting;
+                return `<div style="padding: 8px 12px;">
+                    <strong>${escapeHtml(m.title || m.meetingId)}</strong><br>
+                    ${new Date(m.startTime).toLocaleString()}<br>
+                    📷 ${m.localMedia.cameraOnPercent}% on camera · 🎤 ${m.localMedia.unmutedPercent}% unmuted<br>
+                    ${m.localMedia.micToggles} mic / ${m.localMedia.cameraToggles} camera toggles
+                </div>`;
             }
         }
     };
-    renderChart('duration-chart', options);
+    
+    renderChart('local-media-chart', options);
 }
 
-function renderWeeklyPatternChart() {
-    const weeklyData = [0, 0, 0, 0, 0, 0, 0]; // Sun - Sat
-    filteredMeetings.forEach(m => {
-        if (m.endTime && m.startTime) { // Only include meetings with both start and end times
-            const day = new Date(m.startTime).getDay();
-            const duration = (m.endTime - m.startTime) / (1000 * 60 * 60); // hours
-            if (duration > 0) { // Only add positive durations
-                weeklyData[day] += duration;
-            }
-        }
+// Total presenting time per participant across the filtered meetings
+// Presenters are labelled through the meeting's participant with their ID, resolved by the person
+// registry like the other charts; my own presentations (recorded as 'self' before my tile was
+// found) go under the participant storage flagged as me from the session's selfParticipantId
+function getPresenterName(meeting, presenter) {
+    const participants = (meeting.participants || []).filter(p => p && typeof p === 'object');
+    const participant = participants.find(p => p.id && p.id === presenter.presenterId) ||
+        (presenter.isSelf ? participants.find(p => p.isSelf) : null);
+    return getParticipantName(participant || { name: presenter.name });
+}
+
+function renderPresentingTimeChart() {
+    const presenterData = {};
+    let presentationTime = 0;
+    let meetingTime = 0;
+    
+    filteredMeetings.forEach(meeting => {
+        if (!meeting.presentation) return;
+        
+        presentationTime += meeting.presentation.totalMs;
+        meetingTime += meeting.duration || 0;
+        meeting.presentation.byPresenter.forEach(p => {
+            const name = getPresenterName(meeting, p);
+            if (!presenterData[name]) {
+                presenterData[name] = { ms: 0, meetings: 0 };
+            }
+            presenterData[name].ms += p.ms;
+            presenterData[name].meetings += 1;
+        });
     });
+    
+    const presenters = Object.entries(presenterData)
+        .map(([name, data]) => ({ name, ...data }))
+        .sort((a, b) => b.ms - a.ms);
+    
+    if (presenters.length === 0) {
+        const container = document.getElementById('presenting-time-chart');
+        if (charts['presenting-time-chart']) {
+            charts['presenting-time-chart'].destroy();
+            delete charts['presenting-time-chart'];
+        }
+        if (container) {
+            container.innerHTML = '<div style="display: flex; align-items: center; justify-content: center; height: 350px; color: #9aa0a6;">No presentations recorded</div>';
+        }
+        return;
+    }
+    
+    const presentationShare = meetingTime > 0 ? Math.round((presentationTime / meetingTime) * 100) : 0;
+    
+    const options = {
+        ...getCommonChartOptions(),
+        series: [{
+            name: 'Presenting Time (Minutes)',
+            data: presenters.map(p => ({ x: p.name, y: Math.round(p.ms / 60000) }))
+        }],
+        chart: {
+            ...getCommonChartOptions().chart,
+            type: 'bar',
+            height: Math.min(Math.max(350, presenters.length * 35 + 50), 800)
+        },
+        plotOptions: {
+            bar: {
+                horizontal: true,
+                borderRadius: 4
+            }
+        },
+        colors: ['#fbbc04'],
+        dataLabels: {
+            enabled: true,
+            style: {
+                fontSize: '11px',
+                colors: ['#1f1f1f']
+            },
+            formatter: (val, opts) => formatDuration(presenters[opts.dataPointIndex].ms)
+        },
+        xaxis: {
+            ...getCommonChartOptions().xaxis,
+            categories: presenters.map(p => p.name),
+            title: {
+                text: `Minutes presenting (${presentationShare}% of meeting time was presentation)`,
+                style: { color: '#9aa0a6' }
+            }
+        },
+        yaxis: {
+            labels: {
+                style: {
+                    colors: '#b8bcc3',
+                    fontSize: '11px'
+                },
+                maxWidth: 150
+            }
+        },
+        tooltip: {
+            custom: function({ dataPointIndex }) {
+                const p = presenters[dataPointIndex];
+                return `
+                    <div style="padding: 12px; background: #1f1f1f; border: 1px solid #333; border-radius: 6px;">
+                        <div style="color: #e8eaed; font-weight: bold; margin-bottom: 8px;">${escapeHtml(p.name)}</div>
+                        <div style="color: #b8bcc3; font-size: 12px;">🖥️ Presented for ${formatDuration(p.ms)} in ${p.meetings} meetings</div>
+                    </div>
+                `;
+            }
+        },
+        legend: { show: false }
+    };
+    renderChart('presenting-time-chart', options);
+}
 
+// Waiting time per meeting series (same meeting code across days), including refused admissions
+function renderLobbyTimeChart() {
+    const seriesData = {};
+    
+    [...filteredMeetings, ...filteredLobbyOnlyMeetings].forEach(meeting => {
+        if (!meeting.lobbyTime) return;
+        
+        if (!seriesData[meeting.meetingId]) {
+            seriesData[meeting.meetingId] = { title: meeting.title || meeting.meetingId, ms: 0, attempts: 0, refused: 0 };
+        }
+        const series = seriesData[meeting.meetingId];
+        series.ms += meeting.lobbyTime;
+        (meeting.lobbyAttempts || []).forEach(attempt => {
+            series.attempts++;
+            if (attempt.outcome === 'denied' || attempt.outcome === 'timeout') {
+                series.refused++;
+            }
+        });
+    });
+    
+    const series = Object.values(seriesData).sort((a, b) => b.ms - a.ms);
+    
+    if (series.length === 0) {
+        const container = document.getElementById('lobby-time-chart');
+        if (charts['lobby-time-chart']) {
+            charts['lobby-time-chart'].destroy();
+            delete charts['lobby-time-chart'];
+        }
+        if (container) {
+            container.innerHTML = '<div style="display: flex; align-items: center; justify-content: center; height: 350px; color: #9aa0a6;">No waiting time recorded</div>';
+        }
+        return;
+    }
+    
     const options = {
         ...getCommonChartOptions(),
-        series: [{ name: 'Total Meeting Time', data: weeklyData.map(d => d.toFixed(2)), color: '#fbbc04' }],
-        chart: { type: 'radar', height: 350 },
+        series: [{
+            name: 'Waiting (Minutes)',
+            data: series.map(s => ({ x: s.title, y: parseFloat((s.ms / 60000).toFixed(1)) }))
+        }],
+        chart: {
+            ...getCommonChartOptions().chart,
+            type: 'bar',
+            height: Math.min(Math.max(350, series.length * 35 + 50), 800)
+        },
+        plotOptions: {
+            bar: {
+                horizontal: true,
+                borderRadius: 4
+            }
+        },
+        colors: ['#f57c00'],
+        dataLabels: {
+            enabled: true,
+            style: {
+                fontSize: '11px',
+                colors: ['#e8eaed']
+            },
+            formatter: (val, opts) => formatDuration(series[opts.dataPointIndex].ms)
+        },
         xaxis: {
-            categories: ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday']
+            ...getCommonChartOptions().xaxis,
+            categories: series.map(s => s.title),
+            title: {
+                text: 'Minutes waiting to be admitted',
+                style: { color: '#9aa0a6' }
+            }
         },
-        yaxis: { labels: { formatter: (val) => `${val}h` } },
-        tooltip: { y: { formatter: (val) => `${val} hours` } }
+        yaxis: {
+            labels: {
+                style: {
+                    colors: '#b8bcc3',
+                    fontSize: '11px'
+                },
+                maxWidth: 150
+            }
+        },
+        tooltip: {
+            custom: function({ dataPointIndex }) {
+                const s = series[dataPointIndex];
+                return `
+                    <div style="padding: 12px; background: #1f1f1f; border: 1px solid #333; border-radius: 6px;">
+                        <div style="color: #e8eaed; font-weight: bold; margin-bottom: 8px;">${escapeHtml(s.title)}</div>
+                        <div style="color: #b8bcc3; font-size: 12px;">⏳ Waited ${formatDuration(s.ms)} over ${s.attempts} join attempts</div>
+                        ${s.refused > 0 ? `<div style="color: #ea4335; font-size: 12px;">🚫 ${s.refused} not admitted</div>` : ''}
+                    </div>
+                `;
+            }
+        },
+        legend: { show: false }
     };
-    renderChart('weekly-pattern-chart', options);
+    renderChart('lobby-time-chart', options);
 }
 
-function renderHourlyDistributionChart() {
-    const hourlyData = Array(24).fill(0);
+// Talk-time share per participant across the filtered meetings
+function renderSpeakingBalanceChart() {
+    const speakerData = {};
+    let totalTalkTime = 0;
     
-    // Calculate time spent (in minutes) for each hour
-    filteredMeetings.forEach(m => {
-        if (m.endTime && m.startTime) {
-            const startHour = new Date(m.startTime).getHours();
-            const endHour = new Date(m.endTime).getHours();
-            const duration = (m.endTime - m.startTime) / (1000 * 60); // minutes
+    filteredMeetings.forEach(meeting => {
+        Object.values(meeting.talkTime || {}).forEach(entry => {
+            if (!entry || !entry.name || !(entry.ms > 0)) return;
             
-            if (startHour === endHour) {
-                // Meeting is within the same hour
-                hourlyData[startHour] += duration;
-            } else {
-                // Meeting spans multiple hours - distribute the time
-                const startTime = new Date(m.startTime);
-                const endTime = new Date(m.endTime);
-                
-                for (let hour = startHour; hour <= endHour; hour++) {
-                    const hourStart = new Date(startTime);
-                    hourStart.setHours(hour, 0, 0, 0);
-                    
-                    const hourEnd = new Date(startTime);
-                    hourEnd.setHours(hour, 59, 59, 999);
-                    
-                    const actualStart = hour === startHour ? startTime : hourStart;
-                    const actualEnd = hour === endHour ? endTime : hourEnd;
-                    
-                    const timeInThisHour = (actualEnd - actualStart) / (1000 * 60); // minutes
-                    if (timeInThisHour > 0) {
-                        hourlyData[hour] += timeInThisHour;
-                    }
-                }
+            if (!speakerData[entry.name]) {
+                speakerData[entry.name] = { talkTime: 0, meetings: 0 };
             }
-        }
+            speakerData[entry.name].talkTime += entry.ms;
+            speakerData[entry.name].meetings += 1;
+            totalTalkTime += entry.ms;
+        });
     });
     
-    // Convert minutes to hours for display
-    const hourlyDataInHours = hourlyData.map(minutes => parseFloat((minutes / 60).toFixed(2)));
+    const speakers = Object.entries(speakerData)
+        .map(([name, data]) => ({
+            name,
+            talkTime: data.talkTime,
+            meetings: data.meetings,
+            share: totalTalkTime > 0 ? (data.talkTime / totalTalkTime) * 100 : 0
+        }))
+        .sort((a, b) => b.talkTime - a.talkTime);
     
-    // Get user's preferred start time (default to 0 = midnight)
-    const savedStartTime = localStorage.getItem('meetTracker_hourlyStartTime');
-    const startHour = savedStartTime ? parseInt(savedStartTime) : 0;
+    if (speakers.length === 0) {
+        const container = document.getElementById('speaking-balance-chart');
+        if (charts['speaking-balance-chart']) {
+            charts['speaking-balance-chart'].destroy();
+            delete charts['speaking-balance-chart'];
+        }
+        if (container) {
+            container.innerHTML = '<div style="display: flex; align-items: center; justify-content: center; height: 350px; color: #9aa0a6;">No talk-time recorded</div>';
+        }
+        return;
+    }
     
-    // Reorder data and labels to start from user's preferred hour
-    const reorderedData = [];
-    const reorderedLabels = [];
+    const chartHeight = Math.min(Math.max(350, speakers.length * 35 + 50), 800);
     
-    for (let i = 0; i < 24; i++) {
-        const actualHour = (startHour + i) % 24;
-        reorderedData.push(hourlyDataInHours[actualHour]);
-        reorderedLabels.push(formatHour(actualHour));
-    }
-
-    // Convert to 12-hour format with AM/PM
-    const formatHourLocal = (hour) => {
-        if (hour === 0) return '12 AM';
-        if (hour === 12) return '12 PM';
-        if (hour < 12) return `${hour} AM`;
-        return `${hour - 12} PM`;
-    };
-
     const options = {
         ...getCommonChartOptions(),
-        series: [{ name: 'Meeting Time', data: reorderedData, color: '#34a853' }],
-        chart: { type: 'area', height: 350 },
-        xaxis: {
-            categories: reorderedLabels,
-            title: { 
-                text: `Hour of the Day (Starting at ${formatHourLocal(startHour)})`,
-                style: { color: '#9aa0a6', fontSize: '14px' }
+        series: [{
+            name: 'Talk-time Share',
+            data: speakers.map(s => ({ x: s.name, y: parseFloat(s.share.toFixed(1)) }))
+        }],
+        chart: {
+            ...getCommonChartOptions().chart,
+            type: 'bar',
+            height: chartHeight
+        },
+        plotOptions: {
+            bar: {
+                horizontal: true,
+                borderRadius: 4
+            }
+        },
+        colors: ['#8b7cc8'],
+        dataLabels: {
+            enabled: true,
+            style: {
+                fontSize: '11px',
+                colors: ['#e8eaed']
             },
+            formatter: (val, opts) => `${val}% • ${formatDuration(speakers[opts.dataPointIndex].talkTime)}`
+        },
+        xaxis: {
+            ...getCommonChartOptions().xaxis,
+            categories: speakers.map(s => s.name),
+            max: 100,
             labels: {
-                rotate: -45,
-                style: { 
-                    colors: '#b8bcc3', // Use consistent dim white like other charts
-                    fontSize: '12px'
-                }
+                ...getCommonChartOptions().xaxis.labels,
+                formatter: (val) => `${val}%`
+            },
+            title: {
+                text: 'Share of Talk-time (%)',
+                style: { color: '#9aa0a6' }
             }
         },
         yaxis: {
-            title: { 
-                text: 'Hours Spent in Meetings',
-                style: { color: '#9aa0a6', fontSize: '14px' }
-            },
             labels: {
                 style: {
                     colors: '#b8bcc3',
-                    fontSize: '12px'
+                    fontSize: '11px'
                 },
-                formatter: (val) => `${val}h`
+                maxWidth: 150
             }
         },
-        dataLabels: { enabled: false },
-        stroke: { curve: 'smooth', width: 2 },
-        fill: { type: 'gradient', gradient: { shadeIntensity: 1, opacityFrom: 0.6, opacityTo: 0.2, stops: [0, 100] } },
         tooltip: {
-            y: { formatter: (val) => `${val} hours` },
-            theme: 'dark'
-        }
+            custom: function({ dataPointIndex }) {
+                const s = speakers[dataPointIndex];
+                return `
+                    <div style="padding: 12px; background: #1f1f1f; border: 1px solid #333; border-radius: 6px;">
+                        <div style="color: #e8eaed; font-weight: bold; margin-bottom: 8px;">${escapeHtml(s.name)}</div>
+                        <div style="color: #b8bcc3; font-size: 12px;">🎙️ Spoke for ${formatDuration(s.talkTime)} (${s.share.toFixed(1)}% of talk-time)</div>
+                        <div style="color: #b8bcc3; font-size: 12px;">🤝 Spoke in ${s.meetings} meetings</div>
+                    </div>
+                `;
+            }
+        },
+        legend: { show: false }
     };
-    renderChart('hourly-distribution-chart', options);
+    renderChart('speaking-balance-chart', options);
+}
+
+function renderActivityChart() {
+    const dailyData = getDailyTotals();
+
+    const sortedDates = Object.keys(dailyData).sort();
+    const chartData = sortedDates.map(date => ({ x: new Date(date).getTime(), y: dailyData[date].meetings }));
+
+    const options = {
+        ...getCommonChartOptions(),
+        series: [{ name: 'Meetings', data: chartData, color: '#ea4335' }],
+        chart: { type: 'bar', height: 350 },
+        xaxis: { 
+            type: 'datetime', 
+            labels: { 
+                format: 'MMM dd',
+                style: { colors: '#b8bcc3', fontSize: '12px' }
+            }
+        },
+        yaxis: { 
+            title: { 
+                text: 'Number of Meetings',
+                style: { color: '#9aa0a6' }
+            },
+            labels: {
+                style: { colors: '#b8bcc3', fontSize: '12px' }
+            }
+        },
+        tooltip: { x: { format: 'dd MMM yyyy' } }
+    };
+    renderChart('activity-chart', options);
+}
+
+function renderDurationChart() {
+    const buckets = {
+        '0-15 min': { count: 0, meetings: [] },
+        '15-30 min': { count: 0, meetings: [] },
+        '30-60 min': { count: 0, meetings: [] },
+        '1-2 hours': { count: 0, meetings: [] },
+        '2+ hours': { count: 0, meetings: [] }
+    };
+    
+    filteredMeetings.forEach(m => {
+        const duration = getMeetingDuration(m) / 60000;
+        if (duration <= 15) {
+            buckets['0-15 min'].count++;
+            buckets['0-15 min'].meetings.push(m);
+        } else if (duration <= 30) {
+            buckets['15-30 min'].count++;
+            buckets['15-30 min'].meetings.push(m);
+        } else if (duration <= 60) {
+            buckets['30-60 min'].count++;
+            buckets['30-60 min'].meetings.push(m);
+        } else if (duration <= 120) {
+            buckets['1-2 hours'].count++;
+            buckets['1-2 hours'].meetings.push(m);
+        } else {
+            buckets['2+ hours'].count++;
+            buckets['2+ hours'].meetings.push(m);
+        }
+    });
+
+    const durationColors = ['#5f7fbf', '#6ba368', '#b8a347', '#c4645a', '#7a7a7a'];
+    const bucketLabels = Object.keys(buckets);
+
+    const options = {
+        ...getCommonChartOptions(),
+        series: Object.values(buckets).map(b => b.count),
+        labels: bucketLabels,
+        colors: durationColors,
+        chart: { 
+            type: 'pie', 
+            height: 350,
+            events: {
+                dataPointSelection: function(event, chartContext, config) {
+                    const selectedLabel = bucketLabels[config.dataPointIndex];
+                    const selectedData = buckets[selectedLabel];
+                    showDurationDrillDown(selectedLabel, selectedData.meetings);
+                }
+            }
+        },
+        stroke: {
+            show: false
+        },
+        legend: { 
+            position: 'bottom',
+            labels: {
+                colors: '#e8eaed'
+            }
+        },
+        tooltip: { 
+            y: { formatter: (val) => `${val} meetings - Click to see details` },
+            theme: 'dark'
+        },
+        dataLabels: {
+            enabled: true,
+            style: {
+                fontSize: '12px',
+                colors: ['#ffffff'],
+                fontWeight: 'bold'
+            }
+        }
+    };
+    renderChart('duration-chart', options);
+}
+
+function renderWeeklyPatternChart() {
+    const weeklyData = [0, 0, 0, 0, 0, 0, 0]; // Sun - Sat
+    if (filteredRollups) {
+        // Rollup dates are UTC days
+        filteredRollups.forEach(rollup => {
+            weeklyData[new Date(rollup.date).getUTCDay()] += rollup.totalTime / (1000 * 60 * 60); // hours
+        });
+    } else {
+        filteredMeetings.forEach(m => {
+            if (m.startTime) {
+                const day = new Date(m.startTime).getDay();
+                const duration = getMeetingDuration(m) / (1000 * 60 * 60); // hours
+                if (duration > 0) { // Only add positive durations
+                    weeklyData[day] += duration;
+                }
+            }
+        });
+    }
+
+    const options = {
+        ...getCommonChartOptions(),
+        series: [{ name: 'Total Meeting Time', data: weeklyData.map(d => d.toFixed(2)), color: '#fbbc04' }],
+        chart: { type: 'radar', height: 350 },
+        xaxis: {
+            categories: ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday']
+        },
+        yaxis: { labels: { formatter: (val) => `${val}h` } },
+        tooltip: { y: { formatter: (val) => `${val} hours` } }
+    };
+    renderChart('weekly-pattern-chart', options);
+}
+
+function renderHourlyDistributionChart() {
+    const hourlyData = Array(24).fill(0);
+    
+    if (filteredRollups) {
+        // Minutes per UTC hour are kept per day - charted by the local hour they fell in that day
+        filteredRollups.forEach(rollup => {
+            rollup.hourMinutes.forEach((minutes, hour) => {
+                const localHour = new Date(`${rollup.date}T${String(hour).padStart(2, '0')}:00:00.000Z`).getHours();
+                hourlyData[localHour] += minutes;
+            });
+        });
+    } else {
+        // Calculate time spent (in minutes) for each hour - per session, so reconnect gaps don't count
+        filteredMeetings.flatMap(getAttendedSpans).forEach(m => {
+            const startHour = new Date(m.startTime).getHours();
+            const endHour = new Date(m.endTime).getHours();
+            const duration = (m.endTime - m.startTime) / (1000 * 60); // minutes
+            
+            if (startHour === endHour) {
+                // Meeting is within the same hour
+                hourlyData[startHour] += duration;
+            } else {
+                // Meeting spans multiple hours - distribute the time
+                const startTime = new Date(m.startTime);
+                const endTime = new Date(m.endTime);
+                
+                for (let hour = startHour; hour <= endHour; hour++) {
+                    const hourStart = new Date(startTime);
+                    hourStart.setHours(hour, 0, 0, 0);
+                    
+                    const hourEnd = new Date(startTime);
+                    hourEnd.setHours(hour, 59, 59, 999);
+                    
+                    const actualStart = hour === startHour ? startTime : hourStart;
+                    const actualEnd = hour === endHour ? endTime : hourEnd;
+                    
+                    const timeInThisHour = (actualEnd - actualStart) / (1000 * 60); // minutes
+                    if (timeInThisHour > 0) {
+                        hourlyData[hour] += timeInThisHour;
+                    }
+                }
+            }
+        });
+    }
+    
+    // Convert minutes to hours for display
+    const hourlyDataInHours = hourlyData.map(minutes => parseFloat((minutes / 60).toFixed(2)));
+    
+    // Get user's preferred start time (default to 0 = midnight)
+    const savedStartTime = localStorage.getItem('meetTracker_hourlyStartTime');
+    const startHour = savedStartTime ? parseInt(savedStartTime) : 0;
+    
+    // Reorder data and labels to start from user's preferred hour
+    const reorderedData = [];
+    const reorderedLabels = [];
+    
+    for (let i = 0; i < 24; i++) {
+        const actualHour = (startHour + i) % 24;
+        reorderedData.push(hourlyDataInHours[actualHour]);
+        reorderedLabels.push(formatHour(actualHour));
+    }
+
+    // Convert to 12-hour format with AM/PM
+    const formatHourLocal = (hour) => {
+        if (hour === 0) return '12 AM';
+        if (hour === 12) return '12 PM';
+        if (hour < 12) return `${hour} AM`;
+        return `${hour - 12} PM`;
+    };
+
+    const options = {
+        ...getCommonChartOptions(),
+        series: [{ name: 'Meeting Time', data: reorderedData, color: '#34a853' }],
+        chart: { type: 'area', height: 350 },
+        xaxis: {
+            categories: reorderedLabels,
+            title: { 
+                text: `Hour of the Day (Starting at ${formatHourLocal(startHour)})`,
+                style: { color: '#9aa0a6', fontSize: '14px' }
+            },
+            labels: {
+                rotate: -45,
+                style: { 
+                    colors: '#b8bcc3', // Use consistent dim white like other charts
+                    fontSize: '12px'
+                }
+            }
+        },
+        yaxis: {
+            title: { 
+                text: 'Hours Spent in Meetings',
+                style: { color: '#9aa0a6', fontSize: '14px' }
+            },
+            labels: {
+                style: {
+                    colors: '#b8bcc3',
+                    fontSize: '12px'
+                },
+                formatter: (val) => `${val}h`
+            }
+        },
+        dataLabels: { enabled: false },
+        stroke: { curve: 'smooth', width: 2 },
+        fill: { type: 'gradient', gradient: { shadeIntensity: 1, opacityFrom: 0.6, opacityTo: 0.2, stops: [0, 100] } },
+        tooltip: {
+            y: { formatter: (val) => `${val} hours` },
+            theme: 'dark'
+        }
+    };
+    renderChart('hourly-distribution-chart', options);
+}
+
+function updateDetailedStats() {
+    const dailyTotals = Object.entries(getDailyTotals());
+
+    const busiestDay = dailyTotals.length ? 
+        dailyTotals.sort((a, b) => b[1].time - a[1].time)[0] : ['-', 0];
+    
+    const totalTime = dailyTotals.reduce((sum, [, day]) => sum + day.time, 0);
+    const totalMeetings = dailyTotals.reduce((sum, [, day]) => sum + day.meetings, 0);
+    const avgMeetingLength = totalMeetings ? totalTime / totalMeetings : 0;
+
+    const totalHoursInMeetings = totalTime / 3600000;
+
+    document.getElementById('busiest-day').textContent = busiestDay[0] !== '-' ? new Date(busiestDay[0]).toLocaleDateString() : '-';
+    document.getElementById('avg-meeting-length').textContent = formatDuration(avgMeetingLength);
+    document.getElementById('total-hours-saved').textContent = `${totalHoursInMeetings.toFixed(1)}h`;
+}
+
+function updateParticipantsSummary() {
+    const container = document.getElementById('frequent-participants');
+    const participantCounts = {};
+    
+    filteredMeetings.forEach(m => {
+        if (m.participants && Array.isArray(m.participants)) {
+            m.participants.forEach(p => {
+                // Handle different participant data formats
+                const participantName = getParticipantName(p);
+                
+                if (participantName && participantName !== 'Unknown' && !isSelfParticipant(p)) {
+                    participantCounts[participantName] = (participantCounts[participantName] || 0) + 1;
+                }
+            });
+        }
+    });
+
+    const sorted = Object.entries(participantCounts).sort((a, b) => b[1] - a[1]).slice(0, 10);
+
+    if (sorted.length === 0) {
+        container.innerHTML = '<div class="loading">No participants found</div>';
+        return;
+    }
+    container.innerHTML = sorted.map(([name, count]) => `
+        <div class="participant-item">
+            <span class="participant-name">${escapeHtml(name)}</span>
+            <span class="participant-count">${count} meetings</span>
+        </div>
+    `).join('');
+}
+
+function updateRecentMeetings() {
+    const container = document.getElementById('recent-meetings-list');
+    const recent = [...filteredMeetings].sort((a, b) => b.startTime - a.startTime).slice(0, 5);
+
+    if (recent.length === 0) {
+        container.innerHTML = '<div class="loading">No meetings found</div>';
+        return;
+    }
+    container.innerHTML = recent.map(m => {
+        // Calculate real-time duration for ongoing meetings
+        let duration;
+        if (m.endTime) {
+            duration = formatDuration(getMeetingDuration(m));
+        } else if (m.currentDuration) {
+            // Use currentDuration from minute logs
+            duration = formatDuration(m.currentDuration) + ' (ongoing)';
+        } else {
+            // Fallback: calculate from start time
+            duration = formatDuration(Date.now() - m.startTime) + ' (ongoing)';
+        }
+        return `
+            <div class="meeting-item" data-meeting-id="${m.id}">
+                <div class="meeting-info">
+                    <div>${new Date(m.startTime).toLocaleString()}</div>
+                    <div class="meeting-time">${duration} • ${m.participants.length}p</div>
+                </div>
+            </div>
+        `;
+    }).join('');
+    
+    // Add event listeners for meeting items (CSP-compliant)
+    container.querySelectorAll('.meeting-item').forEach(item => {
+        item.addEventListener('click', (e) => {
+            const meetingId = e.currentTarget.getAttribute('data-meeting-id');
+            showMeetingDetails(meetingId);
+        });
+    });
+}
+
+function updateMeetingsTable() {
+    const tbody = document.getElementById('meetings-table-body');
+    const countEl = document.getElementById('filtered-count');
+    const paginationContainer = document.getElementById('pagination-container');
+    
+    if (filteredMeetings.length === 0) {
+        tbody.innerHTML = '<tr class="loading-row"><td colspan="7">No meetings found</td></tr>';
+        countEl.textContent = '0 meetings';
+        paginationContainer.style.display = 'none';
+        tableRequestId++;
+        return;
+    }
+    
+    // Calculate pagination
+    totalPages = Math.ceil(filteredMeetings.length / pageSize);
+    
+    // Ensure current page is valid
+    if (currentPage > totalPages) {
+        currentPage = 1;
+    }
+    
+    // Count active vs completed meetings
+    const activeMeetings = filteredMeetings.filter(m => m.isActive === true).length;
+    const completedMeetings = filteredMeetings.length - activeMeetings;
+    
+    countEl.textContent = `${filteredMeetings.length} meetings (${activeMeetings} active, ${completedMeetings} completed)`;
+    
+    // Filters or sort changed: page cursors start over
+    pageCursors = [null];
+    renderMeetingsPage();
+}
+
+// Query arguments of the table's getMeetingsAggregated pages
+function getTableQuery() {
+    return {
+        raw: showRawSessions,
+        startDate: activeFilters.startDate,
+        endDate: activeFilters.endDate,
+        participant: activeFilters.participant,
+        platform: activeFilters.platform,
+        title: activeFilters.title,
+        sort: tableSort,
+        includeLobbyOnly: false
+    };
+}
+
+function queryMeetingsPage(cursor) {
+    return new Promise((resolve, reject) => {
+        chrome.runtime.sendMessage({ action: 'getMeetingsAggregated', ...getTableQuery(), cursor, limit: pageSize }, (response) => {
+            if (chrome.runtime.lastError) {
+                reject(new Error(chrome.runtime.lastError.message));
+            } else if (!response || response.error || !Array.isArray(response.meetings)) {
+                reject(new Error(response?.error || 'Invalid page response'));
+            } else {
+                resolve(response);
+            }
+        });
+    });
+}
+
+// Meetings of a table page. Pages come from storage; cursors of pages not visited yet are
+// walked to. The participation filter is only known here, so it pages filteredMeetings instead.
+async function fetchMeetingsPage(page) {
+    const canQuery = typeof chrome !== 'undefined' && chrome.runtime && chrome.runtime.sendMessage;
+    
+    if (canQuery && !activeFilters.participation) {
+        try {
+            let response = null;
+            for (let n = Math.min(pageCursors.length, page); n <= page; n++) {
+                if (n > 1 && !pageCursors[n - 1]) break;
+                response = await queryMeetingsPage(pageCursors[n - 1]);
+                pageCursors[n] = response.nextCursor;
+            }
+            if (response) {
+                return response.meetings;
+            }
+        } catch (error) {
+            console.warn('⚠️ Page query failed, paging loaded meetings instead:', error.message);
+        }
+    }
+    
+    const direction = tableSort === 'oldest' ? -1 : 1;
+    const sorted = [...filteredMeetings].sort((a, b) => direction * (b.startTime - a.startTime));
+    const startIndex = (page - 1) * pageSize;
+    return sorted.slice(startIndex, startIndex + pageSize);
+}
+
+async function renderMeetingsPage() {
+    const tbody = document.getElementById('meetings-table-body');
+    const requestId = ++tableRequestId;
+    const paginatedMeetings = await fetchMeetingsPage(currentPage);
+    
+    // A newer page request (or filter change) started meanwhile
+    if (requestId !== tableRequestId) return;
+    
+    // Render meetings table
+    tbody.innerHTML = paginatedMeetings.map((m, index) => {
+        // Calculate real-time duration for ongoing meetings in table
+        let duration;
+        let statusIndicator = '';
+        
+        if (m.isActive) {
+            // Active meeting - show current duration
+            if (m.duration > 0) {
+                // Use accumulated duration from completed sessions + current session time
+                const currentSessionTime = Date.now() - m.startTime;
+                duration = formatDuration(m.duration + currentSessionTime) + ' (ongoing)';
+            } else {
+                // Fallback: calculate from start time
+                duration = formatDuration(Date.now() - m.startTime) + ' (ongoing)';
+            }
+            statusIndicator = '<span class="status-active" title="Meeting in progress">🔴 LIVE</span> ';
+        } else if (m.endTime) {
+            duration = formatDuration(m.duration || (m.endTime - m.startTime));
+            statusIndicator = '<span class="status-completed" title="Meeting completed">✅</span> ';
+        } else {
+            // Fallback: calculate from start time
+            duration = formatDuration(Date.now() - m.startTime) + ' (ongoing)';
+            statusIndicator = '<span class="status-active" title="Meeting in progress">🔴 LIVE</span> ';
+        }
+        
+        const efficiency = calculateEfficiencyScore(m);
+        
+        // Handle participant display with proper name extraction
+        const participantNames = [];
+        if (m.participants && Array.isArray(m.participants)) {
+            m.participants.forEach(p => {
+                const participantName = getParticipantName(p);
+                if (participantName && participantName !== 'Unknown') {
+                    participantNames.push(participantName);
+                }
+            });
+        }
+        
+        const participants = participantNames.slice(0, 3).join(', ') + (participantNames.length > 3 ? ` (+${participantNames.length - 3})` : '');
+        const title = m.title || `Meeting ${m.meetingId || m.id}`;
+        const shortTitle = title.length > 30 ? title.substring(0, 27) + '...' : title;
+        
+        // Reconnects stitched into this attendance
+        const sessionInfo = m.reconnectCount > 0 ? ` (${m.reconnectCount} reconnect${m.reconnectCount > 1 ? 's' : ''})` : '';
+        const displayTitle = (PLATFORM_ICONS[m.platform] || '') + shortTitle + sessionInfo;
+        
+        // Flag time spent in another meeting at the same time
+        const doubleBookedBadge = m.doubleBookedMs > 0 ?
+            `<br><span class="double-booked-badge" title="Also in ${escapeHtml((m.overlappingMeetings || []).map(o => o.title || o.meetingId).join(', '))} for ${formatDuration(m.doubleBookedMs)}">⚠️ ${formatDuration(m.doubleBookedMs)} double-booked</span>` : '';
+        
+        // Time away between reconnects is not part of the duration
+        const gapBadge = m.gapTime > 0 ?
+            `<br><span class="gap-badge" title="Away ${(m.gaps || []).map(gap => `${new Date(gap.start).toLocaleTimeString()}-${new Date(gap.end).toLocaleTimeString()}`).join(', ')}">⏸️ ${formatDuration(m.gapTime)} away</span>` : '';
+        
+        const engagement = getEngagementTotals(m);
+        const engagementCell = engagement.total > 0 ?
+            `<span title="${engagement.chatMessages} chat messages, ${engagement.reactions} reactions, ${engagement.handRaises} raised hands">💬 ${engagement.chatMessages} · 👍 ${engagement.reactions} · ✋ ${engagement.handRaises}</span>` :
+            '<span style="color: #9aa0a6;">-</span>';
+        
+        const lowQualityBadge = m.qualityScore !== null && m.qualityScore !== undefined && m.qualityScore < LOW_QUALITY_SCORE ?
+            `<br><span class="low-quality-badge" title="Participant detection was unreliable (quality ${m.qualityScore}/100) - counts may be incomplete">🩺 low confidence</span>` : '';
+        
+        return `
+            <tr class="${m.isActive ? 'active-session' : 'completed-session'}">
+                <td>${statusIndicator}${new Date(m.startTime).toLocaleString()}</td>
+                <td class="meeting-title" title="${escapeHtml(title + sessionInfo)}">${escapeHtml(displayTitle)}</td>
+                <td>${duration}${gapBadge}${doubleBookedBadge}</td>
+                <td class="meeting-participants" title="${escapeHtml(participantNames.join(', '))}">${escapeHtml(participants)}</td>
+                <td>${engagementCell}</td>
+                <td>${efficiency}${lowQualityBadge}</td>
+                <td>
+                    <button class="view-details" data-meeting-id="${m.id}">Details</button>
+                    ${!m.isActive ? `<button class="delete-meeting" data-meeting-id="${m.id}" title="Delete this meeting">🗑️</button>` : ''}
+                </td>
+            </tr>
+        `;
+    }).join('');
+    
+    // Add event listeners for detail buttons (CSP-compliant)
+    tbody.querySelectorAll('.view-details').forEach(button => {
+        button.addEventListener('click', (e) => {
+            const meetingId = e.target.getAttribute('data-meeting-id');
+            showMeetingDetails(meetingId);
+        });
+    });
+    
+    // Add event listeners for delete buttons (CSP-compliant)
+    tbody.querySelectorAll('.delete-meeting').forEach(button => {
+        button.addEventListener('click', (e) => {
+            const meetingId = e.target.getAttribute('data-meeting-id');
+            deleteMeetingEntry(meetingId);
+        });
+    });
+    
+    // Update pagination controls
+    updatePaginationControls();
+}
+
+// Calculate a more intuitive efficiency score for typical 15-60 minute meetings
+function calculateEfficiencyScore(meeting) {
+    if (!meeting.endTime || !meeting.participants.length) {
+        return 'N/A';
+    }
+    
+    const durationMinutes = getMeetingDuration(meeting) / 60000;
+    const participantCount = meeting.participants.length;
+    const totalPersonMinutes = durationMinutes * participantCount;
+    
+    // Score based on total person-minutes invested
+    // Lower scores = more efficient
+    let score, grade;
+    
+    if (totalPersonMinutes <= 60) { // <= 1 hour total investment
+        score = totalPersonMinutes;
+        grade = 'A';
+    } else if (totalPersonMinutes <= 120) { // <= 2 hours total investment
+        score = totalPersonMinutes;
+        grade = 'B';
+    } else if (totalPersonMinutes <= 240) { // <= 4 hours total investment
+        score = totalPersonMinutes;
+        grade = 'C';
+    } else if (totalPersonMinutes <= 480) { // <= 8 hours total investment
+        score = totalPersonMinutes;
+        grade = 'D';
+    } else {
+        score = totalPersonMinutes;
+        grade = 'F';
+    }
+    
+    return `${Math.round(score)} (${grade})`;
+}
+
+// options.tab opens a tab other than the overview ('transcript'); options.highlight marks
+// search words in the transcript
+function showMeetingDetails(meetingId, options = {}) {
+    const meeting = allMeetings.find(m => m.id === meetingId);
+    if (!meeting) {
+        console.error('Meeting not found:', meetingId);
+        return;
+    }
+
+    const modalBody = document.getElementById('modal-body');
+    const duration = meeting.endTime ? formatDuration(meeting.duration || (meeting.endTime - meeting.startTime)) : 'Ongoing';
+    const efficiency = calculateEfficiencyScore(meeting);
+    
+    // Check if this is an aggregated meeting with sessions
+    const isAggregated = meeting.sessions && meeting.sessions.length > 0;
+    
+    // Zombie time removed by moving cleanup-ended sessions back to their last minute record
+    const correctedMs = (isAggregated ? meeting.sessions : [meeting])
+        .filter(session => session.heartbeatCorrection)
+        .reduce((sum, session) => sum + session.heartbeatCorrection.originalEndTime - session.heartbeatCorrection.endTime, 0);
+    
+    let sessionsHtml = '';
+    if (isAggregated) {
+        sessionsHtml = `
+        <div style="margin: 1.5rem 0; padding: 1rem; background: #2a2a2a; border-radius: 8px;">
+            <h4 style="margin: 0 0 1rem 0; color: #e8eaed;">📋 Individual Sessions (${meeting.sessions.length})</h4>
+            <div class="sessions-list">
+                ${meeting.sessions.map((session, index) => {
+                    const sessionDuration = session.endTime ? 
+                        formatDuration(session.endTime - session.startTime) : 
+                        'Ongoing';
+                    const sessionParticipants = session.participants || [];
+                    const participantNames = sessionParticipants.map(getParticipantName).filter(name => name !== 'Unknown');
+                    
+                    return `
+                    <div class="session-item" style="background: #1a1a1a; margin: 0.5rem 0; padding: 1rem; border-radius: 6px; border-left: 3px solid #4285f4;">
+                        <div style="display: flex; justify-content: between; align-items: flex-start; margin-bottom: 0.5rem;">
+                            <div style="flex: 1;">
+                                <strong>Session ${index + 1}</strong>
+                                <span style="color: #9aa0a6; margin-left: 0.5rem;">${session.endTime ? '✅ Completed' : '🔴 Active'}</span>
+                            </div>
+                            <button class="delete-session-btn" data-session-id="${session.sessionId}" style="background: #ea4335; color: white; border: none; padding: 4px 8px; border-radius: 4px; cursor: pointer; font-size: 12px;">Delete</button>
+                        </div>
+                        <div style="font-size: 0.9em; color: #b8bcc3;">
+                            <div><strong>Time:</strong> ${new Date(session.startTime).toLocaleString()} - ${session.endTime ? new Date(session.endTime).toLocaleString() : 'Now'}</div>
+                            <div><strong>Duration:</strong> ${sessionDuration}</div>
+                            <div><strong>Participants:</strong> ${participantNames.length > 0 ? participantNames.join(', ') : 'None recorded'}</div>
+                        </div>
+                    </div>
+                    `;
+                }).join('')}
+            </div>
+        </div>
+        `;
+    }
+    
+    const calendarHtml = renderCalendarEventDetails(meeting);
+    const attendance = meeting.attendance || [];
+    const presenceHtml = attendance.length > 0 ? `
+        <div style="margin: 1.5rem 0; padding: 1rem; background: #2a2a2a; border-radius: 8px;">
+            <h4 style="margin: 0 0 1rem 0; color: #e8eaed;">⏱️ Presence Timeline</h4>
+            <div id="presence-swimlane-chart"></div>
+            <div style="font-size: 0.9em; color: #b8bcc3; margin-top: 0.5rem;">
+                ${attendance.map(a => `
+                    <div style="display: flex; justify-content: space-between; padding: 2px 0;">
+                        <span>${escapeHtml(a.name)}</span>
+                        <span>${formatDuration(a.attendedMs)} (${a.attendancePercent}%)${a.intervals.length > 1 ? ` · ${a.intervals.length} stints` : ''}</span>
+                    </div>
+                `).join('')}
+            </div>
+        </div>
+    ` : '';
+    
+    const engagementEntries = Object.values(meeting.engagement || {})
+        .map(e => ({ ...e, total: (e.chatMessages || 0) + (e.reactions || 0) + (e.handRaises || 0) }))
+        .filter(e => e.total > 0)
+        .sort((a, b) => b.total - a.total);
+    const engagementHtml = engagementEntries.length > 0 ? `
+        <div style="margin: 1.5rem 0; padding: 1rem; background: #2a2a2a; border-radius: 8px;">
+            <h4 style="margin: 0 0 1rem 0; color: #e8eaed;">🙋 Engagement</h4>
+            <div style="font-size: 0.9em; color: #b8bcc3;">
+                ${engagementEntries.map(e => `
+                    <div style="display: flex; justify-content: space-between; padding: 2px 0;">
+                        <span>${escapeHtml(e.name || 'Unknown')}</span>
+                        <span>💬 ${e.chatMessages || 0} · 👍 ${e.reactions || 0} · ✋ ${e.handRaises || 0}</span>
+                    </div>
+                `).join('')}
+            </div>
+        </div>
+    ` : '';
+    
+    const talkTimeEntries = Object.values(meeting.talkTime || {})
+        .filter(t => t && t.ms > 0)
+        .sort((a, b) => b.ms - a.ms);
+    const totalTalkTime = talkTimeEntries.reduce((sum, t) => sum + t.ms, 0);
+    const talkTimeHtml = talkTimeEntries.length > 0 ? `
+        <div style="margin: 1.5rem 0; padding: 1rem; background: #2a2a2a; border-radius: 8px;">
+            <h4 style="margin: 0 0 1rem 0; color: #e8eaed;">🎙️ Speaking Balance</h4>
+            <div style="font-size: 0.9em; color: #b8bcc3;">
+                ${talkTimeEntries.map(t => {
+                    const share = Math.round((t.ms / totalTalkTime) * 100);
+                    return `
+                    <div style="display: flex; align-items: center; gap: 8px; padding: 2px 0;">
+                        <span style="flex: 0 0 35%;">${escapeHtml(t.name || 'Unknown')}</span>
+                        <span style="flex: 1; background: #1a1a1a; border-radius: 3px; height: 8px;">
+                            <span style="display: block; width: ${share}%; height: 100%; background: #8b7cc8; border-radius: 3px;"></span>
+                        </span>
+                        <span style="flex: 0 0 auto;">${share}% · ${formatDuration(t.ms)}</span>
+                    </div>
+                    `;
+                }).join('')}
+            </div>
+        </div>
+    ` : '';
+    
+    const presentation = meeting.presentation;
+    const presentationHtml = presentation && presentation.segments.length > 0 ? `
+        <div style="margin: 1.5rem 0; padding: 1rem; background: #2a2a2a; border-radius: 8px;">
+            <h4 style="margin: 0 0 1rem 0; color: #e8eaed;">🖥️ Presentations</h4>
+            <div style="font-size: 0.9em; color: #b8bcc3;">
+                <div style="margin-bottom: 0.5rem;"><strong>Presentation:</strong> ${formatDuration(presentation.totalMs)} (${presentation.percentOfMeeting}%) · <strong>Discussion:</strong> ${100 - presentation.percentOfMeeting}%</div>
+                ${presentation.segments.map(s => `
+                    <div style="display: flex; justify-content: space-between; padding: 2px 0;">
+                        <span>${escapeHtml(s.name || 'Unknown')}${s.isSelf ? ' <span style="color: #9aa0a6;">(me)</span>' : ''}</span>
+                        <span>${new Date(s.start).toLocaleTimeString()} - ${new Date(s.end).toLocaleTimeString()} (${formatDuration(s.end - s.start)})</span>
+                    </div>
+                `).join('')}
+            </div>
+        </div>
+    ` : '';
+    
+    modalBody.innerHTML = `
+        <div class="modal-tabs">
+            <button class="modal-tab active" data-tab="overview">Overview</button>
+            <button class="modal-tab" data-tab="transcript">💬 Transcript</button>
+        </div>
+        <div class="modal-tab-panel" data-panel="overview">
+        ${meeting.title ? `<div style="margin-bottom: 1rem;"><strong>Title:</strong> ${escapeHtml(meeting.title)}</div>` : ''}
+        <div style="margin-bottom: 1rem;">
+            <strong>URL:</strong> <a href="${meeting.url}" target="_blank" style="color: #1a73e8;">${meeting.url}</a>
+        </div>
+        <div style="margin-bottom: 1rem;">
+            <strong>Overall Time:</strong> ${new Date(meeting.startTime).toLocaleString()} - ${meeting.endTime ? new Date(meeting.endTime).toLocaleString() : 'Now'}<br>
+            <strong>Total Duration:</strong> ${duration}<br>
+            ${isAggregated ? `<strong>Sessions:</strong> ${meeting.sessionCount} join/leave cycles<br>` : ''}
+            ${meeting.gapTime > 0 ? `<strong>Gap Time:</strong> ${formatDuration(meeting.gapTime)} away across ${meeting.reconnectCount} reconnect${meeting.reconnectCount > 1 ? 's' : ''} (not counted in duration)<br>` : ''}
+            ${correctedMs > 0 ? `<strong>Corrected:</strong> ${formatDuration(correctedMs)} after the last heartbeat removed (ended by zombie cleanup)<br>` : ''}
+            <strong>Efficiency Score:</strong> ${efficiency} 
+            <span class="efficiency-help">?
+                <div class="tooltip">
+                    <strong>Efficiency Score</strong><br><br>
+                    Measures total person-minutes invested in the meeting.<br>
+                    <em>Lower scores are more efficient.</em><br><br>
+                    <strong>Calculation:</strong> Duration × Participants<br><br>
+                    <strong>Grades:</strong><br>
+                    <span class="tooltip-grade">A:</span> ≤60 person-minutes <span class="tooltip-example">(e.g., 30 min × 2 people)</span><br>
+                    <span class="tooltip-grade">B:</span> 61-120 person-minutes <span class="tooltip-example">(e.g., 60 min × 2 people)</span><br>
+                    <span class="tooltip-grade">C:</span> 121-240 person-minutes <span class="tooltip-example">(e.g., 30 min × 8 people)</span><br>
+                    <span class="tooltip-grade">D:</span> 241-480 person-minutes <span class="tooltip-example">(e.g., 60 min × 8 people)</span><br>
+                    <span class="tooltip-grade">F:</span> >480 person-minutes
+                </div>
+            </span>
+        </div>
+        <div>
+            <strong>All Participants (${meeting.participants.length}):</strong><br>
+            <div style="display: flex; flex-wrap: wrap; gap: 8px; margin-top: 8px;">
+                ${meeting.participants.map(p => {
+                    const participantName = getParticipantName(p);
+                    return `<span style="background: #333; padding: 4px 8px; border-radius: 4px;">${escapeHtml(participantName)}</span>`;
+                }).join('')}
+            </div>
+        </div>
+        ${calendarHtml}
+        ${meeting.dataQuality ? `
+        <div style="margin-top: 1rem;">
+            <strong>Data Quality:</strong> ${meeting.dataQuality.score}/100
+            (lowest ${meeting.dataQuality.minScore}, ${meeting.dataQuality.degradedMinutes} of ${meeting.dataQuality.samples} min degraded)
+            ${meeting.dataQuality.score < LOW_QUALITY_SCORE ? ' · 🩺 participant data may be incomplete' : ''}
+        </div>` : ''}
+        ${meeting.doubleBookedMs > 0 ? `
+        <div style="margin-top: 1rem;">
+            <strong>⚠️ Double-booked:</strong> ${formatDuration(meeting.doubleBookedMs)} in another meeting at the same time
+            (${(meeting.overlappingMeetings || []).map(o => escapeHtml(o.title || o.meetingId)).join(', ')})
+        </div>` : ''}
+        ${meeting.lobbyTime ? `
+        <div style="margin-top: 1rem;">
+            <strong>Waiting to be Admitted:</strong> ${formatDuration(meeting.lobbyTime)} (not included in duration)
+            ${(meeting.lobbyAttempts || []).filter(a => a.outcome === 'denied' || a.outcome === 'timeout').length > 0 ?
+                ` · 🚫 ${(meeting.lobbyAttempts || []).filter(a => a.outcome === 'denied' || a.outcome === 'timeout').length} refused` : ''}
+        </div>` : ''}
+        ${meeting.localMedia ? `
+        <div style="margin-top: 1rem;">
+            <strong>My Mic & Camera:</strong> 📷 ${meeting.localMedia.cameraOnPercent}% on camera · 🎤 ${meeting.localMedia.unmutedPercent}% unmuted
+            (${meeting.localMedia.micToggles} mic / ${meeting.localMedia.cameraToggles} camera toggles)
+        </div>` : ''}
+        ${presenceHtml}
+        ${presentationHtml}
+        ${talkTimeHtml}
+        ${engagementHtml}
+        ${sessionsHtml}
+        </div>
+        <div class="modal-tab-panel" data-panel="transcript" style="display: none;"></div>
+    `;
+    
+    modalBody.querySelectorAll('.modal-tab').forEach(button => {
+        button.addEventListener('click', () => showModalTab(button.getAttribute('data-tab'), meeting, options.highlight));
+    });
+    
+    // Add event listeners for delete session buttons
+    modalBody.querySelectorAll('.delete-session-btn').forEach(button => {
+        button.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const sessionId = e.target.getAttribute('data-session-id');
+            deleteSession(sessionId, meetingId);
+        });
+    });
+    
+    document.getElementById('meeting-modal').style.display = 'flex';
+    
+    if (attendance.length > 0) {
+        renderPresenceSwimlane(attendance);
+    }
+    
+    if (options.tab) {
+        showModalTab(options.tab, meeting, options.highlight);
+    }
 }
 
-function updateDetailedStats() {
-    const dailyTime = {};
-    filteredMeetings.forEach(m => {
-        const date = new Date(m.startTime).toISOString().split('T')[0];
-        dailyTime[date] = (dailyTime[date] || 0) + (m.endTime ? (m.endTime - m.startTime) : 0);
+// Chat messages, reactions and hand raises summed over every participant
+function getEngagementTotals(meeting) {
+    const totals = { chatMessages: 0, reactions: 0, handRaises: 0, total: 0 };
+    Object.values(meeting.engagement || {}).forEach(entry => {
+        totals.chatMessages += entry.chatMessages || 0;
+        totals.reactions += entry.reactions || 0;
+        totals.handRaises += entry.handRaises || 0;
     });
+    totals.total = totals.chatMessages + totals.reactions + totals.handRaises;
+    return totals;
+}
 
-    const busiestDay = Object.keys(dailyTime).length ? 
-        Object.entries(dailyTime).sort((a, b) => b[1] - a[1])[0] : ['-', 0];
+function showModalTab(tab, meeting, highlight) {
+    const modalBody = document.getElementById('modal-body');
+    modalBody.querySelectorAll('.modal-tab').forEach(button => {
+        button.classList.toggle('active', button.getAttribute('data-tab') === tab);
+    });
+    modalBody.querySelectorAll('.modal-tab-panel').forEach(panel => {
+        panel.style.display = panel.getAttribute('data-panel') === tab ? 'block' : 'none';
+    });
     
-    const avgMeetingLength = filteredMeetings.length ? 
-        filteredMeetings.reduce((sum, m) => sum + (m.endTime ? m.endTime - m.startTime : 0), 0) / filteredMeetings.length : 0;
-
-    const totalHoursInMeetings = filteredMeetings.reduce((sum, m) => sum + (m.endTime ? (m.endTime - m.startTime) / 3600000 : 0), 0);
+    // Transcripts are only fetched when the tab is opened
+    const transcriptPanel = modalBody.querySelector('[data-panel="transcript"]');
+    if (tab === 'transcript' && !transcriptPanel.dataset.loaded) {
+        transcriptPanel.dataset.loaded = 'true';
+        loadTranscriptPanel(transcriptPanel, meeting, highlight);
+    }
+}
 
-    document.getElementById('busiest-day').textContent = busiestDay[0] !== '-' ? new Date(busiestDay[0]).toLocaleDateString() : '-';
-    document.getElementById('avg-meeting-length').textContent = formatDuration(avgMeetingLength);
-    document.getElementById('total-hours-saved').textContent = `${totalHoursInMeetings.toFixed(1)}h`;
+function getMeetingSessionIds(meeting) {
+    if (meeting.sessions && meeting.sessions.length > 0) {
+        return meeting.sessions.map(session => session.sessionId).filter(Boolean);
+    }
+    return [meeting.sessionId || meeting.id];
 }
 
-function updateParticipantsSummary() {
-    const container = document.getElementById('frequent-participants');
-    const participantCounts = {};
+async function loadTranscriptPanel(panel, meeting, highlight) {
+    panel.innerHTML = '<div class="loading">Loading transcript...</div>';
     
-    filteredMeetings.forEach(m => {
-        if (m.participants && Array.isArray(m.participants)) {
-            m.participants.forEach(p => {
-                // Handle different participant data formats
-                let participantName = '';
-                if (typeof p === 'string') {
-                    participantName = p;
-                } else if (p && typeof p === 'object') {
-                    participantName = p.name || p.displayName || p.id || 'Unknown';
-                }
-                
-                if (participantName && participantName !== 'Unknown') {
-                    participantCounts[participantName] = (participantCounts[participantName] || 0) + 1;
+    try {
+        const transcripts = await new Promise((resolve, reject) => {
+            chrome.runtime.sendMessage({ action: 'getTranscripts', sessionIds: getMeetingSessionIds(meeting) }, (response) => {
+                if (chrome.runtime.lastError) {
+                    reject(chrome.runtime.lastError);
+                } else {
+                    resolve(response || []);
                 }
             });
+        });
+        
+        if (transcripts.length === 0) {
+            panel.innerHTML = `<div class="transcript-empty">No captions were captured for this meeting. Turn on "Capture live captions" and Meet's captions to record transcripts.</div>`;
+            return;
         }
-    });
-
-    const sorted = Object.entries(participantCounts).sort((a, b) => b[1] - a[1]).slice(0, 10);
-
-    if (sorted.length === 0) {
-        container.innerHTML = '<div class="loading">No participants found</div>';
-        return;
+        
+        panel.innerHTML = transcripts.map((transcript, index) => `
+            ${transcripts.length > 1 ? `<h4 style="margin: 1rem 0 0.5rem 0; color: #e8eaed;">Session ${index + 1} · ${new Date(transcript.startTime).toLocaleTimeString()}</h4>` : ''}
+            ${transcript.lines.map(line => renderTranscriptLine(line, highlight)).join('')}
+        `).join('');
+        
+        panel.querySelector('mark')?.scrollIntoView({ block: 'center' });
+    } catch (error) {
+        console.error('Error loading transcript:', error);
+        panel.innerHTML = '<div class="transcript-empty">Failed to load the transcript.</div>';
     }
-    container.innerHTML = sorted.map(([name, count]) => `
-        <div class="participant-item">
-            <span class="participant-name">${escapeHtml(name)}</span>
-            <span class="participant-count">${count} meetings</span>
-        </div>
-    `).join('');
 }
 
-function updateRecentMeetings() {
-    const container = document.getElementById('recent-meetings-list');
-    const recent = [...filteredMeetings].sort((a, b) => b.startTime - a.startTime).slice(0, 5);
+function renderTranscriptLine(line, highlight) {
+    return `
+        <div class="transcript-line">
+            <span class="transcript-time">${new Date(line.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</span>
+            <span class="transcript-speaker">${line.kind === 'chat' ? '💬 ' : ''}${escapeHtml(line.speaker || 'Unknown')}</span>
+            <span>${highlightSearchWords(escapeHtml(line.text || ''), highlight)}</span>
+        </div>
+    `;
+}
 
-    if (recent.length === 0) {
-        container.innerHTML = '<div class="loading">No meetings found</div>';
-        return;
+// Wrap search words in <mark> (text is already HTML-escaped)
+function highlightSearchWords(html, query) {
+    const words = (query || '').split(/\s+/).filter(Boolean)
+        .map(word => escapeHtml(word).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    if (words.length === 0) {
+        return html;
     }
-    container.innerHTML = recent.map(m => {
-        // Calculate real-time duration for ongoing meetings
-        let duration;
-        if (m.endTime) {
-            duration = formatDuration(m.endTime - m.startTime);
-        } else if (m.currentDuration) {
-            // Use currentDuration from minute logs
-            duration = formatDuration(m.currentDuration) + ' (ongoing)';
-        } else {
-            // Fallback: calculate from start time
-            duration = formatDuration(Date.now() - m.startTime) + ' (ongoing)';
+    return html.replace(new RegExp(`(${words.join('|')})`, 'gi'), '<mark>$1</mark>');
+}
+
+// Stitched vs raw session view and the reconnect grace window setting
+// Database upgrades run in the background worker - show their progress and failures here
+function setupMigrationStatus() {
+    chrome.runtime.sendMessage({ action: 'getMigrationReport' }, (report) => {
+        if (!chrome.runtime.lastError) {
+            renderMigrationStatus(report);
         }
-        return `
-            <div class="meeting-item" data-meeting-id="${m.id}">
-                <div class="meeting-info">
-                    <div>${new Date(m.startTime).toLocaleString()}</div>
-                    <div class="meeting-time">${duration} • ${m.participants.length}p</div>
-                </div>
-            </div>
-        `;
-    }).join('');
+    });
     
-    // Add event listeners for meeting items (CSP-compliant)
-    container.querySelectorAll('.meeting-item').forEach(item => {
-        item.addEventListener('click', (e) => {
-            const meetingId = e.currentTarget.getAttribute('data-meeting-id');
-            showMeetingDetails(meetingId);
-        });
+    chrome.runtime.onMessage.addListener((message) => {
+        if (message.type === 'storage_migration_progress') {
+            renderMigrationStatus(message.report);
+            if (message.report.status === 'done') {
+                loadMeetings().then(applyFilters);
+            }
+        }
     });
 }
 
-function updateMeetingsTable() {
-    const tbody = document.getElementById('meetings-table-body');
-    const countEl = document.getElementById('filtered-count');
-    const paginationContainer = document.getElementById('pagination-container');
+// Finished upgrades stay visible until dismissed; a fresh database isn't worth mentioning
+function renderMigrationStatus(report) {
+    const container = document.getElementById('migration-status');
+    const dismissedAt = Number(localStorage.getItem('meetTracker_migrationReportDismissed') || 0);
     
-    if (filteredMeetings.length === 0) {
-        tbody.innerHTML = '<tr class="loading-row"><td colspan="6">No meetings found</td></tr>';
-        countEl.textContent = '0 meetings';
-        paginationContainer.style.display = 'none';
+    if (!report || (report.status === 'done' && (report.fromVersion === 0 || report.startedAt <= dismissedAt))) {
+        container.hidden = true;
         return;
     }
     
-    // Calculate pagination
-    totalPages = Math.ceil(filteredMeetings.length / pageSize);
-    
-    // Ensure current page is valid
-    if (currentPage > totalPages) {
-        currentPage = 1;
-    }
+    const changed = report.steps.reduce((sum, step) => sum + (step.changed || 0), 0);
+    const headline = {
+        running: `🗄️ Upgrading the database from v${report.fromVersion} to v${report.toVersion}…`,
+        done: `✅ Database upgraded from v${report.fromVersion} to v${report.toVersion} (${changed} record${changed !== 1 ? 's' : ''} migrated)`,
+        failed: `❌ Database upgrade to v${report.toVersion} failed - your data was left unchanged at v${report.fromVersion}`
+    }[report.status] || `🗄️ Database upgrade: ${report.status}`;
+    const stepIcons = { pending: '⏳', running: '🔄', done: '✅', failed: '❌' };
     
-    // Count active vs completed meetings
-    const activeMeetings = filteredMeetings.filter(m => m.isActive === true).length;
-    const completedMeetings = filteredMeetings.length - activeMeetings;
+    container.className = `migration-status ${report.status}`;
+    container.innerHTML = `
+        <div class="migration-status-header">
+            <strong>${headline}</strong>
+            ${report.status !== 'running' ? '<button class="migration-status-dismiss" title="Dismiss">✕</button>' : ''}
+        </div>
+        ${report.error ? `<div class="migration-status-error">${escapeHtml(report.error)}</div>` : ''}
+        <ul class="migration-steps">
+            ${report.steps.map(step => `
+                <li>${stepIcons[step.status] || '•'} v${step.version}: ${escapeHtml(step.description)}${step.changed ? ` - ${step.changed} record${step.changed !== 1 ? 's' : ''}` : ''}${step.error ? ` (${escapeHtml(step.error)})` : ''}</li>
+            `).join('')}
+        </ul>
+    `;
+    container.hidden = false;
     
-    countEl.textContent = `${filteredMeetings.length} meetings (${activeMeetings} active, ${completedMeetings} completed)`;
+    container.querySelector('.migration-status-dismiss')?.addEventListener('click', () => {
+        localStorage.setItem('meetTracker_migrationReportDismissed', String(report.startedAt));
+        container.hidden = true;
+    });
+}
+
+// Live sessions without a heartbeat for this long are closed at their last heartbeat
+function setupHeartbeatTimeout() {
+    const timeoutInput = document.getElementById('heartbeat-timeout-input');
     
-    // Get sorted meetings for current page - active meetings first
-    const sorted = [...filteredMeetings].sort((a, b) => {
-        // Active meetings first
-        if (a.isActive !== b.isActive) {
-            return b.isActive - a.isActive;
+    chrome.runtime.sendMessage({ action: 'getSettings' }, (settings) => {
+        if (!chrome.runtime.lastError && settings) {
+            timeoutInput.value = settings.heartbeatTimeoutMinutes;
         }
-        // Then by start time (newest first)
-        return b.startTime - a.startTime;
     });
-    const startIndex = (currentPage - 1) * pageSize;
-    const endIndex = startIndex + pageSize;
-    const paginatedMeetings = sorted.slice(startIndex, endIndex);
     
-    // Render meetings table
-    tbody.innerHTML = paginatedMeetings.map((m, index) => {
-        // Calculate real-time duration for ongoing meetings in table
-        let duration;
-        let statusIndicator = '';
-        
-        if (m.isActive) {
-            // Active meeting - show current duration
-            if (m.duration > 0) {
-                // Use accumulated duration from completed sessions + current session time
-                const currentSessionTime = Date.now() - m.startTime;
-                duration = formatDuration(m.duration + currentSessionTime) + ' (ongoing)';
+    timeoutInput.addEventListener('change', () => {
+        const minutes = Math.max(5, Math.min(480, parseInt(timeoutInput.value, 10) || 30));
+        timeoutInput.value = minutes;
+        chrome.runtime.sendMessage({ action: 'updateSetting', key: 'heartbeatTimeoutMinutes', value: minutes }, (response) => {
+            if (chrome.runtime.lastError || !response?.success) {
+                console.error('Failed to update heartbeat timeout:', chrome.runtime.lastError || response);
             } else {
-                // Fallback: calculate from start time
-                duration = formatDuration(Date.now() - m.startTime) + ' (ongoing)';
+                console.log(`💓 Ending silent sessions after ${minutes} min`);
             }
-            statusIndicator = '<span class="status-active" title="Meeting in progress">🔴 LIVE</span> ';
-        } else if (m.endTime) {
-            duration = formatDuration(m.duration || (m.endTime - m.startTime));
-            statusIndicator = '<span class="status-completed" title="Meeting completed">✅</span> ';
-        } else {
-            // Fallback: calculate from start time
-            duration = formatDuration(Date.now() - m.startTime) + ' (ongoing)';
-            statusIndicator = '<span class="status-active" title="Meeting in progress">🔴 LIVE</span> ';
+        });
+    });
+}
+
+// Retention tiers, applied by the background's daily retention alarm
+function setupRetentionSettings() {
+    const inputs = {
+        summarizeAfterDays: document.getElementById('retention-summarize-input'),
+        aggregateAfterDays: document.getElementById('retention-aggregate-input'),
+        eventRetentionDays: document.getElementById('retention-events-input')
+    };
+    
+    chrome.runtime.sendMessage({ action: 'getSettings' }, (settings) => {
+        if (!chrome.runtime.lastError && settings) {
+            Object.entries(inputs).forEach(([key, input]) => {
+                input.value = settings[key];
+            });
         }
-        
-        const efficiency = calculateEfficiencyScore(m);
-        
-        // Handle participant display with proper name extraction
-        const participantNames = [];
-        if (m.participants && Array.isArray(m.participants)) {
-            m.participants.forEach(p => {
-                let participantName = '';
-                if (typeof p === 'string') {
-                    participantName = p;
-                } else if (p && typeof p === 'object') {
-                    participantName = p.name || p.displayName || p.id || 'Unknown';
-                }
-                if (participantName && participantName !== 'Unknown') {
-                    participantNames.push(participantName);
+    });
+    
+    Object.entries(inputs).forEach(([key, input]) => {
+        input.addEventListener('change', () => {
+            const days = Math.max(0, Math.min(3650, parseInt(input.value, 10) || 0));
+            input.value = days;
+            chrome.runtime.sendMessage({ action: 'updateSetting', key, value: days }, (response) => {
+                if (chrome.runtime.lastError || !response?.success) {
+                    console.error('Failed to update retention setting:', chrome.runtime.lastError || response);
+                } else {
+                    console.log(`🗜️ ${key} = ${days || 'never'} (applied at the next daily run)`);
                 }
             });
+        });
+    });
+}
+
+function setupSessionStitching() {
+    const rawToggle = document.getElementById('show-raw-sessions');
+    const graceInput = document.getElementById('stitch-grace-input');
+    
+    chrome.runtime.sendMessage({ action: 'getSettings' }, (settings) => {
+        if (!chrome.runtime.lastError && settings) {
+            graceInput.value = settings.stitchGraceMinutes;
         }
-        
-        const participants = participantNames.slice(0, 3).join(', ') + (participantNames.length > 3 ? ` (+${participantNames.length - 3})` : '');
-        const title = m.title || `Meeting ${m.meetingId || m.id}`;
-        const shortTitle = title.length > 30 ? title.substring(0, 27) + '...' : title;
-        
-        // Add session count for aggregated meetings
-        const sessionInfo = m.sessionCount > 1 ? ` (${m.sessionCount} sessions)` : '';
-        const displayTitle = shortTitle + sessionInfo;
-        
-        return `
-            <tr class="${m.isActive ? 'active-session' : 'completed-session'}">
-                <td>${statusIndicator}${new Date(m.startTime).toLocaleString()}</td>
-                <td class="meeting-title" title="${escapeHtml(title + sessionInfo)}">${escapeHtml(displayTitle)}</td>
-                <td>${duration}</td>
-                <td class="meeting-participants" title="${escapeHtml(participantNames.join(', '))}">${escapeHtml(participants)}</td>
-                <td>${efficiency}</td>
-                <td>
-                    <button class="view-details" data-meeting-id="${m.id}">Details</button>
-                    ${!m.isActive ? `<button class="delete-meeting" data-meeting-id="${m.id}" title="Delete this meeting">🗑️</button>` : ''}
-                </td>
-            </tr>
-        `;
-    }).join('');
+    });
     
-    // Add event listeners for detail buttons (CSP-compliant)
-    tbody.querySelectorAll('.view-details').forEach(button => {
-        button.addEventListener('click', (e) => {
-            const meetingId = e.target.getAttribute('data-meeting-id');
-            showMeetingDetails(meetingId);
+    rawToggle.addEventListener('change', () => {
+        showRawSessions = rawToggle.checked;
+        loadMeetings().then(applyFilters);
+    });
+    
+    graceInput.addEventListener('change', () => {
+        const minutes = Math.max(0, Math.min(120, parseInt(graceInput.value, 10) || 0));
+        graceInput.value = minutes;
+        chrome.runtime.sendMessage({ action: 'updateSetting', key: 'stitchGraceMinutes', value: minutes }, (response) => {
+            if (chrome.runtime.lastError || !response?.success) {
+                console.error('Failed to update reconnect grace window:', chrome.runtime.lastError || response);
+            } else {
+                console.log(`🔗 Merging reconnects within ${minutes} min`);
+                loadMeetings().then(applyFilters);
+            }
         });
     });
+}
+
+// Transcript search and the opt-in caption capture setting
+function setupTranscriptSearch() {
+    const toggle = document.getElementById('capture-captions-toggle');
+    const input = document.getElementById('transcript-search-input');
+    
+    chrome.runtime.sendMessage({ action: 'getSettings' }, (settings) => {
+        if (!chrome.runtime.lastError && settings) {
+            toggle.checked = !!settings.captureCaptions;
+        }
+    });
     
-    // Add event listeners for delete buttons (CSP-compliant)
-    tbody.querySelectorAll('.delete-meeting').forEach(button => {
-        button.addEventListener('click', (e) => {
-            const meetingId = e.target.getAttribute('data-meeting-id');
-            deleteMeetingEntry(meetingId);
+    toggle.addEventListener('change', () => {
+        chrome.runtime.sendMessage({ action: 'updateSetting', key: 'captureCaptions', value: toggle.checked }, (response) => {
+            if (chrome.runtime.lastError || !response?.success) {
+                console.error('Failed to update caption capture setting:', chrome.runtime.lastError || response);
+                toggle.checked = !toggle.checked;
+            } else {
+                console.log(`💬 Caption capture ${toggle.checked ? 'enabled' : 'disabled'}`);
+            }
         });
     });
     
-    // Update pagination controls
-    updatePaginationControls();
+    document.getElementById('transcript-search-btn').addEventListener('click', () => searchTranscripts(input.value));
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') searchTranscripts(input.value);
+    });
 }
 
-// Calculate a more intuitive efficiency score for typical 15-60 minute meetings
-function calculateEfficiencyScore(meeting) {
-    if (!meeting.endTime || !meeting.participants.length) {
-        return 'N/A';
+function searchTranscripts(query) {
+    const resultsContainer = document.getElementById('transcript-results');
+    if (!query.trim()) {
+        resultsContainer.innerHTML = '';
+        return;
     }
     
-    const durationMinutes = (meeting.endTime - meeting.startTime) / 60000;
-    const participantCount = meeting.participants.length;
-    const totalPersonMinutes = durationMinutes * participantCount;
+    resultsContainer.innerHTML = '<div class="loading">Searching...</div>';
+    chrome.runtime.sendMessage({ action: 'searchTranscripts', query }, (results) => {
+        if (chrome.runtime.lastError) {
+            console.error('Transcript search failed:', chrome.runtime.lastError);
+            resultsContainer.innerHTML = '<div class="transcript-empty">Search failed.</div>';
+            return;
+        }
+        
+        if (!results || results.length === 0) {
+            resultsContainer.innerHTML = `<div class="transcript-empty">No captions mention "${escapeHtml(query)}".</div>`;
+            return;
+        }
+        
+        resultsContainer.innerHTML = results.map(result => `
+            <div class="transcript-result" data-session-id="${escapeHtml(result.sessionId)}">
+                <div class="transcript-result-header">
+                    <strong>${escapeHtml(result.title || result.meetingId)}</strong>
+                    <span style="color: #9aa0a6;">${new Date(result.startTime).toLocaleString()} · ${result.matchCount} match${result.matchCount === 1 ? '' : 'es'}</span>
+                </div>
+                ${result.matches.slice(0, 3).map(line => renderTranscriptLine(line, query)).join('')}
+            </div>
+        `).join('');
+        
+        resultsContainer.querySelectorAll('.transcript-result').forEach(element => {
+            element.addEventListener('click', () => {
+                const sessionId = element.getAttribute('data-session-id');
+                const meeting = allMeetings.find(m => getMeetingSessionIds(m).includes(sessionId));
+                if (meeting) {
+                    showMeetingDetails(meeting.id, { tab: 'transcript', highlight: query });
+                } else {
+                    console.warn('Meeting for transcript not loaded:', sessionId);
+                }
+            });
+        });
+    });
+}
+
+// Swimlane of join/leave intervals, one lane per participant
+function renderPresenceSwimlane(attendance) {
+    // Make single-sighting intervals visible instead of zero-width bars
+    const MIN_BAR_WIDTH = 30 * 1000;
     
-    // Score based on total person-minutes invested
-    // Lower scores = more efficient
-    let score, grade;
+    const data = [];
+    attendance.forEach(a => {
+        a.intervals.forEach(interval => {
+            data.push({
+                x: a.name,
+                y: [interval.start, Math.max(interval.end, interval.start + MIN_BAR_WIDTH)]
+            });
+        });
+    });
     
-    if (totalPersonMinutes <= 60) { // <= 1 hour total investment
-        score = totalPersonMinutes;
-        grade = 'A';
-    } else if (totalPersonMinutes <= 120) { // <= 2 hours total investment
-        score = totalPersonMinutes;
-        grade = 'B';
-    } else if (totalPersonMinutes <= 240) { // <= 4 hours total investment
-        score = totalPersonMinutes;
-        grade = 'C';
-    } else if (totalPersonMinutes <= 480) { // <= 8 hours total investment
-        score = totalPersonMinutes;
-        grade = 'D';
-    } else {
-        score = totalPersonMinutes;
-        grade = 'F';
-    }
+    const options = {
+        ...getCommonChartOptions(),
+        series: [{ name: 'Present', data, color: '#4285f4' }],
+        chart: {
+            ...getCommonChartOptions().chart,
+            type: 'rangeBar',
+            height: Math.max(150, attendance.length * 32 + 60)
+        },
+        plotOptions: {
+            bar: {
+                horizontal: true,
+                barHeight: '60%'
+            }
+        },
+        xaxis: {
+            ...getCommonChartOptions().xaxis,
+            type: 'datetime',
+            labels: {
+                ...getCommonChartOptions().xaxis.labels,
+                datetimeUTC: false
+            }
+        },
+        tooltip: {
+            ...getCommonChartOptions().tooltip,
+            custom: ({ seriesIndex, dataPointIndex, w }) => {
+                const point = w.config.series[seriesIndex].data[dataPointIndex];
+                const [start, end] = point.y;
+                return `<div style="padding: 6px 10px;">
+                    <strong>${escapeHtml(point.x)}</strong><br>
+                    ${new Date(start).toLocaleTimeString()} - ${new Date(end).toLocaleTimeString()} (${formatDuration(end - start)})
+                </div>`;
+            }
+        },
+        legend: { show: false }
+    };
     
-    return `${Math.round(score)} (${grade})`;
+    renderChart('presence-swimlane-chart', options);
 }
 
-function showMeetingDetails(meetingId) {
-    const meeting = allMeetings.find(m => m.id === meetingId);
-    if (!meeting) {
-        console.error('Meeting not found:', meetingId);
-        return;
+// Scheduled vs actual comparison for meetings linked to a calendar event
+function renderCalendarEventDetails(meeting) {
+    const event = meeting.calendarEvent;
+    if (!event) {
+        return '';
     }
-
-    const modalBody = document.getElementById('modal-body');
-    const duration = meeting.endTime ? formatDuration(meeting.duration || (meeting.endTime - meeting.startTime)) : 'Ongoing';
-    const efficiency = calculateEfficiencyScore(meeting);
     
-    // Check if this is an aggregated meeting with sessions
-    const isAggregated = meeting.sessions && meeting.sessions.length > 0;
+    const formatOffset = (ms) => {
+        const minutes = Math.round(Math.abs(ms) / 60000);
+        return minutes === 0 ? 'on time' : `${formatDuration(Math.abs(ms))} ${ms > 0 ? 'late' : 'early'}`;
+    };
     
-    let sessionsHtml = '';
-    if (isAggregated) {
-        sessionsHtml = `
-        <div style="margin: 1.5rem 0; padding: 1rem; background: #2a2a2a; border-radius: 8px;">
-            <h4 style="margin: 0 0 1rem 0; color: #e8eaed;">📋 Individual Sessions (${meeting.sessions.length})</h4>
-            <div class="sessions-list">
-                ${meeting.sessions.map((session, index) => {
-                    const sessionDuration = session.endTime ? 
-                        formatDuration(session.endTime - session.startTime) : 
-                        'Ongoing';
-                    const sessionParticipants = session.participants || [];
-                    const participantNames = sessionParticipants.map(p => {
-                        if (typeof p === 'string') return p;
-                        return p?.name || p?.displayName || p?.id || 'Unknown';
-                    }).filter(name => name !== 'Unknown');
-                    
-                    return `
-                    <div class="session-item" style="background: #1a1a1a; margin: 0.5rem 0; padding: 1rem; border-radius: 6px; border-left: 3px solid #4285f4;">
-                        <div style="display: flex; justify-content: between; align-items: flex-start; margin-bottom: 0.5rem;">
-                            <div style="flex: 1;">
-                                <strong>Session ${index + 1}</strong>
-                                <span style="color: #9aa0a6; margin-left: 0.5rem;">${session.endTime ? '✅ Completed' : '🔴 Active'}</span>
-                            </div>
-                            <button class="delete-session-btn" data-session-id="${session.sessionId}" style="background: #ea4335; color: white; border: none; padding: 4px 8px; border-radius: 4px; cursor: pointer; font-size: 12px;">Delete</button>
-                        </div>
-                        <div style="font-size: 0.9em; color: #b8bcc3;">
-                            <div><strong>Time:</strong> ${new Date(session.startTime).toLocaleString()} - ${session.endTime ? new Date(session.endTime).toLocaleString() : 'Now'}</div>
-                            <div><strong>Duration:</strong> ${sessionDuration}</div>
-                            <div><strong>Participants:</strong> ${participantNames.length > 0 ? participantNames.join(', ') : 'None recorded'}</div>
-                        </div>
-                    </div>
-                    `;
-                }).join('')}
-            </div>
-        </div>
-        `;
+    const scheduledDuration = event.scheduledStart && event.scheduledEnd ? event.scheduledEnd - event.scheduledStart : null;
+    const actualDuration = meeting.duration || (meeting.endTime ? meeting.endTime - meeting.startTime : null);
+    
+    let comparison = '';
+    if (event.scheduledStart) {
+        comparison += `<div><strong>Joined:</strong> ${formatOffset(meeting.startTime - event.scheduledStart)}</div>`;
+    }
+    if (scheduledDuration && actualDuration) {
+        const overrun = actualDuration - scheduledDuration;
+        const overrunText = Math.abs(overrun) < 60000 ? 'as scheduled' :
+            `${formatDuration(Math.abs(overrun))} ${overrun > 0 ? 'longer' : 'shorter'} than scheduled`;
+        comparison += `<div><strong>Attended:</strong> ${formatDuration(actualDuration)} of ${formatDuration(scheduledDuration)} (${overrunText})</div>`;
     }
     
-    modalBody.innerHTML = `
-        ${meeting.title ? `<div style="margin-bottom: 1rem;"><strong>Title:</strong> ${escapeHtml(meeting.title)}</div>` : ''}
-        <div style="margin-bottom: 1rem;">
-            <strong>URL:</strong> <a href="${meeting.url}" target="_blank" style="color: #1a73e8;">${meeting.url}</a>
-        </div>
-        <div style="margin-bottom: 1rem;">
-            <strong>Overall Time:</strong> ${new Date(meeting.startTime).toLocaleString()} - ${meeting.endTime ? new Date(meeting.endTime).toLocaleString() : 'Now'}<br>
-            <strong>Total Duration:</strong> ${duration}<br>
-            ${isAggregated ? `<strong>Sessions:</strong> ${meeting.sessionCount} join/leave cycles<br>` : ''}
-            <strong>Efficiency Score:</strong> ${efficiency} 
-            <span class="efficiency-help">?
-                <div class="tooltip">
-                    <strong>Efficiency Score</strong><br><br>
-                    Measures total person-minutes invested in the meeting.<br>
-                    <em>Lower scores are more efficient.</em><br><br>
-                    <strong>Calculation:</strong> Duration × Participants<br><br>
-                    <strong>Grades:</strong><br>
-                    <span class="tooltip-grade">A:</span> ≤60 person-minutes <span class="tooltip-example">(e.g., 30 min × 2 people)</span><br>
-                    <span class="tooltip-grade">B:</span> 61-120 person-minutes <span class="tooltip-example">(e.g., 60 min × 2 people)</span><br>
-                    <span class="tooltip-grade">C:</span> 121-240 person-minutes <span class="tooltip-example">(e.g., 30 min × 8 people)</span><br>
-                    <span class="tooltip-grade">D:</span> 241-480 person-minutes <span class="tooltip-example">(e.g., 60 min × 8 people)</span><br>
-                    <span class="tooltip-grade">F:</span> >480 person-minutes
-                </div>
-            </span>
-        </div>
-        <div>
-            <strong>All Participants (${meeting.participants.length}):</strong><br>
-            <div style="display: flex; flex-wrap: wrap; gap: 8px; margin-top: 8px;">
-                ${meeting.participants.map(p => {
-                    let participantName = '';
-                    if (typeof p === 'string') {
-                        participantName = p;
-                    } else if (p && typeof p === 'object') {
-                        participantName = p.name || p.displayName || p.id || 'Unknown';
-                    }
-                    return `<span style="background: #333; padding: 4px 8px; border-radius: 4px;">${escapeHtml(participantName)}</span>`;
-                }).join('')}
+    const invitees = event.invitees || [];
+    const accepted = invitees.filter(i => i.responseStatus === 'accepted').length;
+    const organizer = event.organizer ? (event.organizer.name || event.organizer.email || '') : '';
+    
+    return `
+        <div style="margin: 1.5rem 0; padding: 1rem; background: #2a2a2a; border-radius: 8px;">
+            <h4 style="margin: 0 0 1rem 0; color: #e8eaed;">📅 Calendar Event</h4>
+            <div style="font-size: 0.9em; color: #b8bcc3;">
+                ${event.title ? `<div><strong>Event:</strong> ${escapeHtml(event.title)}${event.recurrenceId ? ' <span style="color: #9aa0a6;">(recurring)</span>' : ''}</div>` : ''}
+                ${event.scheduledStart ? `<div><strong>Scheduled:</strong> ${new Date(event.scheduledStart).toLocaleString()} - ${event.scheduledEnd ? new Date(event.scheduledEnd).toLocaleTimeString() : '?'}</div>` : ''}
+                ${comparison}
+                ${organizer ? `<div><strong>Organizer:</strong> ${escapeHtml(organizer)}</div>` : ''}
+                ${invitees.length > 0 ? `<div><strong>Invitees:</strong> ${invitees.length} (${accepted} accepted)</div>` : ''}
             </div>
         </div>
-        ${sessionsHtml}
     `;
-    
-    // Add event listeners for delete session buttons
-    modalBody.querySelectorAll('.delete-session-btn').forEach(button => {
-        button.addEventListener('click', (e) => {
-            e.stopPropagation();
-            const sessionId = e.target.getAttribute('data-session-id');
-            deleteSession(sessionId, meetingId);
-        });
-    });
-    
-    document.getElementById('meeting-modal').style.display = 'flex';
 }
 
 // Delete individual session function
@@ -1498,9 +2750,9 @@ async function deleteSession(sessionId, meetingId) {
         const confirmed = confirm(
             `🗑️ Delete Session?\n\n` +
             `Session ID: ${sessionId}\n\n` +
-            `This will permanently delete this individual session.\n` +
+            `This will delete this individual session.\n` +
             `The aggregated meeting will be updated to reflect the remaining sessions.\n\n` +
-            `This action cannot be undone. Continue?`
+            `It can be restored from the trash for 30 days. Continue?`
         );
         
         if (!confirmed) {
@@ -1529,30 +2781,8 @@ async function deleteSession(sessionId, meetingId) {
             // Close and reopen the modal with updated data
             closeModal();
             
-            // Show success notification
-            const notification = document.createElement('div');
-            notification.style.cssText = `
-                position: fixed;
-                top: 20px;
-                right: 20px;
-                background: #34a853;
-                color: white;
-                padding: 12px 20px;
-                border-radius: 8px;
-                z-index: 10000;
-                box-shadow: 0 4px 12px rgba(0,0,0,0.3);
-                font-size: 14px;
-                font-weight: 500;
-            `;
-            notification.textContent = `✅ Session deleted successfully`;
-            document.body.appendChild(notification);
-            
-            // Remove notification after 3 seconds
-            setTimeout(() => {
-                if (notification.parentNode) {
-                    notification.parentNode.removeChild(notification);
-                }
-            }, 3000);
+            // Show success notification with undo
+            showUndoToast('✅ Session deleted', response.trashId);
             
             // Reopen the modal if the meeting still exists (has remaining sessions)
             const updatedMeeting = allMeetings.find(m => m.id === meetingId);
@@ -1594,6 +2824,160 @@ function showSideOverlay(title, content) {
     sideOverlay.classList.add('active');
 }
 
+// Person registry management: merge duplicates, split wrongly merged aliases, set emails
+function showPeopleManager() {
+    const people = Array.from(peopleIndex.byId.values())
+        .sort((a, b) => (b.lastSeen || 0) - (a.lastSeen || 0));
+    
+    const content = people.length === 0 ? '<div class="loading">No people recorded yet</div>' : `
+        <div class="people-toolbar">
+            <input type="text" id="people-filter" class="participant-dropdown" placeholder="Filter by name or email">
+            <button id="merge-people-btn" class="btn-primary" disabled>Merge selected</button>
+        </div>
+        <div class="people-list">
+            ${people.map(person => `
+                <div class="person-row" data-search="${escapeHtml([person.displayName, person.email, ...person.aliases].join(' ').toLowerCase())}">
+                    <label class="person-header">
+                        <input type="checkbox" class="person-select" data-person-id="${escapeHtml(person.personId)}">
+                        <strong>${escapeHtml(person.displayName)}</strong>
+                        <span class="person-meta">${person.meetingIds.length} meeting${person.meetingIds.length === 1 ? '' : 's'}</span>
+                    </label>
+                    <div class="person-aliases">
+                        ${person.aliases.map(alias => `
+                            <span class="alias-chip">${escapeHtml(alias)}${person.aliases.length > 1 ?
+                                ` <button class="split-alias-btn" data-person-id="${escapeHtml(person.personId)}" data-alias="${escapeHtml(alias)}" title="Split this name off into a separate person">✂️</button>` : ''}</span>
+                        `).join('')}
+                    </div>
+                    <div class="person-meta">
+                        ${person.email ? `✉️ ${escapeHtml(person.email)}` : 'No email'}
+                        <button class="edit-email-btn btn-compact" data-person-id="${escapeHtml(person.personId)}">Edit</button>
+                    </div>
+                </div>
+            `).join('')}
+        </div>
+    `;
+    
+    showSideOverlay('👥 People', content);
+    
+    const body = document.getElementById('side-overlay-body');
+    const mergeBtn = body.querySelector('#merge-people-btn');
+    const selected = () => Array.from(body.querySelectorAll('.person-select:checked')).map(cb => cb.getAttribute('data-person-id'));
+    
+    body.querySelectorAll('.person-select').forEach(cb => {
+        cb.addEventListener('change', () => {
+            mergeBtn.disabled = selected().length < 2;
+        });
+    });
+    
+    body.querySelector('#people-filter')?.addEventListener('input', (e) => {
+        const query = e.target.value.trim().toLowerCase();
+        body.querySelectorAll('.person-row').forEach(row => {
+            row.style.display = !query || row.getAttribute('data-search').includes(query) ? '' : 'none';
+        });
+    });
+    
+    mergeBtn?.addEventListener('click', () => {
+        const personIds = selected();
+        const names = personIds.map(id => peopleIndex.byId.get(id)?.displayName);
+        if (!confirm(`Merge ${names.join(', ')} into one person (${names[0]})?`)) return;
+        editPeople({ action: 'mergePeople', personIds });
+    });
+    
+    body.querySelectorAll('.split-alias-btn').forEach(button => {
+        button.addEventListener('click', (e) => {
+            e.preventDefault();
+            const alias = button.getAttribute('data-alias');
+            if (!confirm(`Split "${alias}" off into a separate person?`)) return;
+            editPeople({ action: 'splitPerson', personId: button.getAttribute('data-person-id'), aliases: [alias] });
+        });
+    });
+    
+    body.querySelectorAll('.edit-email-btn').forEach(button => {
+        button.addEventListener('click', () => {
+            const person = peopleIndex.byId.get(button.getAttribute('data-person-id'));
+            const email = prompt(`Email for ${person.displayName} (leave empty to remove):`, person.email || '');
+            if (email === null) return;
+            editPeople({ action: 'updatePerson', personId: person.personId, changes: { email } });
+        });
+    });
+}
+
+// Self profile per Google account (authuser) - used when the "(You)" marker and self tile aren't found
+function showSelfProfiles() {
+    const profiles = dashboardSettings.selfProfiles || {};
+    const accounts = {};
+    Object.keys(profiles).forEach(authuser => {
+        accounts[authuser] = { detected: null, meetings: 0 };
+    });
+    [...allMeetings].sort((a, b) => a.startTime - b.startTime).forEach(meeting => {
+        if (meeting.authuser === null || meeting.authuser === undefined) return;
+        const account = accounts[meeting.authuser] || { detected: null, meetings: 0 };
+        account.detected = meeting.selfAccount || account.detected;
+        account.meetings++;
+        accounts[meeting.authuser] = account;
+    });
+    if (Object.keys(accounts).length === 0) {
+        accounts['0'] = { detected: null, meetings: 0 };
+    }
+    
+    const content = `
+        <p class="person-meta" style="margin-bottom: 1rem;">
+            Meetings mark your own tile automatically. Set your name and email here for each Google account
+            (<code>authuser</code>) so you're never counted as your own collaborator.
+        </p>
+        ${Object.entries(accounts).sort(([a], [b]) => a.localeCompare(b)).map(([authuser, account]) => `
+            <div class="person-row self-profile" data-authuser="${escapeHtml(authuser)}">
+                <div class="person-header">
+                    <strong>Account ${escapeHtml(authuser)}</strong>
+                    <span class="person-meta">${account.detected ? `Signed in as ${escapeHtml([account.detected.name, account.detected.email].filter(Boolean).join(' · '))}` : 'Not detected yet'} · ${account.meetings} meetings</span>
+                </div>
+                <div class="people-toolbar" style="margin: 0.5rem 0 0 0;">
+                    <input type="text" class="participant-dropdown self-name" placeholder="Name shown in meetings" value="${escapeHtml(profiles[authuser]?.name || '')}">
+                    <input type="email" class="participant-dropdown self-email" placeholder="Email" value="${escapeHtml(profiles[authuser]?.email || '')}">
+                </div>
+            </div>
+        `).join('')}
+        <button id="save-self-profiles" class="btn-primary">Save</button>
+    `;
+    
+    showSideOverlay('🙋 Me', content);
+    
+    document.getElementById('save-self-profiles').addEventListener('click', () => {
+        const selfProfiles = {};
+        document.querySelectorAll('#side-overlay-body .self-profile').forEach(row => {
+            const name = row.querySelector('.self-name').value.trim();
+            const email = row.querySelector('.self-email').value.trim();
+            if (name || email) {
+                selfProfiles[row.getAttribute('data-authuser')] = { name: name || null, email: email || null };
+            }
+        });
+        
+        chrome.runtime.sendMessage({ action: 'updateSetting', key: 'selfProfiles', value: selfProfiles }, (response) => {
+            if (chrome.runtime.lastError || !response?.success) {
+                alert(`❌ ${response?.message || chrome.runtime.lastError?.message || 'Could not save'}`);
+                return;
+            }
+            dashboardSettings = { ...dashboardSettings, ...response.settings };
+            applyFilters();
+            closeSideOverlay();
+        });
+    });
+}
+
+function editPeople(message) {
+    chrome.runtime.sendMessage(message, async (response) => {
+        if (chrome.runtime.lastError || !response?.success) {
+            alert(`❌ ${response?.message || chrome.runtime.lastError?.message || 'Update failed'}`);
+            return;
+        }
+        
+        // Names and unique-participant counts depend on the registry
+        await loadMeetings();
+        applyFilters();
+        showPeopleManager();
+    });
+}
+
 function closeSideOverlay() {
     const sideOverlay = document.getElementById('side-overlay');
     sideOverlay.classList.remove('active');
@@ -1610,16 +2994,22 @@ function exportData() {
         alert('No data to export');
         return;
     }
-    const headers = ['ID', 'Title', 'URL', 'Start Time', 'End Time', 'Duration (min)', 'Participants'];
-    const rows = filteredMeetings.map(m => [
-        m.id,
-        `"${(m.title || `Meeting ${m.id}`).replace(/"/g, '""')}"`, // Escape quotes in title
-        m.url,
-        new Date(m.startTime).toISOString(),
-        m.endTime ? new Date(m.endTime).toISOString() : '',
-        m.endTime ? Math.round((m.endTime - m.startTime) / 60000) : 0,
-        `"${m.participants.join(', ')}"`
-    ]);
+    const headers = ['ID', 'Title', 'URL', 'Start Time', 'End Time', 'Duration (min)', 'Participants', 'Chat Messages', 'Reactions', 'Hand Raises'];
+    const rows = filteredMeetings.map(m => {
+        const engagement = getEngagementTotals(m);
+        return [
+            m.id,
+            `"${(m.title || `Meeting ${m.id}`).replace(/"/g, '""')}"`, // Escape quotes in title
+            m.url,
+            new Date(m.startTime).toISOString(),
+            m.endTime ? new Date(m.endTime).toISOString() : '',
+            Math.round(getMeetingDuration(m) / 60000),
+            `"${m.participants.join(', ')}"`,
+            engagement.chatMessages,
+            engagement.reactions,
+            engagement.handRaises
+        ];
+    });
 
     const csv = [headers, ...rows].map(row => row.join(',')).join('\n');
     const blob = new Blob([csv], { type: 'text/csv' });
@@ -1632,7 +3022,7 @@ function exportData() {
 }
 
 async function clearAllData() {
-    if (confirm('Are you sure you want to clear ALL meeting data? This is irreversible.')) {
+    if (confirm('Are you sure you want to clear ALL meeting data? A snapshot is kept in the trash for 30 days so it can be reverted.')) {
         try {
             const response = await new Promise((resolve, reject) => {
                 chrome.runtime.sendMessage({ action: 'clearAllData' }, (response) => {
@@ -1649,7 +3039,7 @@ async function clearAllData() {
             } else {
                 allMeetings = [];
                 applyFilters();
-                alert('All meeting data has been cleared.');
+                showUndoToast('🗑️ All meeting data has been cleared', response.snapshotId);
             }
         } catch (error) {
             console.error('Error clearing data:', error);
@@ -1668,6 +3058,12 @@ function formatDuration(ms) {
     return `${mins}m`;
 }
 
+function formatBytes(bytes) {
+    if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    if (bytes >= 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${bytes} B`;
+}
+
 function escapeHtml(text) {
     return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
 }
@@ -1733,11 +3129,19 @@ async function showStorageStats() {
             return;
         }
         
+        const tiers = stats.tiers;
+        const lastRun = stats.lastRetentionRun;
         const message = `📊 Storage Statistics:\n\n` +
             `• Total Meetings: ${stats.totalMeetings}\n` +
             `• Total Duration: ${formatDuration(stats.totalDuration)}\n` +
             `• Average Duration: ${formatDuration(stats.averageDuration)}\n` +
             `• Data Range: ${stats.oldestMeeting ? new Date(stats.oldestMeeting).toLocaleDateString() : 'N/A'} to ${stats.newestMeeting ? new Date(stats.newestMeeting).toLocaleDateString() : 'N/A'}\n\n` +
+            (tiers ? `🗜️ Retention Tiers (approximate size):\n` +
+                `• Full detail: ${tiers.full.sessions} sessions, ${tiers.full.minuteRecords} minute records, ${tiers.full.events} events - ${formatBytes(tiers.full.bytes)}\n` +
+                `• Summarized: ${tiers.summarized.sessions} sessions - ${formatBytes(tiers.summarized.bytes)}\n` +
+                `• Daily totals: ${tiers.aggregate.days} days - ${formatBytes(tiers.aggregate.bytes)}\n` +
+                `• Trash: ${stats.trash.items} items - ${formatBytes(stats.trash.bytes)}\n` +
+                `• Last run: ${lastRun ? `${new Date(lastRun.timestamp).toLocaleString()} (${lastRun.summarized} summarized, ${lastRun.aggregated} reduced to totals)` : 'never'}\n\n` : '') +
             `✨ Enhanced storage provides virtually unlimited capacity compared to the previous ~10MB limit!`;
             
         alert(message);
@@ -1933,6 +3337,42 @@ async function manualCleanup(days) {
     }
 }
 
+// Summarize the sessions correctZombieSessions moved back to their last minute record, and the
+// ones ended by hand long after it (reported, not changed)
+function formatZombieCorrections(correction) {
+    if (!correction || !correction.success) {
+        return '';
+    }
+    
+    const listed = (items, format) => {
+        const lines = items.slice(0, 10).map(format);
+        if (items.length > lines.length) {
+            lines.push(`…and ${items.length - lines.length} more`);
+        }
+        return lines.join('\n');
+    };
+    const sections = [];
+    
+    if (correction.corrections.length > 0) {
+        sections.push(`🩹 Corrected ${correction.corrections.length} past session${correction.corrections.length !== 1 ? 's' : ''} ` +
+            `ended by zombie cleanup (${formatDuration(correction.removedMinutes * 60000)} removed):\n` +
+            listed(correction.corrections, c =>
+                `• ${c.title || c.meetingId} (${new Date(c.endTime).toLocaleDateString()}): ended ${new Date(c.endTime).toLocaleTimeString()} ` +
+                `instead of ${new Date(c.originalEndTime).toLocaleTimeString()} (-${formatDuration(c.removedMinutes * 60000)})`));
+    }
+    
+    const manualEnds = correction.manualEnds || [];
+    if (manualEnds.length > 0) {
+        sections.push(`✋ ${manualEnds.length} session${manualEnds.length !== 1 ? 's were' : ' was'} ended by hand long after ` +
+            `the last minute record - left as they are:\n` +
+            listed(manualEnds, m =>
+                `• ${m.title || m.meetingId} (${new Date(m.endTime).toLocaleDateString()}): ended ${new Date(m.endTime).toLocaleTimeString()}, ` +
+                `last data ${new Date(m.lastMinuteAt).toLocaleTimeString()} (${formatDuration(m.idleMinutes * 60000)} without data)`));
+    }
+    
+    return sections.join('\n\n');
+}
+
 // Force end zombie meetings (similar to popup)
 async function cleanupZombieMeetings() {
     const cleanupBtn = document.getElementById('cleanup-zombie-btn');
@@ -1959,9 +3399,20 @@ async function cleanupZombieMeetings() {
             });
         });
         
-        if (response && response.success) {
+        // Past sessions ended by cleanup get their end moved back to the last minute record
+        const correction = await new Promise((resolve) => {
+            chrome.runtime.sendMessage({ action: 'correctZombieSessions' }, (result) => {
+                resolve(chrome.runtime.lastError ? null : result);
+            });
+        });
+        const correctionReport = formatZombieCorrections(correction);
+        
+        if ((response && response.success) || correctionReport) {
             // Show success message
-            alert(`✅ Success: ${response.message || 'Zombie meetings ended successfully'}`);
+            const endedMessage = response && response.success ?
+                `✅ Success: ${response.message || 'Zombie meetings ended successfully'}` :
+                (response?.message || '⚠️ No zombie meetings found to end');
+            alert(correctionReport ? `${endedMessage}\n\n${correctionReport}` : endedMessage);
             
             // Refresh the dashboard data
             setTimeout(async () => {
@@ -1988,6 +3439,44 @@ async function cleanupZombieMeetings() {
     }
 }
 
+// Rebuild past sessions from the raw event log (after a session heuristic was fixed)
+async function recomputeHistory() {
+    const confirmed = confirm(
+        '🔁 Recompute session history?\n\n' +
+        'Sessions whose raw events are still in the event log (see the event log retention setting) ' +
+        'will be rebuilt from them. Older sessions and meetings in progress are not changed.'
+    );
+    if (!confirmed) return;
+    
+    const button = document.getElementById('recompute-history');
+    button.disabled = true;
+    
+    try {
+        const response = await new Promise((resolve, reject) => {
+            chrome.runtime.sendMessage({ action: 'recomputeSessions' }, (response) => {
+                if (chrome.runtime.lastError) {
+                    reject(chrome.runtime.lastError);
+                } else {
+                    resolve(response);
+                }
+            });
+        });
+        
+        if (response && response.success) {
+            alert(`✅ ${response.message}`);
+            await loadMeetings();
+            applyFilters();
+        } else {
+            alert(response?.message || response?.error || '⚠️ Nothing was recomputed');
+        }
+    } catch (error) {
+        console.error('Error recomputing session history:', error);
+        alert('❌ Error recomputing session history: ' + error.message);
+    } finally {
+        button.disabled = false;
+    }
+}
+
 // Delete individual meeting entry
 async function deleteMeetingEntry(meetingId) {
     // Find the meeting to get its details for confirmation
@@ -2010,7 +3499,7 @@ async function deleteMeetingEntry(meetingId) {
         `Participants: ${meeting.participants.length}\n\n` +
         `⚠️ WARNING: This will delete ALL ${sessionCount} session(s) for this meeting.\n` +
         `To delete individual sessions, use the "Details" button instead.\n\n` +
-        `This action cannot be undone. Continue?`
+        `It can be restored from the trash for 30 days. Continue?`
     );
     
     if (!confirmed) {
@@ -2018,11 +3507,15 @@ async function deleteMeetingEntry(meetingId) {
     }
     
     try {
-        // Send delete request to background script
+        // Send delete request to background script, with the query the row was aggregated with
+        const { startDate, endDate } = getSelectedDateRange();
         const response = await new Promise((resolve, reject) => {
             chrome.runtime.sendMessage({ 
                 action: 'deleteMeeting', 
-                meetingId: meetingId 
+                meetingId: meetingId,
+                raw: showRawSessions,
+                startDate,
+                endDate
             }, (response) => {
                 if (chrome.runtime.lastError) {
                     reject(new Error(chrome.runtime.lastError.message));
@@ -2043,30 +3536,8 @@ async function deleteMeetingEntry(meetingId) {
             // Show success message
             console.log(`✅ Successfully deleted meeting: ${meetingId}`);
             
-            // Optional: Show a temporary success notification
-            const notification = document.createElement('div');
-            notification.style.cssText = `
-                position: fixed;
-                top: 20px;
-                right: 20px;
-                background: #34a853;
-                color: white;
-                padding: 12px 20px;
-                border-radius: 8px;
-                z-index: 10000;
-                box-shadow: 0 4px 12px rgba(0,0,0,0.3);
-                font-size: 14px;
-                font-weight: 500;
-            `;
-            notification.textContent = `✅ Deleted: ${meetingTitle}`;
-            document.body.appendChild(notification);
-            
-            // Remove notification after 3 seconds
-            setTimeout(() => {
-                if (notification.parentNode) {
-                    notification.parentNode.removeChild(notification);
-                }
-            }, 3000);
+            // Show a temporary success notification with undo
+            showUndoToast(`✅ Deleted: ${meetingTitle}`, response.trashId);
             
         } else {
             alert(`Failed to delete meeting: ${response.message || 'Unknown error'}`);
@@ -2078,6 +3549,137 @@ async function deleteMeetingEntry(meetingId) {
     }
 }
 
+// Temporary notification; with a trashId it offers to restore what was just deleted
+function showUndoToast(message, trashId) {
+    const notification = document.createElement('div');
+    notification.style.cssText = `
+        position: fixed;
+        top: 20px;
+        right: 20px;
+        display: flex;
+        align-items: center;
+        gap: 12px;
+        background: #34a853;
+        color: white;
+        padding: 12px 20px;
+        border-radius: 8px;
+        z-index: 10000;
+        box-shadow: 0 4px 12px rgba(0,0,0,0.3);
+        font-size: 14px;
+        font-weight: 500;
+    `;
+    notification.textContent = message;
+    
+    const remove = () => {
+        if (notification.parentNode) {
+            notification.parentNode.removeChild(notification);
+        }
+    };
+    
+    if (trashId !== null && trashId !== undefined) {
+        const undoBtn = document.createElement('button');
+        undoBtn.className = 'btn btn-compact';
+        undoBtn.textContent = '↩️ Undo';
+        undoBtn.addEventListener('click', async () => {
+            undoBtn.disabled = true;
+            const response = await sendTrashMessage({ action: 'restoreFromTrash', trashId });
+            remove();
+            if (response.success) {
+                await loadMeetings();
+                applyFilters();
+            } else {
+                alert(`❌ Could not restore: ${response.message || 'Unknown error'}`);
+            }
+        });
+        notification.appendChild(undoBtn);
+    }
+    
+    document.body.appendChild(notification);
+    
+    // Remove notification after 8 seconds (the trash keeps the item for 30 days)
+    setTimeout(remove, 8000);
+}
+
+function sendTrashMessage(message) {
+    return new Promise((resolve) => {
+        chrome.runtime.sendMessage(message, (response) => {
+            if (chrome.runtime.lastError) {
+                resolve({ success: false, message: chrome.runtime.lastError.message });
+            } else {
+                resolve(response || { success: false, message: 'No response' });
+            }
+        });
+    });
+}
+
+// Trash view: deleted sessions and meetings, and snapshots taken before clearing all data
+async function showTrash() {
+    const response = await sendTrashMessage({ action: 'getTrash' });
+    if (!response.success) {
+        alert(`❌ Could not load the trash: ${response.message || 'Unknown error'}`);
+        return;
+    }
+    
+    const kindIcons = { session: '🧩', meeting: '📅', snapshot: '💾' };
+    const items = response.items;
+    const content = items.length === 0 ? '<div class="loading">The trash is empty</div>' : `
+        <div class="people-toolbar">
+            <span class="person-meta">Items are purged ${response.retentionDays} days after deletion</span>
+            <button id="empty-trash-btn" class="btn-primary">Empty trash</button>
+        </div>
+        <div class="people-list">
+            ${items.map(item => {
+                const label = item.label || {};
+                const expires = item.deletedAt + response.retentionDays * 24 * 60 * 60 * 1000;
+                const details = item.kind === 'snapshot' ?
+                    `${label.sessionCount || 0} sessions, ${item.counts.participants || 0} people` :
+                    `${label.startTime ? new Date(label.startTime).toLocaleString() : ''}${label.sessionCount > 1 ? ` · ${label.sessionCount} sessions` : ''}`;
+                return `
+                    <div class="person-row">
+                        <div class="person-header">
+                            <span>${kindIcons[item.kind] || '🗑️'}</span>
+                            <strong>${escapeHtml(label.title || item.kind)}</strong>
+                            <span class="person-meta">${escapeHtml(details)}</span>
+                        </div>
+                        <div class="person-meta">
+                            Deleted ${new Date(item.deletedAt).toLocaleString()} · purged after ${new Date(expires).toLocaleDateString()}
+                            <button class="restore-trash-btn btn-compact" data-trash-id="${item.trashId}">↩️ Restore</button>
+                            <button class="purge-trash-btn btn-compact" data-trash-id="${item.trashId}">🗑️ Purge</button>
+                        </div>
+                    </div>
+                `;
+            }).join('')}
+        </div>
+    `;
+    
+    showSideOverlay('♻️ Trash', content);
+    
+    const body = document.getElementById('side-overlay-body');
+    const run = async (message, confirmText) => {
+        if (confirmText && !confirm(confirmText)) return;
+        const result = await sendTrashMessage(message);
+        if (!result.success) {
+            alert(`❌ ${result.message || 'Unknown error'}`);
+            return;
+        }
+        if (message.action === 'restoreFromTrash') {
+            await loadMeetings();
+            applyFilters();
+        }
+        showTrash();
+    };
+    
+    body.querySelectorAll('.restore-trash-btn').forEach(button => {
+        button.addEventListener('click', () => run({ action: 'restoreFromTrash', trashId: Number(button.getAttribute('data-trash-id')) }));
+    });
+    body.querySelectorAll('.purge-trash-btn').forEach(button => {
+        button.addEventListener('click', () => run({ action: 'purgeTrash', trashId: Number(button.getAttribute('data-trash-id')) },
+            'Delete this item for good? This cannot be undone.'));
+    });
+    body.querySelector('#empty-trash-btn')?.addEventListener('click', () => run({ action: 'purgeTrash', trashId: null },
+        `Delete all ${items.length} items in the trash for good? This cannot be undone.`));
+}
+
 // Pagination control functions
 function setupPaginationEventListeners() {
     // Navigation buttons
@@ -2092,12 +3694,19 @@ function setupPaginationEventListeners() {
         currentPage = 1; // Reset to first page when changing page size
         updateMeetingsTable();
     });
+    
+    // Table order, applied by the page query
+    document.getElementById('table-sort-select')?.addEventListener('change', (e) => {
+        tableSort = e.target.value;
+        currentPage = 1;
+        updateMeetingsTable();
+    });
 }
 
 function goToPage(page) {
     if (page < 1 || page > totalPages) return;
     currentPage = page;
-    updateMeetingsTable();
+    renderMeetingsPage();
 }
 
 function updatePaginationControls() {
@@ -2273,7 +3882,7 @@ function showCollaboratorDrillDown(collaboratorData) {
             <div>
                 ${sortedMeetings.slice(0, 10).map(meeting => {
                     const duration = meeting.endTime ? 
-                        formatDuration(meeting.endTime - meeting.startTime) : 'Ongoing';
+                        formatDuration(getMeetingDuration(meeting)) : 'Ongoing';
                     const participantIcon = meeting.participantCount === 2 ? '👥' : 
                         meeting.participantCount <= 5 ? '👤👤👤' : 
                         meeting.participantCount <= 10 ? '👥👥' : '👥👥👥';
@@ -2325,7 +3934,7 @@ function showCollaboratorDrillDown(collaboratorData) {
 
 function showDurationDrillDown(durationLabel, meetings) {
     // Calculate insights for this duration bucket
-    const totalTime = meetings.reduce((sum, m) => sum + (m.endTime ? (m.endTime - m.startTime) : 0), 0);
+    const totalTime = meetings.reduce((sum, m) => sum + getMeetingDuration(m), 0);
     const avgParticipants = meetings.length > 0 ? 
         meetings.reduce((sum, m) => sum + m.participants.length, 0) / meetings.length : 0;
     
@@ -2417,7 +4026,7 @@ function showDurationDrillDown(durationLabel, meetings) {
             <div style="max-height: 350px; overflow-y: auto;">
                 ${sortedMeetings.slice(0, 15).map(meeting => {
                     const duration = meeting.endTime ? 
-                        formatDuration(meeting.endTime - meeting.startTime) : 'Ongoing';
+                        formatDuration(getMeetingDuration(meeting)) : 'Ongoing';
                     const efficiency = calculateEfficiencyScore(meeting);
                     const efficiencyGrade = efficiency !== 'N/A' ? efficiency.split('(')[1]?.split(')')[0] : 'N/A';
                     const gradeColors = { A: '#34a853', B: '#4285f4', C: '#fbbc04', D: '#ff9800', F: '#ea4335' };
@@ -2,7 +2,8 @@
 
 async function openDB() {
     return new Promise((resolve, reject) => {
-        const request = indexedDB.open('MeetingTrackerDB', 2);
+        // No version: open whatever version the extension has upgraded the database to
+        const request = indexedDB.open('MeetingTrackerDB');
         request.onerror = () => reject(request.error);
         request.onsuccess = () => resolve(request.result);
     });
@@ -0,0 +1,286 @@
+// DOM fixture tests
+// Loads saved meeting pages into jsdom with the content scripts manifest.json injects there and
+// checks what the tracker reads from them: participants, title, in-call and ended state. A Meet
+// selector profile (meet-selector-profiles.js) or a Zoom/Teams adapter (platform-adapters.js) that
+// no longer matches its layout fails here instead of silently breaking tracking in a call.
+//
+//   npm install jsdom                        (once)
+//   node dom-fixtures.js                     check every fixture
+//   node dom-fixtures.js meet-2024-in-call   check the named fixtures
+//   node dom-fixtures.js --list              list the fixtures
+//   node dom-fixtures.js --verbose           show the content scripts' console output
+//
+// Fixtures are snapshots of the clients' pages in fixtures/<platform>/, trimmed to the parts the
+// trackers read with the class names and attributes as the client served them. When Meet changes
+// its layout, save the new page next to the others along with the new selector profile; likewise
+// for Zoom and Teams with the adapter's updated selectors.
+// A fixture is { name, description, file, url, expect }; the page is opened at url and checked
+// against expect: {
+//   profile: '2024.1'                     - the Meet selector profile the tracker picked
+//   meetingId: 'abc-defg-hij'             - getMeetingId()
+//   title: 'Weekly sync'                  - getMeetingTitle()
+//   inCall: true                          - isInMeeting()
+//   ended: false                          - hasMeetingEnded()
+//   participants: ['Alex Smith', ...]     - names from scanParticipants(), in page order
+//   self: 'Alex Smith'                    - the participant detected as me (null: nobody)
+//   localMedia: { micOn, cameraOn }       - readLocalMediaState(), my own toolbar toggles (Meet)
+// }
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = __dirname;
+const FIXTURE_DIR = path.join(ROOT, 'fixtures');
+
+const FIXTURES = [
+    {
+        name: 'meet-2024-in-call',
+        description: 'Meet call in the 2024.1 layout, three people',
+        file: 'meet/2024.1-in-call.html',
+        url: 'https://meet.google.com/abc-defg-hij',
+        expect: {
+            profile: '2024.1',
+            meetingId: 'abc-defg-hij',
+            title: 'Weekly sync',
+            inCall: true,
+            ended: false,
+            participants: ['Alex Smith', 'Sam Lee', 'Kim Park'],
+            self: 'Alex Smith',
+            localMedia: { micOn: true, cameraOn: true }
+        }
+    },
+    {
+        name: 'meet-2022-in-call',
+        description: 'Meet call in the older 2022.1 layout, with "(You)" and "(Host)" markers',
+        file: 'meet/2022.1-in-call.html',
+        url: 'https://meet.google.com/xyz-abcd-efg',
+        expect: {
+            profile: '2022.1',
+            meetingId: 'xyz-abcd-efg',
+            title: 'Design review',
+            inCall: true,
+            ended: false,
+            participants: ['Kim Park', 'Jordan Diaz'],
+            self: 'Kim Park',
+            localMedia: { micOn: true, cameraOn: false }
+        }
+    },
+    {
+        name: 'meet-lobby',
+        description: 'Meet pre-join screen: media preview, no tiles',
+        file: 'meet/2024.1-lobby.html',
+        url: 'https://meet.google.com/abc-defg-hij',
+        expect: {
+            profile: '2024.1',
+            inCall: false,
+            ended: false,
+            participants: [],
+            self: null
+        }
+    },
+    {
+        name: 'meet-post-call',
+        description: 'Meet page after leaving the call',
+        file: 'meet/post-call.html',
+        url: 'https://meet.google.com/abc-defg-hij',
+        expect: {
+            inCall: false,
+            ended: true,
+            participants: []
+        }
+    },
+    {
+        name: 'zoom-in-call-panel',
+        description: 'Zoom web client call with the Participants panel open',
+        file: 'zoom/in-call-panel.html',
+        url: 'https://app.zoom.us/wc/81234567890/join?fromPWA=1',
+        expect: {
+            meetingId: '81234567890',
+            title: 'Quarterly planning',
+            inCall: true,
+            ended: false,
+            participants: ['Priya Natarajan', 'Tom Becker', 'Ana Souza']
+        }
+    },
+    {
+        name: 'zoom-in-call-gallery',
+        description: 'Zoom web client call in gallery view, panel closed, no topic shown',
+        file: 'zoom/in-call-gallery.html',
+        url: 'https://app.zoom.us/wc/join/81234567890',
+        expect: {
+            meetingId: '81234567890',
+            title: 'Zoom 81234567890',
+            inCall: true,
+            ended: false,
+            participants: ['Priya Natarajan', 'Tom Becker']
+        }
+    },
+    {
+        name: 'zoom-ended-by-host',
+        description: 'Zoom web client after the host ended the call',
+        file: 'zoom/ended-by-host.html',
+        url: 'https://app.zoom.us/wc/81234567890/join',
+        expect: {
+            inCall: false,
+            ended: true,
+            participants: []
+        }
+    },
+    {
+        name: 'teams-in-call-roster',
+        description: 'Teams scheduled meeting with the People pane open',
+        file: 'teams/in-call-roster.html',
+        url: 'https://teams.microsoft.com/v2/?meetingjoin=true#/l/meetup-join/19%3ameeting_NjQ1ZTk3YmQtMmU4%40thread.v2/0',
+        expect: {
+            meetingId: '19:meeting_NjQ1ZTk3YmQtMmU4@thread.v2',
+            title: 'Sprint review',
+            inCall: true,
+            ended: false,
+            participants: ['Dana White', 'Luis García', 'Mei Chen']
+        }
+    },
+    {
+        name: 'teams-ad-hoc-call',
+        description: 'Teams ad-hoc call: no meeting thread, ID and title from the window title',
+        file: 'teams/ad-hoc-call-tiles.html',
+        url: 'https://teams.microsoft.com/v2/',
+        expect: {
+            meetingId: 'teams-call-with-dana-white',
+            title: 'Call with Dana White',
+            inCall: true,
+            ended: false,
+            participants: ['Dana White', 'Luis García']
+        }
+    },
+    {
+        name: 'teams-call-ended',
+        description: 'Teams after leaving the meeting',
+        file: 'teams/call-ended.html',
+        url: 'https://teams.microsoft.com/v2/?meetingjoin=true#/l/meetup-join/19%3ameeting_NjQ1ZTk3YmQtMmU4%40thread.v2/0',
+        expect: {
+            inCall: false,
+            ended: true,
+            participants: []
+        }
+    }
+];
+
+// The content scripts manifest.json injects into url, in order
+function getContentScripts(url) {
+    const manifest = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.json'), 'utf8'));
+    const matches = pattern => new RegExp(`^${pattern.split('*').map(part => part.replace(/[.?+^$()|[\]{}\\/]/g, '\\$&')).join('.*')}$`).test(url);
+    return manifest.content_scripts
+        .filter(entry => entry.matches.some(matches))
+        .flatMap(entry => entry.js);
+}
+
+// What the page's tracker reads: SimpleMeetTracker on Meet, the detected platform adapter elsewhere
+async function loadFixture(fixture, options = {}) {
+    const { JSDOM, VirtualConsole } = require('jsdom');
+
+    const virtualConsole = new VirtualConsole();
+    if (options.verbose) {
+        ['log', 'info', 'warn', 'error', 'debug'].forEach(level => {
+            virtualConsole.on(level, (...args) => console.log(`[${fixture.name}]`, ...args));
+        });
+        virtualConsole.on('jsdomError', error => console.log(`[${fixture.name}] jsdom:`, error.message));
+    }
+
+    const html = fs.readFileSync(path.join(FIXTURE_DIR, fixture.file), 'utf8');
+    const dom = new JSDOM(html, { url: fixture.url, runScripts: 'outside-only', pretendToBeVisual: true, virtualConsole });
+    const { window } = dom;
+
+    // Messages to the background go nowhere; the shim <script> is never fetched
+    window.chrome = {
+        runtime: {
+            id: 'dom-fixtures',
+            lastError: undefined,
+            getURL: file => `chrome-extension://dom-fixtures/${file}`,
+            sendMessage: (message, callback) => callback?.({ success: true }),
+            onMessage: { addListener: () => {} }
+        }
+    };
+
+    try {
+        const scripts = getContentScripts(fixture.url);
+        if (scripts.length === 0) {
+            throw new Error(`manifest.json injects no content script into ${fixture.url}`);
+        }
+        // As separate scripts sharing one global scope, like the browser runs them
+        const context = dom.getInternalVMContext();
+        scripts.forEach(file => vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file }));
+
+        const adapter = vm.runInContext('typeof tracker !== "undefined" ? tracker : (typeof platformAdapter !== "undefined" ? platformAdapter : null)', context);
+        if (!adapter) {
+            throw new Error(`no tracker or platform adapter matched ${fixture.url}`);
+        }
+
+        // Scan first - Meet's in-call check falls back to the participants found
+        const participants = adapter.scanParticipants();
+        return {
+            profile: adapter.selectorProfile ? adapter.selectorProfile.version : null,
+            meetingId: adapter.getMeetingId(),
+            title: adapter.getMeetingTitle(),
+            inCall: adapter.isInMeeting(),
+            ended: adapter.hasMeetingEnded(),
+            participants: participants.map(participant => participant.name),
+            self: participants.find(participant => participant.isSelf)?.name ?? null,
+            localMedia: typeof adapter.readLocalMediaState === 'function' ? adapter.readLocalMediaState() : null
+        };
+    } finally {
+        window.close(); // Stops the trackers' timers
+    }
+}
+
+// Compare the outcome with fixture.expect; returns a list of failure messages
+function checkExpectations(fixture, result) {
+    return Object.entries(fixture.expect || {})
+        .filter(([key, expected]) => JSON.stringify(result[key]) !== JSON.stringify(expected))
+        .map(([key, expected]) => `${key}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(result[key])}`);
+}
+
+async function main(args) {
+    const verbose = args.includes('--verbose');
+    const names = args.filter(arg => !arg.startsWith('--'));
+
+    if (args.includes('--list')) {
+        FIXTURES.forEach(fixture => console.log(`${fixture.name.padEnd(28)} ${fixture.description}`));
+        return 0;
+    }
+
+    const unknown = names.filter(name => !FIXTURES.some(fixture => fixture.name === name));
+    if (unknown.length > 0) {
+        console.error(`❌ Unknown fixture(s): ${unknown.join(', ')} (see --list)`);
+        return 2;
+    }
+
+    const fixtures = names.length > 0 ? FIXTURES.filter(fixture => names.includes(fixture.name)) : FIXTURES;
+    let failed = 0;
+
+    for (const fixture of fixtures) {
+        let failures;
+        try {
+            failures = checkExpectations(fixture, await loadFixture(fixture, { verbose }));
+        } catch (error) {
+            failures = [`loading failed: ${error.stack || error.message}`];
+        }
+
+        if (failures.length === 0) {
+            console.log(`✅ ${fixture.name} - ${fixture.description}`);
+        } else {
+            failed++;
+            console.log(`❌ ${fixture.name} - ${fixture.description}`);
+            failures.forEach(failure => console.log(`    - ${failure}`));
+        }
+    }
+
+    console.log(`\n📊 ${fixtures.length - failed}/${fixtures.length} fixtures passed`);
+    return failed > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(code => process.exit(code));
+}
+
+module.exports = { FIXTURES, loadFixture, checkExpectations };
@@ -0,0 +1,170 @@
+// Versioned DOM selector profiles for the Google Meet UI
+// Meet ships UI changes without notice and the tracker used to hard-code its selectors,
+// so a redesign broke tracking silently. Each profile describes one known layout; profiles
+// are tried in order (newest first) and the first one that matches the page is used.
+// When Meet changes again, add a new profile at the top instead of editing the tracker, and
+// save the new page in fixtures/meet/ for dom-fixtures.js.
+
+class MeetSelectorProfiles {
+    // UI strings that are never participant names (shared by every profile)
+    static COMMON_INVALID_NAMES = [
+        'you', 'devices', 'frame_person', 'visual_effects', 'more_vert', 'more options',
+        'backgrounds and effects', 'jump to bottom', 'others might still see',
+        'camera', 'microphone', 'speakers', 'default', 'system', 'built-in',
+        'external', 'usb', 'bluetooth', 'airpods', 'headphones', 'headset',
+        'audio', 'video', 'reframe', 'share screen', 'present now', 'settings',
+        'more', 'chat', 'people', 'activities', 'whiteboard', 'record',
+        'live stream', 'mute', 'unmute', 'turn off camera', 'turn on camera',
+        'turn off microphone', 'turn on microphone', 'leave call', 'end call',
+        'join call', 'ask to join', 'captions', 'hand', 'raise hand', 'lower hand',
+        'turn off captions', 'turn on captions', 'joined', 'left', 'disconnected',
+        'reconnected', 'presenting', 'stopped presenting', 'entered', 'exited',
+        'connected', 'meeting host', 'host', 'guest', 'visitor', 'organizer',
+        'draw', 'drawing', 'annotation', 'annotate', 'pen', 'marker', 'highlighter', 'keep'
+    ];
+
+    static PROFILES = [
+        {
+            version: '2024.1',
+            description: 'Tile grid with data-participant-id tiles and data-is-muted toolbar toggles',
+            selectors: {
+                participantTile: '[data-participant-id]',
+                participantIdAttribute: 'data-participant-id',
+                participantName: '[data-self-name], [jsname="YEtHCd"], .participant-name',
+                participantNameFallback: '[jsname] [dir="auto"]',
+                meetingTitle: '[data-meeting-title]',
+                meetingTitleAttribute: 'data-meeting-title',
+                mediaControls: '[data-is-muted], [data-is-video-on]',
+                // My own mic/camera toggles are read inside the bottom toolbar only - tiles carry
+                // data-is-muted for other people's mics too
+                callToolbar: '[jscontroller="kAPMuc"], .Tmb7Fd',
+                mutedToggle: '[data-is-muted]',
+                videoToggle: '[data-is-video-on]',
+                leaveCall: '[aria-label*="Leave call"], [aria-label*="End call"], [aria-label*="Hang up"]',
+                participantGrid: '[jsname="A5il2e"]',
+                meetingArea: '[data-allocation-index]',
+                // Obfuscated classes Meet has used for the animated audio-level indicator on a speaking tile
+                speakingIndicator: '.IisKdb, .Oaajhc, [data-audio-level]:not([data-audio-level="0"])',
+                // Live captions: one entry per speaker turn, text grows while they talk
+                captionsRegion: '[role="region"][aria-label*="Captions"], .a4cQT',
+                captionEntry: '.nMcdL',
+                captionSpeaker: '.KcIKyf, .NWpY1d',
+                captionText: '.bh44bd, [jsname="tgaKEf"]',
+                // Chat panel: messages are grouped under their sender
+                chatMessageGroup: '[data-sender-id], .Ss4fHf',
+                chatSender: '[data-sender-name], .poVWob',
+                chatMessage: '[data-message-id], .ptNLrf',
+                chatMessageText: '[jsname="dTKtvb"], .er6Kjc',
+                // Floating emoji reactions carry the sender's name while they animate
+                reactionBubble: '[data-emoji-reaction], .ccflQd',
+                reactionSender: '[data-reaction-sender], .qmj5wb',
+                raisedHand: '[data-is-hand-raised="true"], [aria-label*="Raised hand"], [aria-label*="raised hand"]',
+                selfHandRaised: 'button[aria-label*="Lower hand"]',
+                // Self detection: Meet tags the name on my own tile; the account button names the signed-in account
+                selfTileMarker: '[data-self-name]',
+                accountButton: 'a[aria-label^="Google Account"], [aria-label^="Google Account:"]',
+                accountAvatar: 'a[aria-label^="Google Account"] img, img.gbii, img.gb_Q'
+            },
+            text: {
+                invalidNames: [],
+                postMeeting: [
+                    'You left the meeting', 'The meeting has ended', 'Thanks for joining',
+                    'Return to home screen', 'Rejoin', 'Meeting ended', 'You have left the meeting'
+                ],
+                waitingRoom: [
+                    'Join now', 'Ask to join', 'Waiting to join',
+                    'Someone will let you in soon', "You're waiting for someone to let you in",
+                    'Check your audio and video', 'Preview your audio and video'
+                ]
+            }
+        },
+        {
+            version: '2022.1',
+            description: 'Older layout where tiles carry data-requested-participant-id',
+            selectors: {
+                participantTile: '[data-requested-participant-id]',
+                participantIdAttribute: 'data-requested-participant-id',
+                participantName: '[data-self-name], .ZjFb7c, .participant-name',
+                participantNameFallback: '[jsname] [dir="auto"]',
+                meetingTitle: '[data-meeting-title], [data-meeting-code]',
+                meetingTitleAttribute: 'data-meeting-title',
+                mediaControls: '[data-is-muted], [data-is-video-on]',
+                callToolbar: '.SGP0hd',
+                mutedToggle: '[data-is-muted]',
+                videoToggle: '[data-is-video-on]',
+                leaveCall: '[aria-label*="Leave call"], [aria-label*="End call"], [aria-label*="Hang up"]',
+                participantGrid: '[jsname="A5il2e"], [jscontroller="MJfjyf"]',
+                meetingArea: '[data-allocation-index]',
+                speakingIndicator: '.IisKdb, .Oaajhc, [data-audio-level]:not([data-audio-level="0"])',
+                captionsRegion: '.a4cQT, [jscontroller="KPn5nb"]',
+                captionEntry: '.TBMuR, .CNusmb',
+                captionSpeaker: '.zs7s8d',
+                captionText: '.iTTPOb, .VbkSUe',
+                chatMessageGroup: '.GDhqjd',
+                chatSender: '.YTbUzc',
+                chatMessage: '.oIy2qc',
+                chatMessageText: '.oIy2qc',
+                reactionBubble: '[data-emoji-reaction]',
+                reactionSender: '[data-reaction-sender]',
+                raisedHand: '[aria-label*="raised hand"], [aria-label*="Raised hand"]',
+                selfHandRaised: 'button[aria-label*="Lower hand"]',
+                selfTileMarker: '[data-self-name]',
+                accountButton: 'a[aria-label^="Google Account"]',
+                accountAvatar: 'a[aria-label^="Google Account"] img, img.gbii'
+            },
+            text: {
+                invalidNames: ['pin', 'unpin', 'remove from call'],
+                postMeeting: [
+                    'You left the meeting', 'The meeting has ended', 'Return to home screen',
+                    'Rejoin', 'You have left the meeting'
+                ],
+                waitingRoom: [
+                    'Join now', 'Ask to join', 'Waiting to join',
+                    'Someone will let you in soon', 'Getting ready...'
+                ]
+            }
+        }
+    ];
+
+    // The newest profile - used until the page shows which layout it has
+    static getDefault() {
+        return MeetSelectorProfiles.PROFILES[0];
+    }
+
+    static getProfile(version) {
+        return MeetSelectorProfiles.PROFILES.find(p => p.version === version) || null;
+    }
+
+    // Try the profiles in order and return the first whose participant tiles are on the page,
+    // then the first whose call controls are; null when none match (e.g. still on the lobby)
+    static detectProfile(root) {
+        for (const key of ['participantTile', 'mediaControls']) {
+            const profile = MeetSelectorProfiles.PROFILES.find(p => MeetSelectorProfiles.matches(root, p.selectors[key]));
+            if (profile) {
+                return profile;
+            }
+        }
+        return null;
+    }
+
+    static matches(root, selector) {
+        try {
+            return !!root.querySelector(selector);
+        } catch (error) {
+            console.debug(`[MeetSelectorProfiles] Invalid selector "${selector}":`, error.message);
+            return false;
+        }
+    }
+
+    // Lowercased UI strings that must never be taken for participant names
+    static getInvalidNames(profile) {
+        return MeetSelectorProfiles.COMMON_INVALID_NAMES.concat(profile?.text?.invalidNames || []);
+    }
+}
+
+// Export the profiles
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MeetSelectorProfiles;
+} else if (typeof window !== 'undefined') {
+    window.MeetSelectorProfiles = MeetSelectorProfiles;
+}
@@ -0,0 +1,197 @@
+// Decoder for Google Meet SyncMeetingSpaceCollections payloads
+// network-shim.js forwards the raw base64 response body via 'gmal-message' events.
+// The body is a protobuf message with no published schema, so this decoder walks the
+// wire format generically and picks out device entries by their resource names.
+
+class MeetSyncDecoder {
+    // Device resource names look like "spaces/<spaceId>/devices/<deviceId>"
+    static DEVICE_ID_PATTERN = /^spaces\/[^\/\s]+\/devices\/[^\/\s]+$/;
+
+    // Participant resource names look like "spaces/<spaceId>/participants/<participantId>"
+    static PARTICIPANT_ID_PATTERN = /^spaces\/[^\/\s]+\/participants\/[^\/\s]+$/;
+
+    static AVATAR_URL_PATTERN = /^https:\/\/lh\d\.googleusercontent\.com\//;
+
+    // Nested messages deeper than this are treated as opaque bytes
+    static MAX_DEPTH = 12;
+
+    // Decode a base64 response body into a participant roster
+    // Returns [{ deviceId, participantId, name, avatarUrl }] (empty array when nothing matched)
+    static decodeRoster(b64) {
+        const bytes = MeetSyncDecoder.base64ToBytes(b64);
+        if (!bytes || bytes.length === 0) {
+            return [];
+        }
+
+        const root = MeetSyncDecoder.parseMessage(bytes, 0);
+        if (!root) {
+            return [];
+        }
+
+        const roster = new Map();
+        MeetSyncDecoder.collectDevices(root, roster);
+        return Array.from(roster.values());
+    }
+
+    // Convert base64 (standard or URL-safe, whitespace tolerant) to a byte array
+    static base64ToBytes(b64) {
+        if (!b64 || typeof b64 !== 'string') {
+            return null;
+        }
+
+        try {
+            const normalized = b64.replace(/\s+/g, '').replace(/-/g, '+').replace(/_/g, '/');
+            const padded = normalized + '='.repeat((4 - normalized.length % 4) % 4);
+            const binary = atob(padded);
+            const bytes = new Uint8Array(binary.length);
+            for (let i = 0; i < binary.length; i++) {
+                bytes[i] = binary.charCodeAt(i);
+            }
+            return bytes;
+        } catch (error) {
+            console.debug('[MeetSyncDecoder] Payload is not valid base64:', error.message);
+            return null;
+        }
+    }
+
+    // Parse a protobuf message without a schema
+    // Returns an array of { field, wireType, value, string, message } or null if the bytes
+    // are not a well-formed message
+    static parseMessage(bytes, depth) {
+        const fields = [];
+        let offset = 0;
+
+        while (offset < bytes.length) {
+            const tag = MeetSyncDecoder.readVarint(bytes, offset);
+            if (!tag) return null;
+            offset = tag.offset;
+
+            const field = Math.floor(tag.value / 8);
+            const wireType = tag.value % 8;
+            if (field === 0) return null;
+
+            if (wireType === 0) {
+                // Varint
+                const varint = MeetSyncDecoder.readVarint(bytes, offset);
+                if (!varint) return null;
+                offset = varint.offset;
+                fields.push({ field, wireType, value: varint.value });
+            } else if (wireType === 1) {
+                // 64-bit
+                if (offset + 8 > bytes.length) return null;
+                fields.push({ field, wireType, value: bytes.subarray(offset, offset + 8) });
+                offset += 8;
+            } else if (wireType === 2) {
+                // Length-delimited: string, bytes or nested message
+                const length = MeetSyncDecoder.readVarint(bytes, offset);
+                if (!length) return null;
+                offset = length.offset;
+                if (offset + length.value > bytes.length) return null;
+
+                const chunk = bytes.subarray(offset, offset + length.value);
+                offset += length.value;
+
+                const entry = { field, wireType, value: chunk };
+                entry.string = MeetSyncDecoder.decodeString(chunk);
+                if (depth < MeetSyncDecoder.MAX_DEPTH && chunk.length > 0) {
+                    entry.message = MeetSyncDecoder.parseMessage(chunk, depth + 1);
+                }
+                fields.push(entry);
+            } else if (wireType === 5) {
+                // 32-bit
+                if (offset + 4 > bytes.length) return null;
+                fields.push({ field, wireType, value: bytes.subarray(offset, offset + 4) });
+                offset += 4;
+            } else {
+                // Groups (3/4) are deprecated and never used by Meet; anything else is garbage
+                return null;
+            }
+        }
+
+        return fields;
+    }
+
+    // Read a base-128 varint; returns { value, offset } or null when truncated
+    static readVarint(bytes, offset) {
+        let value = 0;
+        let multiplier = 1;
+
+        for (let i = 0; i < 10; i++) {
+            if (offset >= bytes.length) return null;
+            const byte = bytes[offset++];
+            value += (byte & 0x7f) * multiplier;
+            if ((byte & 0x80) === 0) {
+                return { value, offset };
+            }
+            multiplier *= 128;
+        }
+
+        return null;
+    }
+
+    // Decode bytes as UTF-8 if they look like printable text
+    static decodeString(chunk) {
+        if (chunk.length === 0) return '';
+
+        try {
+            const text = new TextDecoder('utf-8', { fatal: true }).decode(chunk);
+            // Reject control characters (other than whitespace) - those are binary payloads
+            if (/[\u0000-\u0008\u000e-\u001f]/.test(text)) {
+                return null;
+            }
+            return text;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Walk the parsed tree and record every message that carries a device resource name
+    static collectDevices(fields, roster) {
+        const strings = fields
+            .filter(f => f.wireType === 2 && typeof f.string === 'string')
+            .map(f => f.string.trim());
+
+        const deviceId = strings.find(s => MeetSyncDecoder.DEVICE_ID_PATTERN.test(s));
+
+        if (deviceId) {
+            const participantId = strings.find(s => MeetSyncDecoder.PARTICIPANT_ID_PATTERN.test(s)) || null;
+            const avatarUrl = strings.find(s => MeetSyncDecoder.AVATAR_URL_PATTERN.test(s)) || null;
+            const name = strings.find(s => MeetSyncDecoder.isDisplayName(s)) || null;
+
+            const existing = roster.get(deviceId);
+            if (name || !existing) {
+                roster.set(deviceId, {
+                    deviceId,
+                    participantId: participantId || existing?.participantId || null,
+                    name: name || existing?.name || null,
+                    avatarUrl: avatarUrl || existing?.avatarUrl || null
+                });
+            }
+            return;
+        }
+
+        // Not a device entry itself - keep looking in nested messages
+        fields.forEach(f => {
+            if (f.message) {
+                MeetSyncDecoder.collectDevices(f.message, roster);
+            }
+        });
+    }
+
+    // A display name is a short human-readable string that is not an ID or URL
+    static isDisplayName(text) {
+        if (!text || text.length < 2 || text.length > 80) return false;
+        if (/^https?:\/\//.test(text)) return false;
+        if (text.startsWith('spaces/') || text.startsWith('@')) return false;
+        // Opaque tokens (base64-ish, hex, numeric IDs) have no spaces and mixed symbols/digits
+        if (/^[A-Za-z0-9+\/=_\-.:]+$/.test(text) && /\d/.test(text)) return false;
+        return /\p{L}/u.test(text);
+    }
+}
+
+// Export the decoder
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MeetSyncDecoder;
+} else if (typeof window !== 'undefined') {
+    window.MeetSyncDecoder = MeetSyncDecoder;
+}
@@ -4,6 +4,12 @@
 (function() {
   'use strict';
   
+  // Content script may be re-injected into an existing tab - never wrap fetch/XHR twice
+  if (window.meetTrackerShimsActive) {
+    console.log('[MeetTracker] Network shims already active, skipping');
+    return;
+  }
+  
   console.log('[MeetTracker] Initializing proven network shims...');
   
   // Store original functions
@@ -43,8 +49,10 @@
       };
       
       // Only process SyncMeetingSpaceCollections calls (proven to work)
-      if (url && url.indexOf('SyncMeetingSpaceCollections') > -1) {
-        response.then(wrapperFn);
+      // fetch() may be called with a Request object instead of a URL string
+      const requestUrl = typeof url === 'string' ? url : (url && url.url) || '';
+      if (requestUrl.indexOf('SyncMeetingSpaceCollections') > -1) {
+        wrapperFn(response);
       }
       
       return response;
@@ -104,4 +112,4 @@
   };
   
   console.log('[MeetTracker] Proven network shims injected successfully');
-});
+})();
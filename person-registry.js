@@ -0,0 +1,282 @@
+// Person registry for participant identity resolution
+// Participants arrive as strings or { id, name, avatarUrl } objects, and the same person shows
+// up as "Alex", "Alex (You)" or "Alex Smith". The registry (the IndexedDB participants store)
+// keeps one record per person with a stable person ID:
+//   { personId, displayName, aliases: [name], email, participantIds: { [meetingId]: { [participantId]: name } },
+//     participantKeys: ['<meetingId>|<participantId>'], aliasKeys: [normalized alias], meetingIds, lastSeen, createdAt }
+// Shared by the background (resolves on ingest) and the dashboard (merge/split UI).
+
+class PersonRegistry {
+    // Markers Meet, Zoom and Teams append to names
+    static NAME_SUFFIX_PATTERN = /\s*\((you|me|host|co-host|guest|presentation|presenter|organizer|organiser|external)[^)]*\)\s*/gi;
+
+    // The display name of a participant in any of the stored formats
+    static participantName(participant) {
+        if (typeof participant === 'string') {
+            return participant;
+        }
+        if (participant && typeof participant === 'object') {
+            return participant.name || participant.displayName || participant.id || 'Unknown';
+        }
+        return 'Unknown';
+    }
+
+    // Name without "(You)"/"(Host)" markers, as shown to the user
+    static cleanName(name) {
+        return (name || '')
+            .replace(PersonRegistry.NAME_SUFFIX_PATTERN, ' ')
+            .replace(/\s+is presenting$/i, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    // Comparison key for aliases: clean, lowercase, accents removed
+    static aliasKey(name) {
+        return PersonRegistry.cleanName(name)
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase();
+    }
+
+    static participantKey(meetingId, participantId) {
+        return `${meetingId}|${participantId}`;
+    }
+
+    static createPersonId() {
+        return `person_${Date.now().toString(36)}_${Math.random().toString(36).substr(2, 6)}`;
+    }
+
+    static createPerson(name) {
+        return {
+            personId: PersonRegistry.createPersonId(),
+            displayName: name,
+            aliases: [],
+            email: null,
+            participantIds: {},
+            participantKeys: [],
+            aliasKeys: [],
+            meetingIds: [],
+            lastSeen: null,
+            createdAt: Date.now()
+        };
+    }
+
+    // Lookup maps over a list of people; kept up to date by indexPerson while resolving
+    static buildIndex(people) {
+        const index = {
+            byId: new Map(),
+            byKey: new Map(),
+            byAlias: new Map(),
+            byEmail: new Map(),
+            byMeeting: new Map()
+        };
+        people.forEach(person => PersonRegistry.indexPerson(index, person));
+        return index;
+    }
+
+    static indexPerson(index, person) {
+        index.byId.set(person.personId, person);
+        person.participantKeys.forEach(key => index.byKey.set(key, person));
+        person.aliasKeys.forEach(key => index.byAlias.set(key, person));
+        if (person.email) {
+            index.byEmail.set(person.email.toLowerCase(), person);
+        }
+        person.meetingIds.forEach(meetingId => {
+            const people = index.byMeeting.get(meetingId) || new Set();
+            people.add(person);
+            index.byMeeting.set(meetingId, people);
+        });
+    }
+
+    // Find the person for a participant seen in a meeting, or null. Order:
+    // 1. the same participant ID in the same meeting, 2. email, 3. a known alias,
+    // 4. a first name that matches exactly one full name (or the reverse) among people in this meeting
+    static lookup(index, participant, meetingId) {
+        const name = PersonRegistry.cleanName(PersonRegistry.participantName(participant));
+        if (!name || name === 'Unknown') {
+            return null;
+        }
+
+        const participantId = typeof participant === 'object' ? participant?.id : null;
+        if (participantId && meetingId) {
+            const person = index.byKey.get(PersonRegistry.participantKey(meetingId, participantId));
+            if (person) return person;
+        }
+
+        const email = typeof participant === 'object' ? participant?.email : null;
+        if (email && index.byEmail.has(email.toLowerCase())) {
+            return index.byEmail.get(email.toLowerCase());
+        }
+
+        const alias = PersonRegistry.aliasKey(name);
+        if (index.byAlias.has(alias)) {
+            return index.byAlias.get(alias);
+        }
+
+        const candidates = Array.from(index.byMeeting.get(meetingId) || [])
+            .filter(person => person.aliasKeys.some(key => PersonRegistry.isFirstNameMatch(key, alias)));
+        return candidates.length === 1 ? candidates[0] : null;
+    }
+
+    // "alex" vs "alex smith" (either way round)
+    static isFirstNameMatch(a, b) {
+        const aTokens = a.split(' ');
+        const bTokens = b.split(' ');
+        if (aTokens.length === 1 && bTokens.length > 1) return bTokens[0] === a;
+        if (bTokens.length === 1 && aTokens.length > 1) return aTokens[0] === b;
+        return false;
+    }
+
+    // Resolve a participant on ingest: find or create the person and record the sighting.
+    // Returns { person, changed } or null for unusable names.
+    static resolve(index, participant, meetingId, timestamp) {
+        const name = PersonRegistry.cleanName(PersonRegistry.participantName(participant));
+        if (!name || name === 'Unknown') {
+            return null;
+        }
+
+        let person = PersonRegistry.lookup(index, participant, meetingId);
+        let changed = false;
+        if (!person) {
+            person = PersonRegistry.createPerson(name);
+            changed = true;
+        }
+
+        changed = PersonRegistry.addSighting(person, participant, name, meetingId, timestamp) || changed;
+        PersonRegistry.indexPerson(index, person);
+        return { person, changed };
+    }
+
+    // Record an alias / participant ID / email; returns true when the record changed
+    static addSighting(person, participant, name, meetingId, timestamp) {
+        let changed = false;
+        const alias = PersonRegistry.aliasKey(name);
+
+        if (!person.aliasKeys.includes(alias)) {
+            person.aliases.push(name);
+            person.aliasKeys.push(alias);
+            // Prefer the most complete name for display ("Alex Smith" over "Alex")
+            if (name.length > (person.displayName || '').length) {
+                person.displayName = name;
+            }
+            changed = true;
+        }
+
+        const email = typeof participant === 'object' ? participant?.email : null;
+        if (email && !person.email) {
+            person.email = email;
+            changed = true;
+        }
+
+        if (meetingId) {
+            if (!person.meetingIds.includes(meetingId)) {
+                person.meetingIds.push(meetingId);
+                changed = true;
+            }
+
+            const participantId = typeof participant === 'object' ? participant?.id : null;
+            if (participantId) {
+                const seen = person.participantIds[meetingId] || {};
+                if (!seen[participantId]) {
+                    seen[participantId] = name;
+                    person.participantIds[meetingId] = seen;
+                    person.participantKeys.push(PersonRegistry.participantKey(meetingId, participantId));
+                    changed = true;
+                }
+            }
+        }
+
+        if (timestamp && timestamp > (person.lastSeen || 0)) {
+            person.lastSeen = timestamp;
+            changed = true;
+        }
+
+        return changed;
+    }
+
+    // Fold the other people into the target (aliases, participant IDs, email); returns the target
+    static merge(target, others) {
+        others.forEach(other => {
+            other.aliases.forEach(alias => {
+                const key = PersonRegistry.aliasKey(alias);
+                if (!target.aliasKeys.includes(key)) {
+                    target.aliases.push(alias);
+                    target.aliasKeys.push(key);
+                }
+            });
+
+            Object.entries(other.participantIds).forEach(([meetingId, seen]) => {
+                target.participantIds[meetingId] = { ...(target.participantIds[meetingId] || {}), ...seen };
+            });
+
+            target.email = target.email || other.email;
+            target.lastSeen = Math.max(target.lastSeen || 0, other.lastSeen || 0) || null;
+            target.mergedPersonIds = [...(target.mergedPersonIds || []), other.personId, ...(other.mergedPersonIds || [])];
+        });
+
+        PersonRegistry.rebuildDerivedFields(target, others.flatMap(other => other.meetingIds));
+        return target;
+    }
+
+    // Move the given aliases (and the participant IDs seen under them) to a new person
+    static split(person, aliases) {
+        const moveKeys = new Set(aliases.map(alias => PersonRegistry.aliasKey(alias)));
+        const newPerson = PersonRegistry.createPerson(aliases[0]);
+        const movedMeetingIds = [];
+
+        person.aliases = person.aliases.filter(alias => {
+            if (moveKeys.has(PersonRegistry.aliasKey(alias))) {
+                newPerson.aliases.push(alias);
+                return false;
+            }
+            return true;
+        });
+
+        Object.entries(person.participantIds).forEach(([meetingId, seen]) => {
+            Object.entries(seen).forEach(([participantId, name]) => {
+                if (moveKeys.has(PersonRegistry.aliasKey(name))) {
+                    newPerson.participantIds[meetingId] = { ...(newPerson.participantIds[meetingId] || {}), [participantId]: name };
+                    delete seen[participantId];
+                    movedMeetingIds.push(meetingId);
+                }
+            });
+            if (Object.keys(seen).length === 0) {
+                delete person.participantIds[meetingId];
+            }
+        });
+
+        newPerson.displayName = newPerson.aliases.reduce((a, b) => (b.length > a.length ? b : a), newPerson.aliases[0]);
+        if (!person.aliases.some(alias => alias === person.displayName)) {
+            person.displayName = person.aliases.reduce((a, b) => (b.length > a.length ? b : a), person.aliases[0]);
+        }
+        newPerson.lastSeen = person.lastSeen;
+
+        PersonRegistry.rebuildDerivedFields(newPerson, movedMeetingIds);
+        // Meetings without participant IDs (string-only participants) stay with both people
+        PersonRegistry.rebuildDerivedFields(person, []);
+        return newPerson;
+    }
+
+    // Recompute aliasKeys, participantKeys and meetingIds after a merge or split
+    static rebuildDerivedFields(person, extraMeetingIds) {
+        person.aliasKeys = person.aliases.map(alias => PersonRegistry.aliasKey(alias));
+        person.participantKeys = [];
+        Object.entries(person.participantIds).forEach(([meetingId, seen]) => {
+            Object.keys(seen).forEach(participantId => {
+                person.participantKeys.push(PersonRegistry.participantKey(meetingId, participantId));
+            });
+        });
+        person.meetingIds = Array.from(new Set([
+            ...person.meetingIds,
+            ...extraMeetingIds,
+            ...Object.keys(person.participantIds)
+        ]));
+    }
+}
+
+// Export the registry
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PersonRegistry;
+} else if (typeof window !== 'undefined') {
+    window.PersonRegistry = PersonRegistry;
+}
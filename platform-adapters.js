@@ -0,0 +1,239 @@
+// Meeting platform adapters
+// Every platform the tracker supports implements the same small interface: whether the
+// page belongs to it, meeting ID and title extraction, in-call detection, participant
+// scanning and end detection. SimpleMeetTracker (content-simple.js) is the Meet
+// implementation; the Zoom and Teams web clients are handled by the adapters below and
+// driven by PlatformMeetingTracker (platform-tracker.js). Saved pages of each client are in
+// fixtures/ and checked by dom-fixtures.js - update them together with the selectors.
+
+class MeetingPlatformAdapter {
+    constructor(platform) {
+        this.platform = platform;
+    }
+
+    // True when the current page belongs to this platform's web client
+    matchesPage() {
+        return false;
+    }
+
+    getMeetingId() {
+        return null;
+    }
+
+    getMeetingTitle() {
+        return this.getMeetingId();
+    }
+
+    // True while we are in the call itself (not the pre-join screen)
+    isInMeeting() {
+        return false;
+    }
+
+    // Participants currently visible on the page: [{ id, name, avatarUrl }]
+    scanParticipants() {
+        return [];
+    }
+
+    // True when the page shows that the call is over (left, ended by host, removed)
+    hasMeetingEnded() {
+        return false;
+    }
+
+    // Shared helpers for DOM-based adapters
+
+    queryFirst(selectors) {
+        for (const selector of selectors) {
+            try {
+                const element = document.querySelector(selector);
+                if (element) return element;
+            } catch (error) {
+                console.debug(`[${this.platform}] Invalid selector "${selector}":`, error.message);
+            }
+        }
+        return null;
+    }
+
+    queryAll(selectors) {
+        for (const selector of selectors) {
+            try {
+                const elements = document.querySelectorAll(selector);
+                if (elements.length > 0) return Array.from(elements);
+            } catch (error) {
+                console.debug(`[${this.platform}] Invalid selector "${selector}":`, error.message);
+            }
+        }
+        return [];
+    }
+
+    pageHasText(texts) {
+        const bodyText = document.body?.textContent || '';
+        return texts.some(text => bodyText.includes(text));
+    }
+
+    // Names are the only stable handle these clients expose, so IDs are derived from them
+    participantIdFromName(name) {
+        return `${this.platform}:${name.toLowerCase().replace(/\s+/g, ' ').trim()}`;
+    }
+
+    cleanName(text) {
+        return (text || '')
+            .replace(/\((host|co-host|me|guest|you|organizer|organiser|presenter)[^)]*\)/gi, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    isValidName(name) {
+        return !!name && name.length >= 2 && name.length <= 80 && /\p{L}/u.test(name);
+    }
+
+    // Read names from elements, de-duplicated; avatar from an <img> in the element when present
+    collectParticipants(elements, readName) {
+        const participants = new Map();
+        elements.forEach(element => {
+            const name = this.cleanName(readName(element));
+            if (!this.isValidName(name)) return;
+
+            const id = this.participantIdFromName(name);
+            if (!participants.has(id)) {
+                participants.set(id, { id, name, avatarUrl: element.querySelector('img')?.src || null });
+            }
+        });
+        return Array.from(participants.values());
+    }
+}
+
+// Zoom web client (app.zoom.us/wc/<meeting number>/join or /wc/join/<meeting number>)
+class ZoomWebAdapter extends MeetingPlatformAdapter {
+    static MEETING_PATH = /^\/wc\/(?:join\/)?(\d+)/;
+
+    constructor() {
+        super('zoom');
+    }
+
+    matchesPage() {
+        return window.location.hostname === 'app.zoom.us' && ZoomWebAdapter.MEETING_PATH.test(window.location.pathname);
+    }
+
+    getMeetingId() {
+        const match = window.location.pathname.match(ZoomWebAdapter.MEETING_PATH);
+        return match ? match[1] : null;
+    }
+
+    getMeetingTitle() {
+        const topic = this.queryFirst(['.meeting-info-container__topic', '.meeting-info-topic', '[class*="meeting-topic"]']);
+        const title = topic?.textContent?.trim();
+        if (title) return title;
+
+        if (document.title && !/^zoom/i.test(document.title.trim())) {
+            return document.title.trim();
+        }
+        return `Zoom ${this.getMeetingId()}`;
+    }
+
+    isInMeeting() {
+        return !!this.queryFirst(['.footer__leave-btn', 'button[aria-label="Leave"]', 'button[aria-label*="Leave meeting"]', 'button[aria-label*="End meeting"]']);
+    }
+
+    scanParticipants() {
+        // The participants panel lists everyone; gallery tiles only show who is on screen
+        const panelItems = this.queryAll(['.participants-item__display-name', '.participants-li .participants-item__name-section']);
+        if (panelItems.length > 0) {
+            return this.collectParticipants(panelItems, element => element.textContent);
+        }
+
+        const tiles = this.queryAll(['.video-avatar__avatar-name', '.video-avatar__avatar-title', '.gallery-video-container__video-frame [class*="avatar-name"]']);
+        return this.collectParticipants(tiles, element => element.textContent);
+    }
+
+    hasMeetingEnded() {
+        return this.pageHasText([
+            'This meeting has been ended by host',
+            'The meeting has ended',
+            'You have been removed from this meeting',
+            'You left the meeting'
+        ]) || /\/wc\/leave/.test(window.location.pathname);
+    }
+}
+
+// Microsoft Teams web client (teams.microsoft.com, classic and v2)
+class TeamsWebAdapter extends MeetingPlatformAdapter {
+    constructor() {
+        super('teams');
+    }
+
+    matchesPage() {
+        return /(^|\.)teams\.(microsoft|live)\.com$/.test(window.location.hostname);
+    }
+
+    // Scheduled meetings carry their thread ID (19:meeting_...@thread.v2) in the join URL;
+    // ad-hoc calls don't, so fall back to the call title
+    getMeetingId() {
+        const url = decodeURIComponent(window.location.href);
+        const thread = url.match(/19:meeting_[^@\/]+@thread\.v2/);
+        if (thread) return thread[0];
+
+        const title = this.getCallTitle();
+        return title ? `teams-${title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')}` : null;
+    }
+
+    getCallTitle() {
+        const titleElement = this.queryFirst(['[data-tid="call-title"]', '[data-tid="calling-title"]', '.ts-calling-thread-header']);
+        const title = titleElement?.textContent?.trim() ||
+            (document.title || '').replace(/\s*\|\s*Microsoft Teams.*$/i, '').replace(/^\(\d+\)\s*/, '').trim();
+        return title && !/^microsoft teams$/i.test(title) ? title : null;
+    }
+
+    getMeetingTitle() {
+        return this.getCallTitle() || 'Teams meeting';
+    }
+
+    isInMeeting() {
+        return !!this.queryFirst(['#hangup-button', '[data-tid="hangup-main-btn"]', '[data-tid="call-hangup"]', 'button[aria-label="Leave"]', 'button[aria-label*="Hang up"]']);
+    }
+
+    scanParticipants() {
+        const rosterItems = this.queryAll(['[data-tid^="participantsInCall-"]', '[data-tid="roster-participant"]', '[data-cid="roster-participant"]']);
+        if (rosterItems.length > 0) {
+            return this.collectParticipants(rosterItems, element =>
+                element.querySelector('[data-tid="roster-item-name"], span[title]')?.textContent || element.getAttribute('aria-label') || '');
+        }
+
+        const tiles = this.queryAll(['[data-cid="calling-participant-stream"]', '[data-tid="video-tile"]']);
+        return this.collectParticipants(tiles, element =>
+            element.getAttribute('aria-label')?.split(',')[0] || element.querySelector('[data-tid="participant-name"]')?.textContent || '');
+    }
+
+    hasMeetingEnded() {
+        return this.pageHasText([
+            'You left the meeting',
+            'The meeting has ended',
+            'Call ended',
+            'You have been removed from the meeting'
+        ]) && !this.isInMeeting();
+    }
+}
+
+class MeetingPlatformAdapters {
+    static ADAPTERS = [ZoomWebAdapter, TeamsWebAdapter];
+
+    // The adapter for the current page, or null (Meet pages are handled by SimpleMeetTracker)
+    static detect() {
+        for (const Adapter of MeetingPlatformAdapters.ADAPTERS) {
+            const adapter = new Adapter();
+            if (adapter.matchesPage()) {
+                return adapter;
+            }
+        }
+        return null;
+    }
+}
+
+// Export the adapters
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MeetingPlatformAdapter, ZoomWebAdapter, TeamsWebAdapter, MeetingPlatformAdapters };
+} else if (typeof window !== 'undefined') {
+    window.MeetingPlatformAdapter = MeetingPlatformAdapter;
+    window.ZoomWebAdapter = ZoomWebAdapter;
+    window.TeamsWebAdapter = TeamsWebAdapter;
+    window.MeetingPlatformAdapters = MeetingPlatformAdapters;
+}
@@ -0,0 +1,239 @@
+// Meeting tracker for the Zoom and Teams web clients
+// Drives a MeetingPlatformAdapter (platform-adapters.js) and reports to the background with
+// the same messages SimpleMeetTracker uses, so sessions, minute logs and the dashboard work
+// the same way for every platform.
+
+class PlatformMeetingTracker {
+  constructor(adapter) {
+    this.adapter = adapter;
+    this.platform = adapter.platform;
+    this.participants = new Map();
+    this.participantMemory = new Map();
+    this.participantRetentionTime = 3 * 60 * 1000; // Keep participants for 3 minutes
+    this.meetingState = {
+      isActive: false,
+      meetingId: null,
+      startTime: null,
+      meetingTitle: null
+    };
+    this.missedInCallChecks = 0;
+    this.endAfterMissedChecks = 3; // Leave button gone for 3 scans (15 s) = we left the call
+    this.suppressedMeetingId = null; // Ended manually from the popup while still in the call
+    this.lastMinuteLogged = null;
+    this.scanInterval = null;
+    this.minuteTrackingInterval = null;
+    this.logPrefix = `[PlatformMeetingTracker:${this.platform}]`;
+
+    this.start();
+  }
+
+  start() {
+    console.log(`${this.logPrefix} Starting ${this.platform} tracker on ${window.location.href}`);
+
+    this.setupMessageListener();
+    this.scanInterval = setInterval(() => this.scan(), 5000);
+    window.addEventListener('beforeunload', () => this.endMeeting('page_unload'));
+    document.addEventListener('visibilitychange', () => {
+      if (this.meetingState.isActive) {
+        this.sendToBackground({
+          type: 'visibility_changed',
+          data: {
+            meetingId: this.meetingState.meetingId,
+            visible: document.visibilityState === 'visible',
+            timestamp: Date.now()
+          }
+        });
+      }
+    });
+    this.scan();
+  }
+
+  scan() {
+    const inMeeting = this.adapter.isInMeeting();
+
+    if (!this.meetingState.isActive) {
+      if (!inMeeting) {
+        this.suppressedMeetingId = null;
+        return;
+      }
+
+      const meetingId = this.adapter.getMeetingId();
+      if (!meetingId || meetingId === this.suppressedMeetingId) {
+        return;
+      }
+      this.startMeeting(meetingId);
+    }
+
+    if (this.adapter.hasMeetingEnded()) {
+      this.endMeeting('meeting_ended_page');
+      return;
+    }
+
+    if (!inMeeting) {
+      this.missedInCallChecks++;
+      if (this.missedInCallChecks >= this.endAfterMissedChecks) {
+        this.endMeeting('left_call');
+      }
+      return;
+    }
+    this.missedInCallChecks = 0;
+
+    this.updateParticipants();
+  }
+
+  startMeeting(meetingId) {
+    this.meetingState = {
+      isActive: true,
+      meetingId,
+      startTime: Date.now(),
+      meetingTitle: this.adapter.getMeetingTitle()
+    };
+    this.missedInCallChecks = 0;
+    this.lastMinuteLogged = null;
+    this.participants.clear();
+    this.participantMemory.clear();
+
+    console.log(`${this.logPrefix} 🚀 Meeting became active: ${this.meetingState.meetingTitle} (${meetingId})`);
+
+    this.minuteTrackingInterval = setInterval(() => this.logCurrentMinute(), 60000);
+  }
+
+  endMeeting(reason) {
+    if (!this.meetingState.isActive) {
+      return false;
+    }
+
+    console.log(`${this.logPrefix} 🚫 Meeting ended (${reason}): ${this.meetingState.meetingTitle}`);
+
+    this.sendToBackground({
+      type: 'meetingEnded',
+      meeting: {
+        id: this.meetingState.meetingId,
+        title: this.meetingState.meetingTitle,
+        participants: Array.from(this.participants.values()),
+        reason
+      }
+    });
+
+    clearInterval(this.minuteTrackingInterval);
+    this.minuteTrackingInterval = null;
+    this.meetingState.isActive = false;
+    this.participants.clear();
+    return true;
+  }
+
+  // Scan the page and keep recently seen participants (panels close, gallery pages change)
+  updateParticipants() {
+    const now = Date.now();
+    const seen = this.adapter.scanParticipants();
+
+    seen.forEach(p => {
+      const existing = this.participantMemory.get(p.id);
+      this.participantMemory.set(p.id, {
+        ...p,
+        avatarUrl: p.avatarUrl || existing?.avatarUrl || null,
+        joinTime: existing?.joinTime || now,
+        lastSeen: now,
+        source: 'dom'
+      });
+    });
+
+    const participants = new Map();
+    this.participantMemory.forEach((p, id) => {
+      if (now - p.lastSeen > this.participantRetentionTime) {
+        this.participantMemory.delete(id);
+      } else {
+        participants.set(id, p.lastSeen === now ? p : { ...p, source: 'retained' });
+      }
+    });
+    this.participants = participants;
+
+    // Titles often render after the call UI
+    const title = this.adapter.getMeetingTitle();
+    if (title && title !== this.meetingState.meetingTitle) {
+      this.meetingState.meetingTitle = title;
+    }
+
+    this.sendToBackground({
+      type: 'update_participants',
+      data: {
+        meetingId: this.meetingState.meetingId,
+        meetingTitle: this.meetingState.meetingTitle,
+        participants: Array.from(this.participants.values()),
+        platform: this.platform
+      }
+    });
+  }
+
+  logCurrentMinute() {
+    if (!this.meetingState.isActive) return;
+
+    const now = Date.now();
+    const cumulativeDuration = now - this.meetingState.startTime;
+    const currentMinute = Math.floor(cumulativeDuration / 60000);
+    if (currentMinute === this.lastMinuteLogged) return;
+    this.lastMinuteLogged = currentMinute;
+
+    this.sendToBackground({
+      type: 'logMinuteData',
+      data: {
+        meetingId: this.meetingState.meetingId,
+        minute: currentMinute + 1, // 1-based minute numbering
+        timestamp: now,
+        participants: Array.from(this.participants.values()),
+        participantCount: this.participants.size,
+        cumulativeDuration,
+        sessionDuration: cumulativeDuration
+      }
+    });
+  }
+
+  setupMessageListener() {
+    if (!chrome?.runtime?.onMessage) return;
+
+    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+      if (message.type === 'get_meeting_state') {
+        sendResponse({
+          meetingState: this.meetingState,
+          participants: Array.from(this.participants.values()),
+          participantCount: this.participants.size
+        });
+        return true;
+      } else if (message.type === 'force_end_meeting') {
+        const meetingId = this.meetingState.meetingId;
+        const result = this.endMeeting('manual_cleanup');
+        if (result) {
+          // Don't start a new session for this call until we leave it
+          this.suppressedMeetingId = meetingId;
+        }
+        sendResponse({ success: result });
+        return true;
+      }
+    });
+  }
+
+  sendToBackground(message) {
+    if (!chrome?.runtime?.id) {
+      console.log(`${this.logPrefix} Extension context invalidated, skipping ${message.type}`);
+      return;
+    }
+
+    try {
+      chrome.runtime.sendMessage(message, () => {
+        if (chrome.runtime.lastError) {
+          console.log(`${this.logPrefix} ❌ Background communication error:`, chrome.runtime.lastError.message);
+        }
+      });
+    } catch (error) {
+      console.log(`${this.logPrefix} Failed to send ${message.type}:`, error.message);
+    }
+  }
+}
+
+// Initialize the tracker for Zoom/Teams pages (Meet pages run SimpleMeetTracker instead)
+const platformAdapter = MeetingPlatformAdapters.detect();
+if (platformAdapter) {
+  window.platformMeetingTracker = new PlatformMeetingTracker(platformAdapter);
+} else {
+  console.log('[PlatformMeetingTracker] No supported meeting client on this page');
+}
@@ -1,5 +1,16 @@
 // Popup script for Google Meet Tracker
 
+// Meeting web clients the tracker runs in (the same list as MEETING_TAB_URLS in background.js)
+const MEETING_TAB_URLS = [
+    'https://meet.google.com/*',
+    'https://app.zoom.us/wc/*',
+    'https://teams.microsoft.com/*',
+    'https://teams.live.com/*'
+];
+
+// Last state shown, so the end button can target the meeting on screen
+let displayedMeetingState = null;
+
 document.addEventListener('DOMContentLoaded', () => {
     initializePopup();
 });
@@ -36,19 +47,20 @@ function getRecentMeetings() {
                 return;
             }
             
-            chrome.runtime.sendMessage({ action: 'getMeetings' }, (response) => {
-                if (chrome.runtime.lastError || !Array.isArray(response)) {
+            // Last 5 completed meetings (not refused admissions), newest first
+            chrome.runtime.sendMessage({
+                action: 'getMeetingsAggregated',
+                sort: 'newest',
+                limit: 5,
+                includeActive: false,
+                includeLobbyOnly: false
+            }, (response) => {
+                if (chrome.runtime.lastError || !Array.isArray(response?.meetings)) {
                     resolve([]);
                     return;
                 }
                 
-                // Get last 5 meetings, sorted by start time
-                const recentMeetings = response
-                    .filter(m => m.endTime) // Only completed meetings
-                    .sort((a, b) => b.startTime - a.startTime)
-                    .slice(0, 5);
-                    
-                resolve(recentMeetings);
+                resolve(response.meetings);
             });
         } catch (error) {
             console.log('Error getting recent meetings:', error);
@@ -145,6 +157,7 @@ function getCurrentMeetingState() {
 }
 
 function displayMeetingState(state) {
+    displayedMeetingState = state;
     const statusElement = document.getElementById('meeting-status');
     const statusText = document.getElementById('status-text');
     const currentMeetingCard = document.getElementById('current-meeting');
@@ -154,6 +167,8 @@ function displayMeetingState(state) {
     statusElement.className = 'status';
     currentMeetingCard.style.display = 'none';
     currentDuration.style.display = 'none';
+    document.getElementById('live-meetings').style.display = 'none';
+    document.getElementById('detection-warning').style.display = 'none';
 
     switch (state.state) {
         case 'active':
@@ -162,6 +177,8 @@ function displayMeetingState(state) {
             currentMeetingCard.style.display = 'block';
             currentDuration.style.display = 'block';
             updateCurrentMeetingInfo(state.currentMeeting, state.participants);
+            displayLiveMeetings(state.liveMeetings);
+            displayDetectionHealth(state.detectionHealth);
             break;
         case 'waiting':
             statusElement.classList.add('waiting', 'has-duration');
@@ -261,6 +278,89 @@ function updateCurrentMeetingInfo(meeting, participants) {
     }
 }
 
+// Warn when the content script reports that participant detection is unreliable
+function displayDetectionHealth(health) {
+    const warning = document.getElementById('detection-warning');
+    const details = document.getElementById('detection-warning-details');
+    
+    if (!health || health.status !== 'degraded') {
+        warning.style.display = 'none';
+        return;
+    }
+    
+    const issues = health.issues && health.issues.length > 0 ? health.issues : ['Participant data is coming from fallbacks'];
+    details.innerHTML = `
+        <div>Quality score ${health.qualityScore ?? '--'}/100 · selector profile ${escapeHtml(health.selectorProfile || 'unknown')}</div>
+        <ul>${issues.map(issue => `<li>${escapeHtml(issue)}</li>`).join('')}</ul>
+        <div style="margin-top: 4px;">Last ${health.scanCount} scans: ${health.domRate}% page, ${health.networkRate}% network, ${health.retainedRate}% remembered, ${health.emptyRate}% nothing</div>
+    `;
+    warning.style.display = 'block';
+}
+
+// List every live meeting when more than one Meet tab is in a meeting
+function displayLiveMeetings(liveMeetings) {
+    const section = document.getElementById('live-meetings');
+    const container = document.getElementById('live-meetings-list');
+    
+    if (!liveMeetings || liveMeetings.length < 2) {
+        section.style.display = 'none';
+        return;
+    }
+    
+    container.innerHTML = liveMeetings.map(meeting => {
+        const meetingTitle = meeting.title || `Meeting ${meeting.meetingId}`;
+        const truncatedTitle = meetingTitle.length > 25 ? meetingTitle.substring(0, 22) + '...' : meetingTitle;
+        const startTime = new Date(meeting.startTime);
+        
+        return `
+            <div class="meeting-item live-meeting-item${meeting.isCurrent ? ' current' : ''}">
+                <div class="meeting-left">
+                    <div class="meeting-title">${escapeHtml(truncatedTitle)}</div>
+                    <div class="meeting-time">Started ${startTime.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</div>
+                    <div class="meeting-stats">${meeting.participantCount} participant${meeting.participantCount !== 1 ? 's' : ''}</div>
+                </div>
+                <div class="meeting-right" style="display: flex; align-items: center; gap: 8px;">
+                    <div class="meeting-duration-badge">${formatDuration(meeting.duration)}</div>
+                    <button class="end-meeting-btn live-end-btn" data-session-id="${escapeHtml(meeting.sessionId)}" title="End this meeting">✕</button>
+                </div>
+            </div>
+        `;
+    }).join('');
+    
+    container.querySelectorAll('.live-end-btn').forEach(button => {
+        button.addEventListener('click', () => endLiveMeeting(button));
+    });
+    
+    section.style.display = 'block';
+}
+
+// End one specific live meeting (leaves the others running)
+async function endLiveMeeting(button) {
+    button.disabled = true;
+    button.innerHTML = '⏳';
+    
+    try {
+        const response = await new Promise((resolve) => {
+            chrome.runtime.sendMessage({ type: 'forceEndMeeting', sessionId: button.dataset.sessionId }, resolve);
+        });
+        
+        if (!response || !response.success) {
+            showError(response?.message || 'Could not end that meeting');
+            button.disabled = false;
+            button.innerHTML = '✕';
+            return;
+        }
+        
+        const state = await getCurrentMeetingState();
+        displayMeetingState(state);
+    } catch (error) {
+        console.error('Error ending live meeting:', error);
+        showError('Failed to end meeting: ' + error.message);
+        button.disabled = false;
+        button.innerHTML = '✕';
+    }
+}
+
 function displayRecentMeetings(meetings) {
     const container = document.getElementById('recent-meetings-list');
     
@@ -404,10 +504,17 @@ async function endCurrentMeeting() {
             return;
         }
         
-        // First try to get the active Google Meet tab
-        const tabs = await new Promise((resolve) => {
-            chrome.tabs.query({ url: 'https://meet.google.com/*' }, resolve);
+        // With several meetings open, only end the one shown as current
+        const currentMeeting = displayedMeetingState?.currentMeeting;
+        const targetSession = (displayedMeetingState?.liveMeetings?.length > 1) ? currentMeeting : null;
+        
+        // First try the meeting tabs (Meet, Zoom or Teams)
+        let tabs = await new Promise((resolve) => {
+            chrome.tabs.query({ url: MEETING_TAB_URLS }, resolve);
         });
+        if (targetSession && targetSession.tabId !== undefined) {
+            tabs = tabs.filter(tab => tab.id === targetSession.tabId);
+        }
         
         let success = false;
         
@@ -431,7 +538,7 @@ async function endCurrentMeeting() {
         // Also send to background script as a fallback
         try {
             const backgroundResponse = await new Promise((resolve) => {
-                chrome.runtime.sendMessage({ type: 'forceEndMeeting' }, resolve);
+                chrome.runtime.sendMessage({ type: 'forceEndMeeting', sessionId: targetSession?.sessionId }, resolve);
             });
             if (backgroundResponse && backgroundResponse.success) {
                 success = true;
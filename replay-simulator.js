@@ -0,0 +1,1191 @@
+// Meeting replay simulator
+// Feeds a scripted timeline into the real background message handlers (background.js with
+// storage-manager.js and person-registry.js) using a fake clock, mocked chrome.* APIs and
+// fake-indexeddb, then checks the resulting sessions. Reproduces timing bugs such as
+// reconnections shortening a meeting without a browser or a debug page.
+//
+//   npm install fake-indexeddb               (once)
+//   node replay-simulator.js                 run every scenario
+//   node replay-simulator.js tab-sleep       run the named scenarios
+//   node replay-simulator.js --list          list the scenarios
+//   node replay-simulator.js --verbose       show the background's console output
+//
+// A scenario is { name, description, seed, steps, runUntil, expect }. seed = { version, records }
+// creates the database at an older schema version and writes { storeName: [records] } into it
+// before the first worker starts, so the worker's upgrade runs the newer migrations on that data.
+// The upgrade-from-vN scenarios (see upgradeScenario) do this from every older schema version.
+// Steps run in order at step.at (minutes from the start):
+//   join          { tab, meetingId, title, participants, network } - the tab enters the call; like the
+//                 content script it then scans every 5 s and logs a minute every 60 s. network: true
+//                 reports the participants from the sync roster (source 'network') instead of tiles
+//   roster        { tab, participants }   - change who is in the call; with network, whoever left is
+//                                           still listed with their last lastSeen (a roster not yet pruned)
+//   sleep         { tab, minutes }        - the tab is throttled: hidden, no messages, then visible again
+//   leave         { tab, reason }         - the content script reports meetingEnded
+//   navigate      { tab, reason }         - meetingEndedByNavigation (page_unload, meeting_id_changed...)
+//   state         { tab, isActive }       - update_meeting_state
+//   closeTab      { tab }                 - chrome.tabs.onRemoved
+//   restartWorker {}                      - the service worker is killed and started again:
+//                                           memory and timers are lost, IndexedDB is kept
+//   crashTab      { tab }                 - the tab disappears together with the worker, so
+//                                           chrome.tabs.onRemoved never reaches the handlers
+//   deleteSession { tab }                 - the dashboard deletes the tab's live session (to the trash)
+// expect: {
+//   sessions: n,                          - stored sessions in total
+//   meetings: [{ meetingId, index, minutes: [min, max], gapMinutes: [min, max], sessions: n, endReason, active,
+//                presence: { [name]: { intervals: n, endAt: [min, max] } } }],  - endAt: minutes from the start
+//                                           until the participant's last presence interval ends
+//   recomputed: true                      - sessions rebuilt from the event log match the live ones
+//   migration: { fromVersion, status, changed: { version: n } } - the worker's database upgrade
+//   normalizedParticipants: true          - every stored participant is a { id, name } object
+//   filedMinutes: true                    - every minute record is keyed and tagged with a stored session's ID
+//   rollups: true                         - the daily rollups kept up to date on every save match
+//                                           a rebuild from the stored sessions
+//   rollupSummary: true                   - the dashboard's summary read from the daily rollups
+//                                           (meetings, time, minutes per hour) matches the one
+//                                           from getMeetingsAggregated over the same range
+//   paging: true                          - getMeetingsAggregated pages of one meeting, followed by
+//                                           their cursors, list the same meetings as one unpaged read,
+//                                           double-booked for as long
+//   deletedStayDeleted: true              - no session removed by a deleteSession step is stored again
+// }
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = __dirname;
+const START_TIME = Date.UTC(2024, 0, 15, 9, 0, 0); // Monday 09:00 UTC
+const MINUTE = 60 * 1000;
+const SCAN_INTERVAL = 5 * 1000;
+const DEFAULT_GRACE_MINUTES = 10;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Stored dates and rollup hours are UTC; away from UTC, anything keyed by local time shows up
+process.env.TZ = 'America/New_York';
+
+const SCENARIOS = [
+    {
+        name: 'reconnect-40-minutes',
+        description: 'A 40-minute meeting with two page reloads (the README\'s "shows as 8 minutes" case)',
+        steps: [
+            { at: 0, action: 'join', tab: 1, meetingId: 'abc-defg-hij', title: 'Weekly sync', participants: ['Alex Smith', 'Sam Lee', 'Kim Park'] },
+            { at: 12, action: 'navigate', tab: 1, reason: 'page_unload' },
+            { at: 12.5, action: 'join', tab: 1, meetingId: 'abc-defg-hij', title: 'Weekly sync', participants: ['Alex Smith', 'Sam Lee', 'Kim Park'] },
+            { at: 28, action: 'navigate', tab: 1, reason: 'page_unload' },
+            { at: 29, action: 'join', tab: 1, meetingId: 'abc-defg-hij', title: 'Weekly sync', participants: ['Alex Smith', 'Sam Lee'] },
+            { at: 40, action: 'leave', tab: 1, reason: 'ended' }
+        ],
+        runUntil: 45,
+        expect: {
+            sessions: 3,
+            meetings: [{ meetingId: 'abc-defg-hij', sessions: 3, minutes: [38, 39], gapMinutes: [1.4, 1.6], active: false }],
+            recomputed: true,
+            rollups: true,
+            rollupSummary: true
+        }
+    },
+    {
+        name: 'tab-sleep',
+        description: 'The meeting tab is throttled for 15 minutes in the middle of the call',
+        steps: [
+            { at: 0, action: 'join', tab: 1, meetingId: 'sleepy-tab-xyz', title: 'Planning', participants: ['Alex Smith', 'Sam Lee'] },
+            { at: 10, action: 'sleep', tab: 1, minutes: 15 },
+            { at: 45, action: 'leave', tab: 1, reason: 'ended' }
+        ],
+        runUntil: 50,
+        expect: {
+            sessions: 1,
+            meetings: [{ meetingId: 'sleepy-tab-xyz', sessions: 1, minutes: [44.9, 45.1], gapMinutes: [0, 0], endReason: 'ended' }],
+            recomputed: true
+        }
+    },
+    {
+        name: 'worker-restart',
+        description: 'The service worker is restarted twice during a 40-minute call',
+        steps: [
+            { at: 0, action: 'join', tab: 1, meetingId: 'restart-me-now', title: 'Design review', participants: ['Alex Smith', 'Kim Park'] },
+            { at: 15, action: 'restartWorker' },
+            { at: 31, action: 'restartWorker' },
+            { at: 40, action: 'leave', tab: 1, reason: 'ended' }
+        ],
+        runUntil: 42,
+        expect: {
+            sessions: 1,
+            meetings: [{ meetingId: 'restart-me-now', sessions: 1, minutes: [39.9, 40.1], endReason: 'ended' }],
+            recomputed: true
+        }
+    },
+    {
+        name: 'navigate-to-next-meeting',
+        description: 'Leaving one meeting by opening the next one in the same tab',
+        steps: [
+            { at: 0, action: 'join', tab: 1, meetingId: 'first-call-aaa', title: 'Standup', participants: ['Alex Smith', 'Sam Lee'] },
+            { at: 30, action: 'navigate', tab: 1, reason: 'meeting_id_changed' },
+            { at: 30.2, action: 'join', tab: 1, meetingId: 'second-call-bbb', title: '1:1', participants: ['Kim Park'] },
+            { at: 60, action: 'leave', tab: 1, reason: 'ended' }
+        ],
+        runUntil: 62,
+        expect: {
+            sessions: 2,
+            meetings: [
+                { meetingId: 'first-call-aaa', sessions: 1, minutes: [29.9, 30.1], endReason: 'navigation_meeting_id_changed' },
+                { meetingId: 'second-call-bbb', sessions: 1, minutes: [29.7, 29.9], endReason: 'ended' }
+            ],
+            recomputed: true
+        }
+    },
+    {
+        name: 'double-booked-tab-closed',
+        description: 'Two meetings in two tabs; the second tab is closed',
+        steps: [
+            { at: 0, action: 'join', tab: 1, meetingId: 'main-meeting-111', title: 'All hands', participants: ['Alex Smith', 'Sam Lee', 'Kim Park'] },
+            { at: 5, action: 'join', tab: 2, meetingId: 'side-meeting-222', title: 'Quick question', participants: ['Sam Lee'] },
+            { at: 15, action: 'closeTab', tab: 2 },
+            { at: 30, action: 'leave', tab: 1, reason: 'ended' }
+        ],
+        runUntil: 32,
+        expect: {
+            sessions: 2,
+            meetings: [
+                { meetingId: 'main-meeting-111', sessions: 1, minutes: [29.9, 30.1], endReason: 'ended' },
+                { meetingId: 'side-meeting-222', sessions: 1, minutes: [9.9, 10.1], endReason: 'tab_closed' }
+            ],
+            recomputed: true,
+            rollups: true,
+            paging: true
+        }
+    },
+    {
+        name: 'silent-tab-heartbeat-timeout',
+        description: 'A tab stops sending updates for an hour; the session ends at its last heartbeat, not at cleanup',
+        steps: [
+            { at: 0, action: 'join', tab: 1, meetingId: 'frozen-tab-555', title: 'Kickoff', participants: ['Alex Smith', 'Sam Lee'] },
+            { at: 20, action: 'sleep', tab: 1, minutes: 60 },
+            { at: 90, action: 'leave', tab: 1, reason: 'ended' }
+        ],
+        runUntil: 92,
+        expect: {
+            sessions: 2,
+            meetings: [
+                { meetingId: 'frozen-tab-555', index: 0, sessions: 1, minutes: [19.9, 20], endReason: 'heartbeat_timeout' },
+                { meetingId: 'frozen-tab-555', index: 1, sessions: 1, minutes: [9.9, 10.1], endReason: 'ended' }
+            ],
+            recomputed: true,
+            rollupSummary: true
+        }
+    },
+    {
+        name: 'legacy-data-migration',
+        description: 'A v6 database with legacy meetings rows and string participants is upgraded by the worker',
+        seed: {
+            version: 6,
+            records: {
+                meetings: [
+                    { id: 'legacy-aaa-bbb', title: 'Old standup', startTime: START_TIME - DAY, endTime: START_TIME - DAY + 30 * MINUTE, participants: ['Alex Smith', 'Sam Lee'] },
+                    // Fallback copy of a session that was saved after all
+                    { id: 'old-session-ccc', sessionId: 'session_seed_1', title: 'Old 1:1', startTime: START_TIME - 2 * DAY, endTime: START_TIME - 2 * DAY + 20 * MINUTE, participants: ['Kim Park'], savedAsFallback: true }
+                ],
+                meetingSessions: [
+                    { sessionId: 'session_seed_1', meetingId: 'old-session-ccc', title: 'Old 1:1', startTime: START_TIME - 2 * DAY, endTime: START_TIME - 2 * DAY + 20 * MINUTE, participants: ['Kim Park', { displayName: 'Sam Lee' }] }
+                ],
+                // saveMeeting's minute records: keyed by the meeting's ID, no sessionId
+                meetingMinutes: [
+                    { meetingId: 'legacy-aaa-bbb', timestamp: START_TIME - DAY + 10 * MINUTE, participants: ['Alex Smith', 'Sam Lee'] },
+                    { meetingId: 'old-session-ccc', timestamp: START_TIME - 2 * DAY + 5 * MINUTE, participants: ['Kim Park'] }
+                ]
+            }
+        },
+        steps: [
+            { at: 0, action: 'join', tab: 1, meetingId: 'fresh-call-ddd', title: 'Today', participants: ['Alex Smith'] },
+            { at: 10, action: 'leave', tab: 1, reason: 'ended' }
+        ],
+        runUntil: 12,
+        expect: {
+            sessions: 3,
+            meetings: [
+                { meetingId: 'legacy-aaa-bbb', sessions: 1, minutes: [30, 30], endReason: 'legacy_meeting' },
+                { meetingId: 'old-session-ccc', sessions: 1, minutes: [20, 20] },
+                { meetingId: 'fresh-call-ddd', sessions: 1, minutes: [9.9, 10.1], endReason: 'ended' }
+            ],
+            migration: { fromVersion: 6, status: 'done', changed: { 7: 2, 8: 3, 9: 2, 11: 2, 12: 2 } },
+            normalizedParticipants: true,
+            filedMinutes: true,
+            rollups: true,
+            paging: true
+        }
+    },
+    {
+        name: 'tab-gone-during-worker-restart',
+        description: 'A meeting tab disappears while the worker is down; it must end at its last heartbeat',
+        steps: [
+            { at: 0, action: 'join', tab: 1, meetingId: 'crashed-tab-333', title: 'Retro', participants: ['Alex Smith', 'Sam Lee'] },
+            { at: 5, action: 'join', tab: 2, meetingId: 'other-call-444', title: 'Sync', participants: ['Kim Park'] },
+            { at: 20, action: 'crashTab', tab: 1 },
+            { at: 30, action: 'leave', tab: 2, reason: 'ended' }
+        ],
+        runUntil: 32,
+        expect: {
+            sessions: 2,
+            meetings: [
+                { meetingId: 'crashed-tab-333', sessions: 1, minutes: [19.9, 20], endReason: 'orphaned_tab_closed' },
+                { meetingId: 'other-call-444', sessions: 1, minutes: [24.9, 25.1], endReason: 'ended' }
+            ],
+            recomputed: true
+        }
+    },
+    {
+        name: 'trashed-live-session-restart',
+        description: 'A live session is deleted from the dashboard, then the worker restarts; the session must not come back',
+        steps: [
+            { at: 0, action: 'join', tab: 1, meetingId: 'trashed-live-555', title: 'Standup', participants: ['Alex Smith', 'Sam Lee'] },
+            // Before the first auto-save, while the journal still holds the session's full snapshot
+            { at: 0.25, action: 'deleteSession', tab: 1 },
+            { at: 0.5, action: 'restartWorker' },
+            { at: 15, action: 'leave', tab: 1, reason: 'ended' }
+        ],
+        runUntil: 16,
+        expect: {
+            deletedStayDeleted: true
+        }
+    },
+    {
+        name: 'attendance-across-midnight',
+        description: 'A reconnect just after midnight UTC stitches into the attendance of the day before, on every page too',
+        seed: {
+            version: 11,
+            records: {
+                meetingSessions: [
+                    { sessionId: 'session_seed_night_1', meetingId: 'late-call-777', title: 'Release night', startTime: START_TIME - 9 * 60 * MINUTE - 20 * MINUTE, endTime: START_TIME - 9 * 60 * MINUTE - 2 * MINUTE, participants: [{ id: 'p1', name: 'Alex Smith' }], date: '2024-01-14', platform: 'meet' },
+                    { sessionId: 'session_seed_night_2', meetingId: 'late-call-777', title: 'Release night', startTime: START_TIME - 9 * 60 * MINUTE + 3 * MINUTE, endTime: START_TIME - 9 * 60 * MINUTE + 30 * MINUTE, participants: [{ id: 'p1', name: 'Alex Smith' }], date: '2024-01-15', platform: 'meet' }
+                ]
+            }
+        },
+        steps: [
+            { at: 0, action: 'join', tab: 1, meetingId: 'morning-call-888', title: 'Standup', participants: ['Alex Smith', 'Sam Lee'] },
+            { at: 10, action: 'leave', tab: 1, reason: 'ended' }
+        ],
+        runUntil: 12,
+        expect: {
+            sessions: 3,
+            meetings: [
+                { meetingId: 'late-call-777', sessions: 2, minutes: [45, 45], gapMinutes: [5, 5] },
+                { meetingId: 'morning-call-888', sessions: 1, minutes: [9.9, 10.1], endReason: 'ended' }
+            ],
+            paging: true,
+            rollupSummary: true
+        }
+    },
+    {
+        name: 'same-meeting-two-tabs',
+        description: 'The same meeting is open in a second tab for ten minutes; that time must count once',
+        steps: [
+            { at: 0, action: 'join', tab: 1, meetingId: 'twice-open-444', title: 'Town hall', participants: ['Alex Smith', 'Sam Lee'] },
+            { at: 10, action: 'join', tab: 2, meetingId: 'twice-open-444', title: 'Town hall', participants: ['Alex Smith', 'Sam Lee'] },
+            { at: 20, action: 'closeTab', tab: 2 },
+            { at: 30, action: 'leave', tab: 1, reason: 'ended' }
+        ],
+        runUntil: 32,
+        expect: {
+            sessions: 2,
+            meetings: [{ meetingId: 'twice-open-444', sessions: 2, minutes: [29.9, 30.1], gapMinutes: [0, 0] }],
+            recomputed: true,
+            rollups: true,
+            rollupSummary: true
+        }
+    },
+    {
+        name: 'double-booked-across-midnight',
+        description: 'A call that runs past midnight UTC overlaps one that starts after it; paged reads must flag both',
+        seed: {
+            version: 12,
+            records: {
+                meetingSessions: [
+                    { sessionId: 'session_seed_overlap_1', meetingId: 'late-call-aaa', title: 'Incident review', startTime: START_TIME - 9 * 60 * MINUTE - 30 * MINUTE, endTime: START_TIME - 9 * 60 * MINUTE + 30 * MINUTE, participants: [{ id: 'p1', name: 'Alex Smith' }], date: '2024-01-14', platform: 'meet' },
+                    { sessionId: 'session_seed_overlap_2', meetingId: 'early-call-bbb', title: 'Hand-over', startTime: START_TIME - 9 * 60 * MINUTE + 10 * MINUTE, endTime: START_TIME - 9 * 60 * MINUTE + 40 * MINUTE, participants: [{ id: 'p2', name: 'Kim Park' }], date: '2024-01-15', platform: 'meet' }
+                ]
+            }
+        },
+        steps: [
+            { at: 0, action: 'join', tab: 1, meetingId: 'morning-call-ccc', title: 'Standup', participants: ['Alex Smith', 'Sam Lee'] },
+            { at: 10, action: 'leave', tab: 1, reason: 'ended' }
+        ],
+        runUntil: 12,
+        expect: {
+            sessions: 3,
+            paging: true
+        }
+    },
+    {
+        name: 'network-participant-leaves',
+        description: 'Someone known only from the network roster leaves mid-call; their presence interval must close then',
+        steps: [
+            { at: 0, action: 'join', tab: 1, meetingId: 'roster-call-999', title: 'Planning', participants: ['Alex Smith', 'Sam Lee', 'Kim Park'], network: true },
+            { at: 5, action: 'roster', tab: 1, participants: ['Alex Smith', 'Sam Lee'] },
+            { at: 30, action: 'leave', tab: 1, reason: 'ended' }
+        ],
+        runUntil: 32,
+        expect: {
+            sessions: 1,
+            meetings: [{
+                meetingId: 'roster-call-999',
+                sessions: 1,
+                minutes: [29.9, 30.1],
+                endReason: 'ended',
+                presence: {
+                    'Kim Park': { intervals: 1, endAt: [4.9, 5.1] },
+                    'Sam Lee': { intervals: 1, endAt: [29.9, 30.1] }
+                }
+            }],
+            recomputed: true
+        }
+    },
+    // upgrade-from-v1 ... one per older schema version
+    ...getSchemaVersions().slice(0, -1).map(upgradeScenario)
+];
+
+// The schema versions of storage-manager.js's STORAGE_MIGRATIONS
+function getSchemaVersions() {
+    const context = vm.createContext({ console });
+    vm.runInContext(fs.readFileSync(path.join(ROOT, 'storage-manager.js'), 'utf8'), context, { filename: 'storage-manager.js' });
+    return vm.runInContext('STORAGE_MIGRATIONS.map(migration => migration.version)', context);
+}
+
+// A database at `version` holding what builds of that era stored - a legacy meetings row before
+// migration 7 moved them (its moved copy after), string participants before migration 8 normalized
+// them, minute records without a sessionId before migration 12 filed them - upgraded by the worker
+// before a new call is tracked. The seed has no daily rollups; migrations 9 and 13 build them from
+// the stored sessions.
+function upgradeScenario(version) {
+    const participants = names => version < 8 ? names : names.map(name => ({ id: null, name }));
+    const legacyStart = START_TIME - DAY;
+    const legacyMeeting = { title: 'Old standup', startTime: legacyStart, endTime: legacyStart + 30 * MINUTE, participants: participants(['Alex Smith', 'Sam Lee']) };
+    const records = {
+        meetingMinutes: [{ meetingId: 'legacy-upgrade-aaa', timestamp: legacyStart + 10 * MINUTE, participants: participants(['Alex Smith']), ...(version >= 12 ? { sessionId: 'legacy-upgrade-aaa' } : {}) }]
+    };
+
+    if (version < 7) {
+        records.meetings = [{ id: 'legacy-upgrade-aaa', ...legacyMeeting }];
+    }
+    if (version >= 2) {
+        const sessionStart = START_TIME - 2 * DAY;
+        records.meetingSessions = [
+            { sessionId: 'session_upgrade_1', meetingId: 'upgrade-bbb', title: 'Old 1:1', startTime: sessionStart, endTime: sessionStart + 20 * MINUTE, participants: version < 8 ? ['Kim Park', { displayName: 'Sam Lee' }] : participants(['Kim Park', 'Sam Lee']) }
+        ];
+        records.meetingMinutes.push({ meetingId: 'session_upgrade_1', timestamp: sessionStart + 5 * MINUTE, participants: participants(['Kim Park']), sessionId: 'session_upgrade_1' });
+    }
+    if (version >= 7) {
+        records.meetingSessions.push({
+            sessionId: 'legacy-upgrade-aaa', meetingId: 'legacy-upgrade-aaa', ...legacyMeeting, endReason: 'legacy_meeting', isActive: false,
+            date: new Date(legacyStart).toISOString().split('T')[0], duration: 30 * MINUTE, migratedFrom: 'meetings'
+        });
+    }
+
+    return {
+        name: `upgrade-from-v${version}`,
+        description: `A v${version} database with the records of its time is upgraded by the worker`,
+        seed: { version, records },
+        steps: [
+            { at: 0, action: 'join', tab: 1, meetingId: 'upgraded-call-ccc', title: 'After the upgrade', participants: ['Alex Smith'] },
+            { at: 5, action: 'leave', tab: 1, reason: 'ended' }
+        ],
+        runUntil: 6,
+        expect: {
+            sessions: version >= 2 ? 3 : 2,
+            meetings: [
+                { meetingId: 'legacy-upgrade-aaa', sessions: 1, minutes: [30, 30] },
+                ...(version >= 2 ? [{ meetingId: 'upgrade-bbb', sessions: 1, minutes: [20, 20] }] : []),
+                { meetingId: 'upgraded-call-ccc', sessions: 1, minutes: [4.9, 5.1], endReason: 'ended' }
+            ],
+            migration: { fromVersion: version, status: 'done' },
+            normalizedParticipants: true,
+            filedMinutes: true,
+            rollups: true,
+            paging: true
+        }
+    };
+}
+
+// Timers for the background and the simulated tabs, driven by simulated time
+class FakeClock {
+    constructor(startTime) {
+        this.now = startTime;
+        this.timers = new Map();
+        this.nextTimerId = 1;
+    }
+
+    setTimeout(fn, delay, owner, args = []) {
+        const id = this.nextTimerId++;
+        this.timers.set(id, { id, at: this.now + Math.max(0, delay || 0), fn, args, interval: null, owner });
+        return id;
+    }
+
+    setInterval(fn, interval, owner, args = []) {
+        const id = this.setTimeout(fn, interval, owner, args);
+        this.timers.get(id).interval = Math.max(1, interval || 0);
+        return id;
+    }
+
+    clear(id) {
+        this.timers.delete(id);
+    }
+
+    clearOwner(owner) {
+        Array.from(this.timers.values())
+            .filter(timer => timer.owner === owner)
+            .forEach(timer => this.timers.delete(timer.id));
+    }
+
+    nextDue(time) {
+        return Array.from(this.timers.values())
+            .filter(timer => timer.at <= time)
+            .sort((a, b) => a.at - b.at || a.id - b.id)[0] || null;
+    }
+
+    // Date class for a vm context: new Date() and Date.now() read the simulated time
+    createDateClass() {
+        const clock = this;
+        return class SimulatedDate extends Date {
+            constructor(...args) {
+                if (args.length === 0) {
+                    super(clock.now);
+                } else {
+                    super(...args);
+                }
+            }
+
+            static now() {
+                return clock.now;
+            }
+        };
+    }
+}
+
+// One service worker lifetime: background.js evaluated in its own context
+class SimulatedWorker {
+    constructor(simulator, generation) {
+        this.simulator = simulator;
+        this.owner = `worker:${generation}`;
+        this.listeners = { message: [], tabRemoved: [] };
+
+        const clock = simulator.clock;
+        const owner = this.owner;
+        const context = {
+            console: simulator.createConsole(`[worker ${generation}]`),
+            Date: clock.createDateClass(),
+            setTimeout: (fn, delay, ...args) => clock.setTimeout(fn, delay, owner, args),
+            setInterval: (fn, interval, ...args) => clock.setInterval(fn, interval, owner, args),
+            clearTimeout: id => clock.clear(id),
+            clearInterval: id => clock.clear(id),
+            indexedDB: simulator.indexedDB,
+            IDBKeyRange: simulator.IDBKeyRange,
+            navigator: { userAgent: 'replay-simulator' },
+            structuredClone,
+            TextDecoder,
+            atob,
+            chrome: this.createChromeApi()
+        };
+        context.self = context;
+        context.importScripts = (...files) => files.forEach(file => this.runFile(file));
+
+        this.context = vm.createContext(context);
+        this.runFile('background.js');
+    }
+
+    runFile(file) {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), this.context, { filename: file });
+    }
+
+    createChromeApi() {
+        const simulator = this.simulator;
+        const listen = list => ({ addListener: fn => list.push(fn) });
+        const noop = () => {};
+
+        return {
+            runtime: {
+                id: 'replay-simulator',
+                lastError: null,
+                onMessage: listen(this.listeners.message),
+                onInstalled: listen([]),
+                onStartup: listen([]),
+                getManifest: () => JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.json'), 'utf8'))
+            },
+            tabs: {
+                onUpdated: listen([]),
+                onRemoved: listen(this.listeners.tabRemoved),
+                query: async () => simulator.getOpenTabs().map(tab => ({ id: tab.id, url: tab.url })),
+                sendMessage: async (tabId, message) => simulator.deliverToTab(tabId, message)
+            },
+            action: {
+                setIcon: noop,
+                setBadgeText: noop,
+                setBadgeBackgroundColor: noop,
+                setTitle: noop
+            },
+            scripting: {
+                executeScript: async () => []
+            },
+            alarms: {
+                onAlarm: listen([]),
+                get: async () => undefined,
+                create: noop
+            }
+        };
+    }
+
+    // chrome.runtime.sendMessage from a tab; resolves with the handler's response
+    sendMessage(request, tab) {
+        const sender = tab ? { tab: { id: tab.id, url: tab.url } } : {};
+        return new Promise(resolve => {
+            this.listeners.message.forEach(listener => listener(request, sender, resolve));
+        });
+    }
+
+    removeTab(tabId) {
+        return Promise.all(this.listeners.tabRemoved.map(listener => listener(tabId, { isWindowClosing: false })));
+    }
+
+    async getStorage() {
+        return this.context.ensureStorageManager();
+    }
+}
+
+// What the content script in a meeting tab sends, driven by the scenario
+class SimulatedTab {
+    constructor(simulator, id) {
+        this.simulator = simulator;
+        this.id = id;
+        this.owner = `tab:${id}`;
+        this.url = 'https://meet.google.com/';
+        this.open = true;
+        this.inCall = false;
+        this.asleep = false;
+        this.meetingId = null;
+        this.title = null;
+        this.participants = [];
+        this.departed = []; // Network mode: roster entries of participants who left, frozen at their lastSeen
+        this.network = false;
+        this.callStart = null;
+        this.lastMinuteLogged = 0;
+    }
+
+    join(step) {
+        const now = this.simulator.clock.now;
+        this.meetingId = step.meetingId;
+        this.title = step.title || step.meetingId;
+        this.url = `https://meet.google.com/${step.meetingId}`;
+        this.inCall = true;
+        this.callStart = now;
+        this.lastMinuteLogged = 0;
+        this.network = !!step.network;
+        this.departed = [];
+        this.participants = [];
+        this.setRoster(step.participants || []);
+
+        const clock = this.simulator.clock;
+        clock.clearOwner(this.owner);
+        clock.setInterval(() => this.scan(), SCAN_INTERVAL, this.owner);
+        clock.setInterval(() => this.logMinute(), MINUTE, this.owner);
+        this.scan();
+    }
+
+    setRoster(names) {
+        const now = this.simulator.clock.now;
+        const previous = new Map(this.participants.map(p => [p.name, p]));
+        if (this.network) {
+            this.departed.push(...this.participants.filter(p => !names.includes(p.name)).map(p => ({ ...p, lastSeen: now })));
+            this.departed = this.departed.filter(p => !names.includes(p.name));
+        }
+        this.participants = names.map((name, index) => previous.get(name) || {
+            id: `spaces/${this.meetingId}/devices/${index + 1}`,
+            name,
+            source: this.network ? 'network' : 'dom',
+            joinTime: now
+        });
+    }
+
+    currentParticipants() {
+        const now = this.simulator.clock.now;
+        return [...this.participants.map(p => ({ ...p, lastSeen: now })), ...this.departed];
+    }
+
+    scan() {
+        if (!this.inCall || this.asleep) return;
+        this.simulator.send({
+            type: 'update_participants',
+            data: {
+                meetingId: this.meetingId,
+                meetingTitle: this.title,
+                participants: this.currentParticipants(),
+                platform: 'meet'
+            }
+        }, this);
+    }
+
+    logMinute() {
+        if (!this.inCall || this.asleep) return;
+        const now = this.simulator.clock.now;
+        const cumulativeDuration = now - this.callStart;
+        const participants = this.currentParticipants();
+        this.lastMinuteLogged++;
+        this.simulator.send({
+            type: 'logMinuteData',
+            data: {
+                meetingId: this.meetingId,
+                minute: this.lastMinuteLogged,
+                timestamp: now,
+                participants,
+                participantCount: participants.length,
+                cumulativeDuration,
+                sessionDuration: cumulativeDuration
+            }
+        }, this);
+    }
+
+    sleep(minutes) {
+        this.sendVisibility(false);
+        this.asleep = true;
+        this.simulator.clock.setTimeout(() => {
+            this.asleep = false;
+            this.sendVisibility(true);
+            this.scan();
+        }, minutes * MINUTE, this.owner);
+    }
+
+    sendVisibility(visible) {
+        if (!this.inCall) return;
+        this.simulator.send({
+            type: 'visibility_changed',
+            data: { meetingId: this.meetingId, visible, timestamp: this.simulator.clock.now }
+        }, this);
+    }
+
+    leave(reason) {
+        if (!this.inCall) return;
+        this.simulator.send({
+            type: 'meetingEnded',
+            meeting: {
+                id: this.meetingId,
+                title: this.title,
+                url: this.url,
+                participants: this.currentParticipants(),
+                reason: reason || 'ended'
+            }
+        }, this);
+        this.stopCall();
+    }
+
+    navigate(reason) {
+        if (this.inCall) {
+            this.simulator.send({ type: 'meetingEndedByNavigation', meetingId: this.meetingId, reason }, this);
+        }
+        this.stopCall();
+        this.url = 'https://meet.google.com/';
+    }
+
+    sendState(isActive) {
+        this.simulator.send({
+            type: 'update_meeting_state',
+            data: {
+                meetingState: { isActive, meetingId: this.meetingId, meetingTitle: this.title, startTime: this.callStart },
+                participantCount: this.participants.length
+            }
+        }, this);
+        if (!isActive) {
+            this.stopCall();
+        }
+    }
+
+    stopCall() {
+        this.inCall = false;
+        this.simulator.clock.clearOwner(this.owner);
+    }
+
+    // Messages from the background (chrome.tabs.sendMessage)
+    receive(message) {
+        if (message.type === 'force_end_meeting') {
+            this.stopCall();
+            return { success: true };
+        }
+        return { success: true };
+    }
+}
+
+class ReplaySimulator {
+    constructor(scenario, options = {}) {
+        const { IDBFactory, IDBKeyRange } = require('fake-indexeddb');
+
+        this.scenario = scenario;
+        this.verbose = !!options.verbose;
+        this.clock = new FakeClock(START_TIME);
+        this.indexedDB = new IDBFactory(); // Fresh database per scenario
+        this.IDBKeyRange = IDBKeyRange;
+        this.tabs = new Map();
+        this.pending = new Set();
+        this.workerGeneration = 0;
+        this.worker = null; // Started by run(), after the database is seeded
+        this.deletedSessionIds = [];
+    }
+
+    createConsole(prefix) {
+        const noop = () => {};
+        const print = (...args) => console.log(prefix, ...args);
+        return {
+            log: this.verbose ? print : noop,
+            info: this.verbose ? print : noop,
+            debug: noop,
+            warn: this.verbose ? print : noop,
+            error: (...args) => console.error(prefix, ...args)
+        };
+    }
+
+    getTab(id) {
+        if (!this.tabs.has(id)) {
+            this.tabs.set(id, new SimulatedTab(this, id));
+        }
+        return this.tabs.get(id);
+    }
+
+    getOpenTabs() {
+        return Array.from(this.tabs.values()).filter(tab => tab.open);
+    }
+
+    deliverToTab(tabId, message) {
+        const tab = this.tabs.get(tabId);
+        if (!tab || !tab.open) {
+            throw new Error('Could not establish connection. Receiving end does not exist.');
+        }
+        return tab.receive(message);
+    }
+
+    // Fire-and-forget message, like the content script's chrome.runtime.sendMessage
+    send(request, tab) {
+        const response = this.worker.sendMessage(request, tab);
+        this.pending.add(response);
+        response.finally(() => this.pending.delete(response));
+        return response;
+    }
+
+    // Let in-flight handlers and IndexedDB requests finish before time moves on
+    async settle() {
+        for (let round = 0; round < 50; round++) {
+            await new Promise(resolve => setImmediate(resolve));
+            if (this.pending.size > 0) {
+                await Promise.all(Array.from(this.pending));
+            } else if (round >= 5) {
+                return;
+            }
+        }
+    }
+
+    // Run every timer due before `time`, in order, then stop the clock at `time`
+    async advanceTo(time) {
+        let timer;
+        while ((timer = this.clock.nextDue(time))) {
+            this.clock.now = timer.at;
+            if (timer.interval) {
+                timer.at += timer.interval;
+            } else {
+                this.clock.clear(timer.id);
+            }
+            try {
+                timer.fn(...timer.args);
+            } catch (error) {
+                console.error(`❌ Timer (${timer.owner}) failed:`, error);
+            }
+            await this.settle();
+        }
+        this.clock.now = Math.max(this.clock.now, time);
+        await this.settle();
+    }
+
+    async runStep(step) {
+        const tab = step.tab !== undefined ? this.getTab(step.tab) : null;
+
+        switch (step.action) {
+            case 'join':
+                tab.join(step);
+                break;
+            case 'roster':
+                tab.setRoster(step.participants || []);
+                tab.scan();
+                break;
+            case 'sleep':
+                tab.sleep(step.minutes);
+                break;
+            case 'leave':
+                tab.leave(step.reason);
+                break;
+            case 'navigate':
+                tab.navigate(step.reason || 'page_navigation');
+                break;
+            case 'state':
+                tab.sendState(step.isActive !== false);
+                break;
+            case 'closeTab':
+                tab.stopCall();
+                tab.open = false;
+                await this.worker.removeTab(tab.id);
+                break;
+            case 'crashTab':
+                tab.stopCall();
+                tab.open = false;
+                // falls through - the worker goes down with the tab
+            case 'restartWorker':
+                this.clock.clearOwner(this.worker.owner);
+                this.pending.clear();
+                this.worker = new SimulatedWorker(this, ++this.workerGeneration);
+                break;
+            case 'deleteSession': {
+                const liveSession = this.worker.context.getLiveSessions().find(session => session.tabId === tab.id);
+                if (!liveSession) {
+                    throw new Error(`tab ${step.tab} has no live session to delete`);
+                }
+                this.deletedSessionIds.push(liveSession.sessionId);
+                await this.worker.sendMessage({ action: 'deleteSession', sessionId: liveSession.sessionId });
+                break;
+            }
+            default:
+                throw new Error(`Unknown step action "${step.action}"`);
+        }
+        await this.settle();
+    }
+
+    // Create the database at seed.version with storage-manager.js's migrations up to that version
+    // and write the seed records into it
+    async seedDatabase(seed) {
+        const context = vm.createContext({
+            console: this.createConsole('[seed]'),
+            Date: this.clock.createDateClass(),
+            indexedDB: this.indexedDB,
+            IDBKeyRange: this.IDBKeyRange,
+            structuredClone
+        });
+        context.self = context;
+        ['person-registry.js', 'storage-manager.js'].forEach(file => {
+            vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+        });
+
+        const storage = vm.runInContext('new MeetingStorageManager()', context);
+        storage.dbVersion = seed.version;
+        await storage.init();
+
+        for (const [storeName, records] of Object.entries(seed.records || {})) {
+            await new Promise((resolve, reject) => {
+                const transaction = storage.db.transaction([storeName], 'readwrite');
+                records.forEach(record => transaction.objectStore(storeName).put(record));
+                transaction.oncomplete = () => resolve();
+                transaction.onerror = () => reject(transaction.error);
+            });
+        }
+        storage.db.close();
+    }
+
+    // The daily rollups built from scratch, with storage-manager.js's own helpers
+    rebuildRollups(context, sessions) {
+        const contributionsByDate = {};
+        sessions.forEach(session => {
+            const contribution = context.getRollupContribution(session);
+            if (contribution) {
+                const date = context.getSessionDate(session);
+                contributionsByDate[date] = { ...contributionsByDate[date], [session.sessionId]: contribution };
+            }
+        });
+        return Object.entries(contributionsByDate)
+            .map(([date, contributions]) => context.buildDailyRollup(date, contributions))
+            .sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    // Every meeting in `sort` order, read one meeting per page (see describePagedMeeting)
+    async readPages(storage, sort) {
+        const ids = [];
+        let cursor = null;
+        do {
+            const page = await storage.getMeetingsAggregated({ stitchGapMs: DEFAULT_GRACE_MINUTES * MINUTE, sort, cursor, limit: 1 });
+            page.meetings.forEach(meeting => ids.push(describePagedMeeting(meeting)));
+            cursor = page.nextCursor;
+        } while (cursor && ids.length <= 1000);
+        return ids;
+    }
+
+    async run() {
+        if (this.scenario.seed) {
+            await this.seedDatabase(this.scenario.seed);
+        }
+        this.worker = new SimulatedWorker(this, ++this.workerGeneration);
+        await this.settle();
+
+        const steps = [...this.scenario.steps].sort((a, b) => a.at - b.at);
+        for (const step of steps) {
+            await this.advanceTo(START_TIME + step.at * MINUTE);
+            await this.runStep(step);
+        }
+
+        const lastStep = steps.length > 0 ? steps[steps.length - 1].at : 0;
+        await this.advanceTo(START_TIME + (this.scenario.runUntil ?? lastStep + 1) * MINUTE);
+
+        const storage = await this.worker.getStorage();
+        if (!storage) {
+            throw new Error('the worker could not open the database (see --verbose)');
+        }
+        const context = this.worker.context;
+        const sessions = await storage.getAllSessions();
+        return {
+            migrationReport: storage.migrationReport,
+            sessions,
+            deletedSessionIds: this.deletedSessionIds,
+            minutes: await new Promise((resolve, reject) => {
+                const request = storage.db.transaction(['meetingMinutes'], 'readonly').objectStore('meetingMinutes').getAll();
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            }),
+            rollups: await storage.getDailyRollups(null, null, { stitchGapMs: DEFAULT_GRACE_MINUTES * MINUTE }),
+            rebuiltRollups: this.rebuildRollups(context, sessions),
+            meetings: await storage.getMeetingsAggregated({ stitchGapMs: DEFAULT_GRACE_MINUTES * MINUTE }),
+            pages: {
+                newest: await this.readPages(storage, 'newest'),
+                oldest: await this.readPages(storage, 'oldest')
+            },
+            recomputed: context.reduceSessionEvents(await storage.getSessionEvents(), {
+                liveSessionIds: context.getLiveSessions().map(session => session.sessionId)
+            })
+        };
+    }
+}
+
+// A meeting as the paging check compares it: its ID and how long it overlapped other meetings
+function describePagedMeeting(meeting) {
+    return meeting.doubleBookedMs ? `${meeting.id} (${Math.round(meeting.doubleBookedMs / MINUTE * 100) / 100} min double-booked)` : meeting.id;
+}
+
+// Compare the outcome with scenario.expect; returns a list of failure messages
+function checkExpectations(scenario, result) {
+    const expect = scenario.expect || {};
+    const failures = [];
+    const minutes = ms => Math.round(ms / MINUTE * 100) / 100;
+    const inRange = (value, range) => value >= range[0] - 1e-9 && value <= range[1] + 1e-9;
+
+    if (expect.sessions !== undefined && result.sessions.length !== expect.sessions) {
+        failures.push(`expected ${expect.sessions} sessions, got ${result.sessions.length}`);
+    }
+
+    (expect.meetings || []).forEach(expected => {
+        const attendances = result.meetings
+            .filter(meeting => meeting.meetingId === expected.meetingId)
+            .sort((a, b) => a.startTime - b.startTime);
+        const meeting = attendances[expected.index || 0];
+        const label = `${expected.meetingId}${expected.index ? ` #${expected.index}` : ''}`;
+
+        if (!meeting) {
+            failures.push(`${label}: no meeting found`);
+            return;
+        }
+        if (expected.sessions !== undefined && meeting.sessionCount !== expected.sessions) {
+            failures.push(`${label}: expected ${expected.sessions} sessions, got ${meeting.sessionCount}`);
+        }
+        if (expected.minutes && !inRange(minutes(meeting.duration), expected.minutes)) {
+            failures.push(`${label}: expected ${expected.minutes.join('-')} min, got ${minutes(meeting.duration)} min`);
+        }
+        if (expected.gapMinutes && !inRange(minutes(meeting.gapTime || 0), expected.gapMinutes)) {
+            failures.push(`${label}: expected ${expected.gapMinutes.join('-')} min of gaps, got ${minutes(meeting.gapTime || 0)} min`);
+        }
+        if (expected.active !== undefined && meeting.isActive !== expected.active) {
+            failures.push(`${label}: expected ${expected.active ? 'active' : 'ended'}, got ${meeting.isActive ? 'active' : 'ended'}`);
+        }
+        if (expected.endReason) {
+            const lastSession = [...meeting.sessions].sort((a, b) => b.startTime - a.startTime)[0];
+            if (lastSession?.endReason !== expected.endReason) {
+                failures.push(`${label}: expected end reason "${expected.endReason}", got "${lastSession?.endReason}"`);
+            }
+        }
+        Object.entries(expected.presence || {}).forEach(([name, expectedPresence]) => {
+            const entry = Object.values(meeting.presence || {}).find(candidate => candidate.name === name);
+            const intervals = entry ? entry.intervals : [];
+            const endAt = intervals.length > 0 ? minutes(Math.max(...intervals.map(interval => interval.end)) - START_TIME) : null;
+            if (expectedPresence.intervals !== undefined && intervals.length !== expectedPresence.intervals) {
+                failures.push(`${label}: expected ${expectedPresence.intervals} presence interval(s) for ${name}, got ${intervals.length}`);
+            }
+            if (expectedPresence.endAt && (endAt === null || !inRange(endAt, expectedPresence.endAt))) {
+                failures.push(`${label}: expected ${name} present until minute ${expectedPresence.endAt.join('-')}, got ${endAt}`);
+            }
+        });
+    });
+
+    if (expect.migration) {
+        const report = result.migrationReport;
+        if (!report || report.fromVersion !== expect.migration.fromVersion || report.status !== expect.migration.status) {
+            failures.push(`migration: expected v${expect.migration.fromVersion} upgrade to be ${expect.migration.status}, ` +
+                `got ${report ? `v${report.fromVersion} ${report.status}${report.error ? ` (${report.error})` : ''}` : 'no upgrade'}`);
+        }
+        Object.entries(expect.migration.changed || {}).forEach(([version, count]) => {
+            const step = report?.steps.find(s => s.version === Number(version));
+            if (!step || step.changed !== count) {
+                failures.push(`migration ${version}: expected ${count} records changed, got ${step ? step.changed : 'not run'}`);
+            }
+        });
+    }
+
+    if (expect.normalizedParticipants) {
+        result.sessions.forEach(session => {
+            const valid = (session.participants || []).every(p => p && typeof p === 'object' && typeof p.name === 'string' && 'id' in p);
+            if (!valid) {
+                failures.push(`${session.sessionId}: participants not normalized (${JSON.stringify(session.participants)})`);
+            }
+        });
+    }
+
+    if (expect.filedMinutes) {
+        const sessionIds = new Set(result.sessions.map(session => session.sessionId));
+        result.minutes
+            .filter(minute => minute.meetingId !== minute.sessionId || !sessionIds.has(minute.sessionId))
+            .forEach(minute => failures.push(`minute ${minute.meetingId}@${minute.timestamp}: not filed under a session (sessionId ${minute.sessionId})`));
+    }
+
+    if (expect.rollups) {
+        const round = value => Math.round(value * 1000) / 1000;
+        const summarize = rollup => JSON.stringify({
+            date: rollup.date,
+            totalTime: rollup.totalTime,
+            meetingCount: rollup.meetingCount,
+            hourMinutes: rollup.hourMinutes.map(round),
+            collaborators: Object.entries(rollup.collaborators).sort(([a], [b]) => a.localeCompare(b))
+                .map(([key, c]) => [key, round(c.minutes), c.meetings, c.isSelf])
+        });
+        const stored = result.rollups.map(summarize);
+        const rebuilt = result.rebuiltRollups.map(summarize);
+        if (stored.join('\n') !== rebuilt.join('\n')) {
+            failures.push(`rollups: stored ${stored.join(', ')} differ from rebuilt ${rebuilt.join(', ')}`);
+        }
+    }
+
+    if (expect.rollupSummary) {
+        const round = value => Math.round(value * 1000) / 1000;
+        const meetings = result.meetings.filter(meeting => !meeting.lobbyOnly);
+        // Each meeting's ended sessions from where the earlier ones left off, so sessions open in
+        // two tabs at once count once
+        const hourMinutes = Array(24).fill(0);
+        meetings.forEach(meeting => {
+            let coveredUntil = 0;
+            meeting.sessions.filter(session => session.endTime).sort((a, b) => a.startTime - b.startTime).forEach(session => {
+                for (let cursor = Math.max(session.startTime, coveredUntil); cursor < session.endTime;) {
+                    const sliceEnd = Math.min((Math.floor(cursor / HOUR) + 1) * HOUR, session.endTime);
+                    hourMinutes[new Date(cursor).getUTCHours()] += (sliceEnd - cursor) / MINUTE;
+                    cursor = sliceEnd;
+                }
+                coveredUntil = Math.max(coveredUntil, session.endTime);
+            });
+        });
+        const fromMeetings = {
+            meetings: meetings.length,
+            minutes: round(meetings.reduce((sum, meeting) => sum + meeting.duration, 0) / MINUTE),
+            hourMinutes: hourMinutes.map(round)
+        };
+        const fromRollups = {
+            meetings: result.rollups.reduce((sum, rollup) => sum + rollup.meetingCount, 0),
+            minutes: round(result.rollups.reduce((sum, rollup) => sum + rollup.totalTime, 0) / MINUTE),
+            hourMinutes: result.rollups.reduce((sums, rollup) => sums.map((sum, hour) => sum + rollup.hourMinutes[hour]), Array(24).fill(0)).map(round)
+        };
+        if (JSON.stringify(fromRollups) !== JSON.stringify(fromMeetings)) {
+            failures.push(`rollup summary: ${JSON.stringify(fromRollups)} differs from the meetings' ${JSON.stringify(fromMeetings)}`);
+        }
+    }
+
+    if (expect.paging) {
+        const newest = result.meetings.map(describePagedMeeting);
+        const oldest = [...result.meetings].sort((a, b) => a.startTime - b.startTime || a.id.localeCompare(b.id)).map(describePagedMeeting);
+        if (result.pages.newest.join(',') !== newest.join(',')) {
+            failures.push(`paging: newest-first pages gave ${result.pages.newest.join(', ')}, expected ${newest.join(', ')}`);
+        }
+        if (result.pages.oldest.join(',') !== oldest.join(',')) {
+            failures.push(`paging: oldest-first pages gave ${result.pages.oldest.join(', ')}, expected ${oldest.join(', ')}`);
+        }
+    }
+
+    if (expect.deletedStayDeleted) {
+        result.deletedSessionIds
+            .filter(sessionId => result.sessions.some(session => session.sessionId === sessionId))
+            .forEach(sessionId => failures.push(`${sessionId}: deleted, but stored again`));
+    }
+
+    // The event log must reproduce what was tracked live (same boundaries, within a second)
+    if (expect.recomputed) {
+        const live = [...result.sessions].sort((a, b) => a.startTime - b.startTime);
+        const recomputed = [...result.recomputed].sort((a, b) => a.startTime - b.startTime);
+        if (live.length !== recomputed.length) {
+            failures.push(`recompute: expected ${live.length} sessions from the event log, got ${recomputed.length}`);
+        } else {
+            live.forEach((session, i) => {
+                const other = recomputed[i];
+                const sameStart = Math.abs(session.startTime - other.startTime) <= 1000;
+                const sameEnd = (!session.endTime && !other.endTime) ||
+                    (session.endTime && other.endTime && Math.abs(session.endTime - other.endTime) <= 1000);
+                if (session.meetingId !== other.meetingId || !sameStart || !sameEnd || session.endReason !== other.endReason) {
+                    failures.push(`recompute: session ${session.sessionId} (${session.meetingId}, ${session.endReason}) ` +
+                        `differs from ${other.sessionId} (${other.meetingId}, ${other.endReason})`);
+                }
+            });
+        }
+    }
+
+    return failures;
+}
+
+function describeResult(result) {
+    return result.meetings.map(meeting => {
+        const duration = Math.round(meeting.duration / MINUTE * 10) / 10;
+        const gap = Math.round((meeting.gapTime || 0) / MINUTE * 10) / 10;
+        return `      ${meeting.meetingId}: ${meeting.sessionCount} session(s), ${duration} min, ${gap} min away` +
+            `${meeting.isActive ? ' (active)' : ''}`;
+    }).join('\n');
+}
+
+async function main(args) {
+    const verbose = args.includes('--verbose');
+    const names = args.filter(arg => !arg.startsWith('--'));
+
+    if (args.includes('--list')) {
+        SCENARIOS.forEach(scenario => console.log(`${scenario.name.padEnd(28)} ${scenario.description}`));
+        return 0;
+    }
+
+    const unknown = names.filter(name => !SCENARIOS.some(scenario => scenario.name === name));
+    if (unknown.length > 0) {
+        console.error(`❌ Unknown scenario(s): ${unknown.join(', ')} (see --list)`);
+        return 2;
+    }
+
+    const scenarios = names.length > 0 ? SCENARIOS.filter(scenario => names.includes(scenario.name)) : SCENARIOS;
+    let failed = 0;
+
+    for (const scenario of scenarios) {
+        let failures;
+        let result = null;
+        try {
+            result = await new ReplaySimulator(scenario, { verbose }).run();
+            failures = checkExpectations(scenario, result);
+        } catch (error) {
+            failures = [`simulation failed: ${error.stack || error.message}`];
+        }
+
+        if (failures.length === 0) {
+            console.log(`✅ ${scenario.name} - ${scenario.description}`);
+        } else {
+            failed++;
+            console.log(`❌ ${scenario.name} - ${scenario.description}`);
+            failures.forEach(failure => console.log(`    - ${failure}`));
+        }
+        if (result && (verbose || failures.length > 0)) {
+            console.log(describeResult(result));
+        }
+    }
+
+    console.log(`\n📊 ${scenarios.length - failed}/${scenarios.length} scenarios passed`);
+    return failed > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(code => process.exit(code));
+}
+
+module.exports = { ReplaySimulator, FakeClock, SCENARIOS, checkExpectations };
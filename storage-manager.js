@@ -1,11 +1,616 @@
 // Enhanced Storage Manager for Google Meet Tracker
 // Uses IndexedDB for better performance and larger storage capacity
 
+// Numbered schema migrations, applied in order from onupgradeneeded for every version above the
+// database's current one (a new database runs all of them). Schema steps are guarded with
+// contains() so databases created by older builds converge. `up(db, transaction)` may transform
+// records through the upgrade transaction; it returns (or resolves to) the number of records changed.
+// Add new steps at the end - the last version is the database version.
+const STORAGE_MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Create meetings, meetingMinutes and settings stores',
+        up(db) {
+            // Deprecated - rows are moved into meetingSessions by migration 7
+            if (!db.objectStoreNames.contains('meetings')) {
+                const meetingStore = db.createObjectStore('meetings', { keyPath: 'id' });
+                meetingStore.createIndex('startTime', 'startTime', { unique: false });
+                meetingStore.createIndex('endTime', 'endTime', { unique: false });
+                meetingStore.createIndex('date', 'date', { unique: false });
+                meetingStore.createIndex('participants', 'participants', { unique: false, multiEntry: true });
+            }
+            
+            // Minutes are stored separately from sessions for better performance
+            if (!db.objectStoreNames.contains('meetingMinutes')) {
+                const minutesStore = db.createObjectStore('meetingMinutes', { keyPath: ['meetingId', 'timestamp'] });
+                minutesStore.createIndex('meetingId', 'meetingId', { unique: false });
+                minutesStore.createIndex('timestamp', 'timestamp', { unique: false });
+            }
+            
+            if (!db.objectStoreNames.contains('settings')) {
+                db.createObjectStore('settings', { keyPath: 'key' });
+            }
+            return 0;
+        }
+    },
+    {
+        version: 2,
+        description: 'Create meetingSessions store (session-based model)',
+        up(db) {
+            if (!db.objectStoreNames.contains('meetingSessions')) {
+                const sessionStore = db.createObjectStore('meetingSessions', { keyPath: 'sessionId' });
+                sessionStore.createIndex('meetingId', 'meetingId', { unique: false });
+                sessionStore.createIndex('startTime', 'startTime', { unique: false });
+                sessionStore.createIndex('endTime', 'endTime', { unique: false });
+                sessionStore.createIndex('date', 'date', { unique: false });
+                sessionStore.createIndex('participants', 'participants', { unique: false, multiEntry: true });
+            }
+            return 0;
+        }
+    },
+    {
+        version: 3,
+        description: 'Create transcripts store (opt-in caption capture, one record per session)',
+        up(db) {
+            if (!db.objectStoreNames.contains('transcripts')) {
+                const transcriptStore = db.createObjectStore('transcripts', { keyPath: 'sessionId' });
+                transcriptStore.createIndex('meetingId', 'meetingId', { unique: false });
+                transcriptStore.createIndex('startTime', 'startTime', { unique: false });
+            }
+            return 0;
+        }
+    },
+    {
+        version: 4,
+        description: 'Replace the name-keyed participants store with the person registry',
+        up(db, transaction) {
+            // The old store held name-keyed analytics that nothing read; the registry
+            // (see person-registry.js) is rebuilt from sessions by backfillPersonRegistry
+            if (db.objectStoreNames.contains('participants') &&
+                transaction.objectStore('participants').keyPath !== 'personId') {
+                db.deleteObjectStore('participants');
+            }
+            
+            if (!db.objectStoreNames.contains('participants')) {
+                const participantStore = db.createObjectStore('participants', { keyPath: 'personId' });
+                participantStore.createIndex('aliasKeys', 'aliasKeys', { unique: false, multiEntry: true });
+                participantStore.createIndex('participantKeys', 'participantKeys', { unique: false, multiEntry: true });
+                participantStore.createIndex('email', 'email', { unique: false });
+            }
+            return 0;
+        }
+    },
+    {
+        version: 5,
+        description: 'Create sessionEvents store (append-only raw signals; sessions can be recomputed from it)',
+        up(db) {
+            if (!db.objectStoreNames.contains('sessionEvents')) {
+                const eventStore = db.createObjectStore('sessionEvents', { keyPath: 'eventId', autoIncrement: true });
+                eventStore.createIndex('timestamp', 'timestamp', { unique: false });
+                eventStore.createIndex('meetingId', 'meetingId', { unique: false });
+            }
+            return 0;
+        }
+    },
+    {
+        version: 6,
+        description: 'Create sessionJournal store (write-ahead log for live sessions)',
+        up(db) {
+            if (!db.objectStoreNames.contains('sessionJournal')) {
+                const journalStore = db.createObjectStore('sessionJournal', { keyPath: 'seq', autoIncrement: true });
+                journalStore.createIndex('sessionId', 'sessionId', { unique: false });
+            }
+            return 0;
+        }
+    },
+    {
+        version: 7,
+        description: 'Move deprecated meetings rows into meetingSessions',
+        async up(db, transaction) {
+            const sessionStore = transaction.objectStore('meetingSessions');
+            const existingIds = new Set(await requestToPromise(sessionStore.getAllKeys()));
+            
+            return transformRecords(transaction.objectStore('meetings'), meeting => {
+                // Fallback meetings kept the ID of the session they stand in for
+                const sessionId = meeting.sessionId || meeting.id;
+                if (!existingIds.has(sessionId)) {
+                    const { id, minutes, minuteLogs, savedAsFallback, ...fields } = meeting;
+                    const endTime = meeting.endTime || Math.max(meeting.lastUpdated || 0, meeting.startTime);
+                    sessionStore.put({
+                        ...fields,
+                        sessionId,
+                        meetingId: meeting.meetingId || id,
+                        title: meeting.title || meeting.meetingId || id,
+                        participants: normalizeParticipants(meeting.participants),
+                        endTime,
+                        endReason: meeting.endReason || (meeting.endTime ? 'legacy_meeting' : 'legacy_unfinished'),
+                        isActive: false,
+                        date: new Date(meeting.startTime).toISOString().split('T')[0],
+                        duration: endTime - meeting.startTime,
+                        migratedFrom: 'meetings'
+                    });
+                    existingIds.add(sessionId);
+                }
+                return null; // Moved (or already stored as a session)
+            });
+        }
+    },
+    {
+        version: 8,
+        description: 'Normalize participant formats to { id, name } objects',
+        async up(db, transaction) {
+            const normalize = record => {
+                if (!Array.isArray(record.participants) || isNormalizedParticipantList(record.participants)) {
+                    return undefined;
+                }
+                return { ...record, participants: normalizeParticipants(record.participants) };
+            };
+            
+            const sessions = await transformRecords(transaction.objectStore('meetingSessions'), normalize);
+            const minutes = await transformRecords(transaction.objectStore('meetingMinutes'), normalize);
+            return sessions + minutes;
+        }
+    },
+    {
+        version: 9,
+        description: 'Create dailyRollups store (per-day dashboard totals) and build it from stored sessions',
+        async up(db, transaction) {
+            if (!db.objectStoreNames.contains('dailyRollups')) {
+                db.createObjectStore('dailyRollups', { keyPath: 'date' });
+            }
+            
+            const sessions = await requestToPromise(transaction.objectStore('meetingSessions').getAll());
+            const contributionsByDate = {};
+            sessions.forEach(session => {
+                const contribution = getRollupContribution(session);
+                if (contribution) {
+                    const date = getSessionDate(session);
+                    contributionsByDate[date] = { ...contributionsByDate[date], [session.sessionId]: contribution };
+                }
+            });
+            
+            // Contributions were kept inside the rollup until migration 11 moved them out
+            const rollupStore = transaction.objectStore('dailyRollups');
+            Object.entries(contributionsByDate).forEach(([date, contributions]) => {
+                rollupStore.put({ ...buildDailyRollup(date, contributions), contributions });
+            });
+            return Object.keys(contributionsByDate).length;
+        }
+    },
+    {
+        version: 10,
+        description: 'Create trash store (deleted sessions and meetings, snapshots taken before clearing all data)',
+        up(db) {
+            if (!db.objectStoreNames.contains('trash')) {
+                const trashStore = db.createObjectStore('trash', { keyPath: 'trashId', autoIncrement: true });
+                trashStore.createIndex('deletedAt', 'deletedAt', { unique: false });
+            }
+            return 0;
+        }
+    },
+    {
+        version: 11,
+        description: 'Move the per-session contributions out of the daily rollups into rollupContributions',
+        async up(db, transaction) {
+            if (!db.objectStoreNames.contains('rollupContributions')) {
+                db.createObjectStore('rollupContributions', { keyPath: ['date', 'sessionId'] });
+            }
+            
+            const contributionStore = transaction.objectStore('rollupContributions');
+            return transformRecords(transaction.objectStore('dailyRollups'), rollup => {
+                if (!rollup.contributions) {
+                    return undefined;
+                }
+                const { contributions, ...totals } = rollup;
+                Object.entries(contributions).forEach(([sessionId, contribution]) => {
+                    contributionStore.put({ date: rollup.date, sessionId, contribution });
+                });
+                return totals;
+            });
+        }
+    },
+    {
+        version: 12,
+        description: 'File legacy minute records under their session (keyed and tagged with its sessionId)',
+        async up(db, transaction) {
+            const sessions = await requestToPromise(transaction.objectStore('meetingSessions').getAll());
+            const sessionIds = new Set(sessions.map(session => session.sessionId));
+            const minutesStore = transaction.objectStore('meetingMinutes');
+            
+            return transformRecords(minutesStore, minute => {
+                if (minute.sessionId) {
+                    return undefined;
+                }
+                // Migration 7 kept the legacy meeting's ID as the session ID, so most are keyed right already
+                if (sessionIds.has(minute.meetingId)) {
+                    return { ...minute, sessionId: minute.meetingId };
+                }
+                // Otherwise the session of that meeting the minute falls in, if there is one
+                const session = sessions.find(candidate => candidate.meetingId === minute.meetingId &&
+                    candidate.startTime <= minute.timestamp && minute.timestamp <= (candidate.endTime || Infinity));
+                if (!session) {
+                    return undefined;
+                }
+                minutesStore.put({ ...minute, meetingId: session.sessionId, sessionId: session.sessionId });
+                return null;
+            });
+        }
+    },
+    {
+        version: 13,
+        description: 'Rebuild the daily rollups with UTC hour buckets and meetings counted as attendances',
+        async up(db, transaction) {
+            const sessions = await requestToPromise(transaction.objectStore('meetingSessions').getAll());
+            const sessionIds = new Set(sessions.map(session => session.sessionId));
+            const contributionStore = transaction.objectStore('rollupContributions');
+            const records = await requestToPromise(contributionStore.getAll());
+            const contributionsByDate = {};
+            const addContribution = (date, sessionId, contribution) => {
+                contributionStore.put({ date, sessionId, contribution });
+                contributionsByDate[date] = { ...contributionsByDate[date], [sessionId]: contribution };
+            };
+            
+            // Stored sessions contribute afresh; sessions already reduced to daily totals only
+            // have their hour buckets moved to UTC
+            records.forEach(record => {
+                if (sessionIds.has(record.sessionId)) {
+                    contributionStore.delete([record.date, record.sessionId]);
+                } else {
+                    addContribution(record.date, record.sessionId,
+                        { ...record.contribution, hourMinutes: toUtcHourMinutes(record.date, record.contribution.hourMinutes) });
+                }
+            });
+            sessions.forEach(session => {
+                const contribution = getRollupContribution(session);
+                if (contribution) {
+                    addContribution(getSessionDate(session), session.sessionId, contribution);
+                }
+            });
+            
+            const rollupStore = transaction.objectStore('dailyRollups');
+            await requestToPromise(rollupStore.clear());
+            Object.entries(contributionsByDate).forEach(([date, contributions]) => {
+                rollupStore.put(buildDailyRollup(date, contributions));
+            });
+            return Object.keys(contributionsByDate).length;
+        }
+    }
+];
+
+// Participants were stored as plain names, { name } or { displayName } objects over time;
+// everything reads { id, name, ... } objects now
+function normalizeParticipants(participants) {
+    return (Array.isArray(participants) ? participants : [])
+        .filter(participant => participant && (typeof participant === 'string' || typeof participant === 'object'))
+        .map(participant => {
+            if (typeof participant === 'string') {
+                return { id: null, name: participant };
+            }
+            return { ...participant, id: participant.id ?? null, name: participant.name || participant.displayName || participant.id || 'Unknown' };
+        });
+}
+
+function isNormalizedParticipantList(participants) {
+    return participants.every(participant => participant && typeof participant === 'object' &&
+        typeof participant.name === 'string' && participant.name && 'id' in participant);
+}
+
+// Sessions are filed under their UTC start date (session.date)
+function getSessionDate(session) {
+    return new Date(session.startTime).toISOString().split('T')[0];
+}
+
+// Map each session ({ sessionId, meetingId, startTime, endTime }) to its attendance key. A session
+// continues the previous attendance of the same meeting when it starts within options.stitchGapMs
+// (default 10 min) of the latest end so far, or while an earlier session is still active. Keys are
+// `${meetingId}_${date}` (date of the first session), suffixed with _2, _3... for later attendances
+// on the same day. options.raw keys every session by its own sessionId.
+function getAttendanceKeys(sessions, options = {}) {
+    const stitchGapMs = options.stitchGapMs ?? 10 * 60 * 1000;
+    const keys = new Map();
+    const usedKeys = new Set();
+    const byMeeting = {};
+    
+    sessions.forEach(session => {
+        (byMeeting[session.meetingId] = byMeeting[session.meetingId] || []).push(session);
+    });
+    
+    Object.values(byMeeting).forEach(meetingSessions => {
+        let key = null;
+        let groupEnd = null;
+        
+        [...meetingSessions].sort((a, b) => a.startTime - b.startTime).forEach(session => {
+            if (options.raw) {
+                keys.set(session.sessionId, session.sessionId);
+                return;
+            }
+            
+            if (!key || session.startTime - groupEnd > stitchGapMs) {
+                const date = getSessionDate(session);
+                key = `${session.meetingId}_${date}`;
+                for (let n = 2; usedKeys.has(key); n++) {
+                    key = `${session.meetingId}_${date}_${n}`;
+                }
+                usedKeys.add(key);
+                groupEnd = session.startTime;
+            }
+            
+            keys.set(session.sessionId, key);
+            groupEnd = session.endTime ? Math.max(groupEnd, session.endTime) : Infinity;
+        });
+    });
+    
+    return keys;
+}
+
+// Inclusive key range; null/undefined bounds are open
+function toKeyRange(lower, upper) {
+    const hasLower = lower !== null && lower !== undefined;
+    const hasUpper = upper !== null && upper !== undefined;
+    if (hasLower && hasUpper) return IDBKeyRange.bound(lower, upper);
+    if (hasLower) return IDBKeyRange.lowerBound(lower);
+    if (hasUpper) return IDBKeyRange.upperBound(upper);
+    return null;
+}
+
+// Query cursors point at the last session returned: `${startTime}:${sessionId}`
+function encodeSessionCursor(session) {
+    return `${session.startTime}:${session.sessionId}`;
+}
+
+function parseSessionCursor(cursor) {
+    const separator = typeof cursor === 'string' ? cursor.indexOf(':') : -1;
+    if (separator < 1) return null;
+    const startTime = Number(cursor.slice(0, separator));
+    return Number.isFinite(startTime) ? { startTime, sessionId: cursor.slice(separator + 1) } : null;
+}
+
+// DAILY ROLLUPS
+// One record per day (the session's UTC start date, like the dashboard's date filter) with the
+// totals the dashboard charts need, so summaries over years of history don't read every session.
+// Minutes per hour are kept per UTC hour too, so both keys are in the same time zone.
+// What every session contributed is kept per day in rollupContributions ({ date, sessionId,
+// contribution }), so saving a session again or deleting it replaces exactly its share instead
+// of drifting - and reading the totals doesn't read the contributions.
+
+// Key range of one day's records in rollupContributions ([date] sorts before [date, sessionId],
+// [date, []] after every [date, sessionId])
+function getContributionRange(date) {
+    return IDBKeyRange.bound([date], [date, []]);
+}
+
+// Meeting-size buckets of the collaborator metrics (same boundaries as the dashboard)
+function getMeetingSizeBucket(participantCount) {
+    if (participantCount === 2) return 'oneOnOne';
+    if (participantCount <= 5) return 'smallGroup';
+    if (participantCount <= 10) return 'mediumGroup';
+    return 'largeGroup';
+}
+
+// Add the minutes from start to end to their UTC hours of the day, split at hour boundaries
+function addHourMinutes(hourMinutes, start, end) {
+    let cursor = start;
+    while (cursor < end) {
+        const hourEnd = new Date(cursor);
+        hourEnd.setUTCMinutes(60, 0, 0);
+        const sliceEnd = Math.min(hourEnd.getTime(), end);
+        hourMinutes[new Date(cursor).getUTCHours()] += (sliceEnd - cursor) / 60000;
+        cursor = sliceEnd;
+    }
+}
+
+// Overlapping { start, end } spans merged into one, oldest first
+function mergeSpans(spans) {
+    const merged = [];
+    [...spans].sort((a, b) => a.start - b.start).forEach(span => {
+        const last = merged[merged.length - 1];
+        if (last && span.start <= last.end) {
+            last.end = Math.max(last.end, span.end);
+        } else {
+            merged.push({ ...span });
+        }
+    });
+    return merged;
+}
+
+// What one session adds to its day, or null for sessions that aren't meetings (lobby only).
+// Active sessions count as a meeting with no time yet, as on the dashboard.
+function getRollupContribution(session) {
+    if (!session || !session.startTime || session.lobbyOnly) {
+        return null;
+    }
+    
+    const endTime = session.endTime && session.endTime > session.startTime ? session.endTime : session.startTime;
+    
+    const hourMinutes = Array(24).fill(0);
+    addHourMinutes(hourMinutes, session.startTime, endTime);
+    
+    const seen = new Set();
+    const participants = [];
+    (session.participants || []).forEach(participant => {
+        const name = PersonRegistry.cleanName(PersonRegistry.participantName(participant));
+        const key = PersonRegistry.aliasKey(name);
+        if (!name || name === 'Unknown' || seen.has(key)) return;
+        seen.add(key);
+        
+        const isSelf = typeof participant === 'object' &&
+            (!!participant.isSelf || (!!session.selfParticipantId && participant.id === session.selfParticipantId));
+        participants.push({ key, name, email: participant.email || null, isSelf });
+    });
+    
+    return {
+        meetingId: session.meetingId,
+        startTime: session.startTime,
+        endTime: session.endTime || null,
+        duration: endTime - session.startTime,
+        hourMinutes,
+        participantCount: (session.participants || []).length,
+        participants
+    };
+}
+
+// Recompute a day's totals from its session contributions
+// Meetings are counted as attendances, stitched like getMeetingsAggregated does (see
+// getAttendanceKeys; options.stitchGapMs); the sessions are kept in attendanceSpans so
+// getDailyRollups can count them again across days and with the current grace window.
+// Contributions saved before sessions' times were kept count once per meeting ID, as do
+// a collaborator's meetings.
+function buildDailyRollup(date, contributions, options = {}) {
+    const rollup = {
+        date,
+        totalTime: 0,
+        meetingCount: 0,
+        hourMinutes: Array(24).fill(0),
+        collaborators: {},
+        attendanceSpans: [],
+        untimedMeetingCount: 0,
+        updatedAt: Date.now()
+    };
+    const untimedMeetingIds = new Set();
+    const collaboratorMeetings = {};
+    
+    Object.entries(contributions).forEach(([sessionId, contribution]) => {
+        const minutes = contribution.duration / 60000;
+        const sizeBucket = getMeetingSizeBucket(contribution.participantCount);
+        if (contribution.startTime) {
+            const { meetingId, startTime, endTime } = contribution;
+            rollup.attendanceSpans.push({ sessionId, meetingId, startTime, endTime });
+        } else {
+            untimedMeetingIds.add(contribution.meetingId);
+            rollup.totalTime += contribution.duration;
+            contribution.hourMinutes.forEach((hourMinutes, hour) => {
+                rollup.hourMinutes[hour] += hourMinutes;
+            });
+        }
+        
+        contribution.participants.forEach(participant => {
+            if (!rollup.collaborators[participant.key]) {
+                rollup.collaborators[participant.key] = {
+                    name: participant.name,
+                    email: participant.email,
+                    isSelf: false,
+                    minutes: 0,
+                    meetings: 0,
+                    bySize: {
+                        oneOnOne: { meetings: 0, minutes: 0 },
+                        smallGroup: { meetings: 0, minutes: 0 },
+                        mediumGroup: { meetings: 0, minutes: 0 },
+                        largeGroup: { meetings: 0, minutes: 0 }
+                    }
+                };
+                collaboratorMeetings[participant.key] = new Set();
+            }
+            
+            const collaborator = rollup.collaborators[participant.key];
+            collaborator.isSelf = collaborator.isSelf || participant.isSelf;
+            collaborator.email = collaborator.email || participant.email;
+            collaborator.minutes += minutes;
+            collaborator.bySize[sizeBucket].minutes += minutes;
+            if (!collaboratorMeetings[participant.key].has(contribution.meetingId)) {
+                collaboratorMeetings[participant.key].add(contribution.meetingId);
+                collaborator.meetings++;
+                collaborator.bySize[sizeBucket].meetings++;
+            }
+        });
+    });
+    
+    // Time is counted once where sessions of the same meeting overlap (two tabs), like aggregateSessions
+    const endedSpansByMeeting = {};
+    rollup.attendanceSpans.filter(span => span.endTime).forEach(span => {
+        (endedSpansByMeeting[span.meetingId] = endedSpansByMeeting[span.meetingId] || []).push({ start: span.startTime, end: span.endTime });
+    });
+    Object.values(endedSpansByMeeting).flatMap(mergeSpans).forEach(span => {
+        rollup.totalTime += span.end - span.start;
+        addHourMinutes(rollup.hourMinutes, span.start, span.end);
+    });
+    
+    rollup.untimedMeetingCount = untimedMeetingIds.size;
+    rollup.meetingCount = new Set(getAttendanceKeys(rollup.attendanceSpans, options).values()).size + rollup.untimedMeetingCount;
+    return rollup;
+}
+
+// Hour buckets of a contribution kept per local hour (before migration 13), moved to UTC hours
+// with the time zone offset of that day
+function toUtcHourMinutes(date, hourMinutes) {
+    const utcHourMinutes = Array(24).fill(0);
+    hourMinutes.forEach((minutes, hour) => {
+        const instant = new Date(`${date}T12:00:00.000Z`);
+        instant.setHours(hour, 30, 0, 0);
+        utcHourMinutes[instant.getUTCHours()] += minutes;
+    });
+    return utcHourMinutes;
+}
+
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Primary key of a record, for a store's (possibly compound) keyPath
+function getRecordKey(record, keyPath) {
+    return Array.isArray(keyPath) ? keyPath.map(path => record[path]) : record[keyPath];
+}
+
+// Whether a logged event belongs to a session: same tab and meeting, inside its time span
+function isSessionEvent(logged, session) {
+    return logged.meetingId === session.meetingId && (logged.tabId ?? null) === (session.tabId ?? null) &&
+        logged.timestamp >= session.startTime && logged.timestamp <= (session.endTime || Infinity);
+}
+
+// A trash item without its records: { trashId, kind, label, deletedAt, counts: { [storeName]: n } }
+function summarizeTrashItem(item) {
+    const { records, ...summary } = item;
+    return {
+        ...summary,
+        counts: Object.fromEntries(Object.entries(records || {}).map(([storeName, storeRecords]) => [storeName, storeRecords.length]))
+    };
+}
+
+// Approximate stored size of records in bytes (their JSON length, without IndexedDB's own overhead)
+function estimateSize(records) {
+    return records.reduce((sum, record) => sum + JSON.stringify(record).length, 0);
+}
+
+// Walk every record of a store (inside the upgrade transaction)
+// `transform(record)` returns the updated record, null to delete it or undefined to keep it
+function transformRecords(store, transform) {
+    return new Promise((resolve, reject) => {
+        let changed = 0;
+        const request = store.openCursor();
+        
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) {
+                resolve(changed);
+                return;
+            }
+            
+            try {
+                const result = transform(cursor.value);
+                if (result === null) {
+                    cursor.delete();
+                    changed++;
+                } else if (result !== undefined) {
+                    cursor.update(result);
+                    changed++;
+                }
+                cursor.continue();
+            } catch (error) {
+                reject(error);
+            }
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
 class MeetingStorageManager {
     constructor() {
         this.dbName = 'MeetingTrackerDB';
-        this.dbVersion = 2; // Updated version for new schema
+        this.dbVersion = STORAGE_MIGRATIONS[STORAGE_MIGRATIONS.length - 1].version;
         this.db = null;
+        this.migrationReport = null; // Set when this instance upgraded the database
     }
 
     // Initialize the database
@@ -48,67 +653,13 @@ class MeetingStorageManager {
                 };
                 
                 request.onupgradeneeded = (event) => {
-                    try {
-                        console.log('🔄 IndexedDB: Database upgrade needed');
-                        const db = event.target.result;
-                        
-                        console.log('📊 Current version:', event.oldVersion, '-> New version:', event.newVersion);
-                        console.log('📋 Existing stores:', Array.from(db.objectStoreNames));
-                        
-                        // Create meeting sessions store (NEW: session-based model)
-                        if (!db.objectStoreNames.contains('meetingSessions')) {
-                            console.log('🆕 Creating meetingSessions object store...');
-                            const sessionStore = db.createObjectStore('meetingSessions', { keyPath: 'sessionId' });
-                            sessionStore.createIndex('meetingId', 'meetingId', { unique: false });
-                            sessionStore.createIndex('startTime', 'startTime', { unique: false });
-                            sessionStore.createIndex('endTime', 'endTime', { unique: false });
-                            sessionStore.createIndex('date', 'date', { unique: false });
-                            sessionStore.createIndex('participants', 'participants', { unique: false, multiEntry: true });
-                            console.log('✅ Created meetingSessions store with indexes');
-                        }
-                        
-                        // Keep meetings store for backward compatibility but mark as deprecated
-                        if (!db.objectStoreNames.contains('meetings')) {
-                            console.log('📝 Creating meetings object store (deprecated - keeping for compatibility)...');
-                            const meetingStore = db.createObjectStore('meetings', { keyPath: 'id' });
-                            meetingStore.createIndex('startTime', 'startTime', { unique: false });
-                            meetingStore.createIndex('endTime', 'endTime', { unique: false });
-                            meetingStore.createIndex('date', 'date', { unique: false });
-                            meetingStore.createIndex('participants', 'participants', { unique: false, multiEntry: true });
-                            console.log('✅ Created meetings store with indexes (deprecated)');
-                        }
-                        
-                        // Create participants store for analytics
-                        if (!db.objectStoreNames.contains('participants')) {
-                            console.log('👥 Creating participants object store...');
-                            const participantStore = db.createObjectStore('participants', { keyPath: 'name' });
-                            participantStore.createIndex('meetingCount', 'meetingCount', { unique: false });
-                            participantStore.createIndex('totalTime', 'totalTime', { unique: false });
-                            console.log('✅ Created participants store with indexes');
-                        }
-                        
-                        // Create meeting minutes store (separate for better performance)
-                        if (!db.objectStoreNames.contains('meetingMinutes')) {
-                            console.log('⏰ Creating meetingMinutes object store...');
-                            const minutesStore = db.createObjectStore('meetingMinutes', { keyPath: ['meetingId', 'timestamp'] });
-                            minutesStore.createIndex('meetingId', 'meetingId', { unique: false });
-                            minutesStore.createIndex('timestamp', 'timestamp', { unique: false });
-                            console.log('✅ Created meetingMinutes store with indexes');
-                        }
-                        
-                        // Create settings store
-                        if (!db.objectStoreNames.contains('settings')) {
-                            console.log('⚙️ Creating settings object store...');
-                            db.createObjectStore('settings', { keyPath: 'key' });
-                            console.log('✅ Created settings store');
-                        }
-                        
-                        console.log('✅ IndexedDB upgrade completed successfully');
-                        
-                    } catch (upgradeError) {
-                        console.error('❌ IndexedDB upgrade error:', upgradeError);
-                        reject(upgradeError);
-                    }
+                    const db = event.target.result;
+                    console.log('🔄 IndexedDB: Database upgrade needed');
+                    console.log('📊 Current version:', event.oldVersion, '-> New version:', event.newVersion);
+                    console.log('📋 Existing stores:', Array.from(db.objectStoreNames));
+                    
+                    // A failed migration aborts the upgrade, which fails this open request (onerror)
+                    this.runMigrations(db, event.target.transaction, event.oldVersion, event.newVersion);
                 };
                 
                 request.onblocked = (event) => {
@@ -122,50 +673,104 @@ class MeetingStorageManager {
         });
     }
 
+    // Run the migrations between oldVersion and newVersion one after another on the upgrade
+    // transaction; the first failure aborts the whole upgrade so the database stays at oldVersion
+    runMigrations(db, transaction, oldVersion, newVersion) {
+        const pending = STORAGE_MIGRATIONS.filter(migration => migration.version > oldVersion && migration.version <= newVersion);
+        const report = {
+            fromVersion: oldVersion,
+            toVersion: newVersion,
+            status: 'running',
+            startedAt: Date.now(),
+            finishedAt: null,
+            error: null,
+            steps: pending.map(migration => ({ version: migration.version, description: migration.description, status: 'pending', changed: 0 }))
+        };
+        this.migrationReport = report;
+        this.publishMigrationReport();
+        
+        let chain = Promise.resolve();
+        pending.forEach((migration, index) => {
+            chain = chain.then(async () => {
+                const step = report.steps[index];
+                step.status = 'running';
+                console.log(`🗄️ Migration ${migration.version}: ${migration.description}`);
+                
+                step.changed = (await migration.up(db, transaction)) || 0;
+                step.status = 'done';
+                console.log(`✅ Migration ${migration.version} done (${step.changed} records changed)`);
+                this.publishMigrationReport();
+            });
+        });
+        
+        chain.catch(error => {
+            const step = report.steps.find(s => s.status === 'running');
+            if (step) {
+                step.status = 'failed';
+                step.error = error.message || String(error);
+            }
+            report.status = 'failed';
+            report.error = `Migration ${step ? step.version : '?'} failed: ${error.message || error}`;
+            console.error(`❌ ${report.error}`, error);
+            try {
+                transaction.abort();
+            } catch (abortError) {
+                // Already finished or aborted
+            }
+        });
+        
+        transaction.addEventListener('complete', () => {
+            report.status = 'done';
+            report.finishedAt = Date.now();
+            console.log(`✅ IndexedDB upgraded from v${oldVersion} to v${newVersion}`);
+            this.publishMigrationReport();
+        });
+        transaction.addEventListener('abort', () => {
+            if (report.status !== 'failed') {
+                report.status = 'failed';
+                report.error = `Upgrade aborted: ${transaction.error?.message || 'unknown error'}`;
+            }
+            report.finishedAt = Date.now();
+            this.publishMigrationReport();
+        });
+    }
+    
+    // Keep the latest migration report where the dashboard can read it even if the database
+    // failed to open, and tell open extension pages about the progress
+    publishMigrationReport() {
+        if (typeof chrome === 'undefined' || !this.migrationReport) {
+            return;
+        }
+        
+        const report = JSON.parse(JSON.stringify(this.migrationReport));
+        chrome.storage?.local?.set({ storageMigrationReport: report }, () => void chrome.runtime.lastError);
+        chrome.runtime?.sendMessage?.({ type: 'storage_migration_progress', report }, () => void chrome.runtime.lastError);
+    }
+    
+    // The report of the last upgrade (from any context), or null
+    static async getMigrationReport() {
+        if (typeof chrome === 'undefined' || !chrome.storage?.local) {
+            return null;
+        }
+        
+        return new Promise(resolve => {
+            chrome.storage.local.get('storageMigrationReport', result => {
+                resolve(chrome.runtime.lastError ? null : (result?.storageMigrationReport || null));
+            });
+        });
+    }
+
     // Save a meeting with optimized structure
     async saveMeeting(meeting) {
         return new Promise(async (resolve, reject) => {
             try {
-                // Handle participant updates safely
-                const participantUpdates = [];
-                
-                // Only process participants if they exist and are valid
-                if (meeting.participants && Array.isArray(meeting.participants)) {
-                    for (const participant of meeting.participants) {
-                        // Extract participant name safely
-                        let participantName = '';
-                        if (typeof participant === 'string') {
-                            participantName = participant;
-                        } else if (participant && typeof participant === 'object') {
-                            participantName = participant.name || participant.displayName || participant.id || 'Unknown';
-                        }
-                        
-                        // Skip if we couldn't extract a valid name
-                        if (!participantName || participantName === 'Unknown' || participantName === 'undefined') {
-                            continue;
-                        }
-                        
-                        try {
-                            const existing = await this.getParticipant(participantName);
-                            participantUpdates.push({
-                                name: participantName,
-                                meetingCount: (existing?.meetingCount || 0) + 1,
-                                totalTime: (existing?.totalTime || 0) + (meeting.endTime ? (meeting.endTime - meeting.startTime) : 0),
-                                lastMeeting: meeting.startTime,
-                                meetings: [...(existing?.meetings || []), meeting.id]
-                            });
-                        } catch (participantError) {
-                            console.warn(`⚠️ Error processing participant ${participantName}:`, participantError);
-                            // Continue with other participants even if one fails
-                        }
-                    }
-                }
+                // Resolve participants into the person registry
+                await this.updatePersonRegistry(meeting.id, meeting.participants, meeting.startTime);
                 
                 // Now start the transaction with all data ready
-                const transaction = this.db.transaction(['meetings', 'meetingMinutes', 'participants'], 'readwrite');
+                const transaction = this.db.transaction(['meetings', 'meetingMinutes'], 'readwrite');
                 const meetingStore = transaction.objectStore('meetings');
                 const minutesStore = transaction.objectStore('meetingMinutes');
-                const participantStore = transaction.objectStore('participants');
 
                 // Optimize meeting object structure
                 const optimizedMeeting = {
@@ -192,11 +797,6 @@ class MeetingStorageManager {
                     });
                 }
 
-                // Update participant analytics with pre-computed data
-                participantUpdates.forEach(participantData => {
-                    participantStore.put(participantData);
-                });
-
                 transaction.oncomplete = () => {
                     console.log('✅ Meeting saved to IndexedDB:', meeting.id);
                     resolve();
@@ -219,6 +819,7 @@ class MeetingStorageManager {
         try {
             // Get all sessions and convert to meeting-like format for dashboard compatibility
             const sessions = await this.getAllSessions(options);
+            const people = PersonRegistry.buildIndex(await this.getPeople());
             
             // Convert sessions to meeting format that dashboard expects
             const meetings = sessions.map(session => {
@@ -235,7 +836,7 @@ class MeetingStorageManager {
                     startTime: session.startTime,
                     endTime: session.endTime,
                     duration: duration,
-                    participants: session.participants || [],
+                    participants: this.attachPersons(session.participants, session.meetingId, people, session.selfParticipantId),
                     url: session.url,
                     
                     // Session-specific fields
@@ -244,8 +845,24 @@ class MeetingStorageManager {
                     isActive: !session.endTime,
                     dataSource: session.dataSource || 'unknown',
                     endReason: session.endReason,
+                    calendarEvent: session.calendarEvent || null,
+                    presence: session.presence || {},
+                    talkTime: session.talkTime || {},
+                    engagement: session.engagement || {},
+                    selfParticipantId: session.selfParticipantId || null,
+                    authuser: session.authuser || null,
+                    selfAccount: session.selfAccount || null,
                     
                     // Computed fields
+                    attendance: this.summarizePresence(session.presence, duration, session.participantSummary),
+                    localMedia: this.summarizeLocalMedia(session.localMedia),
+                    presentation: this.summarizePresentations(session.presentations, duration),
+                    lobby: session.lobby || null,
+                    lobbyOnly: !!session.lobbyOnly,
+                    lobbyTime: this.getLobbyTime(session.lobby),
+                    dataQuality: session.dataQuality || null,
+                    qualityScore: session.dataQuality?.score ?? null,
+                    platform: session.platform || 'meet',
                     participantCount: session.participants ? session.participants.length : 0,
                     durationMinutes: Math.round(duration / 60000),
                     date: new Date(session.startTime).toISOString().split('T')[0]
@@ -323,30 +940,51 @@ class MeetingStorageManager {
         });
     }
 
-    // Get participant analytics
-    async getParticipant(name) {
+    // Get a person from the registry
+    async getPerson(personId) {
         return new Promise((resolve, reject) => {
             const transaction = this.db.transaction(['participants'], 'readonly');
             const store = transaction.objectStore('participants');
-            const request = store.get(name);
+            const request = store.get(personId);
 
             request.onsuccess = () => resolve(request.result);
             request.onerror = () => reject(request.error);
         });
     }
 
-    // Get storage statistics
+    // Get storage statistics, with the size of each retention tier (see applyRetentionPolicy):
+    // full (sessions with their minute records and event log), summarized (compacted sessions)
+    // and aggregate (daily rollups)
     async getStorageStats() {
         const meetings = await this.getMeetings();
         const totalMeetings = meetings.length;
         const totalDuration = meetings.reduce((sum, m) => sum + (m.duration || 0), 0);
         
+        const readAll = storeName => this.db.objectStoreNames.contains(storeName) ?
+            requestToPromise(this.db.transaction([storeName], 'readonly').objectStore(storeName).getAll()) : Promise.resolve([]);
+        const [sessions, minutes, events, rollups, contributions, trash] = await Promise.all(
+            ['meetingSessions', 'meetingMinutes', 'sessionEvents', 'dailyRollups', 'rollupContributions', 'trash'].map(readAll));
+        const fullSessions = sessions.filter(session => !session.retentionTier);
+        const summarizedSessions = sessions.filter(session => session.retentionTier === 'summarized');
+        
         return {
             totalMeetings,
             totalDuration,
             averageDuration: totalMeetings > 0 ? totalDuration / totalMeetings : 0,
             oldestMeeting: meetings.length > 0 ? Math.min(...meetings.map(m => m.startTime)) : null,
-            newestMeeting: meetings.length > 0 ? Math.max(...meetings.map(m => m.startTime)) : null
+            newestMeeting: meetings.length > 0 ? Math.max(...meetings.map(m => m.startTime)) : null,
+            tiers: {
+                full: {
+                    sessions: fullSessions.length,
+                    minuteRecords: minutes.length,
+                    events: events.length,
+                    bytes: estimateSize(fullSessions) + estimateSize(minutes) + estimateSize(events)
+                },
+                summarized: { sessions: summarizedSessions.length, bytes: estimateSize(summarizedSessions) },
+                aggregate: { days: rollups.length, bytes: estimateSize(rollups) + estimateSize(contributions) }
+            },
+            trash: { items: trash.length, bytes: estimateSize(trash) },
+            lastRetentionRun: await this.getSetting('retentionLastRun', null)
         };
     }
 
@@ -397,7 +1035,9 @@ class MeetingStorageManager {
     // Delete a meeting and all associated data
     async deleteMeeting(meetingId) {
         return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction(['meetings', 'meetingMinutes'], 'readwrite');
+            const hasTranscripts = this.db.objectStoreNames.contains('transcripts');
+            const transaction = this.db.transaction(
+                hasTranscripts ? ['meetings', 'meetingMinutes', 'transcripts'] : ['meetings', 'meetingMinutes'], 'readwrite');
             
             // Delete meeting
             transaction.objectStore('meetings').delete(meetingId);
@@ -414,6 +1054,18 @@ class MeetingStorageManager {
                     cursor.continue();
                 }
             };
+            
+            // Delete associated transcripts
+            if (hasTranscripts) {
+                const transcriptRequest = transaction.objectStore('transcripts').index('meetingId').openCursor(IDBKeyRange.only(meetingId));
+                transcriptRequest.onsuccess = (event) => {
+                    const cursor = event.target.result;
+                    if (cursor) {
+                        cursor.delete();
+                        cursor.continue();
+                    }
+                };
+            }
 
             transaction.oncomplete = () => resolve();
             transaction.onerror = () => reject(transaction.error);
@@ -459,7 +1111,7 @@ class MeetingStorageManager {
         });
     }
 
-    // Summarize participants for compressed meetings
+    // Summarize participants for compressed meetings and compacted sessions without presence data
     summarizeParticipants(minutes) {
         const participantTime = {};
         
@@ -467,8 +1119,9 @@ class MeetingStorageManager {
             const nextMinute = minutes[index + 1];
             const duration = nextMinute ? (nextMinute.timestamp - minute.timestamp) : 60000; // 1 minute default
             
-            minute.participants.forEach(participant => {
-                participantTime[participant] = (participantTime[participant] || 0) + duration;
+            (minute.participants || []).forEach(participant => {
+                const name = PersonRegistry.participantName(participant);
+                participantTime[name] = (participantTime[name] || 0) + duration;
             });
         });
 
@@ -477,6 +1130,169 @@ class MeetingStorageManager {
             .sort((a, b) => b.time - a.time);
     }
 
+    // Summarize presence timelines into per-participant attendance
+    // presence: { [participantId]: { name, intervals: [{ start, end }] } }
+    // trackedDuration: the time we were in the meeting ourselves (attendance % denominator)
+    // summaries: participantSummary entries of compacted sessions (totals, no intervals)
+    summarizePresence(presence, trackedDuration, summaries = []) {
+        const attendance = presence && typeof presence === 'object' ? Object.entries(presence)
+            .map(([id, entry]) => {
+                const intervals = (entry.intervals || [])
+                    .filter(i => i && i.start && i.end >= i.start)
+                    .sort((a, b) => a.start - b.start);
+                
+                // Sessions of the same meeting can overlap (two tabs) - don't count time twice
+                let attendedMs = 0;
+                let coveredUntil = 0;
+                intervals.forEach(i => {
+                    const start = Math.max(i.start, coveredUntil);
+                    if (i.end > start) {
+                        attendedMs += i.end - start;
+                    }
+                    coveredUntil = Math.max(coveredUntil, i.end);
+                });
+                
+                return {
+                    id,
+                    name: entry.name || id,
+                    intervals,
+                    attendedMs,
+                    firstSeen: intervals.length > 0 ? intervals[0].start : null,
+                    lastSeen: intervals.length > 0 ? coveredUntil : null
+                };
+            }) : [];
+        
+        // Compacted sessions only add their totals
+        (summaries || []).forEach(summary => {
+            let entry = attendance.find(a => a.id === summary.id);
+            if (!entry) {
+                entry = { id: summary.id, name: summary.name || summary.id, intervals: [], attendedMs: 0, firstSeen: null, lastSeen: null };
+                attendance.push(entry);
+            }
+            entry.attendedMs += summary.attendedMs || 0;
+            if (summary.firstSeen && (!entry.firstSeen || summary.firstSeen < entry.firstSeen)) entry.firstSeen = summary.firstSeen;
+            if (summary.lastSeen && (!entry.lastSeen || summary.lastSeen > entry.lastSeen)) entry.lastSeen = summary.lastSeen;
+        });
+        
+        return attendance
+            .map(entry => ({
+                ...entry,
+                attendedMinutes: Math.round(entry.attendedMs / 60000),
+                attendancePercent: trackedDuration > 0 ?
+                    Math.min(100, Math.round((entry.attendedMs / trackedDuration) * 100)) : 0
+            }))
+            .sort((a, b) => b.attendedMs - a.attendedMs);
+    }
+
+    // Summarize my own mic/camera counters into percentages
+    // Returns null when the session predates mic/camera sampling
+    summarizeLocalMedia(localMedia) {
+        if (!localMedia || !(localMedia.sampledMs > 0)) {
+            return null;
+        }
+        
+        return {
+            sampledMs: localMedia.sampledMs,
+            cameraOnPercent: Math.round((localMedia.cameraOnMs / localMedia.sampledMs) * 100),
+            unmutedPercent: Math.round((localMedia.micOnMs / localMedia.sampledMs) * 100),
+            micToggles: localMedia.micToggles || 0,
+            cameraToggles: localMedia.cameraToggles || 0
+        };
+    }
+
+    // Summarize presentation segments: how much of the meeting was presentation and by whom
+    // Ongoing segments (end === null) count up to now
+    summarizePresentations(presentations, trackedDuration) {
+        const segments = (presentations || [])
+            .filter(s => s && s.start)
+            .map(s => ({ ...s, end: s.end || Date.now() }))
+            .sort((a, b) => a.start - b.start);
+        
+        // Two people can share at once - count wall-clock presentation time only once
+        let totalMs = 0;
+        let coveredUntil = 0;
+        const byPresenter = {};
+        segments.forEach(s => {
+            const start = Math.max(s.start, coveredUntil);
+            if (s.end > start) {
+                totalMs += s.end - start;
+            }
+            coveredUntil = Math.max(coveredUntil, s.end);
+            
+            const key = s.presenterId || s.name;
+            if (!byPresenter[key]) {
+                byPresenter[key] = { presenterId: s.presenterId, name: s.name, isSelf: !!s.isSelf, ms: 0, segments: 0 };
+            }
+            byPresenter[key].ms += s.end - s.start;
+            byPresenter[key].segments++;
+        });
+        
+        return {
+            segments,
+            totalMs,
+            percentOfMeeting: trackedDuration > 0 ? Math.min(100, Math.round((totalMs / trackedDuration) * 100)) : 0,
+            byPresenter: Object.values(byPresenter).sort((a, b) => b.ms - a.ms)
+        };
+    }
+
+    // Set doubleBookedMs and overlappingMeetings on aggregated meetings whose sessions
+    // overlap sessions of a different meeting. Active sessions count up to now
+    markDoubleBooked(meetings) {
+        const sessionsWithMeeting = [];
+        meetings.forEach(meeting => {
+            meeting.doubleBookedMs = 0;
+            meeting.overlappingMeetings = [];
+            meeting.sessions.forEach(session => {
+                sessionsWithMeeting.push({
+                    meeting,
+                    start: session.startTime,
+                    end: session.endTime || Date.now()
+                });
+            });
+        });
+        sessionsWithMeeting.sort((a, b) => a.start - b.start);
+        
+        const overlapsByMeeting = new Map();
+        sessionsWithMeeting.forEach((a, i) => {
+            for (let j = i + 1; j < sessionsWithMeeting.length && sessionsWithMeeting[j].start < a.end; j++) {
+                const b = sessionsWithMeeting[j];
+                if (b.meeting.meetingId === a.meeting.meetingId) continue;
+                
+                const overlap = { start: b.start, end: Math.min(a.end, b.end) };
+                [[a.meeting, b.meeting], [b.meeting, a.meeting]].forEach(([meeting, other]) => {
+                    if (!overlapsByMeeting.has(meeting)) {
+                        overlapsByMeeting.set(meeting, []);
+                    }
+                    overlapsByMeeting.get(meeting).push(overlap);
+                    if (!meeting.overlappingMeetings.some(m => m.meetingId === other.meetingId)) {
+                        meeting.overlappingMeetings.push({ meetingId: other.meetingId, title: other.title });
+                    }
+                });
+            }
+        });
+        
+        // A meeting can overlap several others at once - count the wall-clock time once
+        overlapsByMeeting.forEach((overlaps, meeting) => {
+            let coveredUntil = 0;
+            overlaps.sort((a, b) => a.start - b.start).forEach(o => {
+                const start = Math.max(o.start, coveredUntil);
+                if (o.end > start) {
+                    meeting.doubleBookedMs += o.end - start;
+                }
+                coveredUntil = Math.max(coveredUntil, o.end);
+            });
+        });
+    }
+
+    // Time spent on the pre-join screen / waiting to be admitted
+    getLobbyTime(lobby) {
+        if (!lobby || !lobby.lobbyStart) {
+            return 0;
+        }
+        const lobbyEnd = lobby.admittedAt || lobby.outcomeAt;
+        return lobbyEnd ? Math.max(0, lobbyEnd - lobby.lobbyStart) : 0;
+    }
+
     // Get a single meeting
     async getMeeting(meetingId) {
         return new Promise((resolve, reject) => {
@@ -548,7 +1364,7 @@ class MeetingStorageManager {
     // Export data for backup
     async exportData(options = {}) {
         const meetings = await this.getMeetings();
-        const participants = await this.getAllParticipants();
+        const participants = await this.getPeople();
         
         const exportData = {
             meetings: meetings,
@@ -570,8 +1386,10 @@ class MeetingStorageManager {
         return exportData;
     }
 
-    // Get all participants
-    async getAllParticipants() {
+    // PERSON REGISTRY (participants store, see person-registry.js)
+    
+    // Get every person in the registry
+    async getPeople() {
         return new Promise((resolve, reject) => {
             const transaction = this.db.transaction(['participants'], 'readonly');
             const store = transaction.objectStore('participants');
@@ -581,22 +1399,151 @@ class MeetingStorageManager {
             request.onerror = () => reject(request.error);
         });
     }
-
-    // SESSION-BASED METHODS (NEW APPROACH)
     
-    // Save a meeting session (each join/leave cycle is a separate session)
-    async saveMeetingSession(session) {
-        return new Promise(async (resolve, reject) => {
-            try {
-                console.log(`💾 Saving meeting session:`, {
-                    sessionId: session.sessionId,
-                    meetingId: session.meetingId,
-                    startTime: new Date(session.startTime).toISOString(),
-                    endTime: session.endTime ? new Date(session.endTime).toISOString() : 'ongoing',
-                    duration: session.endTime ? Math.round((session.endTime - session.startTime) / 60000) : 'ongoing'
-                });
-                
-                // Check if database is available
+    async putPeople(people, deletePersonIds = []) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['participants'], 'readwrite');
+            const store = transaction.objectStore('participants');
+            people.forEach(person => store.put(person));
+            deletePersonIds.forEach(personId => store.delete(personId));
+            
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+    
+    // Resolve a meeting's participants on ingest: new people are created, new aliases and
+    // participant IDs are recorded on existing ones
+    async updatePersonRegistry(meetingId, participants, timestamp, index = null) {
+        if (!Array.isArray(participants) || participants.length === 0) {
+            return;
+        }
+        
+        try {
+            const registry = index || PersonRegistry.buildIndex(await this.getPeople());
+            const changed = new Map();
+            participants.forEach(participant => {
+                const result = PersonRegistry.resolve(registry, participant, meetingId, timestamp);
+                if (result?.changed) {
+                    changed.set(result.person.personId, result.person);
+                }
+            });
+            
+            if (changed.size > 0) {
+                await this.putPeople(Array.from(changed.values()));
+            }
+        } catch (error) {
+            // The registry is derived data - never fail a session save because of it
+            console.warn('⚠️ Error updating person registry:', error);
+        }
+    }
+    
+    // Build the registry from stored sessions (after the v4 upgrade emptied the store)
+    async backfillPersonRegistry() {
+        const people = await this.getPeople();
+        if (people.length > 0) {
+            return 0;
+        }
+        
+        const sessions = await this.getAllSessions();
+        const index = PersonRegistry.buildIndex([]);
+        for (const session of sessions.sort((a, b) => a.startTime - b.startTime)) {
+            await this.updatePersonRegistry(session.meetingId, session.participants, session.endTime || session.startTime, index);
+        }
+        
+        console.log(`👥 Person registry built from ${sessions.length} sessions: ${index.byId.size} people`);
+        return index.byId.size;
+    }
+    
+    // Merge people into the first one; the others are removed from the registry
+    async mergePeople(personIds) {
+        const people = await this.getPeople();
+        const selected = personIds.map(id => people.find(p => p.personId === id)).filter(Boolean);
+        if (selected.length < 2) {
+            throw new Error('Select at least two people to merge');
+        }
+        
+        const [target, ...others] = selected;
+        PersonRegistry.merge(target, others);
+        await this.putPeople([target], others.map(p => p.personId));
+        
+        console.log(`👥 Merged ${others.length} people into ${target.displayName} (${target.personId})`);
+        return target;
+    }
+    
+    // Move aliases (and the participant IDs seen under them) out to a new person
+    async splitPerson(personId, aliases) {
+        const person = await this.getPerson(personId);
+        if (!person) {
+            throw new Error(`Person ${personId} not found`);
+        }
+        if (!aliases || aliases.length === 0 || aliases.length >= person.aliases.length) {
+            throw new Error('Choose some, but not all, of the aliases to split off');
+        }
+        
+        const newPerson = PersonRegistry.split(person, aliases);
+        await this.putPeople([person, newPerson]);
+        
+        console.log(`👥 Split ${aliases.join(', ')} from ${person.displayName} into ${newPerson.personId}`);
+        return { person, newPerson };
+    }
+    
+    // Edit the user-managed fields of a person (display name, email)
+    async updatePerson(personId, changes) {
+        const person = await this.getPerson(personId);
+        if (!person) {
+            throw new Error(`Person ${personId} not found`);
+        }
+        
+        if (changes.displayName !== undefined && changes.displayName.trim()) {
+            person.displayName = changes.displayName.trim();
+        }
+        if (changes.email !== undefined) {
+            person.email = changes.email ? changes.email.trim() : null;
+        }
+        
+        await this.putPeople([person]);
+        return person;
+    }
+    
+    // Tag participants with their personId (and isSelf for the local user's participant ID)
+    // and collapse duplicates of the same person
+    attachPersons(participants, meetingId, index, selfParticipantId = null) {
+        const seen = new Set();
+        const result = [];
+        (participants || []).forEach(participant => {
+            const person = PersonRegistry.lookup(index, participant, meetingId);
+            const key = person?.personId || PersonRegistry.aliasKey(PersonRegistry.participantName(participant));
+            if (seen.has(key)) return;
+            seen.add(key);
+            
+            const entry = typeof participant === 'string' ? { id: null, name: participant } : { ...participant };
+            if (person) {
+                entry.personId = person.personId;
+            }
+            if (selfParticipantId && entry.id === selfParticipantId) {
+                entry.isSelf = true;
+            }
+            result.push(entry);
+        });
+        return result;
+    }
+
+    // SESSION-BASED METHODS (NEW APPROACH)
+    
+    // Save a meeting session (each join/leave cycle is a separate session)
+    async saveMeetingSession(session) {
+        return new Promise(async (resolve, reject) => {
+            try {
+                console.log(`💾 Saving meeting session:`, {
+                    sessionId: session.sessionId,
+                    meetingId: session.meetingId,
+                    startTime: new Date(session.startTime).toISOString(),
+                    endTime: session.endTime ? new Date(session.endTime).toISOString() : 'ongoing',
+                    duration: session.endTime ? Math.round((session.endTime - session.startTime) / 60000) : 'ongoing'
+                });
+                
+                // Check if database is available
                 if (!this.db) {
                     console.error('❌ Database not available in saveMeetingSession');
                     console.log('🔄 Attempting to reinitialize database...');
@@ -614,10 +1561,12 @@ class MeetingStorageManager {
                     }
                 }
                 
-                const transaction = this.db.transaction(['meetingSessions', 'meetingMinutes', 'participants'], 'readwrite');
+                // Resolve participants into the person registry before the session write
+                await this.updatePersonRegistry(session.meetingId, session.participants, session.lastUpdated || session.startTime);
+                
+                const transaction = this.db.transaction(['meetingSessions', 'meetingMinutes', 'dailyRollups', 'rollupContributions'], 'readwrite');
                 const sessionStore = transaction.objectStore('meetingSessions');
                 const minutesStore = transaction.objectStore('meetingMinutes');
-                const participantStore = transaction.objectStore('participants');
 
                 // Optimize session object structure
                 const optimizedSession = {
@@ -630,50 +1579,29 @@ class MeetingStorageManager {
                 // Remove minutes from main session object to reduce size
                 const { minuteLogs, ...sessionWithoutMinutes } = optimizedSession;
                 
+                // Swap the stored version's share of the daily rollups for this one's
+                const previousRequest = sessionStore.get(session.sessionId);
+                previousRequest.onsuccess = () => {
+                    this.updateDailyRollups(transaction, session.sessionId, previousRequest.result, sessionWithoutMinutes);
+                };
+                
                 // Save session record
                 sessionStore.put(sessionWithoutMinutes);
 
-                // Save session minutes separately
+                // Save session minutes separately, with that minute's talk-time and my mic/camera state
                 if (minuteLogs && minuteLogs.length > 0) {
                     minuteLogs.forEach(minute => {
                         minutesStore.put({
                             meetingId: session.sessionId, // Use sessionId for minutes
                             timestamp: minute.timestamp,
                             participants: minute.participants,
+                            talkTime: minute.talkTime || {},
+                            localMedia: minute.localMedia || null,
                             sessionId: session.sessionId
                         });
                     });
                 }
 
-                // Update participant analytics
-                if (session.participants && Array.isArray(session.participants)) {
-                    session.participants.forEach(async (participant) => {
-                        let participantName = '';
-                        if (typeof participant === 'string') {
-                            participantName = participant;
-                        } else if (participant && typeof participant === 'object') {
-                            participantName = participant.name || participant.displayName || participant.id || 'Unknown';
-                        }
-                        
-                        if (!participantName || participantName === 'Unknown') return;
-                        
-                        try {
-                            const existing = await this.getParticipant(participantName);
-                            const sessionDuration = session.endTime ? (session.endTime - session.startTime) : 0;
-                            
-                            participantStore.put({
-                                name: participantName,
-                                meetingCount: (existing?.meetingCount || 0) + 1,
-                                totalTime: (existing?.totalTime || 0) + sessionDuration,
-                                lastMeeting: session.startTime,
-                                sessions: [...(existing?.sessions || []), session.sessionId]
-                            });
-                        } catch (error) {
-                            console.warn(`⚠️ Error updating participant ${participantName}:`, error);
-                        }
-                    });
-                }
-
                 transaction.oncomplete = () => {
                     console.log('✅ Meeting session saved to IndexedDB:', session.sessionId);
                     resolve();
@@ -801,6 +1729,79 @@ class MeetingStorageManager {
         });
     }
     
+    // Query sessions through the startTime index instead of reading the whole store
+    // options: startDate / endDate (YYYY-MM-DD, inclusive UTC days like session.date), participant
+    // (display name), title (text in the title), platform, sort ('newest' | 'oldest'), cursor (nextCursor
+    // of the previous page), limit (0 = everything), wholeDays (finish the last day of the page)
+    // Returns { sessions, nextCursor }; nextCursor is null after the last page
+    async querySessions(options = {}) {
+        const { limit = 0, wholeDays = false } = options;
+        const direction = options.sort === 'oldest' ? 'next' : 'prev';
+        const after = parseSessionCursor(options.cursor);
+        const title = (options.title || '').trim().toLowerCase();
+        const people = options.participant ? PersonRegistry.buildIndex(await this.getPeople()) : null;
+        
+        // Continue from the cursor's start time; sessions that share it are ordered by sessionId
+        let lower = options.startDate ? Date.parse(`${options.startDate}T00:00:00.000Z`) : null;
+        let upper = options.endDate ? Date.parse(`${options.endDate}T23:59:59.999Z`) : null;
+        if (after && direction === 'next') {
+            lower = Math.max(lower ?? -Infinity, after.startTime);
+        } else if (after) {
+            upper = Math.min(upper ?? Infinity, after.startTime);
+        }
+        
+        const matches = session => {
+            if (title && !(session.title || session.meetingId || '').toLowerCase().includes(title)) return false;
+            if (options.platform && (session.platform || 'meet') !== options.platform) return false;
+            if (options.participant && !this.hasParticipant(session, options.participant, people)) return false;
+            return true;
+        };
+        
+        return new Promise((resolve, reject) => {
+            const sessions = [];
+            const request = this.db.transaction(['meetingSessions'], 'readonly').objectStore('meetingSessions')
+                .index('startTime').openCursor(toKeyRange(lower, upper), direction);
+            
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) {
+                    resolve({ sessions, nextCursor: null });
+                    return;
+                }
+                
+                const session = cursor.value;
+                const alreadyReturned = after && session.startTime === after.startTime &&
+                    (direction === 'next' ? session.sessionId <= after.sessionId : session.sessionId >= after.sessionId);
+                if (alreadyReturned || !matches(session)) {
+                    cursor.continue();
+                    return;
+                }
+                
+                const last = sessions[sessions.length - 1];
+                if (limit && sessions.length >= limit && (!wholeDays || getSessionDate(session) !== getSessionDate(last))) {
+                    resolve({ sessions, nextCursor: encodeSessionCursor(last) });
+                    return;
+                }
+                
+                sessions.push(session);
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+    
+    // Whether a participant with this display name (the registry's name, else the cleaned name) was in the session
+    hasParticipant(session, name, people) {
+        return this.attachPersons(session.participants, session.meetingId, people, session.selfParticipantId)
+            .some(participant => this.getDisplayName(participant, people) === name);
+    }
+    
+    // The name the dashboard shows for a participant
+    getDisplayName(participant, people) {
+        const person = participant?.personId ? people.byId.get(participant.personId) : null;
+        return person ? person.displayName : (PersonRegistry.cleanName(PersonRegistry.participantName(participant)) || 'Unknown');
+    }
+    
     // Get sessions grouped by meeting ID (for aggregated view)
     async getGroupedMeetingSessions() {
         try {
@@ -847,29 +1848,265 @@ class MeetingStorageManager {
         }
     }
     
-    // Delete a specific session
-    async deleteSession(sessionId) {
+    // Delete a specific session, with its minutes, transcript, logged events and journal
+    // options.keepTranscript / options.keepEvents: used by recompute, which replaces the session
+    // record but not what was said or the log it was derived from
+    // options.keepRollups: used by retention, which keeps the session's share of the daily totals
+    async deleteSession(sessionId, options = {}) {
         return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction(['meetingSessions', 'meetingMinutes'], 'readwrite');
+            const storeNames = ['meetingSessions', 'meetingMinutes', 'transcripts', 'sessionEvents', 'sessionJournal', 'dailyRollups', 'rollupContributions']
+                .filter(storeName => this.db.objectStoreNames.contains(storeName));
+            const transaction = this.db.transaction(storeNames, 'readwrite');
+            const sessionStore = transaction.objectStore('meetingSessions');
             
-            // Delete session
-            transaction.objectStore('meetingSessions').delete(sessionId);
+            // A journal left behind would rebuild the session on the next worker start
+            if (storeNames.includes('sessionJournal')) {
+                this.deleteSessionJournal(transaction.objectStore('sessionJournal'), sessionId);
+            }
             
-            // Delete associated minutes
+            const sessionRequest = sessionStore.get(sessionId);
+            sessionRequest.onsuccess = () => {
+                const session = sessionRequest.result;
+                if (session) {
+                    // Delete the session's events too, so recomputing history doesn't bring it back
+                    if (storeNames.includes('sessionEvents') && !options.keepEvents) {
+                        this.deleteSessionEvents(transaction.objectStore('sessionEvents'), session);
+                    }
+                    if (storeNames.includes('dailyRollups') && !options.keepRollups) {
+                        this.updateDailyRollups(transaction, sessionId, session, null);
+                    }
+                }
+                sessionStore.delete(sessionId);
+            };
+            
+            // Delete its transcript
+            if (storeNames.includes('transcripts') && !options.keepTranscript) {
+                transaction.objectStore('transcripts').delete(sessionId);
+            }
+            
+            // Delete associated minutes (keyed by the session ID since migration 12)
+            transaction.objectStore('meetingMinutes').delete(IDBKeyRange.bound([sessionId, -Infinity], [sessionId, Infinity]));
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+    
+    // Remove every journal record of one session
+    deleteSessionJournal(journalStore, sessionId) {
+        const request = journalStore.index('sessionId').openCursor(IDBKeyRange.only(sessionId));
+        
+        request.onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (!cursor) return;
+            cursor.delete();
+            cursor.continue();
+        };
+    }
+    
+    // Remove the logged events of one session (see isSessionEvent)
+    deleteSessionEvents(eventStore, session) {
+        const request = eventStore.index('meetingId').openCursor(IDBKeyRange.only(session.meetingId));
+        
+        request.onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (!cursor) return;
+            
+            if (isSessionEvent(cursor.value, session)) {
+                cursor.delete();
+            }
+            cursor.continue();
+        };
+    }
+    
+    // Replace a session's contribution to the daily rollups inside a session write/delete transaction
+    // (previousSession: the stored version, session: the new one or null when deleting)
+    // (transaction must include dailyRollups and rollupContributions)
+    updateDailyRollups(transaction, sessionId, previousSession, session) {
+        this.applyRollupChanges(transaction, [{ sessionId, previousSession, session }]);
+    }
+    
+    // Several { sessionId, previousSession, session } changes in one transaction - one read and
+    // write per day, so changes to the same day don't overwrite each other
+    applyRollupChanges(transaction, changes) {
+        const rollupStore = transaction.objectStore('dailyRollups');
+        const contributionStore = transaction.objectStore('rollupContributions');
+        const updatesByDate = {};
+        const addUpdate = (date, update) => {
+            (updatesByDate[date] = updatesByDate[date] || []).push(update);
+        };
+        
+        changes.forEach(({ sessionId, previousSession, session }) => {
+            if (getRollupContribution(previousSession)) {
+                addUpdate(getSessionDate(previousSession), { sessionId, contribution: null });
+            }
+            const contribution = getRollupContribution(session);
+            if (contribution) {
+                addUpdate(getSessionDate(session), { sessionId, contribution });
+            }
+        });
+        
+        Object.entries(updatesByDate).forEach(([rollupDate, updates]) => {
+            const request = contributionStore.getAll(getContributionRange(rollupDate));
+            request.onsuccess = () => {
+                const contributions = {};
+                request.result.forEach(record => {
+                    contributions[record.sessionId] = record.contribution;
+                });
+                updates.forEach(({ sessionId, contribution }) => {
+                    delete contributions[sessionId];
+                    contributionStore.delete([rollupDate, sessionId]);
+                    if (contribution) {
+                        contributions[sessionId] = contribution;
+                        contributionStore.put({ date: rollupDate, sessionId, contribution });
+                    }
+                });
+                
+                if (Object.keys(contributions).length > 0) {
+                    rollupStore.put(buildDailyRollup(rollupDate, contributions));
+                } else {
+                    rollupStore.delete(rollupDate);
+                }
+            };
+        });
+    }
+    
+    // Daily totals between two YYYY-MM-DD dates (inclusive, either may be omitted), oldest first.
+    // meetingCount is counted again over the whole range, as getMeetingsAggregated would over the
+    // same dates: reconnects within options.stitchGapMs are one attendance, even across midnight,
+    // counted on the day it started.
+    async getDailyRollups(startDate = null, endDate = null, options = {}) {
+        const rollups = await new Promise((resolve, reject) => {
+            const range = toKeyRange(startDate || null, endDate || null);
+            const request = this.db.transaction(['dailyRollups'], 'readonly').objectStore('dailyRollups').getAll(range);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        
+        const spans = rollups.flatMap(rollup => rollup.attendanceSpans || []);
+        const startTimes = new Map(spans.map(span => [span.sessionId, span.startTime]));
+        const attendanceStarts = {};
+        getAttendanceKeys(spans, options).forEach((key, sessionId) => {
+            attendanceStarts[key] = Math.min(attendanceStarts[key] ?? Infinity, startTimes.get(sessionId));
+        });
+        const attendancesByDate = {};
+        Object.values(attendanceStarts).forEach(startTime => {
+            const date = getSessionDate({ startTime });
+            attendancesByDate[date] = (attendancesByDate[date] || 0) + 1;
+        });
+        
+        return rollups.map(rollup => rollup.attendanceSpans ?
+            { ...rollup, meetingCount: (attendancesByDate[rollup.date] || 0) + rollup.untimedMeetingCount } :
+            rollup);
+    }
+    
+    // Tiered retention. Ended sessions dated before options.summarizeBefore are compacted (see
+    // compactSession); those dated before options.aggregateBefore are deleted and only remain in
+    // the daily rollups. Both are YYYY-MM-DD dates, null turns the tier off. The event log before
+    // the later cutoff goes too, so recompute can't bring minute-level data back, as does any
+    // event before options.eventsBefore (the event log's own retention). Only sessions that ended
+    // before the cutoff lose their events; one running across it keeps all of them.
+    // Returns { summarized, aggregated, eventsRemoved }
+    async applyRetentionPolicy(options = {}) {
+        const { summarizeBefore = null, aggregateBefore = null, eventsBefore = null } = options;
+        const result = { summarized: 0, aggregated: 0, eventsRemoved: 0 };
+        const latestCutoff = [summarizeBefore, aggregateBefore].filter(Boolean).sort().pop();
+        const eventCutoff = [latestCutoff, eventsBefore].filter(Boolean).sort().pop();
+        if (!eventCutoff) {
+            return result;
+        }
+        
+        const { sessions } = latestCutoff ? await this.querySessions({ endDate: latestCutoff, sort: 'oldest' }) : { sessions: [] };
+        for (const session of sessions) {
+            const date = getSessionDate(session);
+            if (!session.endTime || date >= latestCutoff) continue;
+            
+            if (aggregateBefore && date < aggregateBefore) {
+                await this.deleteSession(session.sessionId, { keepRollups: true });
+                result.aggregated++;
+            } else if (summarizeBefore && date < summarizeBefore && await this.compactSession(session.sessionId)) {
+                result.summarized++;
+            }
+        }
+        
+        result.eventsRemoved = await this.deleteSessionEventsBefore(Date.parse(`${eventCutoff}T00:00:00.000Z`));
+        console.log(`🗜️ Retention: ${result.summarized} sessions summarized, ${result.aggregated} reduced to daily totals, ${result.eventsRemoved} events removed`);
+        return result;
+    }
+    
+    // Replace a session's minute-level data (minute records and presence intervals) with
+    // per-participant totals in session.participantSummary. Returns false if already compacted.
+    async compactSession(sessionId) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['meetingSessions', 'meetingMinutes'], 'readwrite');
+            const sessionStore = transaction.objectStore('meetingSessions');
             const minutesStore = transaction.objectStore('meetingMinutes');
-            const request = minutesStore.openCursor();
+            const minuteRange = IDBKeyRange.bound([sessionId, -Infinity], [sessionId, Infinity]);
+            let compacted = false;
             
-            request.onsuccess = (event) => {
-                const cursor = event.target.result;
-                if (cursor) {
-                    if (cursor.value.sessionId === sessionId) {
+            const sessionRequest = sessionStore.get(sessionId);
+            sessionRequest.onsuccess = () => {
+                const session = sessionRequest.result;
+                if (!session || session.retentionTier) return;
+                
+                const minutesRequest = minutesStore.getAll(minuteRange);
+                minutesRequest.onsuccess = () => {
+                    const { presence, ...rest } = session;
+                    const duration = (session.endTime || session.startTime) - session.startTime;
+                    
+                    // Sessions from before presence tracking only have their minute records
+                    const participantSummary = presence && Object.keys(presence).length > 0 ?
+                        this.summarizePresence(presence, duration).map(({ id, name, attendedMs, firstSeen, lastSeen }) =>
+                            ({ id, name, attendedMs, firstSeen, lastSeen })) :
+                        this.summarizeParticipants(minutesRequest.result).map(({ name, time }) =>
+                            ({ id: name, name, attendedMs: time, firstSeen: null, lastSeen: null }));
+                    
+                    sessionStore.put({
+                        ...rest,
+                        participantSummary,
+                        retentionTier: 'summarized',
+                        compactedAt: Date.now(),
+                        originalMinuteCount: minutesRequest.result.length
+                    });
+                    minutesStore.delete(minuteRange);
+                    compacted = true;
+                };
+            };
+            
+            transaction.oncomplete = () => resolve(compacted);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+    
+    // Delete logged events older than a timestamp; returns how many. Events of a session still
+    // running at the timestamp are kept, so the log never holds the tail of a session without
+    // its head and a recompute rebuilds that session whole.
+    async deleteSessionEventsBefore(timestamp) {
+        if (!this.db.objectStoreNames.contains('sessionEvents')) {
+            return 0;
+        }
+        
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['sessionEvents', 'meetingSessions'], 'readwrite');
+            const sessionsRequest = transaction.objectStore('meetingSessions').index('startTime').getAll(IDBKeyRange.upperBound(timestamp, true));
+            let removed = 0;
+            
+            sessionsRequest.onsuccess = () => {
+                const spanning = sessionsRequest.result.filter(session => !session.endTime || session.endTime >= timestamp);
+                const request = transaction.objectStore('sessionEvents').index('timestamp').openCursor(IDBKeyRange.upperBound(timestamp, true));
+                
+                request.onsuccess = () => {
+                    const cursor = request.result;
+                    if (!cursor) return;
+                    if (!spanning.some(session => isSessionEvent(cursor.value, session))) {
                         cursor.delete();
+                        removed++;
                     }
                     cursor.continue();
-                }
+                };
             };
-
-            transaction.oncomplete = () => resolve();
+            
+            transaction.oncomplete = () => resolve(removed);
             transaction.onerror = () => reject(transaction.error);
         });
     }
@@ -880,136 +2117,799 @@ class MeetingStorageManager {
     }
 
     // Clear all data (updated to include sessions)
+    // A snapshot of everything cleared goes into the trash first, so the clear can be reverted;
+    // resolves with its trashId (null when there was nothing to clear). Read and cleared in one
+    // transaction, so a session saved meanwhile is either in the snapshot or still stored.
     async clearAllData() {
-        const storeNames = ['meetings', 'meetingSessions', 'meetingMinutes', 'participants'];
+        const storeNames = ['meetings', 'meetingSessions', 'meetingMinutes', 'participants', 'transcripts', 'sessionEvents', 'sessionJournal', 'dailyRollups', 'rollupContributions']
+            .filter(storeName => this.db.objectStoreNames.contains(storeName));
+        
+        // Not the journal - restoring it would bring sessions that were live at the time back to life.
+        // Not the rollups either - restoreFromTrash rebuilds them from the restored sessions.
+        const snapshotStoreNames = storeNames.filter(storeName => !['sessionJournal', 'dailyRollups', 'rollupContributions'].includes(storeName));
         
         return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction(storeNames, 'readwrite');
+            const transaction = this.db.transaction([...storeNames, 'trash'], 'readwrite');
+            const records = {};
+            let snapshotRequest = null;
+            
+            // Requests run in order: every read completes before the clears
+            snapshotStoreNames.forEach((storeName, i) => {
+                const request = transaction.objectStore(storeName).getAll();
+                request.onsuccess = () => {
+                    records[storeName] = request.result;
+                    if (i < snapshotStoreNames.length - 1) return;
+                    
+                    const isEmpty = Object.values(records).every(storeRecords => storeRecords.length === 0);
+                    snapshotRequest = isEmpty ? null : transaction.objectStore('trash').add({
+                        kind: 'snapshot',
+                        label: { title: 'All data before clearing', sessionCount: (records.meetingSessions || []).length },
+                        records,
+                        deletedAt: Date.now()
+                    });
+                };
+            });
             
             storeNames.forEach(storeName => {
-                if (this.db.objectStoreNames.contains(storeName)) {
-                    transaction.objectStore(storeName).clear();
-                }
+                transaction.objectStore(storeName).clear();
+            });
+
+            transaction.oncomplete = () => resolve(snapshotRequest ? snapshotRequest.result : null);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+    
+    // TRASH (deleted sessions and meetings, and the snapshot taken before clearing all data)
+    // Items are { trashId, kind: 'session' | 'meeting' | 'snapshot', label, records: { [storeName]: [...] }, deletedAt }
+    
+    // Everything stored for some sessions, by store: the sessions with their minute records,
+    // transcripts and logged events
+    async collectSessionRecords(sessionIds) {
+        const readStore = (storeName, read) => this.db.objectStoreNames.contains(storeName) ?
+            read(this.db.transaction([storeName], 'readonly').objectStore(storeName)) : Promise.resolve([]);
+        
+        const sessions = (await readStore('meetingSessions', store =>
+            Promise.all(sessionIds.map(sessionId => requestToPromise(store.get(sessionId)))))).filter(Boolean);
+        const transcripts = (await readStore('transcripts', store =>
+            Promise.all(sessionIds.map(sessionId => requestToPromise(store.get(sessionId)))))).filter(Boolean);
+        
+        const minutes = await readStore('meetingMinutes', store => Promise.all(sessionIds.map(sessionId =>
+            requestToPromise(store.getAll(IDBKeyRange.bound([sessionId, -Infinity], [sessionId, Infinity])))))).then(lists => lists.flat());
+        
+        const meetingIds = [...new Set(sessions.map(session => session.meetingId))];
+        const events = await readStore('sessionEvents', store =>
+            Promise.all(meetingIds.map(meetingId => requestToPromise(store.index('meetingId').getAll(IDBKeyRange.only(meetingId))))));
+        
+        return {
+            meetingSessions: sessions,
+            meetingMinutes: minutes,
+            transcripts,
+            sessionEvents: events.flat().filter(logged => sessions.some(session => isSessionEvent(logged, session)))
+        };
+    }
+    
+    // Delete records and keep them in one trash item, in one transaction; sessions leave the
+    // daily rollups and lose their journal (it isn't kept). item: { kind, label, records }.
+    // Resolves with the trashId
+    async moveToTrash(item) {
+        const storeNames = Object.keys(item.records).filter(storeName => item.records[storeName].length > 0);
+        const sessions = item.records.meetingSessions || [];
+        
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([...new Set([...storeNames, 'sessionJournal', 'dailyRollups', 'rollupContributions', 'trash'])], 'readwrite');
+            
+            storeNames.forEach(storeName => {
+                const store = transaction.objectStore(storeName);
+                item.records[storeName].forEach(record => store.delete(getRecordKey(record, store.keyPath)));
+            });
+            sessions.forEach(session => this.deleteSessionJournal(transaction.objectStore('sessionJournal'), session.sessionId));
+            this.applyRollupChanges(transaction, sessions
+                .map(session => ({ sessionId: session.sessionId, previousSession: session, session: null })));
+            
+            const request = transaction.objectStore('trash').add({ ...item, deletedAt: Date.now() });
+            
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+    
+    // Move sessions (one, or all of an aggregated meeting) to the trash as one item
+    // Resolves with the trashId, or null when none of them is stored
+    async trashSessions(sessionIds, kind = 'session') {
+        const records = await this.collectSessionRecords(sessionIds);
+        const sessions = records.meetingSessions;
+        if (sessions.length === 0) {
+            return null;
+        }
+        
+        return this.moveToTrash({
+            kind,
+            label: {
+                title: sessions[0].title || sessions[0].meetingId,
+                meetingId: sessions[0].meetingId,
+                startTime: Math.min(...sessions.map(session => session.startTime)),
+                sessionCount: sessions.length
+            },
+            records
+        });
+    }
+    
+    // Move a deprecated meetings row and its minutes to the trash
+    async trashMeeting(meetingId) {
+        const meeting = await this.getMeeting(meetingId);
+        if (!meeting) {
+            return null;
+        }
+        
+        return this.moveToTrash({
+            kind: 'meeting',
+            label: { title: meeting.title || meetingId, meetingId, startTime: meeting.startTime, sessionCount: 0 },
+            records: { meetings: [meeting], meetingMinutes: await this.getMeetingMinutes(meetingId) }
+        });
+    }
+    
+    // Trash items newest first, without their records (see summarizeTrashItem)
+    async getTrash() {
+        const items = await requestToPromise(this.db.transaction(['trash'], 'readonly').objectStore('trash').getAll());
+        return items.map(summarizeTrashItem).sort((a, b) => b.deletedAt - a.deletedAt);
+    }
+    
+    // Put a trash item's records back and take it out of the trash. Records stored again since
+    // (a snapshot's sessions that went on after the clear) are newer and kept; the restored
+    // sessions are added to the daily rollups. Resolves with the item's summary, or null if it's gone
+    async restoreFromTrash(trashId) {
+        const item = await requestToPromise(this.db.transaction(['trash'], 'readonly').objectStore('trash').get(trashId));
+        if (!item) {
+            return null;
+        }
+        
+        // Snapshots taken by older versions carry rollups too - they're rebuilt instead
+        const storeNames = Object.keys(item.records)
+            .filter(storeName => storeName !== 'dailyRollups' && this.db.objectStoreNames.contains(storeName));
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([...new Set([...storeNames, 'dailyRollups', 'rollupContributions', 'trash'])], 'readwrite');
+            
+            storeNames.forEach(storeName => {
+                const store = transaction.objectStore(storeName);
+                const keysRequest = store.getAllKeys();
+                keysRequest.onsuccess = () => {
+                    const storedKeys = new Set(keysRequest.result.map(key => JSON.stringify(key)));
+                    const restored = item.records[storeName]
+                        .filter(record => !storedKeys.has(JSON.stringify(getRecordKey(record, store.keyPath))));
+                    restored.forEach(record => store.put(record));
+                    
+                    if (storeName === 'meetingSessions') {
+                        this.applyRollupChanges(transaction, restored
+                            .map(session => ({ sessionId: session.sessionId, previousSession: null, session })));
+                    }
+                };
             });
+            transaction.objectStore('trash').delete(trashId);
+            
+            transaction.oncomplete = () => resolve(summarizeTrashItem(item));
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+    
+    // Delete a trash item for good, or every item when trashId is null
+    async purgeTrash(trashId = null) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['trash'], 'readwrite');
+            const store = transaction.objectStore('trash');
+            if (trashId === null) {
+                store.clear();
+            } else {
+                store.delete(trashId);
+            }
+            
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+    
+    // Delete trash items older than maxAge (ms); returns how many
+    async purgeExpiredTrash(maxAge) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['trash'], 'readwrite');
+            const request = transaction.objectStore('trash').index('deletedAt').openCursor(IDBKeyRange.upperBound(Date.now() - maxAge));
+            let purged = 0;
+            
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+                cursor.delete();
+                purged++;
+                cursor.continue();
+            };
+            
+            transaction.oncomplete = () => resolve(purged);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
 
+    // SETTINGS
+    
+    async getSetting(key, defaultValue = null) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['settings'], 'readonly');
+            const request = transaction.objectStore('settings').get(key);
+            
+            request.onsuccess = () => resolve(request.result ? request.result.value : defaultValue);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    
+    async saveSetting(key, value) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['settings'], 'readwrite');
+            transaction.objectStore('settings').put({ key, value, updatedAt: Date.now() });
+            
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+    
+    // TRANSCRIPTS (opt-in caption capture)
+    
+    // Append caption lines to a session's transcript, creating it on first use
+    // lines: [{ speaker, text, timestamp }]
+    async appendTranscriptLines(session, lines) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['transcripts'], 'readwrite');
+            const store = transaction.objectStore('transcripts');
+            const request = store.get(session.sessionId);
+            
+            request.onsuccess = () => {
+                const transcript = request.result || {
+                    sessionId: session.sessionId,
+                    meetingId: session.meetingId,
+                    title: session.title,
+                    startTime: session.startTime,
+                    lines: []
+                };
+                transcript.title = session.title || transcript.title;
+                transcript.lines.push(...lines);
+                transcript.updatedAt = Date.now();
+                store.put(transcript);
+            };
+            
             transaction.oncomplete = () => resolve();
             transaction.onerror = () => reject(transaction.error);
         });
     }
+    
+    // Transcripts for a list of sessions (sessions without captions are skipped)
+    async getTranscripts(sessionIds) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['transcripts'], 'readonly');
+            const store = transaction.objectStore('transcripts');
+            const transcripts = [];
+            
+            sessionIds.forEach(sessionId => {
+                const request = store.get(sessionId);
+                request.onsuccess = () => {
+                    if (request.result) {
+                        transcripts.push(request.result);
+                    }
+                };
+            });
+            
+            transaction.oncomplete = () => resolve(transcripts.sort((a, b) => a.startTime - b.startTime));
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+    
+    // Case-insensitive keyword search; every word in the query must appear in the line or speaker
+    // Returns [{ sessionId, meetingId, title, startTime, matches: [line] }], newest first
+    async searchTranscripts(query, options = {}) {
+        const words = (query || '').toLowerCase().split(/\s+/).filter(Boolean);
+        if (words.length === 0) {
+            return [];
+        }
+        const maxMatchesPerTranscript = options.maxMatchesPerTranscript || 20;
+        
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['transcripts'], 'readonly');
+            const request = transaction.objectStore('transcripts').openCursor();
+            const results = [];
+            
+            request.onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (!cursor) return;
+                
+                const transcript = cursor.value;
+                const matches = transcript.lines.filter(line => {
+                    const haystack = `${line.speaker || ''} ${line.text || ''}`.toLowerCase();
+                    return words.every(word => haystack.includes(word));
+                });
+                if (matches.length > 0) {
+                    results.push({
+                        sessionId: transcript.sessionId,
+                        meetingId: transcript.meetingId,
+                        title: transcript.title,
+                        startTime: transcript.startTime,
+                        matchCount: matches.length,
+                        matches: matches.slice(0, maxMatchesPerTranscript)
+                    });
+                }
+                cursor.continue();
+            };
+            
+            transaction.oncomplete = () => resolve(results.sort((a, b) => b.startTime - a.startTime));
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
 
-    // NEW: Get meetings aggregated by meetingId AND date (combines sessions for dashboard)
+    // ACTIVE SESSION JOURNAL
+    // Write-ahead log for live sessions: { seq, sessionId, at, patch, removed, minuteLog }.
+    // Each record holds the fields that changed since the previous one; replaying the records
+    // over the last saved session gives the live session back after the worker is killed.
+    
+    async appendJournalRecord(record) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['sessionJournal'], 'readwrite');
+            transaction.objectStore('sessionJournal').add(record);
+            
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+    
+    // All journal records in write order
+    async getJournal() {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['sessionJournal'], 'readonly');
+            const request = transaction.objectStore('sessionJournal').getAll();
+            
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    
+    // Drop a session's journal records written before `before` (all of them by default) -
+    // called once the session itself has been saved
+    async truncateJournal(sessionId, before = Infinity) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['sessionJournal'], 'readwrite');
+            const request = transaction.objectStore('sessionJournal').index('sessionId').openCursor(IDBKeyRange.only(sessionId));
+            
+            request.onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (!cursor) return;
+                if (cursor.value.at < before) {
+                    cursor.delete();
+                }
+                cursor.continue();
+            };
+            
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+    
+    // SESSION EVENT LOG
+    // Raw signals from the content scripts and tabs, never modified once written:
+    // { eventId, type, timestamp, tabId, meetingId, sessionId, url, data }
+    
+    async appendSessionEvent(event) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['sessionEvents'], 'readwrite');
+            const request = transaction.objectStore('sessionEvents').add(event);
+            
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+    
+    // Events in log order; options.since / options.until bound the timestamps
+    async getSessionEvents(options = {}) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['sessionEvents'], 'readonly');
+            const store = transaction.objectStore('sessionEvents');
+            let request;
+            
+            if (options.since !== undefined || options.until !== undefined) {
+                const keyRange = IDBKeyRange.bound(options.since ?? 0, options.until ?? Number.MAX_SAFE_INTEGER);
+                request = store.index('timestamp').getAll(keyRange);
+            } else {
+                request = store.getAll();
+            }
+            
+            request.onsuccess = () => resolve(request.result.sort((a, b) => a.timestamp - b.timestamp || a.eventId - b.eventId));
+            request.onerror = () => reject(request.error);
+        });
+    }
+    
+    // Store sessions recomputed from the event log. Stored sessions that started after `since`
+    // (the first logged event) but no longer come out of the log are removed; lobby-only
+    // sessions (not logged) and keepSessionIds (live sessions) are left alone. So is a stored
+    // session that started before `since`: the log only holds part of it.
+    // Returns { saved, removed }
+    async replaceRecomputedSessions(sessions, since, keepSessionIds = []) {
+        const stored = await this.getAllSessions();
+        const storedById = new Map(stored.map(session => [session.sessionId, session]));
+        const recomputedIds = new Set(sessions.map(session => session.sessionId));
+        const keep = new Set(keepSessionIds);
+        
+        // Compacted sessions have no events left, and their partial logs mustn't replace them
+        const compacted = new Set(stored.filter(session => session.retentionTier).map(session => session.sessionId));
+        const partial = new Set(stored.filter(session => session.startTime < since).map(session => session.sessionId));
+        sessions = sessions.filter(session => !compacted.has(session.sessionId) && !partial.has(session.sessionId));
+        
+        const removed = stored.filter(session =>
+            session.startTime >= since && !session.lobbyOnly && !session.retentionTier &&
+            !keep.has(session.sessionId) && !recomputedIds.has(session.sessionId));
+        
+        for (const session of removed) {
+            await this.deleteSession(session.sessionId, { keepTranscript: true, keepEvents: true });
+        }
+        
+        for (const session of sessions) {
+            // The lobby phase is not part of the log - keep what was recorded live
+            const previous = storedById.get(session.sessionId);
+            await this.saveMeetingSession(previous?.lobby ? { ...session, lobby: previous.lobby } : session);
+        }
+        
+        return { saved: sessions.length, removed: removed.length };
+    }
+    
+    // Meetings (sessions aggregated by meetingId AND date) for the dashboard and popup, read with querySessions
+    // options: the querySessions filters (startDate, endDate, participant, title, platform, sort, cursor,
+    // limit), includeLobbyOnly / includeActive (default true), raw and stitchGapMs (see assignAttendanceGroups)
+    // Without a limit: every matching meeting (an array). With one: a page { meetings, nextCursor }.
     async getMeetingsAggregated(options = {}) {
         try {
             console.log('📊 getMeetingsAggregated called - providing meeting-centric view grouped by date');
+            const people = PersonRegistry.buildIndex(await this.getPeople());
             
-            // Get all sessions first (similar to getMeetings)
-            const sessions = await this.getAllSessions(options);
+            if (options.limit) {
+                return await this.getMeetingsPage(options, people);
+            }
             
-            // Group sessions by meetingId AND date to separate recurring meetings
-            const meetingsMap = {};
+            const { sessions } = await this.querySessions({ startDate: options.startDate, endDate: options.endDate, sort: options.sort });
+            return this.aggregateSessions(sessions, people, options).filter(meeting => this.meetingMatchesQuery(meeting, options, people));
+        } catch (error) {
+            console.error('❌ Error in getMeetingsAggregated:', error);
+            return options.limit ? { meetings: [], nextCursor: null } : [];
+        }
+    }
+    
+    // One page of meetings. Session pages end on whole days, and attendances are grouped together with
+    // their meetings' sessions on the other days of the range (see getPageAttendanceSessions), so an
+    // attendance that crosses midnight is one meeting, listed on its first day with the ID an unpaged
+    // read gives it. The cursor is `${date}|${meetings of that date already returned}`
+    async getMeetingsPage(options, people) {
+        const oldestFirst = options.sort === 'oldest';
+        const separator = typeof options.cursor === 'string' ? options.cursor.lastIndexOf('|') : -1;
+        const cursorDate = separator > 0 ? options.cursor.slice(0, separator) : null;
+        const cursorSkip = cursorDate ? Number(options.cursor.slice(separator + 1)) || 0 : 0;
+        
+        // Days before the cursor's day (in sort order) were returned already
+        const query = {
+            startDate: oldestFirst && cursorDate ? cursorDate : options.startDate,
+            endDate: !oldestFirst && cursorDate ? cursorDate : options.endDate,
+            sort: options.sort,
+            limit: options.limit,
+            wholeDays: true
+        };
+        
+        const meetings = [];
+        const returnedByDate = cursorDate ? { [cursorDate]: cursorSkip } : {};
+        let skip = cursorSkip;
+        let sessionCursor = null;
+        
+        do {
+            const page = await this.querySessions({ ...query, cursor: sessionCursor });
+            const pageDates = new Set(page.sessions.map(getSessionDate));
+            const sessions = await this.getPageAttendanceSessions(page.sessions, options);
+            const pageMeetings = this.aggregateSessions(sessions, people, options)
+                .filter(meeting => pageDates.has(meeting.date) && this.meetingMatchesQuery(meeting, options, people));
             
-            sessions.forEach(session => {
-                const sessionDate = new Date(session.startTime).toISOString().split('T')[0];
-                // Create composite key: meetingId + date
-                const compositeKey = `${session.meetingId}_${sessionDate}`;
-                
-                // Create meeting entry if it doesn't exist
-                if (!meetingsMap[compositeKey]) {
-                    meetingsMap[compositeKey] = {
-                        id: compositeKey,             // Use composite key as unique id
-                        meetingId: session.meetingId, // Keep original meetingId
-                        title: session.title || session.meetingId,
-                        url: session.url,
-                        startTime: session.startTime, // Will be updated to earliest time
-                        endTime: session.endTime,     // Will be updated to latest time
-                        duration: 0,                  // Will accumulate all sessions
-                        participants: [],             // Will combine unique participants
-                        sessions: [],                 // Will store all sessions
-                        isSession: false,             // Indicate this is an aggregated meeting
-                        isActive: session.endTime ? false : true,  // Active if any session is active
-                        sessionCount: 0,
-                        dataSource: session.dataSource || 'unknown',
-                        participantCount: 0,
-                        participantsMap: {},          // For tracking unique participants
-                        date: sessionDate
-                    };
+            for (const meeting of pageMeetings) {
+                if (meeting.date === cursorDate && skip > 0) {
+                    skip--;
+                    continue;
                 }
-                
-                const meeting = meetingsMap[compositeKey];
-                
-                // Add session to meeting's sessions
-                meeting.sessions.push(session);
-                meeting.sessionCount++;
-                
-                // Calculate duration and update if session is ended
-                if (session.endTime) {
-                    const sessionDuration = session.endTime - session.startTime;
-                    meeting.duration += sessionDuration;
+                if (meetings.length >= options.limit) {
+                    await this.markPageDoubleBooked(meetings, options, people);
+                    return { meetings, nextCursor: `${meeting.date}|${returnedByDate[meeting.date] || 0}` };
                 }
-                
-                // Update start time (earliest within the same day)
-                if (session.startTime < meeting.startTime) {
-                    meeting.startTime = session.startTime;
-                }
-                
-                // Update end time (latest within the same day)
-                if (session.endTime && (!meeting.endTime || session.endTime > meeting.endTime)) {
-                    meeting.endTime = session.endTime;
+                meetings.push(meeting);
+                returnedByDate[meeting.date] = (returnedByDate[meeting.date] || 0) + 1;
+            }
+            sessionCursor = page.nextCursor;
+        } while (sessionCursor);
+        
+        await this.markPageDoubleBooked(meetings, options, people);
+        return { meetings, nextCursor: null };
+    }
+    
+    // aggregateSessions only saw the sessions read for the page, so flag its meetings again against
+    // every session in the range that overlaps them. Sessions are closed well within a day (heartbeat
+    // timeout, zombie cleanup), so those start at most a day before the page's earliest session.
+    async markPageDoubleBooked(meetings, options, people) {
+        const spans = meetings.flatMap(meeting => meeting.sessions)
+            .map(session => ({ start: session.startTime, end: session.endTime || Date.now() }));
+        if (spans.length === 0) {
+            return;
+        }
+        
+        const from = Math.min(...spans.map(span => span.start));
+        const to = Math.max(...spans.map(span => span.end));
+        const { sessions } = await this.querySessions({
+            startDate: [getSessionDate({ startTime: from - 24 * 60 * 60 * 1000 }), options.startDate].filter(Boolean).sort().pop(),
+            endDate: [getSessionDate({ startTime: to }), options.endDate].filter(Boolean).sort()[0]
+        });
+        
+        const meetingIds = new Set(meetings.map(meeting => meeting.meetingId));
+        const others = sessions.filter(session => !meetingIds.has(session.meetingId) &&
+            spans.some(span => session.startTime < span.end && (session.endTime || Date.now()) > span.start));
+        this.markDoubleBooked([...meetings, ...this.aggregateSessions(others, people, options)]);
+    }
+    
+    // A page's sessions plus the other sessions of their meetings within options.startDate / endDate,
+    // in querySessions order - the sessions an unpaged read groups those meetings' attendances from
+    async getPageAttendanceSessions(pageSessions, options) {
+        if (options.raw) {
+            return pageSessions; // Every session is its own row
+        }
+        
+        const sessionsById = new Map(pageSessions.map(session => [session.sessionId, session]));
+        const inRange = session => (!options.startDate || getSessionDate(session) >= options.startDate) &&
+            (!options.endDate || getSessionDate(session) <= options.endDate);
+        
+        for (const meetingId of new Set(pageSessions.map(session => session.meetingId))) {
+            (await this.getMeetingSessions(meetingId))
+                .filter(session => inRange(session) && !sessionsById.has(session.sessionId))
+                .forEach(session => sessionsById.set(session.sessionId, session));
+        }
+        
+        const direction = options.sort === 'oldest' ? -1 : 1;
+        return [...sessionsById.values()]
+            .sort((a, b) => direction * (b.startTime - a.startTime || b.sessionId.localeCompare(a.sessionId)));
+    }
+    
+    // The meeting-level filters of getMeetingsAggregated
+    meetingMatchesQuery(meeting, options, people) {
+        const title = (options.title || '').trim().toLowerCase();
+        if (title && !(meeting.title || '').toLowerCase().includes(title)) return false;
+        if (options.platform && (meeting.platform || 'meet') !== options.platform) return false;
+        if (options.participant && !meeting.participants.some(p => this.getDisplayName(p, people) === options.participant)) return false;
+        if (options.includeLobbyOnly === false && meeting.lobbyOnly) return false;
+        if (options.includeActive === false && meeting.isActive) return false;
+        return true;
+    }
+    
+    // Combine sessions into meetings: one per attendance of a meeting on a day
+    aggregateSessions(sessions, people, options = {}) {
+        // Stitch reconnects: sessions of the same meeting that resume within the grace window
+        // form one attendance (one row); options.raw keeps every session as its own row
+        const attendanceKeys = this.assignAttendanceGroups(sessions, options);
+        const meetingsMap = {};
+        
+        sessions.forEach(session => {
+            const sessionDate = new Date(session.startTime).toISOString().split('T')[0];
+            const compositeKey = attendanceKeys.get(session.sessionId);
+            
+            // Create meeting entry if it doesn't exist
+            if (!meetingsMap[compositeKey]) {
+                meetingsMap[compositeKey] = {
+                    id: compositeKey,             // Use composite key as unique id
+                    meetingId: session.meetingId, // Keep original meetingId
+                    title: session.title || session.meetingId,
+                    url: session.url,
+                    startTime: session.startTime, // Will be updated to earliest time
+                    endTime: session.endTime,     // Will be updated to latest time
+                    duration: 0,                  // Ended sessions, overlaps counted once (set below)
+                    participants: [],             // Will combine unique participants
+                    sessions: [],                 // Will store all sessions
+                    isSession: false,             // Indicate this is an aggregated meeting
+                    platform: session.platform || 'meet', // meet | zoom | teams
+                    authuser: session.authuser || null,   // Google account the tab was signed in with
+                    selfAccount: session.selfAccount || null,
+                    isActive: session.endTime ? false : true,  // Active if any session is active
+                    sessionCount: 0,
+                    dataSource: session.dataSource || 'unknown',
+                    participantCount: 0,
+                    participantsMap: {},          // For tracking unique participants
+                    date: sessionDate,
+                    calendarEvent: null,          // Scheduled event metadata (first session that has it)
+                    presence: {},                 // Presence intervals merged across sessions
+                    participantSummary: [],       // Attendance totals of compacted sessions
+                    talkTime: {},                 // Talk-time per participant summed across sessions
+                    engagement: {},               // Chat/reaction/hand-raise counts per participant summed across sessions
+                    localMediaTotals: null,       // My mic/camera counters summed across sessions
+                    presentations: [],            // Presentation segments from all sessions
+                    lobbyTime: 0,                 // Time waiting to be admitted (not part of duration)
+                    lobbyAttempts: [],            // Pre-join phases with their outcome
+                    lobbyOnly: true,              // Cleared once any session got into the call
+                    dataQuality: null,            // Detection quality samples summed across sessions
+                    trackedDuration: 0            // Time we were present ourselves, including active sessions
+                };
+            }
+            
+            const meeting = meetingsMap[compositeKey];
+            
+            // Carry calendar event metadata and prefer its title over the meeting code fallback
+            if (session.calendarEvent && !meeting.calendarEvent) {
+                meeting.calendarEvent = session.calendarEvent;
+            }
+            if (meeting.title === meeting.meetingId && session.title && session.title !== session.meetingId) {
+                meeting.title = session.title;
+            }
+            
+            // Pre-join phase - refused admissions only contribute waiting time
+            if (session.lobby) {
+                meeting.lobbyTime += this.getLobbyTime(session.lobby);
+                meeting.lobbyAttempts.push(session.lobby);
+            }
+            if (session.lobbyOnly) {
+                return;
+            }
+            meeting.lobbyOnly = false;
+            
+            // Add session to meeting's sessions
+            meeting.sessions.push(session);
+            meeting.sessionCount++;
+            
+            // Merge presence intervals by participant
+            if (session.presence) {
+                Object.entries(session.presence).forEach(([participantId, entry]) => {
+                    if (!meeting.presence[participantId]) {
+                        meeting.presence[participantId] = { name: entry.name, intervals: [] };
+                    }
+                    meeting.presence[participantId].intervals.push(...(entry.intervals || []));
+                });
+            }
+            if (session.participantSummary) {
+                meeting.participantSummary.push(...session.participantSummary);
+            }
+            
+            if (session.presentations) {
+                meeting.presentations.push(...session.presentations);
+            }
+            
+            // Combine per-minute detection quality samples
+            if (session.dataQuality && session.dataQuality.samples > 0) {
+                if (!meeting.dataQuality) {
+                    meeting.dataQuality = { samples: 0, scoreSum: 0, minScore: 100, degradedMinutes: 0, score: null };
                 }
-                
-                // If any session is active, mark meeting as active
-                if (!session.endTime) {
-                    meeting.isActive = true;
-                    meeting.endTime = null; // Null out end time for active meetings
+                meeting.dataQuality.samples += session.dataQuality.samples;
+                meeting.dataQuality.scoreSum += session.dataQuality.scoreSum;
+                meeting.dataQuality.minScore = Math.min(meeting.dataQuality.minScore, session.dataQuality.minScore);
+                meeting.dataQuality.degradedMinutes += session.dataQuality.degradedMinutes || 0;
+                meeting.dataQuality.score = Math.round(meeting.dataQuality.scoreSum / meeting.dataQuality.samples);
+            }
+            
+            // Sum my mic/camera counters
+            if (session.localMedia) {
+                if (!meeting.localMediaTotals) {
+                    meeting.localMediaTotals = { sampledMs: 0, micOnMs: 0, cameraOnMs: 0, micToggles: 0, cameraToggles: 0 };
                 }
-                
-                // Add participants (unique within this day's meeting)
-                if (session.participants && Array.isArray(session.participants)) {
-                    session.participants.forEach(p => {
-                        // Handle different participant data formats
-                        let participantName = '';
-                        let participantId = '';
-                        
-                        if (typeof p === 'string') {
-                            participantName = p;
-                            participantId = p;  // Use name as ID
-                        } else if (p && typeof p === 'object') {
-                            participantName = p.name || p.displayName || p.id || 'Unknown';
-                            participantId = p.id || p.email || participantName;
-                        }
-                        
-                        // Only add if not already included in this day's meeting
-                        if (participantName && participantName !== 'Unknown' && !meeting.participantsMap[participantId]) {
-                            meeting.participantsMap[participantId] = true;
-                            meeting.participants.push(p); // Add original participant object
-                        }
-                    });
+                Object.keys(meeting.localMediaTotals).forEach(key => {
+                    meeting.localMediaTotals[key] += session.localMedia[key] || 0;
+                });
+            }
+            
+            // Sum talk-time by participant
+            if (session.talkTime) {
+                Object.entries(session.talkTime).forEach(([participantId, entry]) => {
+                    if (!meeting.talkTime[participantId]) {
+                        meeting.talkTime[participantId] = { name: entry.name, ms: 0 };
+                    }
+                    meeting.talkTime[participantId].ms += entry.ms || 0;
+                });
+            }
+            
+            // Sum engagement counts by participant
+            if (session.engagement) {
+                Object.entries(session.engagement).forEach(([participantId, entry]) => {
+                    if (!meeting.engagement[participantId]) {
+                        meeting.engagement[participantId] = { name: entry.name, chatMessages: 0, reactions: 0, handRaises: 0 };
+                    }
+                    meeting.engagement[participantId].chatMessages += entry.chatMessages || 0;
+                    meeting.engagement[participantId].reactions += entry.reactions || 0;
+                    meeting.engagement[participantId].handRaises += entry.handRaises || 0;
+                });
+            }
+            
+            // Update start time (earliest within the same day)
+            if (session.startTime < meeting.startTime) {
+                meeting.startTime = session.startTime;
+            }
+            
+            // Update end time (latest within the same day)
+            if (session.endTime && (!meeting.endTime || session.endTime > meeting.endTime)) {
+                meeting.endTime = session.endTime;
+            }
+            
+            // If any session is active, mark meeting as active
+            if (!session.endTime) {
+                meeting.isActive = true;
+                meeting.endTime = null; // Null out end time for active meetings
+            }
+            
+            // Add participants (unique within this day's meeting)
+            // Same person under several names/IDs counts once (see person-registry.js)
+            this.attachPersons(session.participants, session.meetingId, people, session.selfParticipantId).forEach(p => {
+                const participantKey = p.personId || PersonRegistry.aliasKey(PersonRegistry.participantName(p));
+                if (participantKey && participantKey !== 'unknown' && !meeting.participantsMap[participantKey]) {
+                    meeting.participantsMap[participantKey] = true;
+                    meeting.participants.push(p);
                 }
             });
+        });
+        
+        // Convert map to array and finalize meeting objects
+        const aggregatedMeetings = Object.values(meetingsMap).map(meeting => {
+            // Calculate participant count from unique participants
+            meeting.participantCount = meeting.participants.length;
             
-            // Convert map to array and finalize meeting objects
-            const aggregatedMeetings = Object.values(meetingsMap).map(meeting => {
-                // Calculate participant count from unique participants
-                meeting.participantCount = meeting.participants.length;
-                
-                // Calculate durationMinutes for convenience
-                meeting.durationMinutes = Math.round(meeting.duration / 60000);
-                
-                // Remove temporary tracking field
-                delete meeting.participantsMap;
-                
-                return meeting;
-            });
+            // The attendance's first day (sessions may be read newest first)
+            meeting.date = getSessionDate(meeting);
             
-            // Sort by start time, newest first
-            aggregatedMeetings.sort((a, b) => b.startTime - a.startTime);
+            // Time in the meeting from its ended sessions (tracked: active ones too, up to now);
+            // sessions open in two tabs at once overlap, and that time counts once
+            const spans = meeting.sessions.map(session => ({ start: session.startTime, end: session.endTime || Date.now(), ended: !!session.endTime }));
+            meeting.duration = mergeSpans(spans.filter(span => span.ended)).reduce((sum, span) => sum + span.end - span.start, 0);
+            meeting.trackedDuration = mergeSpans(spans).reduce((sum, span) => sum + span.end - span.start, 0);
             
-            console.log(`📊 Aggregated ${sessions.length} sessions into ${aggregatedMeetings.length} meetings (grouped by meetingId + date)`);
-            return aggregatedMeetings;
-        } catch (error) {
-            console.error('❌ Error in getMeetingsAggregated:', error);
-            return [];
-        }
+            // Calculate durationMinutes for convenience
+            meeting.durationMinutes = Math.round(meeting.duration / 60000);
+            
+            // Per-participant attended minutes and attendance percentage
+            meeting.attendance = this.summarizePresence(meeting.presence, meeting.trackedDuration, meeting.participantSummary);
+            
+            // Percent on camera / unmuted and toggle counts
+            meeting.localMedia = this.summarizeLocalMedia(meeting.localMediaTotals);
+            delete meeting.localMediaTotals;
+            
+            // Presentation vs discussion time
+            meeting.presentation = this.summarizePresentations(meeting.presentations, meeting.trackedDuration);
+            
+            // Time away between reconnects, reported separately from duration
+            meeting.gaps = this.getAttendanceGaps(meeting.sessions.filter(session => !session.lobbyOnly));
+            meeting.gapTime = meeting.gaps.reduce((sum, gap) => sum + gap.duration, 0);
+            meeting.reconnectCount = meeting.gaps.length;
+            
+            // Low scores mean the participant data came from memory/fallbacks rather than the page
+            meeting.qualityScore = meeting.dataQuality ? meeting.dataQuality.score : null;
+            
+            // Remove temporary tracking field
+            delete meeting.participantsMap;
+            
+            return meeting;
+        });
+        
+        // Flag time spent in two meetings at once (several Meet tabs)
+        this.markDoubleBooked(aggregatedMeetings);
+        
+        // Sort by start time (newest first unless options.sort is 'oldest'); ties by ID so pages are stable
+        const direction = options.sort === 'oldest' ? -1 : 1;
+        aggregatedMeetings.sort((a, b) => direction * (b.startTime - a.startTime) || a.id.localeCompare(b.id));
+        
+        console.log(`📊 Aggregated ${sessions.length} sessions into ${aggregatedMeetings.length} meetings (${options.raw ? 'raw sessions' : 'reconnects stitched'})`);
+        return aggregatedMeetings;
+    }
+    
+    // Map each session to its attendance key (see getAttendanceKeys)
+    assignAttendanceGroups(sessions, options = {}) {
+        return getAttendanceKeys(sessions, options);
+    }
+    
+    // Gaps between the sessions of one attendance: [{ start, end, duration }]
+    getAttendanceGaps(sessions) {
+        const gaps = [];
+        let latestEnd = null;
+        
+        [...sessions].sort((a, b) => a.startTime - b.startTime).forEach(session => {
+            if (latestEnd !== null && session.startTime > latestEnd) {
+                gaps.push({ start: latestEnd, end: session.startTime, duration: session.startTime - latestEnd });
+            }
+            latestEnd = session.endTime ? Math.max(latestEnd ?? 0, session.endTime) : Infinity;
+        });
+        
+        return gaps;
     }
 }
 